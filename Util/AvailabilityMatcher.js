@@ -1,6 +1,8 @@
 // Enhanced Availability Matching System
 // This provides more sophisticated matching between shift requirements and employee availability
 
+import { Availability, toSlotPreferenceScale } from '../models/Availability.js';
+
 export class AvailabilityMatcher {
   constructor() {
     this.daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
@@ -135,7 +137,7 @@ export class AvailabilityMatcher {
             actualEndMinutes,
             actualStartTime: this.minutesToTime(actualStartMinutes),
             actualEndTime: this.minutesToTime(actualEndMinutes % (24 * 60)),
-            preference: availSlot.preference || 0,
+            preference: toSlotPreferenceScale(availSlot.preference), // Legacy slots may predate the -1/0/1 scale
             currentHours: constraints.currentHours || 0,
             availabilitySlot: availSlot,
             shiftRequirement: shiftRequirement,
@@ -167,9 +169,9 @@ export class AvailabilityMatcher {
       const hoursDiff = a.currentHours - b.currentHours;
       if (Math.abs(hoursDiff) > 2) return hoursDiff;
 
-      // Priority 4: Employee preference (higher is better)
+      // Priority 4: Employee preference (preferred > neutral > only if needed)
       const prefDiff = b.preference - a.preference;
-      if (Math.abs(prefDiff) > 1) return prefDiff;
+      if (prefDiff !== 0) return prefDiff;
 
       // Priority 5: Total overlap hours (more is better for efficiency)
       return b.overlapHours - a.overlapHours;
@@ -205,9 +207,9 @@ export class AvailabilityMatcher {
       const hoursDiff = a.currentHours - b.currentHours;
       if (Math.abs(hoursDiff) > 4) return hoursDiff;
 
-      // Priority 3: Employee preference (higher is better)
+      // Priority 3: Employee preference (preferred > neutral > only if needed)
       const prefDiff = b.preference - a.preference;
-      if (Math.abs(prefDiff) > 1) return prefDiff;
+      if (prefDiff !== 0) return prefDiff;
 
       // Priority 4: Total overlap hours (more is better for efficiency)
       return b.overlapHours - a.overlapHours;
@@ -255,7 +257,9 @@ export class AvailabilityMatcher {
       if (Math.abs(coverageDiff) > 10) return coverageDiff;
       
       const hoursDiff = a.currentHours - b.currentHours;
-      return hoursDiff;
+      if (Math.abs(hoursDiff) > 2) return hoursDiff;
+
+      return b.preference - a.preference;
     });
 
     while (assignments.length < shiftRequirement.minEmployees && assignments.length < maxEmployeesPerShift) {
@@ -343,6 +347,32 @@ export class AvailabilityMatcher {
   }
 }
 
+// Whether an availability record lets the employee work `shift` (whole day when the day has no slots)
+export const availabilityCovers = (availability, shift) => {
+  const dayAvailability = availability.days?.[shift.day];
+  if (!dayAvailability?.available) return false;
+  if (!dayAvailability.slots || dayAvailability.slots.length === 0) return true;
+
+  const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  const toMinutes = (time) => parseInt(time.split(':')[0]) * 60 + parseInt(time.split(':')[1]);
+  const shiftStart = toMinutes(shift.startTime);
+  const shiftEnd = shiftStart + shift.durationHours * 60;
+
+  return dayAvailability.slots.some((slot) => {
+    const slotStart = toMinutes(slot.startTime);
+    const dayDiff = (daysOfWeek.indexOf(slot.endDay) - daysOfWeek.indexOf(slot.startDay) + 7) % 7;
+    let slotEnd = dayDiff * 24 * 60 + toMinutes(slot.endTime);
+    if (slotEnd <= slotStart) slotEnd += 24 * 60;
+    return slotStart <= shiftStart && slotEnd >= shiftEnd;
+  });
+};
+
+// The availability that applies to a week: the week's own record, else the latest earlier record marked recurring
+export const findAvailabilityForWeek = async (companyId, employeeId, weekStartDate) =>
+  (await Availability.findOne({ companyId, employeeId, weekStartDate }).lean()) ||
+  (await Availability.findOne({ companyId, employeeId, weekStartDate: { $lt: weekStartDate } }).sort({ weekStartDate: -1 }).lean()
+    .then((latest) => (latest?.isRecurring ? latest : null)));
+
 // Usage example for the enhanced auto-scheduler
 export const enhancedAutoSchedule = async (companyId, departmentId, startDate, endDate, shiftRequirements, availabilities) => {
   const matcher = new AvailabilityMatcher();
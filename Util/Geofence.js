@@ -0,0 +1,67 @@
+// Geofence
+// Company locations are circles around a point. A punch is inside when its GPS fix lies within the radius of the
+// location its shift targets, or of the nearest active company location when the shift targets none. The accuracy
+// the device reports is given the benefit of the doubt, capped so a vague fix cannot pass everywhere.
+
+import mongoose from 'mongoose';
+import Company from '../models/Company.js';
+
+const EARTH_RADIUS_METERS = 6371000;
+const MAX_ACCURACY_ALLOWANCE_METERS = 100;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle (haversine) distance between two { latitude, longitude } points
+export const distanceMeters = (a, b) => {
+  const dLatitude = toRadians(b.latitude - a.latitude);
+  const dLongitude = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLatitude / 2) ** 2 + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+export const loadGeofence = async (companyId) => {
+  const company = await Company.findById(companyId).select('locations schedulingSettings').lean();
+  return {
+    locations: company?.locations || [],
+    policy: company?.schedulingSettings?.geofencePolicy || 'flag',
+  };
+};
+
+// Error message for an optional locationId on a requirement slot or shift, or null when it is fine
+export const validateLocationId = async (companyId, locationId) => {
+  if (!locationId) return null;
+  if (!mongoose.Types.ObjectId.isValid(locationId)) return 'Invalid locationId.';
+  const { locations } = await loadGeofence(companyId);
+  const location = locations.find((candidate) => candidate._id.toString() === locationId.toString());
+  return location?.active ? null : 'Location not found.';
+};
+
+// Validate a requirement slot's optional locationId and default it to null; returns an error message or null
+export const normalizeSlotLocation = async (companyId, slot) => {
+  slot.locationId = slot.locationId || null;
+  return validateLocationId(companyId, slot.locationId);
+};
+
+// { result: inside | outside | no_location | not_configured, locationId, distanceMeters } for a punch `location`
+// ({ latitude, longitude, accuracy } or null) against the target location, or any active location
+export const checkGeofence = (locations, { locationId = null, location = null }) => {
+  const candidates = locationId
+    ? locations.filter((candidate) => candidate._id.toString() === locationId.toString())
+    : locations.filter((candidate) => candidate.active);
+  if (candidates.length === 0) {
+    return { result: 'not_configured', locationId: null, distanceMeters: null };
+  }
+  if (!location) {
+    return { result: 'no_location', locationId: locationId || null, distanceMeters: null };
+  }
+
+  const allowance = Math.min(location.accuracy || 0, MAX_ACCURACY_ALLOWANCE_METERS);
+  const nearest = candidates
+    .map((candidate) => ({ candidate, distance: distanceMeters(location, candidate) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+  return {
+    result: nearest.distance - allowance <= nearest.candidate.radiusMeters ? 'inside' : 'outside',
+    locationId: nearest.candidate._id,
+    distanceMeters: Math.round(nearest.distance),
+  };
+};
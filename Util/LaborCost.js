@@ -0,0 +1,154 @@
+// Labor Cost
+// Prices a set of shifts from employee hourly rates and the company's overtime / night-shift multipliers,
+// and compares the result with a department's weekly labor budget.
+
+import Company from '../models/Company.js';
+import Employee from '../models/Employee.js';
+import LaborBudget from '../models/LaborBudget.js';
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+export const DEFAULT_PAY_SETTINGS = {
+  overtimeThresholdHours: 40,
+  overtimeMultiplier: 1.5,
+  nightShiftMultiplier: 1
+};
+
+// Work starting 18:00-06:00 is paid at the night multiplier
+export const isNightStartTime = (startTime) => {
+  const startHour = parseInt(startTime.split(':')[0]);
+  return startHour >= 18 || startHour < 6;
+};
+
+const employeeKey = (employeeId) => (employeeId?._id ? employeeId._id.toString() : employeeId.toString());
+const round2 = (value) => Number(value.toFixed(2));
+
+export class LaborCostCalculator {
+  constructor(settings = {}, ratesByEmployee = {}) {
+    this.settings = { ...DEFAULT_PAY_SETTINGS };
+    for (const field of Object.keys(DEFAULT_PAY_SETTINGS)) {
+      if (typeof settings[field] === 'number') this.settings[field] = settings[field];
+    }
+    this.ratesByEmployee = ratesByEmployee; // { userId: hourlyRate }
+  }
+
+  isNightShift(shift) {
+    return isNightStartTime(shift.startTime);
+  }
+
+  rateFor(employeeId) {
+    return this.ratesByEmployee[employeeKey(employeeId)] ?? null;
+  }
+
+  // Cost of one week of shifts. Overtime is counted per employee in chronological order, so the hours that push
+  // an employee past the threshold are the ones paid at the overtime multiplier.
+  calculate(shifts) {
+    const { overtimeThresholdHours, overtimeMultiplier, nightShiftMultiplier } = this.settings;
+    const byEmployee = {};
+    const missingRates = new Set();
+
+    const ordered = [...shifts].sort((a, b) =>
+      DAYS_OF_WEEK.indexOf(a.day) - DAYS_OF_WEEK.indexOf(b.day) || a.startTime.localeCompare(b.startTime)
+    );
+
+    for (const shift of ordered) {
+      const employeeId = employeeKey(shift.employeeId);
+      const rate = this.rateFor(employeeId);
+      const entry = byEmployee[employeeId] = byEmployee[employeeId] || {
+        employeeId,
+        hourlyRate: rate,
+        hours: 0,
+        regularHours: 0,
+        overtimeHours: 0,
+        nightHours: 0,
+        cost: 0
+      };
+
+      const hours = shift.durationHours || 0;
+      const regularHours = Math.max(0, Math.min(hours, overtimeThresholdHours - entry.hours));
+      const overtimeHours = hours - regularHours;
+      const night = this.isNightShift(shift);
+
+      entry.hours += hours;
+      entry.regularHours += regularHours;
+      entry.overtimeHours += overtimeHours;
+      if (night) entry.nightHours += hours;
+
+      if (rate === null) {
+        missingRates.add(employeeId);
+        continue;
+      }
+      const shiftMultiplier = night ? nightShiftMultiplier : 1;
+      entry.cost += rate * shiftMultiplier * (regularHours + overtimeHours * overtimeMultiplier);
+    }
+
+    const employees = Object.values(byEmployee).map((entry) => ({
+      ...entry,
+      hours: round2(entry.hours),
+      regularHours: round2(entry.regularHours),
+      overtimeHours: round2(entry.overtimeHours),
+      nightHours: round2(entry.nightHours),
+      cost: round2(entry.cost)
+    }));
+
+    return {
+      totalCost: round2(employees.reduce((sum, entry) => sum + entry.cost, 0)),
+      totalHours: round2(employees.reduce((sum, entry) => sum + entry.hours, 0)),
+      overtimeHours: round2(employees.reduce((sum, entry) => sum + entry.overtimeHours, 0)),
+      nightHours: round2(employees.reduce((sum, entry) => sum + entry.nightHours, 0)),
+      byEmployee: Object.fromEntries(employees.map((entry) => [entry.employeeId, entry])),
+      missingRates: [...missingRates],
+      settings: this.settings
+    };
+  }
+}
+
+// Company pay settings plus the hourly rates of the given users
+export const loadLaborCostCalculator = async (companyId, userIds) => {
+  const company = await Company.findById(companyId).select('schedulingSettings').lean();
+  const employees = await Employee.find({ userId: { $in: userIds } }).select('userId hourlyRate').lean();
+  const ratesByEmployee = {};
+  employees.forEach((employee) => {
+    if (typeof employee.hourlyRate === 'number') ratesByEmployee[employee.userId.toString()] = employee.hourlyRate;
+  });
+
+  return {
+    calculator: new LaborCostCalculator(company?.schedulingSettings || {}, ratesByEmployee),
+    preferLowerCost: Boolean(company?.schedulingSettings?.preferLowerCost)
+  };
+};
+
+// A week-specific budget wins over the department's standing weekly budget
+export const loadLaborBudget = async (companyId, departmentId, weekStartDate) => {
+  const budgets = await LaborBudget.find({
+    companyId,
+    departmentId,
+    weekStartDate: { $in: [weekStartDate, null] }
+  }).lean();
+
+  const weekBudget = budgets.find((budget) => budget.weekStartDate);
+  const standingBudget = budgets.find((budget) => !budget.weekStartDate);
+  const effective = weekBudget || standingBudget || null;
+
+  return {
+    amount: effective ? effective.amount : null,
+    source: weekBudget ? 'week' : standingBudget ? 'standing' : null,
+    budget: effective
+  };
+};
+
+// Cost summary against a budget, with a warning message when the budget is exceeded
+export const compareWithBudget = (cost, budget) => {
+  const overBudget = budget.amount !== null && cost.totalCost > budget.amount;
+  return {
+    ...cost,
+    budget: budget.amount,
+    budgetSource: budget.source,
+    variance: budget.amount !== null ? round2(budget.amount - cost.totalCost) : null,
+    utilization: budget.amount ? round2((cost.totalCost / budget.amount) * 100) : null,
+    overBudget,
+    warning: overBudget
+      ? `Projected labor cost ${cost.totalCost.toFixed(2)} exceeds the weekly budget of ${budget.amount.toFixed(2)} by ${(cost.totalCost - budget.amount).toFixed(2)}.`
+      : null
+  };
+};
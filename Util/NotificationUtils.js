@@ -60,4 +60,30 @@ const createNotification = async (io, { recipientId, senderId, type, leaveDetail
   }
 };
 
+// Save a notification with a ready-made message (scheduling events) and push it over Socket.IO when available
+export const sendSystemNotification = async (io, { recipientId, senderId, type, message, metadata }) => {
+  try {
+    const notification = new Notification({
+      recipient: recipientId,
+      sender: senderId,
+      type,
+      message,
+      metadata,
+      isRead: false,
+    });
+    await notification.save();
+
+    if (io) {
+      io.to(recipientId.toString()).emit("notification", notification);
+    } else {
+      console.warn("Socket.IO instance not found. Notification saved but not pushed:", notification._id);
+    }
+
+    return notification;
+  } catch (error) {
+    console.error("Error creating notification:", error);
+    throw error;
+  }
+};
+
 export default createNotification;
\ No newline at end of file
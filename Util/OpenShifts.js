@@ -0,0 +1,205 @@
+// Open Shifts
+// Unstaffed positions employees can claim. Auto-schedule turns its unfilled slots into open shifts that go live
+// with the schedule version; a claim is checked against availability, leave, skills, existing shifts and work rules
+// before it becomes a ShiftSchedule record.
+
+import OpenShift from '../models/OpenShift.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import Employee from '../models/Employee.js';
+import Company from '../models/Company.js';
+import Leave from '../models/Leave.js';
+import User from '../models/User.js';
+import { availabilityCovers, findAvailabilityForWeek } from './AvailabilityMatcher.js';
+import { loadWorkRules, findShiftsAroundWeek } from './WorkRulesValidator.js';
+import { findDraftVersion } from './ScheduleVersions.js';
+import { loadEmployeeSkills, holdsSkill } from './Skills.js';
+import { shiftDate } from './ScheduleRepair.js';
+import { sendSystemNotification } from './NotificationUtils.js';
+
+const durationHours = (startTime, endTime) => {
+  const [startHours, startMinutes] = startTime.split(':').map(Number);
+  const [endHours, endMinutes] = endTime.split(':').map(Number);
+  let minutes = endHours * 60 + endMinutes - (startHours * 60 + startMinutes);
+  if (minutes <= 0) minutes += 24 * 60; // Overnight
+  return Number((minutes / 60).toFixed(2));
+};
+
+export const describeOpenShift = (openShift) =>
+  `${shiftDate(openShift).toISOString().split('T')[0]} ${openShift.startTime}-${openShift.endTime}`;
+
+export const loadClaimMode = async (companyId) => {
+  const company = await Company.findById(companyId).select('schedulingSettings').lean();
+  return company?.schedulingSettings?.openShiftClaimMode || 'first_come';
+};
+
+// One open shift per missing position of the solver's unfilled slots, kept as drafts of the schedule version
+export const createOpenShiftsFromGaps = async ({ companyId, departmentId, weekStartDate, scheduleVersionId, gaps, createdBy }) => {
+  const claimMode = await loadClaimMode(companyId);
+  const docs = gaps.flatMap((gap) => Array.from({ length: gap.missing || 1 }, () => ({
+    companyId,
+    departmentId,
+    weekStartDate,
+    day: gap.day,
+    startTime: gap.startTime,
+    endTime: gap.endTime,
+    durationHours: durationHours(gap.startTime, gap.endTime),
+    skillId: gap.skillId || null,
+    locationId: gap.locationId || null,
+    status: 'draft',
+    claimMode,
+    source: 'auto_schedule',
+    scheduleVersionId,
+    note: gap.skillName ? `Needs ${gap.skillName}.` : '',
+    createdBy,
+  })));
+
+  return docs.length > 0 ? OpenShift.insertMany(docs) : [];
+};
+
+// Publishing a version opens its gaps and retires unclaimed gaps of the version it replaces
+export const activateOpenShifts = async (scheduleVersion) => {
+  await OpenShift.updateMany(
+    {
+      companyId: scheduleVersion.companyId,
+      departmentId: scheduleVersion.departmentId,
+      weekStartDate: scheduleVersion.weekStartDate,
+      source: 'auto_schedule',
+      status: 'open',
+      scheduleVersionId: { $ne: scheduleVersion._id },
+    },
+    { $set: { status: 'cancelled' } }
+  );
+  await OpenShift.updateMany({ scheduleVersionId: scheduleVersion._id, status: 'draft' }, { $set: { status: 'open' } });
+  return OpenShift.find({ scheduleVersionId: scheduleVersion._id, status: 'open' }).lean();
+};
+
+export const cancelDraftOpenShifts = async (scheduleVersionId) =>
+  (await OpenShift.updateMany({ scheduleVersionId, status: 'draft' }, { $set: { status: 'cancelled' } })).modifiedCount;
+
+// Whether an employee may take an open shift: { eligible, reasons: [{ code, message }], proposed }.
+// Bids already say the employee wants the shift, so bidding skips the availability check.
+export const checkClaimEligibility = async (openShift, employeeId, { requireAvailability = true } = {}) => {
+  const employeeIdStr = employeeId.toString();
+  const date = shiftDate(openShift);
+  const reasons = [];
+  const proposed = {
+    employeeId: employeeIdStr,
+    weekStartDate: openShift.weekStartDate,
+    day: openShift.day,
+    startTime: openShift.startTime,
+    endTime: openShift.endTime,
+    durationHours: openShift.durationHours,
+  };
+
+  const member = await Employee.findOne({
+    companyId: openShift.companyId,
+    userId: employeeIdStr,
+    department: openShift.departmentId,
+  }).select('_id').lean();
+  if (!member) {
+    return { eligible: false, reasons: [{ code: 'not_in_department', message: 'Only employees of this department can claim the shift.' }], proposed };
+  }
+
+  const { validator: workRules } = await loadWorkRules(openShift.companyId, openShift.departmentId);
+  if (workRules.toInterval(proposed).start <= Date.now()) {
+    reasons.push({ code: 'started', message: 'This shift has already started.' });
+  }
+
+  const onLeave = await Leave.exists({
+    companyId: openShift.companyId,
+    userId: employeeIdStr,
+    status: 'Approved',
+    fromDate: { $lte: new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) },
+    toDate: { $gte: date },
+  });
+  if (onLeave) {
+    reasons.push({ code: 'on_leave', message: 'You are on approved leave that day.' });
+  }
+
+  if (openShift.skillId) {
+    const employeeSkills = await loadEmployeeSkills([employeeIdStr]);
+    if (!holdsSkill(employeeSkills[employeeIdStr], openShift.skillId, date)) {
+      reasons.push({ code: 'missing_skill', message: 'You do not hold the skill this shift requires.' });
+    }
+  }
+
+  if (requireAvailability) {
+    const availability = await findAvailabilityForWeek(openShift.companyId, employeeIdStr, openShift.weekStartDate);
+    if (!availability) {
+      reasons.push({ code: 'no_availability', message: 'Submit your availability for this week first.' });
+    } else if (!availabilityCovers(availability, openShift)) {
+      reasons.push({ code: 'not_available', message: `Your availability does not cover ${openShift.day} ${openShift.startTime}-${openShift.endTime}.` });
+    }
+  }
+
+  const theirShifts = await findShiftsAroundWeek([employeeIdStr], openShift.weekStartDate);
+  const interval = workRules.toInterval(proposed);
+  const clash = theirShifts.find((shift) => {
+    const other = workRules.toInterval(shift);
+    return other.start < interval.end && interval.start < other.end;
+  });
+  if (clash) {
+    reasons.push({ code: 'overlap', message: `You are already working ${clash.day} ${clash.startTime}-${clash.endTime}.` });
+  } else {
+    workRules.checkAssignment(proposed, theirShifts, employeeIdStr).forEach((violation) => {
+      reasons.push({ code: violation.rule || 'work_rules', message: violation.message });
+    });
+  }
+
+  return { eligible: reasons.length === 0, reasons, proposed };
+};
+
+// Turn a claimed open shift into a published ShiftSchedule (and into the week's open draft, so publishing keeps it)
+export const createShiftForOpenShift = async (
+  openShift,
+  employeeId,
+  explanation = { decidedBy: { rule: 'open_shift', message: 'Claimed from the open shifts board.' }, openShiftId: openShift._id }
+) => {
+  const shiftData = {
+    employeeId,
+    companyId: openShift.companyId,
+    departmentId: openShift.departmentId,
+    weekStartDate: openShift.weekStartDate,
+    day: openShift.day,
+    startTime: openShift.startTime,
+    endTime: openShift.endTime,
+    durationHours: openShift.durationHours,
+    skillId: openShift.skillId,
+    locationId: openShift.locationId || null,
+    explanation,
+  };
+
+  const shift = await ShiftSchedule.create({ ...shiftData, status: 'published' });
+  const draft = await findDraftVersion(openShift.companyId, openShift.departmentId, openShift.weekStartDate);
+  if (draft) {
+    await ShiftSchedule.create({ ...shiftData, sourceShiftId: shift._id, status: 'draft', scheduleVersionId: draft._id });
+  }
+  return shift;
+};
+
+export const notifyManagers = async (io, { companyId, senderId, type, message, metadata }) => {
+  const managers = await User.find({ companyId, role: 'Manager' }).select('_id').lean();
+  for (const manager of managers) {
+    await sendSystemNotification(io, { recipientId: manager._id, senderId, type, message, metadata });
+  }
+};
+
+// Let the department know new open shifts are up for grabs
+export const notifyOpenShiftsPosted = async (io, { companyId, departmentId, openShifts, senderId }) => {
+  if (openShifts.length === 0) return 0;
+  const members = await Employee.find({ companyId, department: departmentId }).select('userId').lean();
+  const message = openShifts.length === 1
+    ? `An open shift is available: ${describeOpenShift(openShifts[0])}.`
+    : `${openShifts.length} open shifts are available in your department (${openShifts.slice(0, 3).map(describeOpenShift).join(', ')}${openShifts.length > 3 ? ', ...' : ''}).`;
+
+  for (const member of members) {
+    await sendSystemNotification(io, {
+      recipientId: member.userId,
+      senderId,
+      type: 'open_shift_posted',
+      message,
+      metadata: { openShiftIds: openShifts.map((openShift) => openShift._id) },
+    });
+  }
+  return members.length;
+};
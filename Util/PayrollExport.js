@@ -0,0 +1,228 @@
+// Payroll Export
+// Hours per employee for a pay period, taken from approved timesheets or from the published schedule, written as CSV
+// in the company's column layout so the payroll provider can import the file as is. Hours are split into regular,
+// overtime (weekly threshold, chronological), night (work starting 18:00-06:00) and holiday buckets; approved leave
+// is reported in days.
+
+import Company from '../models/Company.js';
+import Employee from '../models/Employee.js';
+import Holiday from '../models/Holidays.js';
+import Leave from '../models/Leave.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import Timesheet from '../models/Timesheet.js';
+import { PUBLISHED_SHIFT_FILTER } from './ScheduleVersions.js';
+import { shiftDate } from './ScheduleRepair.js';
+import { holidayOn } from './Rotations.js';
+import { isNightStartTime } from './LaborCost.js';
+import { weekStartOf } from './Timesheets.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_FIELDS = ['regularHours', 'overtimeHours', 'nightHours', 'holidayHours', 'paidHours'];
+const MAX_COLUMNS = 50;
+
+// Fields a template column can export
+export const PAYROLL_FIELDS = [
+  'employeeID',
+  'employeeName',
+  'email',
+  'departmentCode',
+  'departmentName',
+  'periodStart',
+  'periodEnd',
+  'regularHours',
+  'overtimeHours',
+  'nightHours',
+  'holidayHours',
+  'paidHours',
+  'leaveDays',
+  'hourlyRate',
+];
+
+export const DEFAULT_PAYROLL_TEMPLATE = {
+  delimiter: ',',
+  includeHeader: true,
+  columns: [
+    { header: 'Employee ID', field: 'employeeID' },
+    { header: 'Department Code', field: 'departmentCode' },
+    { header: 'Regular Hours', field: 'regularHours' },
+    { header: 'Overtime Hours', field: 'overtimeHours' },
+    { header: 'Night Hours', field: 'nightHours' },
+    { header: 'Holiday Hours', field: 'holidayHours' },
+    { header: 'Leave Days', field: 'leaveDays' },
+  ],
+};
+
+const round2 = (value) => Number(value.toFixed(2));
+const dateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// Returns { template } or { error } for a template from the request body
+export const normalizePayrollTemplate = ({ delimiter = ',', includeHeader = true, columns } = {}) => {
+  if (![',', ';', '\t'].includes(delimiter)) {
+    return { error: 'delimiter must be ",", ";" or a tab.' };
+  }
+  if (typeof includeHeader !== 'boolean') {
+    return { error: 'includeHeader must be true or false.' };
+  }
+  if (!Array.isArray(columns) || columns.length === 0 || columns.length > MAX_COLUMNS) {
+    return { error: `columns must list 1 to ${MAX_COLUMNS} columns.` };
+  }
+
+  const normalized = [];
+  for (const [index, column] of columns.entries()) {
+    const header = typeof column?.header === 'string' ? column.header.trim() : '';
+    if (!header) {
+      return { error: `columns[${index}]: header is required.` };
+    }
+    if (column.field && !PAYROLL_FIELDS.includes(column.field)) {
+      return { error: `columns[${index}]: unknown field "${column.field}". Use one of ${PAYROLL_FIELDS.join(', ')}.` };
+    }
+    normalized.push({ header, field: column.field || null, value: column.field ? '' : String(column.value ?? '') });
+  }
+  return { template: { delimiter, includeHeader, columns: normalized } };
+};
+
+export const loadPayrollTemplate = async (companyId) => {
+  const company = await Company.findById(companyId).select('payrollExport').lean();
+  const saved = company?.payrollExport;
+  return saved?.columns?.length > 0 ? saved : DEFAULT_PAYROLL_TEMPLATE;
+};
+
+// Approved timesheet days in [from, to), per user
+const addTimesheetHours = async ({ companyId, userIds, from, to, rows }) => {
+  const timesheets = await Timesheet.find({
+    companyId,
+    employeeId: { $in: userIds },
+    weekStartDate: { $gte: weekStartOf(from), $lt: to },
+  }).lean();
+
+  let unapproved = 0;
+  for (const timesheet of timesheets) {
+    if (timesheet.status !== 'Approved') {
+      unapproved++;
+      continue;
+    }
+    const row = rows.get(timesheet.employeeId.toString());
+    for (const day of timesheet.days) {
+      if (day.date < from || day.date >= to) continue;
+      HOUR_FIELDS.forEach((field) => { row[field] += day[field] || 0; });
+    }
+  }
+  return unapproved;
+};
+
+// Published shifts dated in [from, to), per user. Overtime runs over whole weeks, so shifts earlier in a week that
+// started before the period still count towards the threshold.
+const addShiftHours = async ({ companyId, userIds, from, to, rows }) => {
+  const [shifts, holidays, company] = await Promise.all([
+    ShiftSchedule.find({ companyId, employeeId: { $in: userIds }, weekStartDate: { $gte: weekStartOf(from), $lt: to }, ...PUBLISHED_SHIFT_FILTER }).lean(),
+    Holiday.find({ companyId, startDate: { $lt: to }, endDate: { $gte: new Date(from.getTime() - DAY_MS) } }).lean(),
+    Company.findById(companyId).select('schedulingSettings').lean(),
+  ]);
+  const thresholdHours = company?.schedulingSettings?.overtimeThresholdHours ?? 40;
+
+  const weeks = new Map();
+  for (const shift of shifts) {
+    const key = `${shift.employeeId}|${dateKey(shift.weekStartDate)}`;
+    if (!weeks.has(key)) weeks.set(key, []);
+    weeks.get(key).push(shift);
+  }
+
+  for (const weekShifts of weeks.values()) {
+    weekShifts.sort((a, b) => shiftDate(a) - shiftDate(b) || a.startTime.localeCompare(b.startTime));
+    const row = rows.get(weekShifts[0].employeeId.toString());
+    let weekHours = 0;
+    for (const shift of weekShifts) {
+      const hours = shift.durationHours || 0;
+      const regular = Math.max(0, Math.min(hours, thresholdHours - weekHours));
+      weekHours += hours;
+      const date = shiftDate(shift);
+      if (date < from || date >= to) continue;
+
+      row.paidHours += hours;
+      row.regularHours += regular;
+      row.overtimeHours += hours - regular;
+      if (isNightStartTime(shift.startTime)) row.nightHours += hours;
+      if (holidayOn(holidays, date)) row.holidayHours += hours;
+    }
+  }
+};
+
+// Calendar days of approved leave within [from, to), per user
+const addLeaveDays = async ({ companyId, userIds, from, to, rows }) => {
+  const leaves = await Leave.find({
+    companyId,
+    userId: { $in: userIds },
+    status: 'Approved',
+    fromDate: { $lt: to },
+    toDate: { $gte: from },
+  }).lean();
+
+  for (const leave of leaves) {
+    const start = Math.max(new Date(dateKey(leave.fromDate)).getTime(), from.getTime());
+    const end = Math.min(new Date(dateKey(leave.toDate)).getTime() + DAY_MS, to.getTime());
+    if (end > start) rows.get(leave.userId.toString()).leaveDays += Math.round((end - start) / DAY_MS);
+  }
+};
+
+// One row per employee with hours or leave in the period. `from` and `to` are UTC dates, both included.
+// Returns { rows, unapprovedTimesheets }.
+export const buildPayrollRows = async ({ companyId, from, to, source = 'timesheets', departmentId = null }) => {
+  const periodEnd = new Date(to.getTime() + DAY_MS);
+  const employees = await Employee.find({ companyId, ...(departmentId && { department: departmentId }) })
+    .populate('department', 'departmentName departmentCode')
+    .populate('userId', 'name email')
+    .lean();
+
+  const rows = new Map();
+  for (const employee of employees) {
+    if (!employee.userId) continue;
+    rows.set(employee.userId._id.toString(), {
+      employeeID: employee.employeeID || '',
+      employeeName: employee.userId.name || employee.fullName || '',
+      email: employee.userId.email || employee.email || '',
+      departmentCode: employee.department?.departmentCode || '',
+      departmentName: employee.department?.departmentName || '',
+      periodStart: dateKey(from),
+      periodEnd: dateKey(to),
+      regularHours: 0,
+      overtimeHours: 0,
+      nightHours: 0,
+      holidayHours: 0,
+      paidHours: 0,
+      leaveDays: 0,
+      hourlyRate: employee.hourlyRate ?? '',
+    });
+  }
+
+  const scope = { companyId, userIds: [...rows.keys()], from, to: periodEnd, rows };
+  let unapprovedTimesheets = 0;
+  if (source === 'shifts') {
+    await addShiftHours(scope);
+  } else {
+    unapprovedTimesheets = await addTimesheetHours(scope);
+  }
+  await addLeaveDays(scope);
+
+  const result = [...rows.values()]
+    .filter((row) => row.paidHours > 0 || row.leaveDays > 0)
+    .map((row) => ({ ...row, ...Object.fromEntries(HOUR_FIELDS.map((field) => [field, round2(row[field])])) }))
+    .sort((a, b) => a.departmentCode.localeCompare(b.departmentCode) || String(a.employeeID).localeCompare(String(b.employeeID)));
+  return { rows: result, unapprovedTimesheets };
+};
+
+// Quote values that need it, and keep text from being read as a spreadsheet formula
+const csvValue = (value, delimiter) => {
+  if (typeof value === 'number') return String(value);
+  let text = String(value ?? '');
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toPayrollCsv = (rows, template) => {
+  const { delimiter, includeHeader, columns } = template;
+  const lines = rows.map((row) => columns
+    .map((column) => csvValue(column.field ? row[column.field] : column.value, delimiter))
+    .join(delimiter));
+  if (includeHeader) lines.unshift(columns.map((column) => csvValue(column.header, delimiter)).join(delimiter));
+  return `${lines.join('\r\n')}\r\n`;
+};
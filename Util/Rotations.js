@@ -0,0 +1,429 @@
+// Rotations
+// Turns schedule templates and rotation assignments into concrete ShiftSchedule entries for a week.
+// Materialized shifts are pinned and go into the department-week's draft, so they only go live (and employees only
+// hear about them) when the draft is published, and auto-schedule fills the remaining demand around them; approved
+// leave and company holidays win over the rotation.
+
+import mongoose from 'mongoose';
+import ScheduleTemplate from '../models/ScheduleTemplate.js';
+import RotationAssignment from '../models/RotationAssignment.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import Holiday from '../models/Holidays.js';
+import Leave from '../models/Leave.js';
+import Skill from '../models/Skill.js';
+import { PUBLISHED_SHIFT_FILTER, findDraftVersion, createDraftFromPublished, scheduleScopeFilter } from './ScheduleVersions.js';
+import { loadEmployeeSkills, holdsSkill } from './Skills.js';
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const durationHours = (startTime, endTime) => {
+  let minutes = toMinutes(endTime) - toMinutes(startTime);
+  if (minutes <= 0) minutes += 24 * 60; // Overnight
+  return Number((minutes / 60).toFixed(2));
+};
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Holidays are stored at local midnight by the holidays route, so compare calendar dates
+const localDateKey = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+};
+const utcDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// The company holiday covering the UTC calendar date `date`, if any
+export const holidayOn = (holidays, date) => {
+  const key = utcDateKey(date);
+  return holidays.find((holiday) => localDateKey(holiday.startDate) <= key && localDateKey(holiday.endDate) >= key) || null;
+};
+
+const isOnLeave = (leaves, employeeId, date) => leaves.some((leave) =>
+  leave.userId.toString() === employeeId &&
+  startOfUtcDay(leave.fromDate) <= date &&
+  new Date(leave.toDate).setUTCHours(23, 59, 59, 999) >= date.getTime()
+);
+
+// Validate and normalize a template's type / cycle / days in place; returns an error message or null
+export const normalizeTemplate = async (companyId, template) => {
+  if (!['weekly', 'rotation'].includes(template.type)) {
+    return 'type must be weekly or rotation.';
+  }
+  if (template.type === 'weekly') {
+    template.cycleLengthDays = 7;
+  }
+  const cycleLengthDays = Number(template.cycleLengthDays);
+  if (!Number.isInteger(cycleLengthDays) || cycleLengthDays < 1 || cycleLengthDays > 56) {
+    return 'cycleLengthDays must be a whole number from 1 to 56.';
+  }
+  if (!Array.isArray(template.days)) {
+    return 'days must be an array.';
+  }
+
+  const seen = new Set();
+  const skillIds = new Set();
+  const days = [];
+  for (const entry of template.days) {
+    const dayIndex = Number(entry?.dayIndex);
+    if (!Number.isInteger(dayIndex) || dayIndex < 0 || dayIndex >= cycleLengthDays) {
+      return `dayIndex must be between 0 and ${cycleLengthDays - 1}.`;
+    }
+    if (seen.has(dayIndex)) {
+      return `Day ${dayIndex} is listed more than once.`;
+    }
+    seen.add(dayIndex);
+    if (!Array.isArray(entry.shifts)) {
+      return `Shifts for day ${dayIndex} must be an array.`;
+    }
+
+    const shifts = [];
+    for (const shift of entry.shifts) {
+      if (!TIME_PATTERN.test(shift?.startTime || '') || !TIME_PATTERN.test(shift?.endTime || '')) {
+        return `Shift times on day ${dayIndex} must be in HH:mm format.`;
+      }
+      if (shift.skillId) {
+        if (!mongoose.Types.ObjectId.isValid(shift.skillId)) {
+          return 'Invalid skillId in template.';
+        }
+        skillIds.add(shift.skillId.toString());
+      }
+      shifts.push({ startTime: shift.startTime, endTime: shift.endTime, skillId: shift.skillId || null });
+    }
+
+    // Shifts of one day may not overlap: every employee on the template works all of them
+    const ordered = [...shifts].sort((a, b) => toMinutes(a.startTime) - toMinutes(b.startTime));
+    for (let index = 1; index < ordered.length; index++) {
+      const previous = ordered[index - 1];
+      if (toMinutes(previous.startTime) + durationHours(previous.startTime, previous.endTime) * 60 > toMinutes(ordered[index].startTime)) {
+        return `Shifts on day ${dayIndex} overlap.`;
+      }
+    }
+    days.push({ dayIndex, shifts });
+  }
+
+  if (skillIds.size > 0) {
+    const known = await Skill.countDocuments({ companyId, _id: { $in: [...skillIds] } });
+    if (known !== skillIds.size) {
+      return 'Unknown skill in template.';
+    }
+  }
+
+  template.cycleLengthDays = cycleLengthDays;
+  template.days = days.sort((a, b) => a.dayIndex - b.dayIndex);
+  return null;
+};
+
+// Which day of the template's cycle `date` falls on for an assignment
+export const cycleDayFor = (template, assignment, date) => {
+  if (template.type === 'weekly') {
+    return new Date(date).getUTCDay();
+  }
+  const elapsed = Math.round((startOfUtcDay(date) - startOfUtcDay(assignment.startDate)) / DAY_MS) + (assignment.offsetDays || 0);
+  return ((elapsed % template.cycleLengthDays) + template.cycleLengthDays) % template.cycleLengthDays;
+};
+
+const isActiveOn = (assignment, date) =>
+  startOfUtcDay(assignment.startDate) <= date && (!assignment.endDate || startOfUtcDay(assignment.endDate) >= date);
+
+// Shifts the rotations of a company (or one department) produce for a week, without saving anything.
+// Returns { shifts, skipped } where skipped lists rotation days overridden by leave, holidays or missing skills.
+export const generateRotationShifts = async ({ companyId, departmentId = null, weekStartDate }) => {
+  const weekStart = startOfUtcDay(weekStartDate);
+  const weekEnd = new Date(weekStart.getTime() + 6 * DAY_MS);
+
+  const assignments = await RotationAssignment.find({
+    companyId,
+    ...(departmentId && { departmentId }),
+    startDate: { $lte: new Date(weekEnd.getTime() + DAY_MS - 1) },
+    $or: [{ endDate: null }, { endDate: { $gte: weekStart } }],
+  }).lean();
+  if (assignments.length === 0) return { shifts: [], skipped: [] };
+
+  const templates = await ScheduleTemplate.find({ _id: { $in: assignments.map((assignment) => assignment.templateId) } }).lean();
+  const templatesById = new Map(templates.map((template) => [template._id.toString(), template]));
+  const employeeIds = [...new Set(assignments.flatMap((assignment) => assignment.employeeIds.map(String)))];
+
+  const leaves = await Leave.find({
+    companyId,
+    userId: { $in: employeeIds },
+    status: 'Approved',
+    fromDate: { $lte: new Date(weekEnd.getTime() + DAY_MS) },
+    toDate: { $gte: weekStart },
+  }).lean();
+  const holidays = await Holiday.find({
+    companyId,
+    startDate: { $lte: new Date(weekEnd.getTime() + 2 * DAY_MS) },
+    endDate: { $gte: new Date(weekStart.getTime() - DAY_MS) },
+  }).lean();
+  const employeeSkills = await loadEmployeeSkills(employeeIds);
+
+  const shifts = [];
+  const skipped = [];
+  for (const assignment of assignments) {
+    const template = templatesById.get(assignment.templateId.toString());
+    if (!template) continue;
+
+    DAYS_OF_WEEK.forEach((day, dayOffset) => {
+      const date = new Date(weekStart.getTime() + dayOffset * DAY_MS);
+      if (!isActiveOn(assignment, date)) return;
+
+      const cycleDay = cycleDayFor(template, assignment, date);
+      const templateShifts = template.days.find((entry) => entry.dayIndex === cycleDay)?.shifts || [];
+      if (templateShifts.length === 0) return;
+
+      const holiday = holidayOn(holidays, date);
+      for (const employeeId of assignment.employeeIds.map(String)) {
+        for (const templateShift of templateShifts) {
+          const base = {
+            employeeId,
+            date: utcDateKey(date),
+            day,
+            startTime: templateShift.startTime,
+            endTime: templateShift.endTime,
+            rotationAssignmentId: assignment._id,
+            templateName: template.name,
+          };
+          if (holiday) {
+            skipped.push({ ...base, reason: 'holiday', message: `Company holiday: ${holiday.name}.` });
+            continue;
+          }
+          if (isOnLeave(leaves, employeeId, date)) {
+            skipped.push({ ...base, reason: 'leave', message: 'On approved leave.' });
+            continue;
+          }
+          if (templateShift.skillId && !holdsSkill(employeeSkills[employeeId], templateShift.skillId, date)) {
+            skipped.push({ ...base, reason: 'missing_skill', message: 'Does not hold the skill this shift staffs.' });
+            continue;
+          }
+
+          shifts.push({
+            employeeId: new mongoose.Types.ObjectId(employeeId),
+            companyId: assignment.companyId,
+            departmentId: assignment.departmentId,
+            weekStartDate: weekStart,
+            day,
+            startTime: templateShift.startTime,
+            endTime: templateShift.endTime,
+            durationHours: durationHours(templateShift.startTime, templateShift.endTime),
+            skillId: templateShift.skillId || null,
+            pinned: true,
+            rotationAssignmentId: assignment._id,
+            explanation: {
+              decidedBy: {
+                rule: 'rotation',
+                message: `Assigned by the "${template.name}" ${template.type === 'weekly' ? 'template' : `rotation (cycle day ${cycleDay + 1} of ${template.cycleLengthDays})`}.`,
+              },
+            },
+          });
+        }
+      }
+    });
+  }
+
+  return { shifts, skipped };
+};
+
+const shiftInterval = (shift) => {
+  const start = DAYS_OF_WEEK.indexOf(shift.day) * 24 * 60 + toMinutes(shift.startTime);
+  return { start, end: start + shift.durationHours * 60 };
+};
+
+const rotationKey = (shift) =>
+  `${shift.rotationAssignmentId}|${shift.employeeId}|${shift.day}|${shift.startTime}|${shift.endTime}`;
+
+const hasStarted = (shift, weekStart, now = Date.now()) =>
+  weekStart.getTime() + DAYS_OF_WEEK.indexOf(shift.day) * DAY_MS + toMinutes(shift.startTime) * 60 * 1000 <= now;
+
+// Split generated rotation shifts against the shifts an employee already has that week: rotation shifts already
+// there are kept, ones clashing with another shift are skipped (added to `skipped`), the rest are to be created
+const planRotationShifts = (generated, existing, skipped, weekStart) => {
+  const existingKeys = new Set(existing.filter((shift) => shift.rotationAssignmentId).map(rotationKey));
+  const toCreate = [];
+  let kept = 0;
+  for (const shift of generated) {
+    if (existingKeys.has(rotationKey(shift))) {
+      kept++;
+      continue;
+    }
+    // A shift the employee already has at that time (manual, another rotation) wins
+    const interval = shiftInterval(shift);
+    const clash = [...existing, ...toCreate].find((other) => {
+      if (other.employeeId.toString() !== shift.employeeId.toString()) return false;
+      const otherInterval = shiftInterval(other);
+      return otherInterval.start < interval.end && interval.start < otherInterval.end;
+    });
+    if (clash) {
+      skipped.push({
+        employeeId: shift.employeeId,
+        date: utcDateKey(new Date(weekStart.getTime() + DAYS_OF_WEEK.indexOf(shift.day) * DAY_MS)),
+        day: shift.day,
+        startTime: shift.startTime,
+        endTime: shift.endTime,
+        rotationAssignmentId: shift.rotationAssignmentId,
+        reason: 'conflict',
+        message: `Already working ${clash.day} ${clash.startTime}-${clash.endTime}.`,
+      });
+      continue;
+    }
+    toCreate.push(shift);
+  }
+  return { toCreate, kept };
+};
+
+// Rotation shifts for a new auto-schedule draft of a department-week, without writing anything. The draft keeps
+// the week's pinned shifts and replaces the rest, so only those and shifts outside the department-week can clash.
+export const planRotations = async ({ companyId, departmentId, weekStartDate }) => {
+  const weekStart = startOfUtcDay(weekStartDate);
+  const { shifts: generated, skipped } = await generateRotationShifts({ companyId, departmentId, weekStartDate: weekStart });
+  const existing = await ShiftSchedule.find({
+    companyId,
+    weekStartDate: weekStart,
+    employeeId: { $in: [...new Set(generated.map((shift) => shift.employeeId.toString()))] },
+    $or: [{ departmentId: { $ne: departmentId } }, { pinned: true }],
+    ...PUBLISHED_SHIFT_FILTER,
+  }).lean();
+
+  const { toCreate, kept } = planRotationShifts(generated, existing, skipped, weekStart);
+  return { shifts: toCreate, kept, skipped };
+};
+
+// Write a week's rotation shifts into the draft of each department-week (`scheduleVersion`, the open draft, or a new
+// draft copied from the published week), so they go live when the draft is published. Rotation shifts already there
+// are kept; with replace, not-yet-started rotation shifts of the week are regenerated from the current templates.
+export const materializeRotations = async ({ companyId, departmentId = null, weekStartDate, replace = false, createdBy = null, scheduleVersion = null }) => {
+  const weekStart = startOfUtcDay(weekStartDate);
+  const { shifts: generated, skipped } = await generateRotationShifts({ companyId, departmentId, weekStartDate: weekStart });
+
+  const departmentIds = new Set(generated.map((shift) => shift.departmentId.toString()));
+  if (departmentId) departmentIds.add(departmentId.toString());
+  if (replace) {
+    (await ShiftSchedule.distinct('departmentId', { companyId, weekStartDate: weekStart, rotationAssignmentId: { $ne: null } }))
+      .filter((deptId) => !departmentId || deptId.toString() === departmentId.toString())
+      .forEach((deptId) => departmentIds.add(deptId.toString()));
+  }
+
+  const created = [];
+  const scheduleVersions = [];
+  let kept = 0;
+  let removed = 0;
+  for (const deptId of departmentIds) {
+    let draft = scheduleVersion?.departmentId.toString() === deptId ? scheduleVersion : await findDraftVersion(companyId, deptId, weekStart);
+    const departmentShifts = generated.filter((shift) => shift.departmentId.toString() === deptId);
+
+    // The department-week as its draft has it (or as a copy of the published week would), plus the employees'
+    // published shifts elsewhere
+    const existing = await ShiftSchedule.find({
+      companyId,
+      weekStartDate: weekStart,
+      ...(draft
+        ? scheduleScopeFilter({ status: 'draft', scheduleVersionId: draft._id, departmentId: deptId, weekStartDate: weekStart })
+        : PUBLISHED_SHIFT_FILTER),
+    }).lean();
+    const stale = replace
+      ? existing.filter((shift) => shift.departmentId.toString() === deptId && shift.rotationAssignmentId && !hasStarted(shift, weekStart))
+      : [];
+    const staleIds = new Set(stale.map((shift) => shift._id.toString()));
+
+    const plan = planRotationShifts(departmentShifts, existing.filter((shift) => !staleIds.has(shift._id.toString())), skipped, weekStart);
+    kept += plan.kept;
+    if (plan.toCreate.length === 0 && stale.length === 0) continue;
+
+    if (!draft) {
+      ({ scheduleVersion: draft } = await createDraftFromPublished({
+        companyId,
+        departmentId: deptId,
+        weekStartDate: weekStart,
+        source: 'rotation',
+        createdBy,
+        note: 'Rotation shifts',
+      }));
+    }
+    // Without a draft the stale shifts were published ones; their copies in the new draft go instead
+    removed += (await ShiftSchedule.deleteMany({
+      scheduleVersionId: draft._id,
+      status: 'draft',
+      $or: [{ _id: { $in: [...staleIds] } }, { sourceShiftId: { $in: [...staleIds] } }],
+    })).deletedCount;
+    if (plan.toCreate.length > 0) {
+      created.push(...await ShiftSchedule.insertMany(
+        plan.toCreate.map((shift) => ({ ...shift, status: 'draft', scheduleVersionId: draft._id }))
+      ));
+    }
+    scheduleVersions.push(draft);
+  }
+
+  console.log(`Rotations for week of ${utcDateKey(weekStart)}: ${created.length} created, ${kept} kept, ${removed} replaced, ${skipped.length} skipped`);
+  return { weekStartDate: weekStart, created, kept, removed, skipped, scheduleVersions };
+};
+
+// Take rotation shifts (lean, with departmentId, weekStartDate, status and scheduleVersionId) out of the schedule
+// drafts. Published ones go through a draft of their department-week (one is created from the published week if none
+// is open), so they leave the schedule on publish like any other removal.
+// Returns { removed, scheduleVersionIds } with the drafts that now need publishing.
+export const removeRotationShifts = async (companyId, toRemove, { createdBy = null, note = '' } = {}) => {
+  if (toRemove.length === 0) return { removed: 0, scheduleVersionIds: [] };
+
+  const drafts = new Map();
+  const published = toRemove.filter((shift) => shift.status !== 'draft');
+  for (const shift of published) {
+    const key = `${shift.departmentId}|${utcDateKey(shift.weekStartDate)}`;
+    if (drafts.has(key)) continue;
+    let draft = await findDraftVersion(companyId, shift.departmentId, shift.weekStartDate);
+    if (!draft) {
+      ({ scheduleVersion: draft } = await createDraftFromPublished({
+        companyId,
+        departmentId: shift.departmentId,
+        weekStartDate: shift.weekStartDate,
+        source: 'rotation',
+        createdBy,
+        note,
+      }));
+    }
+    drafts.set(key, draft);
+  }
+
+  const draftShifts = toRemove.filter((shift) => shift.status === 'draft');
+  const result = await ShiftSchedule.deleteMany({
+    status: 'draft',
+    $or: [
+      { _id: { $in: draftShifts.map((shift) => shift._id) } },
+      { sourceShiftId: { $in: published.map((shift) => shift._id) } },
+    ],
+  });
+
+  const scheduleVersionIds = [...new Set([
+    ...[...drafts.values()].map((draft) => draft._id.toString()),
+    ...draftShifts.map((shift) => shift.scheduleVersionId?.toString()).filter(Boolean),
+  ])];
+  return { removed: result.deletedCount, scheduleVersionIds };
+};
+
+// Rotation shifts that have not started yet and fall on the given dates (inclusive), e.g. a newly added holiday,
+// removed through the drafts as above
+export const removeRotationShiftsBetween = async (companyId, fromDate, toDate, options = {}) => {
+  const fromKey = localDateKey(fromDate);
+  const toKey = localDateKey(toDate);
+  const now = Date.now();
+
+  const candidates = await ShiftSchedule.find({
+    companyId,
+    rotationAssignmentId: { $ne: null },
+    weekStartDate: { $gte: new Date(startOfUtcDay(fromDate).getTime() - 7 * DAY_MS), $lte: new Date(toDate.getTime() + DAY_MS) },
+  }).select('departmentId weekStartDate day startTime status scheduleVersionId').lean();
+
+  return removeRotationShifts(companyId, candidates.filter((shift) => {
+    const date = new Date(new Date(shift.weekStartDate).getTime() + DAYS_OF_WEEK.indexOf(shift.day) * DAY_MS);
+    const key = utcDateKey(date);
+    return key >= fromKey && key <= toKey && date.getTime() + toMinutes(shift.startTime) * 60 * 1000 > now;
+  }), options);
+};
@@ -0,0 +1,297 @@
+// Incremental Schedule Repair
+// When an employee becomes unavailable (approved leave, removal) only their affected shifts are touched:
+// each one is offered to the best available colleague found by the AvailabilityMatcher, and every other
+// assignment stays as it is. Shifts nobody can take are reported to managers as gaps.
+
+import { AvailabilityMatcher } from './AvailabilityMatcher.js';
+import { loadWorkRules, findShiftsAroundWeek } from './WorkRulesValidator.js';
+import { PUBLISHED_SHIFT_FILTER, releaseRemovedShifts, notifyReleasedShifts } from './ScheduleVersions.js';
+import { sendSystemNotification } from './NotificationUtils.js';
+import { loadEmployeeSkills, holdsSkill } from './Skills.js';
+import { Availability } from '../models/Availability.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import Employee from '../models/Employee.js';
+import Leave from '../models/Leave.js';
+import User from '../models/User.js';
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_OVERLAP_MINUTES = 30;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Calendar date (UTC midnight) a shift starts on
+export const shiftDate = (shift) => new Date(new Date(shift.weekStartDate).getTime() + DAYS_OF_WEEK.indexOf(shift.day) * DAY_MS);
+
+export const shiftStart = (shift) => new Date(shiftDate(shift).getTime() + toMinutes(shift.startTime) * 60 * 1000);
+
+// Upcoming published shifts of an employee that start on a date within [fromDate, toDate] (toDate null = open-ended).
+// Their copies in open drafts follow whatever the repair does to them.
+export const findShiftsForAbsence = async ({ companyId, employeeId, fromDate, toDate = null }) => {
+  const from = new Date(fromDate);
+  from.setUTCHours(0, 0, 0, 0);
+  const to = toDate ? new Date(toDate) : null;
+  if (to) to.setUTCHours(23, 59, 59, 999);
+  const now = new Date();
+
+  const shifts = await ShiftSchedule.find({
+    companyId,
+    employeeId,
+    weekStartDate: {
+      $gte: new Date(from.getTime() - 6 * DAY_MS),
+      ...(to && { $lte: to }),
+    },
+    ...PUBLISHED_SHIFT_FILTER,
+  }).lean();
+
+  return shifts
+    .filter((shift) => {
+      const date = shiftDate(shift);
+      return date >= from && (!to || date <= to) && shiftStart(shift) > now;
+    })
+    .sort((a, b) => shiftStart(a) - shiftStart(b));
+};
+
+// Per department-week pool of colleagues who could take over, cached across the shifts being repaired
+const loadReplacementPool = async (cache, shift, absentEmployeeId) => {
+  const key = `${shift.departmentId}|${new Date(shift.weekStartDate).toISOString()}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const members = await Employee.find({ companyId: shift.companyId, department: shift.departmentId }).select('userId').lean();
+  const memberIds = members
+    .map((member) => member.userId.toString())
+    .filter((userId) => userId !== absentEmployeeId.toString());
+
+  const availabilities = (await Availability.find({
+    companyId: shift.companyId,
+    weekStartDate: shift.weekStartDate,
+    employeeId: { $in: memberIds },
+  }).populate({ path: 'employeeId', select: 'name email role' }).lean())
+    .filter((avail) => avail.employeeId && avail.employeeId._id);
+
+  const weekStart = new Date(shift.weekStartDate);
+  const approvedLeaves = await Leave.find({
+    companyId: shift.companyId,
+    userId: { $in: memberIds },
+    status: 'Approved',
+    fromDate: { $lte: new Date(weekStart.getTime() + 7 * DAY_MS) },
+    toDate: { $gte: weekStart },
+  }).lean();
+
+  const { validator: workRules } = await loadWorkRules(shift.companyId, shift.departmentId);
+  const shiftsByEmployee = {};
+  (await findShiftsAroundWeek(memberIds, shift.weekStartDate)).forEach((existing) => {
+    const employeeIdStr = existing.employeeId.toString();
+    (shiftsByEmployee[employeeIdStr] = shiftsByEmployee[employeeIdStr] || []).push(existing);
+  });
+
+  const employeeSkills = await loadEmployeeSkills(memberIds);
+
+  const pool = { availabilities, approvedLeaves, workRules, shiftsByEmployee, employeeSkills };
+  cache.set(key, pool);
+  return pool;
+};
+
+const isOnLeave = (leaves, employeeId, date) => leaves.some((leave) =>
+  leave.userId.toString() === employeeId &&
+  new Date(leave.fromDate).setUTCHours(0, 0, 0, 0) <= date.getTime() &&
+  new Date(leave.toDate).setUTCHours(23, 59, 59, 999) >= date.getTime()
+);
+
+// Best colleague for one shift, or null with the reasons candidates were turned down
+const findReplacement = (matcher, pool, shift) => {
+  const date = shiftDate(shift);
+  const startHour = parseInt(shift.startTime.split(':')[0]);
+  const requirement = {
+    day: shift.day,
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    startDay: shift.day,
+    endDay: shift.day,
+    shiftType: startHour >= 18 || startHour < 6 ? 'Night' : 'Day',
+    minEmployees: 1,
+  };
+
+  const constraints = {};
+  const weekKey = new Date(shift.weekStartDate).getTime();
+  pool.availabilities.forEach((avail) => {
+    const employeeIdStr = avail.employeeId._id.toString();
+    constraints[employeeIdStr] = {
+      currentHours: (pool.shiftsByEmployee[employeeIdStr] || [])
+        .filter((existing) => new Date(existing.weekStartDate).getTime() === weekKey)
+        .reduce((sum, existing) => sum + existing.durationHours, 0),
+    };
+  });
+
+  const candidates = matcher.findBestEmployeesForShift(requirement, pool.availabilities, constraints);
+  const rejected = [];
+
+  for (const candidate of candidates) {
+    const name = candidate.employee?.name;
+    if (candidate.overlapMinutes < MIN_OVERLAP_MINUTES) {
+      rejected.push({ employeeId: candidate.employeeId, name, reason: `Only ${candidate.overlapMinutes} minutes of overlap.` });
+      continue;
+    }
+    if (isOnLeave(pool.approvedLeaves, candidate.employeeId, date)) {
+      rejected.push({ employeeId: candidate.employeeId, name, reason: 'On approved leave.' });
+      continue;
+    }
+    if (shift.skillId && !holdsSkill(pool.employeeSkills[candidate.employeeId], shift.skillId, date)) {
+      rejected.push({ employeeId: candidate.employeeId, name, reason: 'Does not hold the skill this shift staffs.' });
+      continue;
+    }
+
+    const proposed = {
+      employeeId: candidate.employeeId,
+      weekStartDate: shift.weekStartDate,
+      day: shift.day,
+      startTime: candidate.actualStartTime,
+      endTime: candidate.actualEndTime,
+      durationHours: candidate.overlapHours,
+    };
+    const theirShifts = pool.shiftsByEmployee[candidate.employeeId] || [];
+    const interval = pool.workRules.toInterval(proposed);
+    const clash = theirShifts.find((existing) => {
+      const other = pool.workRules.toInterval(existing);
+      return other.start < interval.end && interval.start < other.end;
+    });
+    if (clash) {
+      rejected.push({ employeeId: candidate.employeeId, name, reason: `Already working ${clash.day} ${clash.startTime}-${clash.endTime}.` });
+      continue;
+    }
+
+    const violations = pool.workRules.checkAssignment(proposed, theirShifts, candidate.employeeId);
+    if (violations.length > 0) {
+      rejected.push({ employeeId: candidate.employeeId, name, reason: violations.map((violation) => violation.message).join(' ') });
+      continue;
+    }
+
+    return { candidate, proposed, rejected };
+  }
+
+  return { candidate: null, proposed: null, rejected };
+};
+
+const describeShift = (shift) => ({
+  shiftId: shift._id,
+  departmentId: shift.departmentId,
+  weekStartDate: shift.weekStartDate,
+  date: shiftDate(shift).toISOString().split('T')[0],
+  day: shift.day,
+  startTime: shift.startTime,
+  endTime: shift.endTime,
+  status: shift.status || 'published',
+});
+
+// Repair the given published shifts of an absent employee. mode "apply" reassigns (and drops unfillable shifts,
+// cancelling the swaps built on them), mode "propose" only reports what it would do.
+export const repairShifts = async ({ shifts, absentEmployeeId, mode = 'propose', reason = 'unavailable', repairedBy = null }) => {
+  const matcher = new AvailabilityMatcher();
+  const cache = new Map();
+  const report = { mode, reason, affected: shifts.length, reassigned: [], proposals: [], gaps: [], released: { swapRequests: [], chains: [] } };
+  // Draft copies still assigned to the absent employee change with the published shift
+  const draftCopies = (shift) => ({ sourceShiftId: shift._id, employeeId: absentEmployeeId, status: 'draft' });
+  const absentUser = await User.findById(absentEmployeeId).select('name').lean();
+
+  for (const shift of shifts) {
+    const pool = await loadReplacementPool(cache, shift, absentEmployeeId);
+    const { candidate, proposed, rejected } = findReplacement(matcher, pool, shift);
+
+    if (!candidate) {
+      report.gaps.push({ ...describeShift(shift), rejected });
+      if (mode === 'apply') {
+        await ShiftSchedule.deleteMany({ $or: [{ _id: shift._id }, draftCopies(shift)] });
+        const released = await releaseRemovedShifts([shift._id], { removedBy: repairedBy, note: `shift dropped by schedule repair (${reason})` });
+        report.released.swapRequests.push(...released.swapRequests);
+        report.released.chains.push(...released.chains);
+      }
+      continue;
+    }
+
+    const entry = {
+      ...describeShift(shift),
+      replacement: {
+        employeeId: candidate.employeeId,
+        name: candidate.employee?.name,
+        email: candidate.employee?.email,
+        startTime: proposed.startTime,
+        endTime: proposed.endTime,
+        coveragePercentage: Number(candidate.coveragePercentage.toFixed(1)),
+      },
+    };
+
+    // Later shifts in this run must see the new assignment
+    const assigned = { ...shift, ...proposed };
+    (pool.shiftsByEmployee[candidate.employeeId] = pool.shiftsByEmployee[candidate.employeeId] || []).push(assigned);
+
+    if (mode === 'apply') {
+      const reassignment = {
+        $set: {
+          employeeId: candidate.employeeId,
+          startTime: proposed.startTime,
+          endTime: proposed.endTime,
+          durationHours: Number(proposed.durationHours.toFixed(2)),
+          pinned: false, // A pin was for the original employee, not the replacement
+          rotationAssignmentId: null, // A one-off cover, no longer part of the rotation
+          explanation: {
+            decidedBy: {
+              rule: 'repair',
+              message: `Reassigned from ${absentUser?.name || 'an unavailable employee'} (${reason}).`,
+            },
+            replacedEmployeeId: absentEmployeeId,
+            candidates: rejected,
+          },
+        },
+      };
+      await ShiftSchedule.updateOne({ _id: shift._id }, reassignment);
+      await ShiftSchedule.updateMany(draftCopies(shift), reassignment);
+      report.reassigned.push(entry);
+    } else {
+      report.proposals.push(entry);
+    }
+  }
+
+  return report;
+};
+
+// Tell managers about gaps and pending proposals, and replacements about their new shifts
+export const notifyRepairResults = async (io, { companyId, report, senderId }) => {
+  const managers = await User.find({ companyId, role: 'Manager' }).select('_id').lean();
+
+  if (report.gaps.length > 0 || report.proposals.length > 0) {
+    const parts = [];
+    if (report.gaps.length > 0) {
+      parts.push(`${report.gaps.length} shift${report.gaps.length === 1 ? '' : 's'} could not be covered (${report.gaps.map((gap) => `${gap.date} ${gap.startTime}-${gap.endTime}`).join(', ')})`);
+    }
+    if (report.proposals.length > 0) {
+      parts.push(`${report.proposals.length} replacement${report.proposals.length === 1 ? ' is' : 's are'} waiting for review`);
+    }
+
+    for (const manager of managers) {
+      await sendSystemNotification(io, {
+        recipientId: manager._id,
+        senderId,
+        type: 'schedule_gap',
+        message: `Schedule repair after ${report.reason}: ${parts.join('; ')}.`,
+        metadata: { gaps: report.gaps, proposals: report.proposals },
+      });
+    }
+  }
+
+  if (report.released) {
+    await notifyReleasedShifts(io, report.released, { senderId, reason: 'could not be covered and was removed from the schedule' });
+  }
+
+  for (const entry of report.reassigned) {
+    await sendSystemNotification(io, {
+      recipientId: entry.replacement.employeeId,
+      senderId,
+      type: 'shift_reassigned',
+      message: `You have been assigned a shift on ${entry.date} ${entry.replacement.startTime}-${entry.replacement.endTime} to cover for a colleague.`,
+      metadata: { shiftId: entry.shiftId },
+    });
+  }
+};
@@ -0,0 +1,779 @@
+// Constraint-based Schedule Solver
+// Turns shift requirements into individual seats and searches for the assignment with the best objective score.
+// Hard constraints (availability, overlap, hour caps) are never broken; soft constraints are traded off in the score.
+
+import { AvailabilityMatcher } from './AvailabilityMatcher.js';
+import { SchedulingOptimizer, SchedulingCoordinator } from './SchedulingOptimizer.js';
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKEND_DAYS = ['saturday', 'sunday'];
+const MINUTES_PER_DAY = 24 * 60;
+
+const standardDeviation = (values) => {
+  if (values.length === 0) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+};
+
+// Deterministic PRNG (mulberry32) so two runs over the same input produce the same schedule
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export class ScheduleSolver {
+  constructor(options = {}) {
+    this.matcher = options.matcher || new AvailabilityMatcher();
+    this.optimizer = options.optimizer || new SchedulingOptimizer();
+    this.coordinator = new SchedulingCoordinator();
+    this.minOverlapMinutes = options.minOverlapMinutes ?? 30;
+    this.rules = options.rules || null; // WorkRulesValidator enforcing company / department work rules
+    this.maxWeeklyHours = options.maxWeeklyHours ?? (this.rules ? this.rules.rules.maxHoursPerWeek : 40);
+    this.iterations = options.iterations ?? 3000;
+    this.seed = options.seed ?? 42;
+    this.weights = {
+      coverage: 100, // Points for a fully covered seat (scaled by coverage fraction)
+      fairness: 5, // Penalty per hour of standard deviation in assigned hours (including hours carried over from earlier weeks)
+      weekend: 10, // Penalty per shift of standard deviation in weekend shifts (including earlier weeks)
+      cost: 0, // Penalty per unit of labor cost; kept tiny when enabled so it only separates otherwise equal candidates
+      preference: 10, // Bonus per preferred seat, penalty per only-if-needed seat (scaled by coverage fraction)
+      ...options.weights
+    };
+  }
+
+  // Expand every requirement slot into `minEmployees` seats on an absolute week timeline. The first positions of
+  // a slot carry its skill requirements (e.g. 2 x Cashier, 1 x Supervisor); the remaining positions are open to anyone.
+  buildSeats(shiftRequirements) {
+    const seats = [];
+
+    for (const requirement of shiftRequirements) {
+      DAYS_OF_WEEK.forEach((day, dayIndex) => {
+        const daySlots = requirement[day] || [];
+
+        daySlots.forEach((slot, slotIndex) => {
+          const shiftNorm = this.matcher.normalizeTimeRange(
+            slot.startTime,
+            slot.endTime,
+            slot.startDay || day,
+            slot.endDay || day
+          );
+          const slotKey = `${requirement.departmentId}-${day}-${slotIndex}-${slot.startTime}-${slot.endTime}`;
+
+          const skillPositions = (slot.skillRequirements || [])
+            .flatMap((requirement) => Array(requirement.count).fill(requirement.skillId.toString()));
+
+          for (let position = 0; position < slot.minEmployees; position++) {
+            const skillId = skillPositions[position] || null;
+            seats.push({
+              index: seats.length,
+              slotKey,
+              candidateKey: skillId ? `${slotKey}|${skillId}` : slotKey,
+              skillId,
+              locationId: slot.locationId ? slot.locationId.toString() : null,
+              position,
+              day,
+              dayIndex,
+              departmentId: requirement.departmentId,
+              startTime: slot.startTime,
+              endTime: slot.endTime,
+              shiftType: slot.shiftType,
+              minEmployees: slot.minEmployees,
+              startMinutes: dayIndex * MINUTES_PER_DAY + shiftNorm.startMinutes,
+              endMinutes: dayIndex * MINUTES_PER_DAY + shiftNorm.endMinutes,
+              durationMinutes: shiftNorm.durationMinutes,
+              requirement: { ...slot, day, departmentId: requirement.departmentId }
+            });
+          }
+        });
+      });
+    }
+
+    return seats;
+  }
+
+  // Whether an employee holds a skill on the seat's day (expired certifications do not count)
+  hasSkill(employeeId, skillId, dayIndex) {
+    if (!skillId) return true;
+    const date = this.weekStartDate ? new Date(new Date(this.weekStartDate).getTime() + dayIndex * MINUTES_PER_DAY * 60 * 1000) : new Date();
+    return (this.employeeSkills[employeeId] || []).some((entry) =>
+      entry.skillId.toString() === skillId && (!entry.expiresAt || new Date(entry.expiresAt) >= date)
+    );
+  }
+
+  // Ask the AvailabilityMatcher for candidates once per slot and keep the best option per employee. Candidates
+  // are keyed by seat.candidateKey so skill positions only list employees holding that skill.
+  buildCandidates(seats, availabilities) {
+    const candidatesBySlot = {};
+    this.shortMatchesBySlot = {}; // Matches rejected for too little overlap, kept for explanations
+
+    for (const seat of seats) {
+      if (candidatesBySlot[seat.candidateKey]) continue;
+      if (candidatesBySlot[seat.slotKey]) {
+        candidatesBySlot[seat.candidateKey] = candidatesBySlot[seat.slotKey]
+          .filter((option) => this.hasSkill(option.employeeId, seat.skillId, seat.dayIndex));
+        continue;
+      }
+
+      const matches = this.matcher.findBestEmployeesForShift(seat.requirement, availabilities);
+      const bestByEmployee = new Map();
+
+      for (const match of matches) {
+        if (match.overlapMinutes < this.minOverlapMinutes) {
+          (this.shortMatchesBySlot[seat.slotKey] = this.shortMatchesBySlot[seat.slotKey] || []).push(match);
+          continue;
+        }
+        const existing = bestByEmployee.get(match.employeeId);
+        if (!existing || match.overlapMinutes > existing.overlapMinutes) {
+          bestByEmployee.set(match.employeeId, match);
+        }
+      }
+
+      candidatesBySlot[seat.slotKey] = [...bestByEmployee.values()].map((match) => ({
+        employeeId: match.employeeId,
+        employee: match.employee,
+        startMinutes: seat.dayIndex * MINUTES_PER_DAY + match.actualStartMinutes,
+        endMinutes: seat.dayIndex * MINUTES_PER_DAY + match.actualEndMinutes,
+        overlapMinutes: match.overlapMinutes,
+        overlapHours: match.overlapHours,
+        coveragePercentage: match.coveragePercentage,
+        preference: match.preference,
+        actualStartTime: match.actualStartTime,
+        actualEndTime: match.actualEndTime,
+        shift: {
+          employeeId: match.employeeId,
+          weekStartDate: this.weekStartDate,
+          day: seat.day,
+          startTime: match.actualStartTime,
+          endTime: match.actualEndTime,
+          durationHours: match.overlapHours
+        }
+      }));
+      candidatesBySlot[seat.candidateKey] = candidatesBySlot[seat.slotKey]
+        .filter((option) => this.hasSkill(option.employeeId, seat.skillId, seat.dayIndex));
+    }
+
+    return candidatesBySlot;
+  }
+
+  // Pinned shifts are fixed: each one takes the requirement seat it overlaps most (at most one seat per slot and
+  // employee), and pinned shifts matching no seat still count toward the employee's hours and overlaps
+  pinShifts(seats, pinnedShifts) {
+    this.fixedAssignment = new Array(seats.length).fill(null);
+    this.pinnedExtrasByEmployee = {};
+
+    const pinned = pinnedShifts.map((shift) => {
+      const dayIndex = DAYS_OF_WEEK.indexOf(shift.day);
+      const norm = this.matcher.normalizeTimeRange(shift.startTime, shift.endTime, shift.day, shift.day);
+      const employee = shift.employeeId?._id ? shift.employeeId : null;
+      return {
+        employeeId: (employee?._id || shift.employeeId).toString(),
+        employee,
+        startMinutes: dayIndex * MINUTES_PER_DAY + norm.startMinutes,
+        endMinutes: dayIndex * MINUTES_PER_DAY + norm.endMinutes,
+        overlapMinutes: norm.durationMinutes,
+        overlapHours: shift.durationHours,
+        coveragePercentage: 100,
+        preference: 0,
+        actualStartTime: shift.startTime,
+        actualEndTime: shift.endTime,
+        shift,
+        pinned: true
+      };
+    }).sort((a, b) => a.startMinutes - b.startMinutes);
+
+    for (const option of pinned) {
+      let bestSeat = null;
+      let bestOverlap = 0;
+      for (const seat of seats) {
+        if (this.fixedAssignment[seat.index]) continue;
+        if (option.shift.departmentId && seat.departmentId && option.shift.departmentId.toString() !== seat.departmentId.toString()) continue;
+        const takenSlot = this.fixedAssignment.some((other, index) =>
+          other && other.employeeId === option.employeeId && seats[index].slotKey === seat.slotKey
+        );
+        if (takenSlot) continue;
+        if (!this.hasSkill(option.employeeId, seat.skillId, seat.dayIndex)) continue;
+
+        const overlap = Math.min(option.endMinutes, seat.endMinutes) - Math.max(option.startMinutes, seat.startMinutes);
+        if (overlap >= this.minOverlapMinutes && overlap > bestOverlap) {
+          bestSeat = seat;
+          bestOverlap = overlap;
+        }
+      }
+
+      if (bestSeat) {
+        this.fixedAssignment[bestSeat.index] = {
+          ...option,
+          overlapMinutes: bestOverlap,
+          coveragePercentage: (bestOverlap / bestSeat.durationMinutes) * 100
+        };
+      } else {
+        (this.pinnedExtrasByEmployee[option.employeeId] = this.pinnedExtrasByEmployee[option.employeeId] || []).push(option);
+      }
+    }
+  }
+
+  // Hard constraints for one employee's full set of assignments
+  isEmployeeFeasible(options, employeeId) {
+    const sorted = [...options].sort((a, b) => a.startMinutes - b.startMinutes);
+    for (let i = 0; i < sorted.length - 1; i++) {
+      // Overlaps between two pinned shifts were placed by a manager and are not the solver's to fix
+      if (sorted[i].pinned && sorted[i + 1].pinned) continue;
+      if (sorted[i].endMinutes > sorted[i + 1].startMinutes) return false;
+    }
+
+    const totalHours = sorted.reduce((sum, option) => sum + option.overlapHours, 0);
+    if (totalHours > this.maxWeeklyHours) return false;
+
+    if (this.rules && options.length > 0) {
+      // Shifts outside this run (e.g. the previous week) count toward rest and consecutive-day rules
+      const existing = this.existingShiftsByEmployee[employeeId] || [];
+      const proposed = options.map((option) => option.shift);
+      const solverPlaced = options.filter((option) => !option.pinned).map((option) => option.shift);
+      const violations = this.rules.validateEmployeeShifts([...existing, ...proposed], employeeId)
+        .filter((violation) => violation.shiftRefs.some((ref) => solverPlaced.includes(ref)));
+      if (violations.length > 0) return false;
+    }
+
+    return true;
+  }
+
+  employeeOptions(state, employeeId, overrides = {}) {
+    const options = [];
+    state.assignment.forEach((option, seatIndex) => {
+      const effective = seatIndex in overrides ? overrides[seatIndex] : option;
+      if (effective && effective.employeeId === employeeId) options.push(effective);
+    });
+    return [...options, ...(this.pinnedExtrasByEmployee?.[employeeId] || [])];
+  }
+
+  // Check that a set of seat changes keeps every touched employee within the hard constraints
+  isMoveFeasible(state, seats, overrides) {
+    const touched = new Set();
+
+    for (const [seatIndex, option] of Object.entries(overrides)) {
+      if (!option) continue;
+      touched.add(option.employeeId);
+
+      // The same employee cannot fill two seats of the same slot
+      const seat = seats[seatIndex];
+      const duplicate = state.assignment.some((other, otherIndex) => {
+        if (otherIndex === Number(seatIndex)) return false;
+        const effective = otherIndex in overrides ? overrides[otherIndex] : other;
+        return effective && effective.employeeId === option.employeeId && seats[otherIndex].slotKey === seat.slotKey;
+      });
+      if (duplicate) return false;
+    }
+
+    for (const employeeId of touched) {
+      if (!this.isEmployeeFeasible(this.employeeOptions(state, employeeId, overrides), employeeId)) return false;
+    }
+    return true;
+  }
+
+  evaluate(assignment, seats, employeeIds) {
+    let coverageScore = 0;
+    let preferenceScore = 0;
+    let coveredMinutes = 0;
+    let requiredMinutes = 0;
+    let filledSeats = 0;
+    let laborCost = 0;
+    const hoursByEmployee = {};
+    employeeIds.forEach((employeeId) => { hoursByEmployee[employeeId] = 0; });
+
+    assignment.forEach((option, seatIndex) => {
+      const seat = seats[seatIndex];
+      requiredMinutes += seat.durationMinutes;
+      if (!option) return;
+
+      filledSeats++;
+      coveredMinutes += option.overlapMinutes;
+      coverageScore += (option.overlapMinutes / seat.durationMinutes) * this.weights.coverage;
+      preferenceScore += (option.overlapMinutes / seat.durationMinutes) * (option.preference || 0) * this.weights.preference;
+      laborCost += option.overlapHours * (this.hourlyRates[option.employeeId] || 0);
+      hoursByEmployee[option.employeeId] = (hoursByEmployee[option.employeeId] || 0) + option.overlapHours;
+    });
+    Object.entries(this.pinnedExtrasByEmployee || {}).forEach(([employeeId, extras]) => {
+      hoursByEmployee[employeeId] = (hoursByEmployee[employeeId] || 0) + extras.reduce((sum, option) => sum + option.overlapHours, 0);
+    });
+
+    // Weekend shifts this week, on top of the ones carried over from earlier weeks of a multi-week run
+    const weekendShifts = {};
+    Object.keys(hoursByEmployee).forEach((employeeId) => { weekendShifts[employeeId] = 0; });
+    [...assignment, ...Object.values(this.pinnedExtrasByEmployee || {}).flat()].forEach((option) => {
+      if (!option || !WEEKEND_DAYS.includes(option.shift.day)) return;
+      weekendShifts[option.employeeId] = (weekendShifts[option.employeeId] || 0) + 1;
+    });
+
+    const totalHours = Object.entries(hoursByEmployee).map(([employeeId, h]) => h + (this.carryOver.hoursByEmployee[employeeId] || 0));
+    const hoursStdDev = standardDeviation(totalHours);
+    const fairnessPenalty = hoursStdDev * this.weights.fairness;
+    const weekendStdDev = standardDeviation(Object.entries(weekendShifts).map(([employeeId, count]) => count + (this.carryOver.weekendShiftsByEmployee[employeeId] || 0)));
+    const weekendPenalty = weekendStdDev * this.weights.weekend;
+    const costPenalty = laborCost * this.weights.cost;
+
+    return {
+      score: coverageScore + preferenceScore - fairnessPenalty - weekendPenalty - costPenalty,
+      coverageScore,
+      preferenceScore,
+      fairnessPenalty,
+      weekendPenalty,
+      costPenalty,
+      filledSeats,
+      totalSeats: seats.length,
+      coveredHours: coveredMinutes / 60,
+      requiredHours: requiredMinutes / 60,
+      coveragePercentage: requiredMinutes > 0 ? (coveredMinutes / requiredMinutes) * 100 : 100,
+      hoursStdDev,
+      weekendStdDev,
+      hoursByEmployee,
+      weekendShiftsByEmployee: weekendShifts
+    };
+  }
+
+  // Greedy start around the pinned seats: most constrained seats first, best coverage, then fewest hours,
+  // then strongest preference
+  buildInitialState(seats, candidatesBySlot) {
+    const state = { assignment: [...this.fixedAssignment] };
+    const hours = { ...this.carryOver.hoursByEmployee };
+    [...this.fixedAssignment, ...Object.values(this.pinnedExtrasByEmployee).flat()].forEach((option) => {
+      if (option) hours[option.employeeId] = (hours[option.employeeId] || 0) + option.overlapHours;
+    });
+    const order = seats.filter((seat) => !this.fixedAssignment[seat.index]).sort((a, b) =>
+      candidatesBySlot[a.candidateKey].length - candidatesBySlot[b.candidateKey].length || a.startMinutes - b.startMinutes
+    );
+
+    for (const seat of order) {
+      const ranked = [...candidatesBySlot[seat.candidateKey]].sort((a, b) => {
+        const coverageDiff = b.coveragePercentage - a.coveragePercentage;
+        if (Math.abs(coverageDiff) > 5) return coverageDiff;
+        const hoursDiff = (hours[a.employeeId] || 0) - (hours[b.employeeId] || 0);
+        if (Math.abs(hoursDiff) > 2) return hoursDiff;
+        const preferenceDiff = b.preference - a.preference;
+        if (preferenceDiff !== 0 || this.weights.cost <= 0) return preferenceDiff;
+        return (this.hourlyRates[a.employeeId] || 0) - (this.hourlyRates[b.employeeId] || 0);
+      });
+
+      for (const option of ranked) {
+        if (this.isMoveFeasible(state, seats, { [seat.index]: option })) {
+          state.assignment[seat.index] = option;
+          hours[option.employeeId] = (hours[option.employeeId] || 0) + option.overlapHours;
+          break;
+        }
+      }
+    }
+
+    return state;
+  }
+
+  // Propose a random neighbour: reassign or clear one seat, or swap the employees of two seats
+  proposeMove(state, seats, candidatesBySlot, random) {
+    const seatIndex = Math.floor(random() * seats.length);
+    const seat = seats[seatIndex];
+    const current = state.assignment[seatIndex];
+    if (this.fixedAssignment[seatIndex]) return null;
+
+    if (current && random() < 0.3) {
+      const otherIndex = Math.floor(random() * seats.length);
+      const other = state.assignment[otherIndex];
+      if (otherIndex === seatIndex || !other || other.employeeId === current.employeeId) return null;
+      if (this.fixedAssignment[otherIndex]) return null;
+
+      const swappedIn = candidatesBySlot[seat.candidateKey].find((c) => c.employeeId === other.employeeId);
+      const swappedOut = candidatesBySlot[seats[otherIndex].candidateKey].find((c) => c.employeeId === current.employeeId);
+      if (!swappedIn || !swappedOut) return null;
+      return { [seatIndex]: swappedIn, [otherIndex]: swappedOut };
+    }
+
+    const candidates = candidatesBySlot[seat.candidateKey];
+    if (candidates.length === 0) return null;
+    if (current && random() < 0.05) return { [seatIndex]: null };
+
+    const option = candidates[Math.floor(random() * candidates.length)];
+    if (current && option.employeeId === current.employeeId) return null;
+    return { [seatIndex]: option };
+  }
+
+  // Simulated annealing over seat assignments, keeping the best state seen
+  search(initialState, seats, candidatesBySlot, employeeIds) {
+    const random = createRandom(this.seed);
+    let state = { assignment: [...initialState.assignment] };
+    let current = this.evaluate(state.assignment, seats, employeeIds);
+    let best = { assignment: [...state.assignment], evaluation: current };
+    const startTemperature = this.weights.coverage / 5;
+
+    for (let iteration = 0; iteration < this.iterations && seats.length > 0; iteration++) {
+      const temperature = startTemperature * (1 - iteration / this.iterations) + 0.01;
+      const move = this.proposeMove(state, seats, candidatesBySlot, random);
+      if (!move || !this.isMoveFeasible(state, seats, move)) continue;
+
+      const nextAssignment = [...state.assignment];
+      for (const [seatIndex, option] of Object.entries(move)) {
+        nextAssignment[seatIndex] = option;
+      }
+      const next = this.evaluate(nextAssignment, seats, employeeIds);
+      const delta = next.score - current.score;
+
+      if (delta >= 0 || random() < Math.exp(delta / temperature)) {
+        state = { assignment: nextAssignment };
+        current = next;
+        if (current.score > best.evaluation.score) {
+          best = { assignment: [...nextAssignment], evaluation: current };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  // Per-employee preference satisfaction: 100 = only preferred slots, 50 = neutral, 0 = only-if-needed slots (hour-weighted)
+  summarizePreferences(shifts) {
+    const byEmployee = {};
+
+    for (const shift of shifts) {
+      const entry = byEmployee[shift.employeeId] = byEmployee[shift.employeeId] || {
+        employeeId: shift.employeeId,
+        name: shift.employee?.name,
+        shifts: 0,
+        preferredShifts: 0,
+        neutralShifts: 0,
+        onlyIfNeededShifts: 0,
+        hours: 0,
+        weightedPreference: 0
+      };
+      const preference = shift.preference || 0;
+
+      entry.shifts++;
+      if (preference > 0) entry.preferredShifts++;
+      else if (preference < 0) entry.onlyIfNeededShifts++;
+      else entry.neutralShifts++;
+      entry.hours += shift.durationHours;
+      entry.weightedPreference += preference * shift.durationHours;
+    }
+
+    const employees = {};
+    for (const [employeeId, { weightedPreference, ...entry }] of Object.entries(byEmployee)) {
+      const averagePreference = entry.hours > 0 ? weightedPreference / entry.hours : 0;
+      employees[employeeId] = {
+        ...entry,
+        satisfactionScore: Number((((averagePreference + 1) / 2) * 100).toFixed(1))
+      };
+    }
+
+    const scores = Object.values(employees).map((entry) => entry.satisfactionScore);
+    return {
+      employees,
+      averageSatisfaction: scores.length > 0 ? Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(1)) : null,
+      lowestSatisfaction: scores.length > 0 ? Math.min(...scores) : null,
+      onlyIfNeededShifts: Object.values(employees).reduce((sum, entry) => sum + entry.onlyIfNeededShifts, 0)
+    };
+  }
+
+  // Required vs filled skill positions per skill, with the slots still short
+  summarizeSkillGaps(assignment, seats) {
+    const bySkill = {};
+    seats.forEach((seat, seatIndex) => {
+      if (!seat.skillId) return;
+      const entry = bySkill[seat.skillId] = bySkill[seat.skillId] || {
+        skillId: seat.skillId,
+        skillName: this.skillNames[seat.skillId] || null,
+        required: 0,
+        filled: 0,
+        missing: 0,
+        slots: []
+      };
+      entry.required++;
+      if (assignment[seatIndex]) {
+        entry.filled++;
+        return;
+      }
+      entry.missing++;
+      const slot = entry.slots.find((other) => other.day === seat.day && other.startTime === seat.startTime && other.endTime === seat.endTime);
+      if (slot) {
+        slot.missing++;
+      } else {
+        entry.slots.push({ day: seat.day, startTime: seat.startTime, endTime: seat.endTime, missing: 1 });
+      }
+    });
+    return Object.values(bySkill);
+  }
+
+  // Every reason an employee cannot take a seat given the rest of the assignment (for explanations, not the search)
+  rejectionReasons(assignment, seats, seat, option) {
+    const reasons = [];
+    const state = { assignment };
+    const others = this.employeeOptions(state, option.employeeId, { [seat.index]: null });
+
+    const sameSlot = assignment.some((other, index) =>
+      index !== seat.index && other && other.employeeId === option.employeeId && seats[index].slotKey === seat.slotKey
+    );
+    if (sameSlot) {
+      reasons.push({ code: 'already_assigned_to_slot', message: 'Already fills another position of this shift.' });
+    }
+
+    const overlapping = others.find((other) => other.startMinutes < option.endMinutes && option.startMinutes < other.endMinutes);
+    if (overlapping) {
+      reasons.push({
+        code: 'overlapping_shift',
+        message: `Already working ${overlapping.shift.day} ${overlapping.actualStartTime}-${overlapping.actualEndTime}.`
+      });
+    }
+
+    const hours = others.reduce((sum, other) => sum + other.overlapHours, 0) + option.overlapHours;
+    if (hours > this.maxWeeklyHours) {
+      reasons.push({
+        code: 'over_hours_cap',
+        message: `Would reach ${hours.toFixed(2)}h, above the ${this.maxWeeklyHours}h weekly cap.`
+      });
+    }
+
+    if (this.rules) {
+      const existing = this.existingShiftsByEmployee[option.employeeId] || [];
+      const proposed = [...others.map((other) => other.shift), option.shift];
+      const violations = this.rules.validateEmployeeShifts([...existing, ...proposed], option.employeeId)
+        .filter((violation) => violation.shiftRefs.includes(option.shift));
+      violations.forEach((violation) => {
+        if (violation.rule === 'maxHoursPerWeek' && reasons.some((reason) => reason.code === 'over_hours_cap')) return;
+        reasons.push({ code: 'work_rule', rule: violation.rule, message: violation.message });
+      });
+    }
+
+    return reasons;
+  }
+
+  // Why the winner of a seat beat the best feasible alternative, from the objective components
+  decidingRule(winnerEvaluation, runnerUp, runnerUpEvaluation) {
+    if (!runnerUp) {
+      return { rule: 'only_feasible_candidate', message: 'The only available employee who could take this shift without breaking a constraint.' };
+    }
+
+    const margins = {
+      coverage: winnerEvaluation.coverageScore - runnerUpEvaluation.coverageScore,
+      hours_balance: runnerUpEvaluation.fairnessPenalty - winnerEvaluation.fairnessPenalty,
+      weekend_balance: runnerUpEvaluation.weekendPenalty - winnerEvaluation.weekendPenalty,
+      cost: runnerUpEvaluation.costPenalty - winnerEvaluation.costPenalty,
+      preference: winnerEvaluation.preferenceScore - runnerUpEvaluation.preferenceScore
+    };
+    const [rule, margin] = Object.entries(margins).sort((a, b) => b[1] - a[1])[0];
+    const name = runnerUp.employee?.name || runnerUp.employeeId;
+
+    if (margin <= 0.0001) {
+      return { rule: 'tie_break', margins, message: `Scored the same as ${name}; kept by search order.` };
+    }
+    const messages = {
+      coverage: `Covers more of the shift than ${name} (${runnerUp.coveragePercentage.toFixed(1)}%).`,
+      hours_balance: `Keeps weekly hours more even than giving the shift to ${name}.`,
+      weekend_balance: `Spreads weekend shifts more evenly than giving the shift to ${name}.`,
+      cost: `Costs less than ${name} for the same coverage.`,
+      preference: `Prefers this slot more than ${name}.`
+    };
+    return { rule, margins, message: messages[rule] };
+  }
+
+  // Structured explanation for every assigned seat and every seat left empty
+  explain(assignment, seats, candidatesBySlot, availabilities, employeeIds) {
+    const assignments = {};
+    const finalEvaluation = this.evaluate(assignment, seats, employeeIds);
+
+    assignment.forEach((winner, seatIndex) => {
+      if (!winner) return;
+      if (winner.pinned) {
+        assignments[seatIndex] = {
+          decidedBy: { rule: 'pinned', message: 'Pinned by a manager; the auto-scheduler kept it as placed.' },
+          candidates: []
+        };
+        return;
+      }
+      const seat = seats[seatIndex];
+      let runnerUp = null;
+      let runnerUpEvaluation = null;
+
+      const candidates = candidatesBySlot[seat.candidateKey].map((option) => {
+        const currentHours = this.employeeOptions({ assignment }, option.employeeId, { [seatIndex]: null })
+          .reduce((sum, other) => sum + other.overlapHours, 0);
+        const entry = {
+          employeeId: option.employeeId,
+          name: option.employee?.name,
+          coveragePercentage: Number(option.coveragePercentage.toFixed(1)),
+          currentHours: Number(currentHours.toFixed(2)),
+          preference: option.preference || 0
+        };
+        if (option.employeeId === winner.employeeId) return { ...entry, status: 'selected' };
+
+        const reasons = this.rejectionReasons(assignment, seats, seat, option);
+        if (reasons.length > 0) return { ...entry, status: 'rejected', reasons };
+
+        const alternative = [...assignment];
+        alternative[seatIndex] = option;
+        const evaluation = this.evaluate(alternative, seats, employeeIds);
+        if (!runnerUpEvaluation || evaluation.score > runnerUpEvaluation.score) {
+          runnerUp = option;
+          runnerUpEvaluation = evaluation;
+        }
+        return { ...entry, status: 'not_selected', scoreDifference: Number((finalEvaluation.score - evaluation.score).toFixed(2)) };
+      });
+
+      (this.shortMatchesBySlot[seat.slotKey] || []).forEach((match) => {
+        candidates.push({
+          employeeId: match.employeeId,
+          name: match.employee?.name,
+          coveragePercentage: Number(match.coveragePercentage.toFixed(1)),
+          preference: match.preference || 0,
+          status: 'rejected',
+          reasons: [{ code: 'overlap_too_small', message: `Only ${match.overlapMinutes} minutes of overlap (minimum ${this.minOverlapMinutes}).` }]
+        });
+      });
+
+      assignments[seatIndex] = {
+        decidedBy: this.decidingRule(finalEvaluation, runnerUp, runnerUpEvaluation),
+        candidates
+      };
+    });
+
+    // Unfilled seats, grouped per requirement slot and skill, with the reasons every employee was turned down
+    const unfilledBySlot = {};
+    const availabilityByEmployee = new Map(availabilities.map((avail) => [avail.employeeId._id.toString(), avail]));
+
+    seats.forEach((seat, seatIndex) => {
+      if (assignment[seatIndex]) return;
+      if (unfilledBySlot[seat.candidateKey]) {
+        unfilledBySlot[seat.candidateKey].missing++;
+        return;
+      }
+
+      const rejections = employeeIds.map((employeeId) => {
+        const avail = availabilityByEmployee.get(employeeId);
+        const name = avail?.employeeId?.name;
+        const option = candidatesBySlot[seat.candidateKey].find((candidate) => candidate.employeeId === employeeId);
+        const shortMatch = (this.shortMatchesBySlot[seat.slotKey] || []).find((match) => match.employeeId === employeeId);
+
+        let reasons;
+        if (!this.hasSkill(employeeId, seat.skillId, seat.dayIndex)) {
+          reasons = [{ code: 'missing_skill', message: `Does not hold ${this.skillNames[seat.skillId] || 'the required skill'} on ${seat.day}.` }];
+        } else if (option) {
+          reasons = this.rejectionReasons(assignment, seats, seat, option);
+          if (reasons.length === 0) {
+            reasons = [{ code: 'not_selected', message: 'Could take the shift but the search left it open; assign manually or re-run.' }];
+          }
+        } else if (shortMatch) {
+          reasons = [{ code: 'overlap_too_small', message: `Only ${shortMatch.overlapMinutes} minutes of overlap (minimum ${this.minOverlapMinutes}).` }];
+        } else if (!avail?.days?.[seat.day]?.available) {
+          reasons = [{ code: 'not_available', message: `Not available on ${seat.day}.` }];
+        } else {
+          reasons = [{ code: 'no_matching_availability', message: `Available on ${seat.day} but no slot overlaps ${seat.startTime}-${seat.endTime} with a compatible shift type.` }];
+        }
+        return { employeeId, name, reasons };
+      });
+
+      unfilledBySlot[seat.candidateKey] = {
+        departmentId: seat.departmentId,
+        day: seat.day,
+        startTime: seat.startTime,
+        endTime: seat.endTime,
+        shiftType: seat.shiftType,
+        skillId: seat.skillId,
+        skillName: seat.skillId ? this.skillNames[seat.skillId] || null : null,
+        locationId: seat.locationId,
+        requiredEmployees: seat.minEmployees,
+        missing: 1,
+        rejections
+      };
+    });
+
+    return { assignments, unfilled: Object.values(unfilledBySlot) };
+  }
+
+  solve(shiftRequirements, availabilities, context = {}) {
+    const { companyId, weekStartDate, existingShifts = [], pinnedShifts = [], carryOver = {}, employeeSkills = {}, skillNames = {}, hourlyRates = {} } = context;
+    this.weekStartDate = weekStartDate;
+    this.employeeSkills = employeeSkills; // { userId: [{ skillId, expiresAt }] }
+    this.skillNames = skillNames; // { skillId: name }, for explanations
+    this.hourlyRates = hourlyRates; // { userId: rate }, only used when weights.cost > 0
+    // Totals from earlier weeks of a multi-week run, so fairness is judged over the whole horizon
+    this.carryOver = {
+      hoursByEmployee: carryOver.hoursByEmployee || {},
+      weekendShiftsByEmployee: carryOver.weekendShiftsByEmployee || {}
+    };
+    this.existingShiftsByEmployee = {};
+    for (const shift of existingShifts) {
+      const empId = shift.employeeId?._id ? shift.employeeId._id.toString() : shift.employeeId.toString();
+      (this.existingShiftsByEmployee[empId] = this.existingShiftsByEmployee[empId] || []).push(shift);
+    }
+
+    console.log('=== Starting constraint-based schedule solver ===');
+    const analysis = this.optimizer.analyzeSchedulingConstraints(availabilities, shiftRequirements);
+
+    const seats = this.buildSeats(shiftRequirements);
+    const candidatesBySlot = this.buildCandidates(seats, availabilities);
+    const employeeIds = availabilities.map((avail) => avail.employeeId._id.toString());
+    this.pinShifts(seats, pinnedShifts);
+
+    const initialState = this.buildInitialState(seats, candidatesBySlot);
+    const initialEvaluation = this.evaluate(initialState.assignment, seats, employeeIds);
+    const best = this.search(initialState, seats, candidatesBySlot, employeeIds);
+
+    console.log(`Solver finished: initial score ${initialEvaluation.score.toFixed(2)}, best score ${best.evaluation.score.toFixed(2)}`);
+    const explanations = this.explain(best.assignment, seats, candidatesBySlot, availabilities, employeeIds);
+
+    // Pinned shifts already exist; they are reported with the seat they cover but not returned as new shifts
+    const shifts = [];
+    const pinned = Object.values(this.pinnedExtrasByEmployee).flat().map((option) => ({ ...option.shift, requirementStartTime: null, requirementEndTime: null }));
+    best.assignment.forEach((option, seatIndex) => {
+      if (!option) return;
+      const seat = seats[seatIndex];
+      if (option.pinned) {
+        pinned.push({ ...option.shift, requirementStartTime: seat.startTime, requirementEndTime: seat.endTime });
+        return;
+      }
+      shifts.push({
+        employeeId: option.employeeId,
+        employee: option.employee,
+        companyId,
+        departmentId: seat.departmentId,
+        weekStartDate,
+        day: seat.day,
+        startTime: option.actualStartTime,
+        endTime: option.actualEndTime,
+        durationHours: option.overlapHours,
+        preference: option.preference,
+        requirementStartTime: seat.startTime,
+        requirementEndTime: seat.endTime,
+        skillId: seat.skillId,
+        locationId: seat.locationId,
+        explanation: explanations.assignments[seatIndex]
+      });
+    });
+
+    const conflicts = this.optimizer.validateShiftAssignments([...pinned, ...shifts], this.rules);
+    const unfilled = this.coordinator.identifyUnfulfilledRequirements(shiftRequirements, [...pinned, ...shifts]);
+    const preferenceSatisfaction = this.summarizePreferences(shifts);
+    const skillGaps = this.summarizeSkillGaps(best.assignment, seats);
+    const { hoursByEmployee, weekendShiftsByEmployee, ...evaluation } = best.evaluation;
+
+    return {
+      shifts,
+      pinnedShifts: pinned,
+      hoursByEmployee,
+      weekendShiftsByEmployee,
+      unfilled,
+      conflicts,
+      preferenceSatisfaction,
+      unfilledExplanations: explanations.unfilled,
+      skillGaps,
+      recommendations: analysis.recommendations,
+      objective: {
+        ...evaluation,
+        initialScore: initialEvaluation.score,
+        improvement: evaluation.score - initialEvaluation.score,
+        iterations: this.iterations,
+        seed: this.seed,
+        weights: this.weights
+      }
+    };
+  }
+}
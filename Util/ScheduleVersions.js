@@ -0,0 +1,317 @@
+// Schedule Versions
+// Draft / publish lifecycle for department-week schedules: scoping queries, diffs and the publish step itself.
+
+import mongoose from 'mongoose';
+import OpenShift from '../models/OpenShift.js';
+import ScheduleVersion from '../models/ScheduleVersion.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import ShiftSwapRequest from '../models/ShiftSwap.js';
+import SwapChain from '../models/SwapChain.js';
+import SwapIntent from '../models/SwapIntent.js';
+import TimeEntry from '../models/TimeEntry.js';
+import { sendSystemNotification } from './NotificationUtils.js';
+
+// Shifts without a status predate versioning and are treated as published
+export const PUBLISHED_SHIFT_FILTER = { status: { $ne: 'draft' } };
+
+// Published shifts outside a department-week, i.e. everything a new draft for that week does not replace
+export const outsideWeekFilter = (departmentId, weekStartDate) => ({
+  ...PUBLISHED_SHIFT_FILTER,
+  $nor: [{ departmentId, weekStartDate }],
+});
+
+// Shifts that matter while planning `shift`: published ones, or for a draft its own version
+// plus published shifts outside the department-week the draft will replace
+export const scheduleScopeFilter = ({ status, scheduleVersionId, departmentId, weekStartDate }) => {
+  if (status !== 'draft' || !scheduleVersionId) return PUBLISHED_SHIFT_FILTER;
+
+  return {
+    $or: [
+      { scheduleVersionId },
+      outsideWeekFilter(departmentId, weekStartDate),
+    ],
+  };
+};
+
+export const findDraftVersion = (companyId, departmentId, weekStartDate) =>
+  ScheduleVersion.findOne({ companyId, departmentId, weekStartDate, status: 'draft' });
+
+export const createDraftVersion = async ({ companyId, departmentId, weekStartDate, source = 'auto', createdBy = null, note = '' }) => {
+  const latest = await ScheduleVersion.findOne({ companyId, departmentId, weekStartDate })
+    .sort({ version: -1 })
+    .select('version')
+    .lean();
+
+  return ScheduleVersion.create({
+    companyId,
+    departmentId,
+    weekStartDate,
+    version: (latest?.version || 0) + 1,
+    status: 'draft',
+    source,
+    createdBy,
+    note,
+  });
+};
+
+// New draft for a department-week that starts as a copy of its published shifts
+export const createDraftFromPublished = async ({ companyId, departmentId, weekStartDate, source = 'manual', createdBy = null, note = '' }) => {
+  const scheduleVersion = await createDraftVersion({ companyId, departmentId, weekStartDate, source, createdBy, note });
+  const publishedShifts = await ShiftSchedule.find({ companyId, departmentId, weekStartDate, ...PUBLISHED_SHIFT_FILTER }).lean();
+  const shifts = await ShiftSchedule.insertMany(
+    publishedShifts.map(({ _id, __v, ...shift }) => ({ ...shift, sourceShiftId: _id, status: 'draft', scheduleVersionId: scheduleVersion._id }))
+  );
+  return { scheduleVersion, shifts };
+};
+
+const employeeKey = (shift) => (shift.employeeId?._id || shift.employeeId).toString();
+
+const describeShift = (shift) => ({
+  _id: shift._id,
+  employeeId: shift.employeeId?._id || shift.employeeId,
+  employeeName: shift.employeeId?.name,
+  day: shift.day,
+  startTime: shift.startTime,
+  endTime: shift.endTime,
+  durationHours: shift.durationHours,
+});
+
+// Compare a draft with the published schedule: identical shifts are unchanged, a different time for the
+// same employee and day is a change, anything else is an addition or a removal
+export const diffShiftSets = (publishedShifts, draftShifts) => {
+  const exactKey = (shift) => `${employeeKey(shift)}|${shift.day}|${shift.startTime}|${shift.endTime}`;
+  const pairKey = (shift) => `${employeeKey(shift)}|${shift.day}`;
+
+  const unmatchedPublished = new Map();
+  publishedShifts.forEach((shift) => {
+    const key = exactKey(shift);
+    unmatchedPublished.set(key, [...(unmatchedPublished.get(key) || []), shift]);
+  });
+
+  let unchanged = 0;
+  const remainingDraft = [];
+  for (const shift of draftShifts) {
+    const matches = unmatchedPublished.get(exactKey(shift));
+    if (matches && matches.length > 0) {
+      matches.shift();
+      unchanged++;
+    } else {
+      remainingDraft.push(shift);
+    }
+  }
+
+  const remainingPublished = [...unmatchedPublished.values()].flat();
+  const changed = [];
+  const added = [];
+  for (const shift of remainingDraft) {
+    const index = remainingPublished.findIndex((published) => pairKey(published) === pairKey(shift));
+    if (index >= 0) {
+      const [before] = remainingPublished.splice(index, 1);
+      changed.push({ before: describeShift(before), after: describeShift(shift) });
+    } else {
+      added.push(describeShift(shift));
+    }
+  }
+
+  const publishedHours = publishedShifts.reduce((sum, shift) => sum + shift.durationHours, 0);
+  const draftHours = draftShifts.reduce((sum, shift) => sum + shift.durationHours, 0);
+
+  return {
+    added,
+    removed: remainingPublished.map(describeShift),
+    changed,
+    summary: {
+      unchanged,
+      added: added.length,
+      removed: remainingPublished.length,
+      changed: changed.length,
+      publishedShifts: publishedShifts.length,
+      draftShifts: draftShifts.length,
+      hoursDelta: Number((draftHours - publishedHours).toFixed(2)),
+    },
+  };
+};
+
+// Fields a draft shift carries onto the published shift it replaces
+const PUBLISHED_FIELDS = ['employeeId', 'day', 'startTime', 'endTime', 'durationHours', 'skillId', 'locationId', 'pinned', 'rotationAssignmentId', 'explanation'];
+const OPEN_SWAP_STATUSES = ['pending', 'awaiting_manager_approval'];
+const OPEN_CHAIN_STATUSES = ['proposed', 'awaiting_manager_approval'];
+
+// Pair each draft shift with the published shift it replaces: the one it was copied from, else an identical shift,
+// else the same employee's shift on the same day (a time change). Returns { matches: [{ draft, published }], added,
+// removed }; matched published shifts are updated in place on publish so everything keyed on their ids stays valid.
+export const matchDraftShifts = (publishedShifts, draftShifts) => {
+  const exactKey = (shift) => `${employeeKey(shift)}|${shift.day}|${shift.startTime}|${shift.endTime}`;
+  const pairKey = (shift) => `${employeeKey(shift)}|${shift.day}`;
+  const unmatched = new Map(publishedShifts.map((shift) => [shift._id.toString(), shift]));
+  const matches = [];
+  let remaining = draftShifts;
+
+  const claim = (draft, published) => {
+    unmatched.delete(published._id.toString());
+    matches.push({ draft, published });
+  };
+  const matchBy = (findPublished) => {
+    remaining = remaining.filter((draft) => {
+      const published = findPublished(draft);
+      if (!published) return true;
+      claim(draft, published);
+      return false;
+    });
+  };
+
+  matchBy((draft) => draft.sourceShiftId && unmatched.get(draft.sourceShiftId.toString()));
+  matchBy((draft) => [...unmatched.values()].find((published) => exactKey(published) === exactKey(draft)));
+  matchBy((draft) => [...unmatched.values()].find((published) => pairKey(published) === pairKey(draft)));
+
+  return { matches, added: remaining, removed: [...unmatched.values()] };
+};
+
+// For published shifts that are being deleted (on publish, by hand or by a repair): swap requests, intents and chains
+// built on them are cancelled, wanted shifts are dropped from intents, open shifts filled by them are unlinked, and
+// so are punches (missing clock-in placeholders go away). Pass `session` to run inside the caller's transaction.
+// Returns the cancelled requests and failed chains so their employees can be told once the deletion committed.
+export const releaseRemovedShifts = async (shiftIds, { removedBy = null, note = 'shift removed on publish', session = null } = {}) => {
+  const now = new Date();
+  const swapRequests = [];
+  const chains = [];
+  if (shiftIds.length === 0) return { swapRequests, chains };
+
+  const requests = await ShiftSwapRequest.find({
+    status: { $in: OPEN_SWAP_STATUSES },
+    $or: [{ shiftId: { $in: shiftIds } }, { requesterShiftId: { $in: shiftIds } }, { colleagueShiftId: { $in: shiftIds } }],
+  }).session(session).select('status').lean();
+  for (const request of requests) {
+    const cancelled = await ShiftSwapRequest.findOneAndUpdate(
+      { _id: request._id, status: request.status },
+      {
+        $set: { status: 'cancelled', cancelledBy: removedBy, cancelledAt: now },
+        $push: { history: { action: 'cancel', fromStatus: request.status, toStatus: 'cancelled', by: removedBy, at: now, note } },
+      },
+      { new: true, session }
+    ).lean();
+    if (cancelled) swapRequests.push(cancelled);
+  }
+
+  const openChains = await SwapChain.find({ status: { $in: OPEN_CHAIN_STATUSES }, 'participants.givesShiftId': { $in: shiftIds } })
+    .session(session)
+    .lean();
+  for (const chain of openChains) {
+    const failed = await SwapChain.findOneAndUpdate(
+      { _id: chain._id, status: chain.status },
+      {
+        $set: { status: 'failed', failureReason: 'A shift in the swap was removed from the schedule.' },
+        $push: { history: { action: 'fail', by: removedBy, at: now, note } },
+      },
+      { new: true, session }
+    ).lean();
+    if (!failed) continue;
+    chains.push(failed);
+    await SwapIntent.updateMany(
+      { _id: { $in: failed.participants.map((participant) => participant.intentId) }, status: 'matched', chainId: failed._id },
+      { $set: { status: 'open', chainId: null } },
+      { session }
+    );
+  }
+
+  await SwapIntent.updateMany({ status: { $in: ['open', 'matched'] }, offerShiftId: { $in: shiftIds } }, { $set: { status: 'cancelled' } }, { session });
+  await SwapIntent.updateMany({ wantShiftIds: { $in: shiftIds } }, { $pull: { wantShiftIds: { $in: shiftIds } } }, { session });
+  await OpenShift.updateMany({ shiftScheduleId: { $in: shiftIds } }, { $set: { shiftScheduleId: null } }, { session });
+  await TimeEntry.deleteMany({ shiftId: { $in: shiftIds }, status: 'missing_clock_in' }, { session });
+  await TimeEntry.updateMany({ shiftId: { $in: shiftIds } }, { $set: { shiftId: null } }, { session });
+
+  return { swapRequests, chains };
+};
+
+// Tell the employees of swaps cancelled by releaseRemovedShifts; `reason` completes "A shift in your swap ..."
+export const notifyReleasedShifts = async (io, { swapRequests, chains }, { senderId, reason = 'was removed from the published schedule' }) => {
+  for (const swapRequest of swapRequests) {
+    for (const recipientId of [swapRequest.employeeId, swapRequest.colleagueId].filter(Boolean)) {
+      try {
+        await sendSystemNotification(io, {
+          recipientId,
+          senderId,
+          type: 'swap_cancelled',
+          message: `A shift in your ${swapRequest.type === 'giveaway' ? 'shift handover' : 'shift swap request'} ${reason}, so the request was cancelled.`,
+          metadata: { swapRequestId: swapRequest._id },
+        });
+      } catch (notificationError) {
+        console.error(`Notification failed for ${recipientId}:`, notificationError.message);
+      }
+    }
+  }
+  for (const chain of chains) {
+    for (const participant of chain.participants) {
+      try {
+        await sendSystemNotification(io, {
+          recipientId: participant.employeeId,
+          senderId,
+          type: 'swap_chain_cancelled',
+          message: `A proposed shift swap was cancelled because one of its shifts ${reason}.`,
+          metadata: { swapChainId: chain._id },
+        });
+      } catch (notificationError) {
+        console.error(`Notification failed for ${participant.employeeId}:`, notificationError.message);
+      }
+    }
+  }
+};
+
+// Make the draft the published schedule of its department-week in one transaction. Published shifts the draft
+// keeps are updated in place, new ones are promoted and the rest are deleted along with what depended on them.
+// Returns { previousShifts, publishedShifts, released: { swapRequests, chains } }.
+export const publishVersion = async (version, publishedBy) => {
+  const scope = {
+    companyId: version.companyId,
+    departmentId: version.departmentId,
+    weekStartDate: version.weekStartDate,
+  };
+
+  const session = await mongoose.startSession();
+  let previousShifts = [];
+  let released = { swapRequests: [], chains: [] };
+  try {
+    await session.withTransaction(async () => {
+      previousShifts = await ShiftSchedule.find({ ...scope, ...PUBLISHED_SHIFT_FILTER }).session(session).lean();
+      const draftShifts = await ShiftSchedule.find({ scheduleVersionId: version._id, status: 'draft' }).session(session).lean();
+      const { matches, added, removed } = matchDraftShifts(previousShifts, draftShifts);
+
+      for (const { draft, published } of matches) {
+        const fields = Object.fromEntries(PUBLISHED_FIELDS.map((field) => [field, draft[field] ?? null]));
+        await ShiftSchedule.updateOne(
+          { _id: published._id },
+          { $set: { ...fields, status: 'published', scheduleVersionId: version._id, sourceShiftId: null } },
+          { session }
+        );
+      }
+      await ShiftSchedule.deleteMany({ _id: { $in: matches.map(({ draft }) => draft._id) } }, { session });
+      await ShiftSchedule.updateMany(
+        { _id: { $in: added.map((shift) => shift._id) } },
+        { $set: { status: 'published', sourceShiftId: null } },
+        { session }
+      );
+
+      const removedIds = removed.map((shift) => shift._id);
+      await ShiftSchedule.deleteMany({ _id: { $in: removedIds } }, { session });
+      released = await releaseRemovedShifts(removedIds, { removedBy: publishedBy, session });
+
+      await ScheduleVersion.updateMany(
+        { ...scope, status: 'published', _id: { $ne: version._id } },
+        { $set: { status: 'archived' } },
+        { session }
+      );
+      version.status = 'published';
+      version.publishedBy = publishedBy;
+      version.publishedAt = new Date();
+      await version.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  const publishedShifts = await ShiftSchedule.find({ scheduleVersionId: version._id, status: 'published' })
+    .populate('employeeId', 'name email')
+    .lean();
+
+  return { previousShifts, publishedShifts, released };
+};
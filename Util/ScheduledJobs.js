@@ -0,0 +1,37 @@
+// Scheduled Jobs
+// Background work that has to happen at a point in time rather than on a request. Only started on long-running
+// servers; on serverless deployments the same work also runs lazily from the routes that depend on it.
+
+import { awardDueBidWindows } from './ShiftBidding.js';
+import { expireSwapRequests } from './SwapExpiry.js';
+import { expireSwapMatching } from './SwapMatching.js';
+import { flagMissingPunches } from './TimeTracking.js';
+
+const JOB_INTERVAL_MS = 60 * 1000;
+
+const jobs = [
+  { name: 'award closed bid windows', run: (io) => awardDueBidWindows(io) },
+  { name: 'expire stale swap requests', run: (io) => expireSwapRequests({ io }) },
+  { name: 'expire swap chains and intents', run: (io) => expireSwapMatching({ io }) },
+  { name: 'flag missing punches', run: (io) => flagMissingPunches({ io }) },
+];
+
+let timer = null;
+
+export const runScheduledJobs = async (io = null) => {
+  for (const job of jobs) {
+    try {
+      const count = await job.run(io);
+      if (count) console.log(`Scheduled job "${job.name}": ${count} processed`);
+    } catch (error) {
+      console.error(`Scheduled job "${job.name}" failed:`, error.message);
+    }
+  }
+};
+
+export const startScheduledJobs = (io = null) => {
+  if (timer) return;
+  timer = setInterval(() => runScheduledJobs(io), JOB_INTERVAL_MS);
+  timer.unref?.();
+  console.log(`Scheduled jobs running every ${JOB_INTERVAL_MS / 1000}s`);
+};
@@ -1,7 +1,7 @@
 // Advanced Scheduling Optimization and Conflict Resolution
 // Additional utilities for the flexible scheduling system
 
-import { AvailabilityMatcher, enhancedAutoSchedule } from './availabilityMatcher.js';
+import { AvailabilityMatcher, enhancedAutoSchedule } from './AvailabilityMatcher.js';
 
 export class SchedulingOptimizer {
   constructor() {
@@ -330,8 +330,8 @@ export class SchedulingOptimizer {
     return report;
   }
 
-  // Validate shift assignments for conflicts
-  validateShiftAssignments(shifts) {
+  // Validate shift assignments for conflicts (and work rule violations when a WorkRulesValidator is given)
+  validateShiftAssignments(shifts, rulesValidator = null) {
     const conflicts = [];
     const employeeDailyShifts = {};
 
@@ -382,6 +382,16 @@ export class SchedulingOptimizer {
       }
     }
 
+    if (rulesValidator && shifts.length > 0) {
+      const violations = rulesValidator.serialize(rulesValidator.validate(shifts));
+      for (const violation of violations) {
+        conflicts.push({
+          type: 'rule_violation',
+          ...violation
+        });
+      }
+    }
+
     return conflicts;
   }
 
@@ -542,10 +552,11 @@ export class SchedulingCoordinator {
         
         for (const slot of daySlots) {
           // Count how many employees were assigned to this exact shift
+          // Partial-coverage shifts keep a reference to the requirement they were generated for
           const assignedCount = generatedShifts.filter(shift => 
             shift.day === day &&
-            shift.startTime === slot.startTime &&
-            shift.endTime === slot.endTime
+            (shift.requirementStartTime || shift.startTime) === slot.startTime &&
+            (shift.requirementEndTime || shift.endTime) === slot.endTime
           ).length;
 
           if (assignedCount < slot.minEmployees) {
@@ -0,0 +1,278 @@
+// Shift Bidding
+// Awards the shifts of a closed bidding window. Bidders are put in priority order (seniority, points or lottery;
+// ties always go to the lottery), then shifts are handed out round by round: in each round every bidder, best
+// priority first, gets their highest-ranked shift that still has a position and that they may work.
+// Every decision is written to the window's award record so the outcome can be audited and recomputed.
+
+import mongoose from 'mongoose';
+import BidWindow from '../models/BidWindow.js';
+import Employee from '../models/Employee.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import { checkClaimEligibility, createShiftForOpenShift, describeOpenShift } from './OpenShifts.js';
+import { sendSystemNotification } from './NotificationUtils.js';
+
+export const AWARD_METHODS = ['seniority', 'points', 'lottery'];
+
+// An award that has been running this long is assumed to have crashed
+const STALE_AWARDING_MS = 10 * 60 * 1000;
+
+// Windows stuck in awarding since before this are picked up again
+const staleAwardingFilter = () => ({ status: 'awarding', awardingStartedAt: { $not: { $gt: new Date(Date.now() - STALE_AWARDING_MS) } } });
+
+// FNV-1a hash of the seed string feeding a mulberry32 generator: the same seed always draws the same lottery
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < seed.length; index++) {
+    hash ^= seed.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const seededRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Bidders ({ employeeId, name, hireDate, points }) in award order, each with its position and lottery draw
+export const priorityOrder = (method, bidders, seed) => {
+  const random = seededRandom(seed);
+  const lottery = {};
+  [...bidders].map((bidder) => bidder.employeeId.toString()).sort().forEach((employeeId) => {
+    lottery[employeeId] = Number(random().toFixed(8));
+  });
+
+  const byLottery = (a, b) => lottery[a.employeeId.toString()] - lottery[b.employeeId.toString()];
+  const comparators = {
+    seniority: (a, b) => (new Date(a.hireDate) - new Date(b.hireDate)) || byLottery(a, b),
+    points: (a, b) => (b.points - a.points) || byLottery(a, b),
+    lottery: byLottery,
+  };
+
+  return [...bidders]
+    .sort(comparators[method])
+    .map((bidder, index) => ({ ...bidder, lotteryValue: lottery[bidder.employeeId.toString()], position: index + 1 }));
+};
+
+// Hand out shifts for the ordered bidders. checkEligibility(shift, employeeId) -> { eligible, reasons } and
+// onAward(shift, employeeId, rank) -> shiftScheduleId are supplied by the caller.
+export const allocateBids = async ({ order, bids, shifts, maxAwardsPerEmployee = 1, checkEligibility, onAward }) => {
+  const shiftsById = new Map(shifts.map((shift) => [shift._id.toString(), shift]));
+  const remaining = new Map(shifts.map((shift) => [shift._id.toString(), shift.positions || 1]));
+  const bidsByEmployee = new Map(bids.map((bid) => [bid.employeeId.toString(), bid]));
+  const wonByEmployee = {};
+  const exhausted = new Set();
+  const awards = [];
+  const log = [];
+
+  for (let round = 1; round <= maxAwardsPerEmployee; round++) {
+    for (const entry of order) {
+      const employeeId = entry.employeeId.toString();
+      if (exhausted.has(employeeId)) continue;
+
+      const won = wonByEmployee[employeeId] || [];
+      const rankings = [...(bidsByEmployee.get(employeeId)?.rankings || [])]
+        .sort((a, b) => a.rank - b.rank)
+        .filter((ranking) => shiftsById.has(ranking.shiftId.toString()) && !won.includes(ranking.shiftId.toString()));
+
+      const passedOver = [];
+      let awarded = null;
+      for (const ranking of rankings) {
+        const shiftId = ranking.shiftId.toString();
+        if (remaining.get(shiftId) <= 0) {
+          passedOver.push({ shiftId, rank: ranking.rank, reason: 'filled', message: 'Every position went to a bidder with higher priority.' });
+          continue;
+        }
+        const { eligible, reasons } = await checkEligibility(shiftsById.get(shiftId), employeeId);
+        if (!eligible) {
+          passedOver.push({ shiftId, rank: ranking.rank, reason: 'ineligible', message: reasons.map((reason) => reason.message).join(' ') });
+          continue;
+        }
+
+        const shiftScheduleId = await onAward(shiftsById.get(shiftId), employeeId, ranking.rank);
+        remaining.set(shiftId, remaining.get(shiftId) - 1);
+        wonByEmployee[employeeId] = [...won, shiftId];
+        awarded = { shiftId, employeeId, rank: ranking.rank, round, position: entry.position, shiftScheduleId };
+        awards.push(awarded);
+        break;
+      }
+
+      if (!awarded) exhausted.add(employeeId);
+      if (awarded || passedOver.length > 0) {
+        log.push({ round, employeeId, position: entry.position, awardedShiftId: awarded?.shiftId || null, rank: awarded?.rank || null, passedOver });
+      }
+    }
+  }
+
+  return {
+    awards,
+    log,
+    unfilled: shifts
+      .filter((shift) => remaining.get(shift._id.toString()) > 0)
+      .map((shift) => ({ shiftId: shift._id, positionsLeft: remaining.get(shift._id.toString()) })),
+  };
+};
+
+// Award a window once (status open -> awarding -> awarded). Returns the awarded window, or null if it was not open.
+// The awarded shifts are written as they are decided, so eligibility sees earlier awards; points and the awarded
+// status then commit together. A failure removes the shifts and reopens the window; an award that crashed midway is
+// retried once it has gone stale.
+export const awardBidWindow = async (windowId, { awardedBy = null, io = null } = {}) => {
+  const window = await BidWindow.findOneAndUpdate(
+    { _id: windowId, $or: [{ status: 'open' }, staleAwardingFilter()] },
+    { $set: { status: 'awarding', awardingStartedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!window) return null;
+
+  let awarded = null;
+  try {
+    // Shifts left behind by a crashed attempt
+    await ShiftSchedule.deleteMany({ 'explanation.bidWindowId': window._id });
+
+    const scoped = (shift) => ({ ...shift, companyId: window.companyId, departmentId: window.departmentId });
+    const bids = window.bids.filter((bid) => bid.rankings.length > 0);
+    const employees = await Employee.find({ companyId: window.companyId, userId: { $in: bids.map((bid) => bid.employeeId) } })
+      .select('userId fullName hireDate createdAt bidPoints')
+      .lean();
+    const bidders = employees.map((employee) => ({
+      employeeId: employee.userId.toString(),
+      name: employee.fullName,
+      hireDate: employee.hireDate || employee.createdAt,
+      points: employee.bidPoints || 0,
+    }));
+
+    const seed = `${window._id}:${new Date(window.closesAt).toISOString()}`;
+    const order = priorityOrder(window.awardMethod, bidders, seed);
+    const { awards, log, unfilled } = await allocateBids({
+      order,
+      bids,
+      shifts: window.shifts,
+      maxAwardsPerEmployee: window.maxAwardsPerEmployee,
+      checkEligibility: (shift, employeeId) => checkClaimEligibility(scoped(shift), employeeId, { requireAvailability: false }),
+      onAward: async (shift, employeeId, rank) => {
+        const created = await createShiftForOpenShift(scoped(shift), employeeId, {
+          decidedBy: { rule: 'bid', message: `Awarded by ${window.awardMethod} in bidding window "${window.name}" (choice ${rank}).` },
+          bidWindowId: window._id,
+        });
+        return created._id;
+      },
+    });
+
+    const winners = [...new Set(awards.map((award) => award.employeeId))];
+    const awardedAt = new Date();
+    const award = {
+      method: window.awardMethod,
+      seed,
+      awardedAt,
+      priority: order.map(({ employeeId, name, position, hireDate, points, lotteryValue }) => ({ employeeId, name, position, hireDate, points, lotteryValue })),
+      awards,
+      unfilled,
+      unsuccessful: order.map((entry) => entry.employeeId).filter((employeeId) => !winners.includes(employeeId)),
+      pointsPerAward: window.pointsPerAward,
+      log,
+    };
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        if (window.pointsPerAward) {
+          for (const employeeId of winners) {
+            const count = awards.filter((entry) => entry.employeeId === employeeId).length;
+            await Employee.updateOne(
+              { companyId: window.companyId, userId: employeeId },
+              { $inc: { bidPoints: window.pointsPerAward * count } },
+              { session }
+            );
+          }
+        }
+        awarded = await BidWindow.findOneAndUpdate(
+          { _id: window._id, status: 'awarding', awardingStartedAt: window.awardingStartedAt },
+          { $set: { status: 'awarded', award, awardedBy, awardedAt } },
+          { new: true, session }
+        ).lean();
+        if (!awarded) throw new Error('The bidding window was taken over by another award run.');
+      });
+    } finally {
+      await session.endSession();
+    }
+  } catch (error) {
+    // Undo partial awards so the window can be awarded again, unless a retry already took the window over
+    const claim = { _id: window._id, status: 'awarding', awardingStartedAt: window.awardingStartedAt };
+    if (await BidWindow.exists(claim)) {
+      await ShiftSchedule.deleteMany({ 'explanation.bidWindowId': window._id });
+      await BidWindow.updateOne(claim, { $set: { status: 'open', awardingStartedAt: null } });
+    }
+    throw error;
+  }
+
+  console.log(`Bid window ${window._id} awarded: ${awarded.award.awards.length} awards, ${awarded.award.unfilled.length} shifts with open positions`);
+  // The award stands whether or not everyone could be told
+  try {
+    await notifyBidResults(io, awarded);
+  } catch (error) {
+    console.error(`Failed to notify bidders of window ${window._id}:`, error.message);
+  }
+  return awarded;
+};
+
+const notifyBidResults = async (io, window) => {
+  const shiftsById = new Map(window.shifts.map((shift) => [shift._id.toString(), shift]));
+  const describe = (shiftId) => {
+    const shift = shiftsById.get(shiftId.toString());
+    return shift.label ? `${shift.label} (${describeOpenShift(shift)})` : describeOpenShift(shift);
+  };
+
+  for (const bid of window.bids.filter((entry) => entry.rankings.length > 0)) {
+    const employeeId = bid.employeeId.toString();
+    const won = window.award.awards.filter((award) => award.employeeId === employeeId);
+    await sendSystemNotification(io, {
+      recipientId: bid.employeeId,
+      senderId: window.awardedBy || window.createdBy,
+      type: won.length > 0 ? 'shift_bid_won' : 'shift_bid_lost',
+      message: won.length > 0
+        ? `Bidding "${window.name}": you were awarded ${won.map((award) => describe(award.shiftId)).join(', ')}.`
+        : `Bidding "${window.name}": none of the shifts you bid on could be awarded to you.`,
+      metadata: { bidWindowId: window._id, awards: won },
+    });
+  }
+};
+
+// Department members hear about a new window when it is created
+export const notifyBidWindowOpened = async (io, window, senderId) => {
+  const members = await Employee.find({ companyId: window.companyId, department: window.departmentId }).select('userId').lean();
+  for (const member of members) {
+    await sendSystemNotification(io, {
+      recipientId: member.userId,
+      senderId,
+      type: 'bid_window_opened',
+      message: `Shift bidding "${window.name}" is open from ${new Date(window.opensAt).toISOString().slice(0, 16).replace('T', ' ')} until ${new Date(window.closesAt).toISOString().slice(0, 16).replace('T', ' ')} UTC (${window.shifts.length} shifts).`,
+      metadata: { bidWindowId: window._id },
+    });
+  }
+  return members.length;
+};
+
+// Award every window whose bidding period has ended, and retry crashed awards (scheduled job, and lazily whenever
+// windows are listed)
+export const awardDueBidWindows = async (io = null, companyId = null) => {
+  const due = await BidWindow.find({
+    $or: [{ status: 'open', closesAt: { $lte: new Date() } }, staleAwardingFilter()],
+    ...(companyId && { companyId }),
+  }).select('_id').lean();
+  let awarded = 0;
+  for (const window of due) {
+    try {
+      if (await awardBidWindow(window._id, { io })) awarded++;
+    } catch (error) {
+      console.error(`Failed to award bid window ${window._id}:`, error.message);
+    }
+  }
+  return awarded;
+};
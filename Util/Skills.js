@@ -0,0 +1,71 @@
+// Skills
+// Who holds which skill on a given date, and validation of per-slot skill requirements.
+
+import mongoose from 'mongoose';
+import Skill from '../models/Skill.js';
+import Employee from '../models/Employee.js';
+
+// Skill assignments per user id ({ userId: [{ skillId, expiresAt }] }); schedules reference users, not Employee records
+export const loadEmployeeSkills = async (userIds) => {
+  const employees = await Employee.find({ userId: { $in: userIds } }).select('userId skills').lean();
+  const skillsByEmployee = {};
+  employees.forEach((employee) => {
+    skillsByEmployee[employee.userId.toString()] = (employee.skills || []).map((entry) => ({
+      skillId: entry.skillId.toString(),
+      expiresAt: entry.expiresAt || null,
+    }));
+  });
+  return skillsByEmployee;
+};
+
+// A skill counts on `date` when assigned and not expired before that day
+export const holdsSkill = (skills, skillId, date) => {
+  if (!skillId) return true;
+  const dayStart = new Date(date);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  return (skills || []).some((entry) =>
+    entry.skillId.toString() === skillId.toString() &&
+    (!entry.expiresAt || new Date(entry.expiresAt) >= dayStart)
+  );
+};
+
+// Validate and normalize slot.skillRequirements in place; returns an error message or null
+export const normalizeSlotSkillRequirements = async (companyId, slot) => {
+  if (slot.skillRequirements === undefined || slot.skillRequirements === null) {
+    slot.skillRequirements = [];
+    return null;
+  }
+  if (!Array.isArray(slot.skillRequirements)) {
+    return 'skillRequirements must be an array.';
+  }
+
+  const seen = new Set();
+  const normalized = [];
+  for (const requirement of slot.skillRequirements) {
+    if (!requirement || !mongoose.Types.ObjectId.isValid(requirement.skillId)) {
+      return 'Each skill requirement needs a valid skillId.';
+    }
+    const count = parseInt(requirement.count ?? 1);
+    if (isNaN(count) || count < 1) {
+      return 'Skill requirement count must be at least 1.';
+    }
+    if (seen.has(requirement.skillId.toString())) {
+      return 'A skill can only be listed once per slot.';
+    }
+    seen.add(requirement.skillId.toString());
+    normalized.push({ skillId: requirement.skillId, count });
+  }
+
+  const totalCount = normalized.reduce((sum, requirement) => sum + requirement.count, 0);
+  if (totalCount > slot.minEmployees) {
+    return `Skill requirements ask for ${totalCount} positions but the slot only needs ${slot.minEmployees} employees.`;
+  }
+
+  const known = await Skill.countDocuments({ companyId, _id: { $in: [...seen] } });
+  if (known !== seen.size) {
+    return 'Unknown skill in skill requirements.';
+  }
+
+  slot.skillRequirements = normalized;
+  return null;
+};
@@ -0,0 +1,147 @@
+// Shift Swap Execution
+// Applies a swap or giveaway in one MongoDB transaction: the shifts change hands, the request changes status and
+// gets an audit entry, or nothing changes at all. Every write is conditioned on the state that was validated (the
+// shift still belongs to the expected employee, the request still has the expected status), so when two conflicting
+// swaps race only the first one commits and the other is rejected instead of being half-applied.
+
+import mongoose from 'mongoose';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import ShiftSwapRequest from '../models/ShiftSwap.js';
+import SwapChain from '../models/SwapChain.js';
+import SwapIntent from '../models/SwapIntent.js';
+import { PUBLISHED_SHIFT_FILTER } from './ScheduleVersions.js';
+
+const conflict = (message) => Object.assign(new Error(message), { swapConflict: true });
+
+// Which shift goes from whom to whom; a giveaway only moves the requester's shift
+const swapMoves = (swapRequest, colleagueId) => [
+  { shiftId: swapRequest.requesterShiftId, fromEmployeeId: swapRequest.employeeId, toEmployeeId: colleagueId },
+  ...(swapRequest.type === 'giveaway'
+    ? []
+    : [{ shiftId: swapRequest.colleagueShiftId, fromEmployeeId: colleagueId, toEmployeeId: swapRequest.employeeId }]),
+];
+
+// Move each shift to its new employee, failing the transaction if any of them changed hands in the meantime.
+// Its copy in an open draft moves along, or publishing the draft would hand the shift back; a copy the manager
+// already gave someone else keeps the draft's choice.
+const moveShifts = async (moves, session) => {
+  for (const move of moves) {
+    const result = await ShiftSchedule.updateOne(
+      { _id: move.shiftId, employeeId: move.fromEmployeeId, ...PUBLISHED_SHIFT_FILTER },
+      { $set: { employeeId: move.toEmployeeId } },
+      { session }
+    );
+    if (result.matchedCount !== 1) {
+      throw conflict('One of the shifts has changed hands since the swap was requested.');
+    }
+    await ShiftSchedule.updateMany(
+      { sourceShiftId: move.shiftId, employeeId: move.fromEmployeeId, status: 'draft' },
+      { $set: { employeeId: move.toEmployeeId } },
+      { session }
+    );
+  }
+};
+
+// Exchange the employees of the request's shifts and move it from `fromStatus` to `toStatus`. `colleagueId` is the
+// employee picking up a giveaway offered to the whole department.
+// Returns { ok: true, swapRequest } or { ok: false, message } when the shifts or the request changed meanwhile.
+export const executeSwap = async ({ swapRequest, fromStatus, toStatus, actorId, action, set = {}, colleagueId = swapRequest.colleagueId }) => {
+  const moves = swapMoves(swapRequest, colleagueId);
+  const session = await mongoose.startSession();
+  let updated = null;
+
+  try {
+    // withTransaction retries on transient errors such as write conflicts with a concurrent swap;
+    // the retry then sees the committed state and fails the ownership check below
+    await session.withTransaction(async () => {
+      await moveShifts(moves, session);
+
+      updated = await ShiftSwapRequest.findOneAndUpdate(
+        { _id: swapRequest._id, status: fromStatus },
+        {
+          $set: { status: toStatus, colleagueId, ...set },
+          $push: { history: { action, fromStatus, toStatus, by: actorId, at: new Date(), shifts: moves } },
+        },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw conflict(`Swap request is no longer ${fromStatus.replace(/_/g, ' ')}.`);
+      }
+    });
+  } catch (error) {
+    if (error.swapConflict) {
+      console.log('Swap execution rejected:', swapRequest._id, error.message);
+      return { ok: false, message: error.message };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  console.log('Swap executed:', swapRequest._id, moves);
+  return { ok: true, swapRequest: updated };
+};
+
+// Execute an agreed swap chain: every participant gives their shift and receives the next one, the chain moves from
+// `fromStatus` to executed and its intents are fulfilled, all in one transaction.
+// Returns { ok: true, chain } or { ok: false, message } like executeSwap.
+export const executeChain = async ({ chain, fromStatus, actorId, set = {} }) => {
+  const moves = chain.participants.map((participant) => ({
+    shiftId: participant.givesShiftId,
+    fromEmployeeId: participant.employeeId,
+    toEmployeeId: chain.participants.find((other) => other.receivesShiftId.toString() === participant.givesShiftId.toString()).employeeId,
+  }));
+  const session = await mongoose.startSession();
+  let updated = null;
+
+  try {
+    await session.withTransaction(async () => {
+      await moveShifts(moves, session);
+
+      const executedAt = new Date();
+      updated = await SwapChain.findOneAndUpdate(
+        { _id: chain._id, status: fromStatus },
+        {
+          $set: { status: 'executed', executedAt, ...set },
+          $push: { history: { action: 'execute', by: actorId, at: executedAt, note: `${moves.length} shifts moved` } },
+        },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw conflict(`Swap chain is no longer ${fromStatus.replace(/_/g, ' ')}.`);
+      }
+      await SwapIntent.updateMany(
+        { _id: { $in: chain.participants.map((participant) => participant.intentId) } },
+        { $set: { status: 'fulfilled' } },
+        { session }
+      );
+    });
+  } catch (error) {
+    if (error.swapConflict) {
+      console.log('Swap chain execution rejected:', chain._id, error.message);
+      return { ok: false, message: error.message };
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  console.log('Swap chain executed:', chain._id, moves);
+  return { ok: true, chain: updated };
+};
+
+// Status change without moving shifts (awaiting approval, reject, cancel, deny), recorded in the audit trail.
+// Returns the updated request, or null when its status is no longer one of `fromStatuses`.
+export const transitionSwap = async ({ swapRequestId, fromStatuses, toStatus, actorId, action, set = {}, note = '' }) => {
+  const current = await ShiftSwapRequest.findById(swapRequestId).select('status').lean();
+  if (!current || !fromStatuses.includes(current.status)) return null;
+
+  return ShiftSwapRequest.findOneAndUpdate(
+    { _id: swapRequestId, status: current.status },
+    {
+      $set: { status: toStatus, ...set },
+      $push: { history: { action, fromStatus: current.status, toStatus, by: actorId, at: new Date(), note } },
+    },
+    { new: true }
+  );
+};
@@ -0,0 +1,99 @@
+// Shift Swap Expiry
+// Open swap requests and giveaways get an expiry when they are made: the company's expiry duration after the request,
+// or a lead time before the earlier shift starts, whichever comes first. Expired requests are closed by the scheduled
+// job (and lazily by the routes that list them), both parties are notified, and the request records why it expired.
+
+import Company from '../models/Company.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import ShiftSwapRequest from '../models/ShiftSwap.js';
+import { shiftStart } from './ScheduleRepair.js';
+import { sendSystemNotification } from './NotificationUtils.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN_STATUSES = ['pending', 'awaiting_manager_approval'];
+
+const loadExpirySettings = async (companyId) => {
+  const company = await Company.findById(companyId).select('schedulingSettings').lean();
+  return {
+    expiryHours: company?.schedulingSettings?.swapExpiryHours ?? null,
+    leadHours: company?.schedulingSettings?.swapExpiryLeadHours ?? 3,
+  };
+};
+
+// { expiresAt, expiryReason } for a request made at `requestedAt` involving `shifts`
+export const computeSwapExpiry = ({ expiryHours, leadHours }, shifts, requestedAt = new Date()) => {
+  const earliestStart = Math.min(...shifts.map((shift) => shiftStart(shift).getTime()));
+  const beforeShift = earliestStart - leadHours * HOUR_MS;
+  const afterDuration = expiryHours ? new Date(requestedAt).getTime() + expiryHours * HOUR_MS : Infinity;
+
+  return afterDuration < beforeShift
+    ? { expiresAt: new Date(afterDuration), expiryReason: 'duration' }
+    : { expiresAt: new Date(beforeShift), expiryReason: 'shift_start' };
+};
+
+export const swapExpiryFor = async (companyId, shifts, requestedAt = new Date()) =>
+  computeSwapExpiry(await loadExpirySettings(companyId), shifts, requestedAt);
+
+// Requests made before expiry existed have no expiresAt; give them one from their shifts
+const backfillExpiry = async (query) => {
+  const legacy = await ShiftSwapRequest.find({ ...query, status: { $in: OPEN_STATUSES }, expiresAt: null })
+    .select('companyId requesterShiftId colleagueShiftId requestedAt')
+    .lean();
+  for (const request of legacy) {
+    const shifts = await ShiftSchedule.find({ _id: { $in: [request.requesterShiftId, request.colleagueShiftId].filter(Boolean) } }).lean();
+    const expiry = shifts.length > 0
+      ? await swapExpiryFor(request.companyId, shifts, request.requestedAt)
+      : { expiresAt: new Date(), expiryReason: 'shift_start' }; // Its shifts are gone
+    await ShiftSwapRequest.updateOne({ _id: request._id, expiresAt: null }, { $set: expiry });
+  }
+};
+
+const expiryMessage = (request) => {
+  const what = request.type === 'giveaway' ? 'shift handover' : 'shift swap request';
+  return request.expiryReason === 'duration'
+    ? `Your ${what} expired because nobody responded in time.`
+    : `Your ${what} expired because the shift is about to start.`;
+};
+
+// Expire open requests past their expiresAt (optionally only for one company or some requests).
+// `expiredBy` is the user whose action triggered it, or null for the scheduled job. Returns how many expired.
+export const expireSwapRequests = async ({ io = null, companyId = null, requestIds = null, expiredBy = null, source = 'scheduled_job' } = {}) => {
+  const query = {
+    ...(companyId && { companyId }),
+    ...(requestIds && { _id: { $in: requestIds } }),
+  };
+  await backfillExpiry(query);
+
+  const now = new Date();
+  const due = await ShiftSwapRequest.find({ ...query, status: { $in: OPEN_STATUSES }, expiresAt: { $lte: now } })
+    .select('status')
+    .lean();
+
+  let expired = 0;
+  for (const request of due) {
+    // Conditional on the status so a request decided in the meantime is left alone
+    const updated = await ShiftSwapRequest.findOneAndUpdate(
+      { _id: request._id, status: request.status },
+      {
+        $set: { status: 'expired', expiredBy, expiredAt: now },
+        $push: { history: { action: 'expire', fromStatus: request.status, toStatus: 'expired', by: expiredBy, at: now, note: source } },
+      },
+      { new: true }
+    ).lean();
+    if (!updated) continue;
+    expired++;
+
+    for (const recipientId of [updated.employeeId, updated.colleagueId].filter(Boolean)) {
+      await sendSystemNotification(io, {
+        recipientId,
+        senderId: expiredBy || updated.employeeId,
+        type: 'swap_expired',
+        message: expiryMessage(updated),
+        metadata: { swapRequestId: updated._id, expiryReason: updated.expiryReason },
+      });
+    }
+  }
+
+  if (expired > 0) console.log(`Expired ${expired} swap requests (${source})`);
+  return expired;
+};
@@ -0,0 +1,272 @@
+// Swap Matching
+// Turns open swap intents ("I want to get rid of X / I could take Y") into swap proposals. Intent A points at intent B
+// when A's employee would take B's offered shift (they listed it, or take any) and passes swap validation for it while
+// giving up their own shift. A cycle in that graph is a swap everyone wants: two intents make a pairwise swap, longer
+// cycles let A take B's shift, B take C's and C take A's when no pairwise swap works.
+// Posting (or reopening) intents runs a focused match: only edges to and from those intents are checked, plus the
+// edges between their neighbours, so it finds their pairwise and three-way swaps. The manager's full run checks every
+// pair and also finds the longer chains.
+
+import SwapIntent from '../models/SwapIntent.js';
+import SwapChain from '../models/SwapChain.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import { PUBLISHED_SHIFT_FILTER } from './ScheduleVersions.js';
+import { validateTransfer, validateSwap, createValidationCache } from './SwapValidation.js';
+import { swapExpiryFor } from './SwapExpiry.js';
+import { sendSystemNotification } from './NotificationUtils.js';
+
+export const MAX_CHAIN_LENGTH = 4;
+const MAX_INTENTS_PER_RUN = 60; // Open intents of a department considered per matching run
+const MAX_SUGGESTIONS = 30;
+
+// Every simple cycle of up to maxLength nodes in a directed graph ({ node: [next nodes] } over 0..nodeCount-1),
+// each found once from its lowest node, shortest first
+export const findCycles = (edges, nodeCount, maxLength = MAX_CHAIN_LENGTH) => {
+  const cycles = [];
+  for (let start = 0; start < nodeCount; start++) {
+    const path = [start];
+    const visit = (node) => {
+      for (const next of edges[node] || []) {
+        if (next === start && path.length >= 2) {
+          cycles.push([...path]);
+        } else if (next > start && !path.includes(next) && path.length < maxLength) {
+          path.push(next);
+          visit(next);
+          path.pop();
+        }
+      }
+    };
+    visit(start);
+  }
+  return cycles.sort((a, b) => a.length - b.length);
+};
+
+// Cycles that share no node, preferring shorter ones (fewer people to convince) and older intents
+export const selectDisjointCycles = (cycles) => {
+  const used = new Set();
+  return cycles.filter((cycle) => {
+    if (cycle.some((node) => used.has(node))) return false;
+    cycle.forEach((node) => used.add(node));
+    return true;
+  });
+};
+
+export const notifyParticipants = async (io, chain, { type, message, senderId = null, except = null }) => {
+  for (const participant of chain.participants) {
+    if (except && participant.employeeId.toString() === except.toString()) continue;
+    await sendSystemNotification(io, {
+      recipientId: participant.employeeId,
+      senderId: senderId || participant.employeeId,
+      type,
+      message,
+      metadata: { swapChainId: chain._id },
+    });
+  }
+};
+
+// The intents a run looks at: the department's oldest open ones, or for a focused run the given intents plus the
+// oldest open intents that could trade with them (offer a shift they want, want theirs, or take any)
+const loadRunIntents = async (companyId, departmentId, intentIds) => {
+  const open = { companyId, departmentId, status: 'open', $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] };
+  if (!intentIds) {
+    return SwapIntent.find(open).sort({ createdAt: 1 }).limit(MAX_INTENTS_PER_RUN).lean();
+  }
+
+  const focus = await SwapIntent.find({ ...open, _id: { $in: intentIds } }).sort({ createdAt: 1 }).limit(MAX_INTENTS_PER_RUN).lean();
+  if (focus.length === 0 || focus.length >= MAX_INTENTS_PER_RUN) return focus;
+
+  const related = focus.some((intent) => intent.acceptAny)
+    ? {}
+    : {
+      $or: [
+        { offerShiftId: { $in: focus.flatMap((intent) => intent.wantShiftIds || []) } },
+        { wantShiftIds: { $in: focus.map((intent) => intent.offerShiftId) } },
+        { acceptAny: true },
+      ],
+    };
+  const others = await SwapIntent.find({ $and: [open, { _id: { $nin: focus.map((intent) => intent._id) } }, related] })
+    .sort({ createdAt: 1 })
+    .limit(MAX_INTENTS_PER_RUN - focus.length)
+    .lean();
+  return [...focus, ...others];
+};
+
+// Propose swaps among the department's open intents. With `intentIds` only swaps involving those intents are looked
+// for (see above). Returns the created chains.
+export const matchSwapIntents = async ({ companyId, departmentId, intentIds = null, io = null, triggeredBy = null }) => {
+  const intents = await loadRunIntents(companyId, departmentId, intentIds);
+  if (intents.length < 2) return [];
+
+  const shifts = await ShiftSchedule.find({ _id: { $in: intents.map((intent) => intent.offerShiftId) }, ...PUBLISHED_SHIFT_FILTER }).lean();
+  const shiftsById = new Map(shifts.map((shift) => [shift._id.toString(), shift]));
+  // Intents whose shift is gone or has changed hands cannot be matched
+  const live = intents.filter((intent) => shiftsById.get(intent.offerShiftId.toString())?.employeeId?.toString() === intent.employeeId.toString());
+
+  const cache = createValidationCache();
+  // Whether live[from]'s employee would take live[to]'s shift while giving up their own
+  const takes = async (from, to) => {
+    const intent = live[from];
+    const otherShiftId = live[to].offerShiftId.toString();
+    if (live[to].employeeId.toString() === intent.employeeId.toString()) return false;
+    if ((intent.declinedShiftIds || []).some((shiftId) => shiftId.toString() === otherShiftId)) return false;
+    if (!intent.acceptAny && !(intent.wantShiftIds || []).some((shiftId) => shiftId.toString() === otherShiftId)) return false;
+
+    const { valid } = await validateTransfer(shiftsById.get(otherShiftId), intent.employeeId, { releasedShiftIds: [intent.offerShiftId], cache });
+    return valid;
+  };
+
+  const edges = {};
+  const addEdge = (from, to) => (edges[from] = edges[from] || []).push(to);
+  const nodes = [...live.keys()];
+  const focusIds = intentIds && new Set(intentIds.map(String));
+  const isFocus = (node) => !focusIds || focusIds.has(live[node]._id.toString());
+  if (!nodes.some(isFocus)) return [];
+
+  const successors = new Set();
+  const predecessors = new Set();
+  for (const from of nodes) {
+    for (const to of nodes) {
+      if (from === to || !(isFocus(from) || isFocus(to))) continue;
+      if (!(await takes(from, to))) continue;
+      addEdge(from, to);
+      if (isFocus(from)) successors.add(to);
+      if (isFocus(to)) predecessors.add(from);
+    }
+  }
+  // A focused run also needs the edge from a focus intent's successor to its predecessor for three-way chains
+  if (focusIds) {
+    for (const from of successors) {
+      for (const to of predecessors) {
+        if (from !== to && !isFocus(from) && !isFocus(to) && (await takes(from, to))) addEdge(from, to);
+      }
+    }
+  }
+
+  const cycles = selectDisjointCycles(
+    findCycles(edges, live.length).filter((cycle) => new Set(cycle.map((node) => live[node].employeeId.toString())).size === cycle.length)
+  );
+
+  const chains = [];
+  for (const cycle of cycles) {
+    const participants = cycle.map((node, index) => ({
+      employeeId: live[node].employeeId,
+      intentId: live[node]._id,
+      givesShiftId: live[node].offerShiftId,
+      receivesShiftId: live[cycle[(index + 1) % cycle.length]].offerShiftId,
+    }));
+    const { expiresAt } = await swapExpiryFor(companyId, participants.map((participant) => shiftsById.get(participant.givesShiftId.toString())));
+    const chain = await SwapChain.create({
+      companyId,
+      departmentId,
+      participants,
+      expiresAt,
+      history: [{ action: 'propose', by: triggeredBy, note: `${participants.length}-way swap` }],
+    });
+
+    // Claim the intents; another matching run may have taken one of them in the meantime
+    const claimed = [];
+    for (const participant of participants) {
+      const intent = await SwapIntent.findOneAndUpdate(
+        { _id: participant.intentId, status: 'open' },
+        { $set: { status: 'matched', chainId: chain._id } }
+      );
+      if (!intent) break;
+      claimed.push(participant.intentId);
+    }
+    if (claimed.length !== participants.length) {
+      await SwapIntent.updateMany({ _id: { $in: claimed } }, { $set: { status: 'open', chainId: null } });
+      await SwapChain.deleteOne({ _id: chain._id });
+      continue;
+    }
+
+    await notifyParticipants(io, chain, {
+      type: 'swap_chain_proposed',
+      message: participants.length === 2
+        ? 'A shift swap matching your request was found. Review and accept it to swap.'
+        : `A ${participants.length}-way shift swap matching your request was found. It goes ahead once everyone accepts.`,
+    });
+    chains.push(chain);
+  }
+
+  if (chains.length > 0) console.log(`Proposed ${chains.length} swap chains in department ${departmentId}`);
+  return chains;
+};
+
+// Put a chain's intents back on the market after it did not go ahead. A participant who declined will not be
+// offered the same shift again.
+export const releaseChainIntents = async (chain, { declinedBy = null } = {}) => {
+  await SwapIntent.updateMany(
+    { _id: { $in: chain.participants.map((participant) => participant.intentId) }, status: 'matched', chainId: chain._id },
+    { $set: { status: 'open', chainId: null } }
+  );
+  const decliner = declinedBy && chain.participants.find((participant) => participant.employeeId.toString() === declinedBy.toString());
+  if (decliner) {
+    await SwapIntent.updateOne({ _id: decliner.intentId }, { $addToSet: { declinedShiftIds: decliner.receivesShiftId } });
+  }
+};
+
+// Re-check every leg of an agreed chain right before it executes; returns the blocking problems
+export const validateChain = async (chain) => {
+  const problems = [];
+  for (const participant of chain.participants) {
+    const shift = await ShiftSchedule.findById(participant.receivesShiftId).lean();
+    if (!shift) {
+      problems.push({ code: 'shift_missing', employeeId: participant.employeeId, message: 'One of the shifts no longer exists.' });
+      continue;
+    }
+    const result = await validateTransfer(shift, participant.employeeId, { releasedShiftIds: [participant.givesShiftId] });
+    problems.push(...result.problems);
+  }
+  return problems;
+};
+
+// Colleague shifts of the same department and week that `shift`'s employee could swap with right now
+export const suggestSwaps = async (shift) => {
+  const candidates = await ShiftSchedule.find({
+    companyId: shift.companyId,
+    departmentId: shift.departmentId,
+    weekStartDate: shift.weekStartDate,
+    employeeId: { $nin: [shift.employeeId, null] },
+    ...PUBLISHED_SHIFT_FILTER,
+  })
+    .populate('employeeId', 'name email')
+    .sort({ day: 1, startTime: 1 })
+    .limit(MAX_SUGGESTIONS)
+    .lean();
+
+  const suggestions = [];
+  for (const candidate of candidates) {
+    const { valid } = await validateSwap(shift, candidate);
+    if (valid) suggestions.push({ shift: candidate, colleague: candidate.employeeId });
+  }
+  return suggestions;
+};
+
+// Expire proposals and intents whose time is up (scheduled job, and lazily from the routes)
+export const expireSwapMatching = async ({ io = null, companyId = null } = {}) => {
+  const now = new Date();
+  const scope = companyId ? { companyId } : {};
+  let expired = 0;
+
+  const chains = await SwapChain.find({ ...scope, status: { $in: ['proposed', 'awaiting_manager_approval'] }, expiresAt: { $lte: now } }).lean();
+  for (const chain of chains) {
+    const updated = await SwapChain.findOneAndUpdate(
+      { _id: chain._id, status: chain.status },
+      { $set: { status: 'expired' }, $push: { history: { action: 'expire', at: now } } },
+      { new: true }
+    ).lean();
+    if (!updated) continue;
+    expired++;
+    await releaseChainIntents(updated);
+    await notifyParticipants(io, updated, {
+      type: 'swap_chain_cancelled',
+      message: 'A proposed shift swap expired before everyone accepted it.',
+    });
+  }
+
+  const intents = await SwapIntent.updateMany(
+    { ...scope, status: 'open', expiresAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+  return expired + intents.modifiedCount;
+};
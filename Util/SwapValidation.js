@@ -0,0 +1,157 @@
+// Shift Swap Validation
+// Whether two employees can trade shifts, or one can take over another's shift (giveaway). Each side takes over the other's shift, so for each employee the incoming
+// shift is checked against their availability, approved leave, skills, the rest of their
+// shifts (overlaps) and the work rules (daily/weekly hours, rest, consecutive days, night shifts) with the outgoing shift removed.
+
+import Leave from '../models/Leave.js';
+import User from '../models/User.js';
+import { availabilityCovers, findAvailabilityForWeek } from './AvailabilityMatcher.js';
+import { loadWorkRules, findShiftsAroundWeek } from './WorkRulesValidator.js';
+import { loadEmployeeSkills, holdsSkill } from './Skills.js';
+import { shiftDate } from './ScheduleRepair.js';
+
+const employeeKey = (employeeId) => (employeeId?._id ? employeeId._id.toString() : employeeId?.toString() || null);
+
+const plainShift = (shift) => (typeof shift.toObject === 'function' ? shift.toObject() : shift);
+
+const startedProblems = (workRules, shifts) => shifts
+  .filter((shift) => workRules.toInterval(shift).start <= Date.now())
+  .map((shift) => ({ code: 'started', party: null, employeeId: null, shiftId: shift._id, message: `The ${shift.day} ${shift.startTime}-${shift.endTime} shift has already started.` }));
+
+const loadName = async (userId) => (await User.findById(userId).select('name').lean())?.name || 'The employee';
+
+// A cache shared by many validations in one run (e.g. matching a department's swap intents), so work rules, names,
+// skills, availability, leave and surrounding shifts are loaded once per employee and week rather than per check.
+// Only for short-lived runs: it does not see changes made while it is in use.
+export const createValidationCache = () => new Map();
+
+const cached = (cache, key, load) => {
+  if (!cache) return load();
+  if (!cache.has(key)) cache.set(key, load());
+  return cache.get(key);
+};
+
+const weekKey = (date) => new Date(date).getTime();
+
+// Problems for one employee taking over `incoming` while giving up the shifts in `swappedShiftIds`
+const checkIncomingShift = async ({ employeeId, name, party, incoming, swappedShiftIds, workRules, employeeSkills, cache = null }) => {
+  const problems = [];
+  const problem = (code, message) => problems.push({ code, party, employeeId, shiftId: incoming._id, message });
+  const proposed = { ...incoming, employeeId };
+  const date = shiftDate(incoming);
+  const label = `${incoming.day} ${incoming.startTime}-${incoming.endTime}`;
+
+  const availability = await cached(cache, `availability|${employeeId}|${weekKey(incoming.weekStartDate)}`, () =>
+    findAvailabilityForWeek(incoming.companyId, employeeId, incoming.weekStartDate));
+  if (!availability) {
+    problem('no_availability', `${name} has not submitted availability for that week.`);
+  } else if (!availabilityCovers(availability, incoming)) {
+    problem('not_available', `${name} is not available ${label}.`);
+  }
+
+  const onLeave = await cached(cache, `leave|${employeeId}|${date.getTime()}`, () => Leave.exists({
+    companyId: incoming.companyId,
+    userId: employeeId,
+    status: 'Approved',
+    fromDate: { $lte: new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1) },
+    toDate: { $gte: date },
+  }));
+  if (onLeave) {
+    problem('on_leave', `${name} is on approved leave that day.`);
+  }
+
+  if (incoming.skillId && !holdsSkill(employeeSkills[employeeId], employeeKey(incoming.skillId), date)) {
+    problem('missing_skill', `${name} does not hold the skill the ${label} shift requires.`);
+  }
+
+  // Overlaps are checked on the absolute timeline so overnight shifts clash with the next morning
+  const excluded = new Set(swappedShiftIds.map(String));
+  const otherShifts = (await cached(cache, `shifts|${employeeId}|${weekKey(incoming.weekStartDate)}`, () =>
+    findShiftsAroundWeek([employeeId], incoming.weekStartDate)))
+    .filter((shift) => !excluded.has(shift._id.toString()));
+  const interval = workRules.toInterval(proposed);
+  const clashes = otherShifts.filter((shift) => {
+    const other = workRules.toInterval(shift);
+    return other.start < interval.end && interval.start < other.end;
+  });
+  clashes.forEach((clash) => {
+    problem('overlap', `${name} already works ${clash.day} ${clash.startTime}-${clash.endTime}, which overlaps ${label}.`);
+  });
+
+  if (clashes.length === 0) {
+    workRules.serialize(workRules.checkAssignment(proposed, otherShifts, employeeId)).forEach((violation) => {
+      problems.push({ code: violation.rule, party, employeeId, shiftId: incoming._id, message: `${name}: ${violation.message}`, violation });
+    });
+  }
+
+  return problems;
+};
+
+// { valid, problems: [{ code, party, employeeId, shiftId, message }] } for swapping the two shifts' employees.
+// Accepts documents or lean objects, with employeeId populated or not.
+export const validateSwap = async (requesterShiftInput, colleagueShiftInput) => {
+  const requesterShift = plainShift(requesterShiftInput);
+  const colleagueShift = plainShift(colleagueShiftInput);
+  const requesterId = employeeKey(requesterShift.employeeId);
+  const colleagueId = employeeKey(colleagueShift.employeeId);
+  const problems = [];
+
+  const { validator: workRules } = await loadWorkRules(requesterShift.companyId, requesterShift.departmentId);
+  problems.push(...startedProblems(workRules, [requesterShift, colleagueShift]));
+  if (problems.length > 0) {
+    return { valid: false, problems };
+  }
+
+  const [requesterName, colleagueName] = await Promise.all([loadName(requesterId), loadName(colleagueId)]);
+  const employeeSkills = await loadEmployeeSkills([requesterId, colleagueId]);
+  const swappedShiftIds = [requesterShift._id, colleagueShift._id];
+
+  problems.push(
+    ...(await checkIncomingShift({
+      employeeId: requesterId,
+      name: requesterName,
+      party: 'requester',
+      incoming: { ...colleagueShift, employeeId: requesterId },
+      swappedShiftIds,
+      workRules,
+      employeeSkills,
+    })),
+    ...(await checkIncomingShift({
+      employeeId: colleagueId,
+      name: colleagueName,
+      party: 'colleague',
+      incoming: { ...requesterShift, employeeId: colleagueId },
+      swappedShiftIds,
+      workRules,
+      employeeSkills,
+    }))
+  );
+
+  return { valid: problems.length === 0, problems };
+};
+
+// Same result shape for a giveaway: `toEmployeeId` takes over `shift` and gives nothing back. In a swap chain they
+// give up `releasedShiftIds` at the same time. Pass a `cache` from createValidationCache when checking many transfers.
+export const validateTransfer = async (shiftInput, toEmployeeId, { releasedShiftIds = [], cache = null } = {}) => {
+  const shift = plainShift(shiftInput);
+  const employeeId = employeeKey(toEmployeeId);
+
+  const { validator: workRules } = await cached(cache, `rules|${shift.companyId}|${shift.departmentId}`, () =>
+    loadWorkRules(shift.companyId, shift.departmentId));
+  const started = startedProblems(workRules, [shift]);
+  if (started.length > 0) {
+    return { valid: false, problems: started };
+  }
+
+  const problems = await checkIncomingShift({
+    employeeId,
+    name: await cached(cache, `name|${employeeId}`, () => loadName(employeeId)),
+    party: 'colleague',
+    incoming: { ...shift, employeeId },
+    swappedShiftIds: [shift._id, ...releasedShiftIds],
+    workRules,
+    employeeSkills: await cached(cache, `skills|${employeeId}`, () => loadEmployeeSkills([employeeId])),
+    cache,
+  });
+  return { valid: problems.length === 0, problems };
+};
@@ -0,0 +1,282 @@
+// Time Tracking
+// Clock-in / clock-out against the published schedule. A clock-in is linked to the employee's shift that is running
+// or about to start (within the company's clock-in window); without one the entry is unscheduled. Entries are flagged
+// early or late against the shift they belong to, and missing punches are picked up by the scheduled job: entries left
+// open well after their shift ended become missing clock-outs, and shifts that ended with no punch at all get a
+// missing clock-in entry for a manager to correct. Punches are checked against the geofence of the shift's location
+// under the company's policy; flagged punches wait in the manager review queue.
+
+import Company from '../models/Company.js';
+import Employee from '../models/Employee.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import TimeEntry from '../models/TimeEntry.js';
+import { PUBLISHED_SHIFT_FILTER } from './ScheduleVersions.js';
+import { shiftStart } from './ScheduleRepair.js';
+import { checkGeofence, loadGeofence } from './Geofence.js';
+import { sendSystemNotification } from './NotificationUtils.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const UNSCHEDULED_MAX_HOURS = 16; // An unscheduled entry still open after this long is a missing clock-out
+const MISSED_SHIFT_LOOKBACK_MS = 2 * DAY_MS; // How far back the job looks for shifts nobody clocked in to
+
+export const loadTimeTrackingSettings = async (companyId) => {
+  const company = await Company.findById(companyId).select('schedulingSettings').lean();
+  const settings = company?.schedulingSettings || {};
+  return {
+    graceMinutes: settings.punchGraceMinutes ?? 5,
+    clockInWindowMinutes: settings.clockInWindowMinutes ?? 60,
+    missingClockOutHours: settings.missingClockOutHours ?? 4,
+  };
+};
+
+export const shiftEnd = (shift) => new Date(shiftStart(shift).getTime() + shift.durationHours * HOUR_MS);
+
+// Published shifts of the employee whose weeks could contain `from`..`to`
+const findShiftsBetween = (companyId, employeeId, from, to) => ShiftSchedule.find({
+  companyId,
+  employeeId,
+  weekStartDate: { $gte: new Date(from.getTime() - 8 * DAY_MS), $lte: to },
+  ...PUBLISHED_SHIFT_FILTER,
+}).lean();
+
+// The shift a clock-in at `at` belongs to: running, or starting within the window. Shifts that already have an
+// entry are only used when nothing else fits (clocking back in after a break), closest start first.
+export const findShiftForPunch = async ({ companyId, employeeId, at, clockInWindowMinutes }) => {
+  const shifts = await findShiftsBetween(companyId, employeeId, at, at);
+  const candidates = shifts.filter((shift) => {
+    const start = shiftStart(shift).getTime();
+    return start - clockInWindowMinutes * MINUTE_MS <= at.getTime() && at.getTime() < shiftEnd(shift).getTime();
+  });
+  if (candidates.length === 0) return null;
+
+  const taken = new Set((await TimeEntry.distinct('shiftId', { shiftId: { $in: candidates.map((shift) => shift._id) } })).map(String));
+  const distance = (shift) => Math.abs(shiftStart(shift).getTime() - at.getTime());
+  return candidates.sort((a, b) => taken.has(a._id.toString()) - taken.has(b._id.toString()) || distance(a) - distance(b))[0];
+};
+
+// Flags, status and worked minutes of an entry from its punches. Pure, so corrections can re-run it.
+export const evaluateEntry = (entry, { graceMinutes }) => {
+  const grace = graceMinutes * MINUTE_MS;
+  const flags = [];
+  const clockIn = entry.clockIn?.at ? new Date(entry.clockIn.at).getTime() : null;
+  const clockOut = entry.clockOut?.at ? new Date(entry.clockOut.at).getTime() : null;
+  const start = entry.scheduledStart ? new Date(entry.scheduledStart).getTime() : null;
+  const end = entry.scheduledEnd ? new Date(entry.scheduledEnd).getTime() : null;
+
+  if (!entry.shiftId) flags.push('unscheduled');
+  if (clockIn !== null && start !== null) {
+    if (clockIn < start - grace) flags.push('early_clock_in');
+    if (clockIn > start + grace) flags.push('late_clock_in');
+  }
+  if (clockOut !== null && end !== null) {
+    if (clockOut < end - grace) flags.push('early_clock_out');
+    if (clockOut > end + grace) flags.push('late_clock_out');
+  }
+
+  let status = 'completed';
+  if (clockIn === null) status = 'missing_clock_in';
+  else if (clockOut === null) status = entry.status === 'missing_clock_out' ? 'missing_clock_out' : 'open';
+  if (status === 'missing_clock_in' || status === 'missing_clock_out') flags.push(status);
+  // A missing punch a manager filled in stays visible
+  const geofenceFlags = [entry.clockIn, entry.clockOut].filter((punch) => punch?.geofence?.flagged).map((punch) => punch.geofence.result);
+  if (geofenceFlags.includes('outside')) flags.push('outside_geofence');
+  if (geofenceFlags.includes('no_location')) flags.push('missing_location');
+  if ((entry.corrections || []).length > 0) {
+    flags.push('corrected');
+    (entry.flags || []).filter((flag) => flag.startsWith('missing_') && !flags.includes(flag)).forEach((flag) => flags.push(flag));
+  }
+
+  return {
+    flags,
+    status,
+    workedMinutes: clockIn !== null && clockOut !== null ? Math.max(0, Math.round((clockOut - clockIn) / MINUTE_MS)) : 0,
+  };
+};
+
+// The punch with its geofence check attached, or { rejected: message } when the policy turns it away
+const applyGeofence = async (companyId, punch, locationId) => {
+  const { locations, policy } = await loadGeofence(companyId);
+  const geofence = checkGeofence(locations, { locationId, location: punch.location });
+  const outside = geofence.result === 'outside' || geofence.result === 'no_location';
+  if (outside && policy === 'reject') {
+    return {
+      rejected: geofence.result === 'outside'
+        ? `You are ${geofence.distanceMeters} m from your work location. Punch from the site.`
+        : 'Your location is required to punch. Allow location access and try again.',
+    };
+  }
+  return { punch: { ...punch, geofence: { ...geofence, flagged: outside && policy === 'flag' } } };
+};
+
+export const openEntryFor = (companyId, employeeId) => TimeEntry.findOne({ companyId, employeeId, status: 'open' }).sort({ 'clockIn.at': -1 });
+
+export const isDuplicateKey = (error) => error?.code === 11000;
+const ALREADY_CLOCKED_IN = 'You are already clocked in. Clock out first.';
+
+// Returns { ok, entry } or { ok: false, status, message }
+export const recordClockIn = async ({ companyId, employeeId, punch }) => {
+  if (await openEntryFor(companyId, employeeId)) {
+    return { ok: false, status: 409, message: ALREADY_CLOCKED_IN };
+  }
+
+  const settings = await loadTimeTrackingSettings(companyId);
+  const shift = await findShiftForPunch({ companyId, employeeId, at: punch.at, clockInWindowMinutes: settings.clockInWindowMinutes });
+  const departmentId = shift
+    ? shift.departmentId
+    : (await Employee.findOne({ userId: employeeId }).select('department').lean())?.department || null;
+  const locationId = shift?.locationId || null;
+  const checked = await applyGeofence(companyId, punch, locationId);
+  if (checked.rejected) {
+    console.log('Clock-in rejected by geofence:', { employeeId, locationId });
+    return { ok: false, status: 403, message: checked.rejected };
+  }
+
+  const entry = new TimeEntry({
+    companyId,
+    departmentId,
+    employeeId,
+    shiftId: shift?._id || null,
+    locationId,
+    scheduledStart: shift ? shiftStart(shift) : null,
+    scheduledEnd: shift ? shiftEnd(shift) : null,
+    clockIn: checked.punch,
+    review: { status: checked.punch.geofence.flagged ? 'pending' : 'none' },
+  });
+  Object.assign(entry, evaluateEntry(entry, settings));
+  try {
+    await entry.save();
+  } catch (error) {
+    // A concurrent clock-in (double tap, retry) opened an entry first; the unique open-entry index stops a second
+    if (isDuplicateKey(error)) return { ok: false, status: 409, message: ALREADY_CLOCKED_IN };
+    throw error;
+  }
+
+  console.log('Clock-in recorded:', { employeeId, shiftId: entry.shiftId, flags: entry.flags });
+  return { ok: true, entry };
+};
+
+export const recordClockOut = async ({ companyId, employeeId, punch }) => {
+  const entry = await openEntryFor(companyId, employeeId);
+  if (!entry) {
+    return { ok: false, status: 409, message: 'You are not clocked in.' };
+  }
+
+  const checked = await applyGeofence(companyId, punch, entry.locationId);
+  if (checked.rejected) {
+    console.log('Clock-out rejected by geofence:', { employeeId, entryId: entry._id });
+    return { ok: false, status: 403, message: checked.rejected };
+  }
+
+  entry.clockOut = checked.punch;
+  Object.assign(entry, evaluateEntry(entry, await loadTimeTrackingSettings(companyId)));
+  const update = { clockOut: entry.clockOut, status: entry.status, flags: entry.flags, workedMinutes: entry.workedMinutes };
+  if (checked.punch.geofence.flagged) {
+    // A flagged clock-out needs a look even if the clock-in was already reviewed
+    update.review = { status: 'pending', by: null, at: null, note: '' };
+  }
+  // Conditional on the entry still being open so a double tap does not overwrite the first clock-out
+  const saved = await TimeEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'open' },
+    { $set: update },
+    { new: true }
+  );
+  if (!saved) {
+    return { ok: false, status: 409, message: 'You are not clocked in.' };
+  }
+
+  console.log('Clock-out recorded:', { employeeId, entryId: saved._id, workedMinutes: saved.workedMinutes, flags: saved.flags });
+  return { ok: true, entry: saved };
+};
+
+// Scheduled job: flag entries left open and shifts nobody clocked in to. Returns how many entries were flagged.
+export const flagMissingPunches = async ({ io = null, companyId = null } = {}) => {
+  const now = new Date();
+  const scope = companyId ? { companyId } : {};
+  const settingsByCompany = new Map();
+  const settingsFor = async (id) => {
+    const key = id.toString();
+    if (!settingsByCompany.has(key)) settingsByCompany.set(key, await loadTimeTrackingSettings(id));
+    return settingsByCompany.get(key);
+  };
+  let flagged = 0;
+
+  const openEntries = await TimeEntry.find({ ...scope, status: 'open' }).lean();
+  for (const entry of openEntries) {
+    const { missingClockOutHours } = await settingsFor(entry.companyId);
+    const deadline = entry.scheduledEnd
+      ? new Date(entry.scheduledEnd).getTime() + missingClockOutHours * HOUR_MS
+      : new Date(entry.clockIn.at).getTime() + UNSCHEDULED_MAX_HOURS * HOUR_MS;
+    if (deadline > now.getTime()) continue;
+
+    const updated = await TimeEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'open' },
+      { $set: { status: 'missing_clock_out' }, $addToSet: { flags: 'missing_clock_out' } },
+      { new: true }
+    ).lean();
+    if (!updated) continue;
+    flagged++;
+    await sendSystemNotification(io, {
+      recipientId: entry.employeeId,
+      senderId: entry.employeeId,
+      type: 'missed_punch',
+      message: 'You did not clock out of your last shift. Your manager will correct the time entry.',
+      metadata: { timeEntryId: entry._id },
+    });
+  }
+
+  // Shifts that ended (plus the grace period) within the lookback without any time entry
+  const from = new Date(now.getTime() - MISSED_SHIFT_LOOKBACK_MS);
+  const shifts = await ShiftSchedule.find({
+    ...scope,
+    employeeId: { $ne: null },
+    weekStartDate: { $gte: new Date(from.getTime() - 8 * DAY_MS), $lte: now },
+    ...PUBLISHED_SHIFT_FILTER,
+  }).lean();
+  const ended = [];
+  for (const shift of shifts) {
+    const { graceMinutes } = await settingsFor(shift.companyId);
+    const end = shiftEnd(shift).getTime();
+    if (end >= from.getTime() && end + graceMinutes * MINUTE_MS <= now.getTime()) ended.push(shift);
+  }
+  const punched = new Set((await TimeEntry.distinct('shiftId', { shiftId: { $in: ended.map((shift) => shift._id) } })).map(String));
+
+  for (const shift of ended.filter((candidate) => !punched.has(candidate._id.toString()))) {
+    // Upsert so overlapping runs do not create the entry twice; when two upserts race, the unique index on
+    // missing clock-ins rejects the second
+    let upsertedId = null;
+    try {
+      ({ upsertedId } = await TimeEntry.updateOne(
+        { shiftId: shift._id },
+        {
+          $setOnInsert: {
+            companyId: shift.companyId,
+            departmentId: shift.departmentId,
+            employeeId: shift.employeeId,
+            scheduledStart: shiftStart(shift),
+            scheduledEnd: shiftEnd(shift),
+            status: 'missing_clock_in',
+            flags: ['missing_clock_in'],
+            createdAt: now,
+          },
+        },
+        { upsert: true }
+      ));
+    } catch (error) {
+      if (!isDuplicateKey(error)) throw error;
+    }
+    if (!upsertedId) continue;
+    flagged++;
+    await sendSystemNotification(io, {
+      recipientId: shift.employeeId,
+      senderId: shift.employeeId,
+      type: 'missed_punch',
+      message: `No clock-in was recorded for your ${shift.day} ${shift.startTime}-${shift.endTime} shift.`,
+      metadata: { timeEntryId: upsertedId, shiftId: shift._id },
+    });
+  }
+
+  if (flagged > 0) console.log(`Flagged ${flagged} missing punches`);
+  return flagged;
+};
@@ -0,0 +1,194 @@
+// Timesheets
+// An employee's week computed from their time entries. Completed entries count (unless a manager rejected their
+// punches in the geofence review); scheduled shifts without punches count at their scheduled hours when the company
+// turned the schedule fallback on. Each day worked longer than the break threshold has an unpaid break deducted, less
+// the time already spent clocked out between entries. Weekly hours past the overtime threshold are overtime, counted
+// in chronological order; hours on company holidays and of work starting at night are reported separately.
+
+import Company from '../models/Company.js';
+import Employee from '../models/Employee.js';
+import Holiday from '../models/Holidays.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import TimeEntry from '../models/TimeEntry.js';
+import Timesheet from '../models/Timesheet.js';
+import { PUBLISHED_SHIFT_FILTER } from './ScheduleVersions.js';
+import { shiftStart } from './ScheduleRepair.js';
+import { holidayOn } from './Rotations.js';
+import { isNightStartTime } from './LaborCost.js';
+import { shiftEnd } from './TimeTracking.js';
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const EDITABLE_STATUSES = ['Draft', 'Rejected'];
+
+const round2 = (value) => Number(value.toFixed(2));
+
+// UTC midnight of the Sunday starting the week that contains `date`
+export const weekStartOf = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  return new Date(start.getTime() - start.getUTCDay() * DAY_MS);
+};
+
+export const loadTimesheetSettings = async (companyId) => {
+  const company = await Company.findById(companyId).select('schedulingSettings').lean();
+  const settings = company?.schedulingSettings || {};
+  return {
+    scheduleFallback: Boolean(settings.timesheetScheduleFallback),
+    breakAfterHours: settings.breakAfterHours ?? 6,
+    breakDeductionMinutes: settings.breakDeductionMinutes ?? 30,
+    overtimeThresholdHours: settings.overtimeThresholdHours ?? 40,
+  };
+};
+
+const entryIssue = (entry) => {
+  if (entry.status === 'open') return { code: 'open_entry', message: 'Still clocked in.' };
+  if (entry.status === 'missing_clock_in') return { code: 'missing_clock_in', message: 'Scheduled shift without a clock-in.' };
+  if (entry.status === 'missing_clock_out') return { code: 'missing_clock_out', message: 'Clock-in without a clock-out.' };
+  if (entry.review?.status === 'pending') return { code: 'pending_review', message: 'Punches outside the geofence await review.' };
+  return null;
+};
+
+// { days, totals, issues } for one employee's week. Pure: everything it needs is passed in.
+export const buildTimesheet = ({ weekStart, entries, shifts, holidays, settings, now = new Date() }) => {
+  const weekStartMs = new Date(weekStart).getTime();
+  const days = DAYS_OF_WEEK.map((day, index) => ({
+    date: new Date(weekStartMs + index * DAY_MS),
+    day,
+    blocks: [],
+    scheduledHours: 0,
+  }));
+  const dayOf = (time) => days[Math.floor((time - weekStartMs) / DAY_MS)] || null;
+  const issues = [];
+  const countedShiftIds = new Set();
+
+  for (const entry of entries) {
+    const issue = entryIssue(entry);
+    if (issue) issues.push({ ...issue, timeEntryId: entry._id });
+    if (entry.status !== 'completed' || entry.review?.status === 'rejected') continue;
+
+    const start = new Date(entry.clockIn.at).getTime();
+    const day = dayOf(start);
+    if (!day) continue;
+    day.blocks.push({ start, end: new Date(entry.clockOut.at).getTime(), source: 'punches', timeEntryId: entry._id });
+    if (entry.shiftId) countedShiftIds.add(entry.shiftId.toString());
+  }
+
+  for (const shift of shifts) {
+    const start = shiftStart(shift).getTime();
+    const day = dayOf(start);
+    if (!day) continue;
+    day.scheduledHours += shift.durationHours || 0;
+    // Only shifts that are over and were not punched fall back to their scheduled hours
+    if (settings.scheduleFallback && !countedShiftIds.has(shift._id.toString()) && shiftEnd(shift).getTime() <= now.getTime()) {
+      day.blocks.push({ start, end: shiftEnd(shift).getTime(), source: 'schedule', shiftId: shift._id });
+    }
+  }
+
+  let weekPaidMinutes = 0;
+  const thresholdMinutes = settings.overtimeThresholdHours * 60;
+  const result = days.map((day) => {
+    const blocks = day.blocks.sort((a, b) => a.start - b.start);
+    const workedMinutes = blocks.reduce((sum, block) => sum + Math.max(0, block.end - block.start) / MINUTE_MS, 0);
+
+    let breakMinutes = 0;
+    if (settings.breakDeductionMinutes > 0 && workedMinutes > settings.breakAfterHours * 60) {
+      const clockedOutMinutes = blocks.slice(1).reduce((sum, block, index) => sum + Math.max(0, block.start - blocks[index].end) / MINUTE_MS, 0);
+      breakMinutes = Math.min(workedMinutes, Math.max(0, settings.breakDeductionMinutes - clockedOutMinutes));
+    }
+
+    const paidMinutes = workedMinutes - breakMinutes;
+    const nightWorkedMinutes = blocks
+      .filter((block) => isNightStartTime(new Date(block.start).toISOString().slice(11, 16)))
+      .reduce((sum, block) => sum + Math.max(0, block.end - block.start) / MINUTE_MS, 0);
+    // The break comes out of the whole day, so night hours shrink in proportion
+    const nightMinutes = workedMinutes > 0 ? nightWorkedMinutes * (paidMinutes / workedMinutes) : 0;
+    const regularMinutes = Math.max(0, Math.min(paidMinutes, thresholdMinutes - weekPaidMinutes));
+    weekPaidMinutes += paidMinutes;
+    const holiday = holidayOn(holidays, day.date);
+    const sources = new Set(blocks.map((block) => block.source));
+
+    return {
+      date: day.date,
+      day: day.day,
+      source: sources.size === 0 ? 'none' : sources.size > 1 ? 'mixed' : [...sources][0],
+      timeEntryIds: blocks.filter((block) => block.timeEntryId).map((block) => block.timeEntryId),
+      shiftIds: blocks.filter((block) => block.shiftId).map((block) => block.shiftId),
+      scheduledHours: round2(day.scheduledHours),
+      workedHours: round2(workedMinutes / 60),
+      breakMinutes: Math.round(breakMinutes),
+      paidHours: round2(paidMinutes / 60),
+      regularHours: round2(regularMinutes / 60),
+      overtimeHours: round2((paidMinutes - regularMinutes) / 60),
+      nightHours: round2(nightMinutes / 60),
+      holidayHours: holiday ? round2(paidMinutes / 60) : 0,
+      holiday: holiday?.name || null,
+    };
+  });
+
+  const sum = (field) => round2(result.reduce((total, day) => total + day[field], 0));
+  return {
+    days: result,
+    totals: {
+      scheduledHours: sum('scheduledHours'),
+      workedHours: sum('workedHours'),
+      breakHours: round2(result.reduce((total, day) => total + day.breakMinutes, 0) / 60),
+      paidHours: sum('paidHours'),
+      regularHours: sum('regularHours'),
+      overtimeHours: sum('overtimeHours'),
+      nightHours: sum('nightHours'),
+      holidayHours: sum('holidayHours'),
+    },
+    issues,
+  };
+};
+
+export const computeTimesheet = async ({ companyId, employeeId, weekStartDate }) => {
+  const weekStart = new Date(weekStartDate);
+  const weekEnd = new Date(weekStart.getTime() + 7 * DAY_MS);
+  const [entries, shifts, holidays, settings] = await Promise.all([
+    TimeEntry.find({
+      companyId,
+      employeeId,
+      $or: [
+        { 'clockIn.at': { $gte: weekStart, $lt: weekEnd } },
+        { clockIn: null, scheduledStart: { $gte: weekStart, $lt: weekEnd } },
+      ],
+    }).lean(),
+    ShiftSchedule.find({ companyId, employeeId, weekStartDate: weekStart, ...PUBLISHED_SHIFT_FILTER }).lean(),
+    Holiday.find({ companyId, startDate: { $lt: weekEnd }, endDate: { $gte: new Date(weekStart.getTime() - DAY_MS) } }).lean(),
+    loadTimesheetSettings(companyId),
+  ]);
+  return buildTimesheet({ weekStart, entries, shifts, holidays, settings });
+};
+
+// The employee's timesheet for the week, created if needed and recomputed while it is still editable
+export const getTimesheet = async ({ companyId, employeeId, weekStartDate }) => {
+  const weekStart = weekStartOf(weekStartDate);
+  let timesheet = await Timesheet.findOne({ employeeId, weekStartDate: weekStart });
+  if (!timesheet) {
+    const employee = await Employee.findOne({ userId: employeeId }).select('department').lean();
+    // Upsert so two first reads of the same week do not collide on the unique index
+    timesheet = await Timesheet.findOneAndUpdate(
+      { employeeId, weekStartDate: weekStart },
+      { $setOnInsert: { companyId, departmentId: employee?.department || null, status: 'Draft' } },
+      { upsert: true, new: true }
+    );
+  }
+  if (EDITABLE_STATUSES.includes(timesheet.status)) {
+    await refreshTimesheet(timesheet);
+  }
+  return timesheet;
+};
+
+export const refreshTimesheet = async (timesheet) => {
+  const computed = await computeTimesheet(timesheet);
+  timesheet.set({ ...computed, computedAt: new Date() });
+  await timesheet.save();
+  return timesheet;
+};
+
+// Whether `date` falls in a week of the employee's that an approved timesheet has locked
+export const isTimesheetLocked = async (employeeId, date) =>
+  Boolean(await Timesheet.exists({ employeeId, weekStartDate: weekStartOf(date), locked: true }));
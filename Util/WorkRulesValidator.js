@@ -0,0 +1,222 @@
+// Work Rules Validation
+// Enforces per-company / per-department labour rules on any set of shifts:
+// max hours per day and week, minimum rest between working days, max consecutive days and max night shifts.
+
+import WorkRule from '../models/WorkRule.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import { PUBLISHED_SHIFT_FILTER } from './ScheduleVersions.js';
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const DEFAULT_WORK_RULES = {
+  maxHoursPerDay: 12,
+  maxHoursPerWeek: 40,
+  minRestHours: 10,
+  maxConsecutiveDays: 6,
+  maxNightShifts: 5
+};
+
+const RULE_FIELDS = Object.keys(DEFAULT_WORK_RULES);
+
+const employeeKey = (employeeId) => (employeeId?._id ? employeeId._id.toString() : employeeId?.toString() || null);
+
+export class WorkRulesValidator {
+  constructor(rules = {}) {
+    this.rules = { ...DEFAULT_WORK_RULES };
+    for (const field of RULE_FIELDS) {
+      if (typeof rules[field] === 'number') this.rules[field] = rules[field];
+    }
+  }
+
+  timeToMinutes(timeStr) {
+    const [hours, minutes] = timeStr.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  // Same inference AvailabilityMatcher uses when a shift type is not explicit
+  isNightShift(shift) {
+    const startHour = parseInt(shift.startTime.split(':')[0]);
+    return startHour >= 18 || startHour < 6;
+  }
+
+  // Place a shift on an absolute UTC timeline (weekStartDate is stored as UTC midnight of the Sunday)
+  toInterval(shift) {
+    const weekStart = new Date(shift.weekStartDate || 0);
+    const weekStartMs = Date.UTC(weekStart.getUTCFullYear(), weekStart.getUTCMonth(), weekStart.getUTCDate());
+    const dayStartMs = weekStartMs + DAYS_OF_WEEK.indexOf(shift.day) * DAY_MS;
+    const startMinutes = this.timeToMinutes(shift.startTime);
+    let endMinutes = this.timeToMinutes(shift.endTime);
+    if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+
+    const start = dayStartMs + startMinutes * 60 * 1000;
+    const end = dayStartMs + endMinutes * 60 * 1000;
+
+    return {
+      shift,
+      start,
+      end,
+      hours: (end - start) / HOUR_MS,
+      dateKey: new Date(dayStartMs).toISOString().split('T')[0],
+      dayMs: dayStartMs,
+      weekKey: new Date(weekStartMs).toISOString().split('T')[0],
+      isNight: this.isNightShift(shift)
+    };
+  }
+
+  formatTimestamp(ms) {
+    return new Date(ms).toISOString().slice(0, 16).replace('T', ' ');
+  }
+
+  describeShift(shift) {
+    return {
+      _id: shift._id,
+      weekStartDate: shift.weekStartDate,
+      day: shift.day,
+      startTime: shift.startTime,
+      endTime: shift.endTime
+    };
+  }
+
+  // Validate every rule for one employee; returns violations with the shifts that caused them
+  validateEmployeeShifts(shifts, employeeId = null) {
+    const violations = [];
+    const intervals = shifts.map((shift) => this.toInterval(shift)).sort((a, b) => a.start - b.start);
+    const empId = employeeId || (shifts[0] ? employeeKey(shifts[0].employeeId) : null);
+
+    const addViolation = (rule, limit, actual, involved, message) => {
+      violations.push({
+        rule,
+        employeeId: empId,
+        limit,
+        actual: Number(actual.toFixed(2)),
+        message,
+        shiftRefs: involved.map((interval) => interval.shift)
+      });
+    };
+
+    // Max hours per day (by the date the shift starts)
+    const byDate = {};
+    intervals.forEach((interval) => {
+      (byDate[interval.dateKey] = byDate[interval.dateKey] || []).push(interval);
+    });
+    for (const [dateKey, dayIntervals] of Object.entries(byDate)) {
+      const hours = dayIntervals.reduce((sum, interval) => sum + interval.hours, 0);
+      if (hours > this.rules.maxHoursPerDay) {
+        addViolation('maxHoursPerDay', this.rules.maxHoursPerDay, hours, dayIntervals,
+          `Scheduled ${hours.toFixed(2)}h on ${dateKey}, exceeding the daily limit of ${this.rules.maxHoursPerDay}h.`);
+      }
+    }
+
+    // Max hours and night shifts per week
+    const byWeek = {};
+    intervals.forEach((interval) => {
+      (byWeek[interval.weekKey] = byWeek[interval.weekKey] || []).push(interval);
+    });
+    for (const [weekKey, weekIntervals] of Object.entries(byWeek)) {
+      const hours = weekIntervals.reduce((sum, interval) => sum + interval.hours, 0);
+      if (hours > this.rules.maxHoursPerWeek) {
+        addViolation('maxHoursPerWeek', this.rules.maxHoursPerWeek, hours, weekIntervals,
+          `Scheduled ${hours.toFixed(2)}h in the week of ${weekKey}, exceeding the weekly limit of ${this.rules.maxHoursPerWeek}h.`);
+      }
+
+      const nightIntervals = weekIntervals.filter((interval) => interval.isNight);
+      if (nightIntervals.length > this.rules.maxNightShifts) {
+        addViolation('maxNightShifts', this.rules.maxNightShifts, nightIntervals.length, nightIntervals,
+          `${nightIntervals.length} night shifts in the week of ${weekKey}, exceeding the limit of ${this.rules.maxNightShifts}.`);
+      }
+    }
+
+    // Minimum rest between shifts on different days (split shifts within one day are covered by the daily cap)
+    for (let i = 0; i < intervals.length - 1; i++) {
+      const current = intervals[i];
+      const next = intervals[i + 1];
+      if (current.dateKey === next.dateKey) continue;
+
+      const restHours = (next.start - current.end) / HOUR_MS;
+      if (restHours >= 0 && restHours < this.rules.minRestHours) {
+        addViolation('minRestHours', this.rules.minRestHours, restHours, [current, next],
+          `Only ${restHours.toFixed(2)}h rest between ${this.formatTimestamp(current.end)} and ${this.formatTimestamp(next.start)}; minimum is ${this.rules.minRestHours}h.`);
+      }
+    }
+
+    // Max consecutive working days
+    const workDays = [...new Set(intervals.map((interval) => interval.dayMs))].sort((a, b) => a - b);
+    let runStart = 0;
+    for (let i = 1; i <= workDays.length; i++) {
+      if (i < workDays.length && workDays[i] - workDays[i - 1] === DAY_MS) continue;
+
+      const runLength = i - runStart;
+      if (runLength > this.rules.maxConsecutiveDays) {
+        const runDays = new Set(workDays.slice(runStart, i));
+        addViolation('maxConsecutiveDays', this.rules.maxConsecutiveDays, runLength,
+          intervals.filter((interval) => runDays.has(interval.dayMs)),
+          `${runLength} consecutive working days from ${new Date(workDays[runStart]).toISOString().split('T')[0]}, exceeding the limit of ${this.rules.maxConsecutiveDays}.`);
+      }
+      runStart = i;
+    }
+
+    return violations;
+  }
+
+  // Validate a mixed list of shifts, grouped per employee
+  validate(shifts) {
+    const byEmployee = {};
+    shifts.forEach((shift) => {
+      const empId = employeeKey(shift.employeeId);
+      (byEmployee[empId] = byEmployee[empId] || []).push(shift);
+    });
+
+    return Object.entries(byEmployee).flatMap(([empId, employeeShifts]) =>
+      this.validateEmployeeShifts(employeeShifts, empId)
+    );
+  }
+
+  // Violations that a new or moved shift would cause, ignoring problems that already exist without it
+  checkAssignment(shift, existingShifts, employeeId = null) {
+    return this.validateEmployeeShifts([...existingShifts, shift], employeeId)
+      .filter((violation) => violation.shiftRefs.includes(shift));
+  }
+
+  // Strip internal references so violations can be returned in API responses
+  serialize(violations) {
+    return violations.map(({ shiftRefs, ...violation }) => ({
+      ...violation,
+      shifts: shiftRefs.map((shift) => this.describeShift(shift))
+    }));
+  }
+}
+
+// Department rules win over the company default; fall back to DEFAULT_WORK_RULES
+export const loadWorkRules = async (companyId, departmentId = null) => {
+  const rules = await WorkRule.find({
+    companyId,
+    departmentId: { $in: departmentId ? [departmentId, null] : [null] },
+  }).lean();
+
+  const departmentRule = departmentId && rules.find((rule) => rule.departmentId?.toString() === departmentId.toString());
+  const companyRule = rules.find((rule) => !rule.departmentId);
+  const effective = departmentRule || companyRule || null;
+
+  return {
+    validator: new WorkRulesValidator(effective || {}),
+    source: departmentRule ? 'department' : companyRule ? 'company' : 'default',
+    rule: effective,
+  };
+};
+
+// Shifts of the given employees from the week before to the week after, for rest and consecutive-day checks.
+// `scope` limits which schedule versions count (published shifts by default).
+export const findShiftsAroundWeek = async (employeeIds, weekStartDate, excludeShiftIds = [], scope = PUBLISHED_SHIFT_FILTER) => {
+  const weekStart = new Date(weekStartDate);
+  const from = new Date(weekStart.getTime() - 7 * DAY_MS);
+  const to = new Date(weekStart.getTime() + 7 * DAY_MS);
+
+  return ShiftSchedule.find({
+    employeeId: { $in: employeeIds },
+    weekStartDate: { $gte: from, $lte: to },
+    ...(excludeShiftIds.length > 0 && { _id: { $nin: excludeShiftIds } }),
+    ...scope,
+  }).lean();
+};
@@ -295,6 +295,225 @@ export const updateCompany = async (req, res) => {
   }
 };
 
+// Managers can read and change the scheduling policies of their own company; Admins of any company
+const canManageCompanySettings = (user, companyId) =>
+  user && (user.role === "Admin" || (user.role === "Manager" && user.companyId?.toString() === companyId));
+
+export const getCompanySettings = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      console.error("Validation failed: Invalid company ID format:", id);
+      return res.status(400).json({ success: false, error: "Invalid company ID format." });
+    }
+    if (!canManageCompanySettings(req.user, id)) {
+      return res.status(403).json({ success: false, error: "Unauthorized to view settings for this company." });
+    }
+
+    const company = await Company.findById(id).select("name schedulingSettings").lean();
+    if (!company) {
+      return res.status(404).json({ success: false, error: "Company not found." });
+    }
+
+    res.status(200).json({ success: true, schedulingSettings: company.schedulingSettings || {} });
+  } catch (error) {
+    console.error("Error fetching company settings:", error.message);
+    res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+};
+
+export const updateCompanySettings = async (req, res) => {
+  try {
+    console.log("DEBUG - Update Settings Request Received:", { params: req.params, body: req.body });
+
+    const { id } = req.params;
+    const { schedulingSettings } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+      console.error("Validation failed: Invalid company ID format:", id);
+      return res.status(400).json({ success: false, error: "Invalid company ID format." });
+    }
+    if (!canManageCompanySettings(req.user, id)) {
+      return res.status(403).json({ success: false, error: "Unauthorized to update settings for this company." });
+    }
+    if (!schedulingSettings || typeof schedulingSettings !== "object") {
+      return res.status(400).json({ success: false, error: "schedulingSettings object is required." });
+    }
+
+    const company = await Company.findById(id);
+    if (!company) {
+      return res.status(404).json({ success: false, error: "Company not found." });
+    }
+
+    for (const [key, value] of Object.entries(schedulingSettings)) {
+      company.set(`schedulingSettings.${key}`, value);
+    }
+    await company.save();
+    console.log("Company settings updated for ID:", id, company.schedulingSettings);
+
+    res.status(200).json({ success: true, message: "Company settings updated successfully.", schedulingSettings: company.schedulingSettings });
+  } catch (error) {
+    console.error("Error updating company settings:", error.message);
+    if (error.name === "ValidationError" || error.name === "StrictModeError") {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+};
+
+// Returns { location } or { error } for a location body; `partial` allows leaving fields out (updates)
+const parseLocation = (body, partial = false) => {
+  const location = {};
+  const { name, address, latitude, longitude, radiusMeters, active } = body || {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim()) return { error: "Location name is required." };
+    location.name = name.trim();
+  }
+  if (address !== undefined) location.address = String(address).trim();
+  if (latitude !== undefined || !partial) {
+    if (typeof latitude !== "number" || latitude < -90 || latitude > 90) return { error: "latitude must be between -90 and 90." };
+    location.latitude = latitude;
+  }
+  if (longitude !== undefined || !partial) {
+    if (typeof longitude !== "number" || longitude < -180 || longitude > 180) return { error: "longitude must be between -180 and 180." };
+    location.longitude = longitude;
+  }
+  if (radiusMeters !== undefined) {
+    if (typeof radiusMeters !== "number" || radiusMeters < 10 || radiusMeters > 10000) return { error: "radiusMeters must be between 10 and 10000." };
+    location.radiusMeters = radiusMeters;
+  }
+  if (active !== undefined) {
+    if (typeof active !== "boolean") return { error: "active must be true or false." };
+    location.active = active;
+  }
+  return { location };
+};
+
+export const getCompanyLocations = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: "Invalid company ID format." });
+    }
+    // Employees of the company need the locations to see where their shifts are
+    if (req.user.role !== "Admin" && req.user.companyId?.toString() !== id) {
+      return res.status(403).json({ success: false, error: "Unauthorized to view locations for this company." });
+    }
+
+    const company = await Company.findById(id).select("locations").lean();
+    if (!company) {
+      return res.status(404).json({ success: false, error: "Company not found." });
+    }
+
+    const includeRetired = req.query.includeInactive === "true";
+    res.status(200).json({ success: true, locations: company.locations.filter((location) => includeRetired || location.active) });
+  } catch (error) {
+    console.error("Error fetching company locations:", error.message);
+    res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+};
+
+export const addCompanyLocation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({ success: false, error: "Invalid company ID format." });
+    }
+    if (!canManageCompanySettings(req.user, id)) {
+      return res.status(403).json({ success: false, error: "Unauthorized to manage locations for this company." });
+    }
+
+    const { location, error } = parseLocation(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const company = await Company.findById(id);
+    if (!company) {
+      return res.status(404).json({ success: false, error: "Company not found." });
+    }
+    if (company.locations.some((existing) => existing.active && existing.name.toLowerCase() === location.name.toLowerCase())) {
+      return res.status(409).json({ success: false, error: "A location with this name already exists." });
+    }
+
+    company.locations.push(location);
+    await company.save();
+    const created = company.locations[company.locations.length - 1];
+    console.log("Company location added:", id, created._id);
+
+    res.status(201).json({ success: true, message: "Location added successfully.", location: created });
+  } catch (error) {
+    console.error("Error adding company location:", error.message);
+    res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+};
+
+export const updateCompanyLocation = async (req, res) => {
+  try {
+    const { id, locationId } = req.params;
+
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(locationId)) {
+      return res.status(400).json({ success: false, error: "Invalid company or location ID format." });
+    }
+    if (!canManageCompanySettings(req.user, id)) {
+      return res.status(403).json({ success: false, error: "Unauthorized to manage locations for this company." });
+    }
+
+    const { location, error } = parseLocation(req.body, true);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const company = await Company.findById(id);
+    const existing = company?.locations.id(locationId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: "Location not found." });
+    }
+
+    existing.set(location);
+    await company.save();
+    console.log("Company location updated:", id, locationId);
+
+    res.status(200).json({ success: true, message: "Location updated successfully.", location: existing });
+  } catch (error) {
+    console.error("Error updating company location:", error.message);
+    res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+};
+
+// Locations are retired rather than removed, since shifts and time entries keep pointing at them
+export const deleteCompanyLocation = async (req, res) => {
+  try {
+    const { id, locationId } = req.params;
+
+    if (!mongoose.isValidObjectId(id) || !mongoose.isValidObjectId(locationId)) {
+      return res.status(400).json({ success: false, error: "Invalid company or location ID format." });
+    }
+    if (!canManageCompanySettings(req.user, id)) {
+      return res.status(403).json({ success: false, error: "Unauthorized to manage locations for this company." });
+    }
+
+    const company = await Company.findById(id);
+    const existing = company?.locations.id(locationId);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: "Location not found." });
+    }
+
+    existing.active = false;
+    await company.save();
+    console.log("Company location retired:", id, locationId);
+
+    res.status(200).json({ success: true, message: "Location removed successfully." });
+  } catch (error) {
+    console.error("Error removing company location:", error.message);
+    res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+};
+
 export const getCompanyById = async (req, res) => {
   try {
     console.log("DEBUG - Get Company Request Received:", { params: req.params });
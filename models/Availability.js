@@ -1,12 +1,41 @@
 import mongoose from 'mongoose';
 
+// How much an employee wants to work a given availability slot
+export const SLOT_PREFERENCES = {
+  preferred: 1,
+  neutral: 0,
+  only_if_needed: -1
+};
+
+// Accepts either the numeric value or its label ("preferred", "neutral", "only_if_needed" / "only-if-needed")
+export const normalizeSlotPreference = (value) => {
+  if (value === undefined || value === null || value === '') return SLOT_PREFERENCES.neutral;
+  if (typeof value === 'string') {
+    const key = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (key in SLOT_PREFERENCES) return SLOT_PREFERENCES[key];
+    value = Number(value);
+  }
+  return Object.values(SLOT_PREFERENCES).includes(value) ? value : null;
+};
+
+// Slots saved before the three-level scale hold any number, higher meaning more wanted; fold them onto it
+export const toSlotPreferenceScale = (value) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return SLOT_PREFERENCES.neutral;
+  return Math.sign(number);
+};
+
 const timeSlotSchema = new mongoose.Schema({
   startTime: { type: String, required: true },
   endTime: { type: String, required: true },
   startDay: { type: String, required: true, enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'] },
   endDay: { type: String, required: true, enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'] },
   shiftType: { type: String, required: true, enum: ['Day', 'Night'] },
-  preference: { type: Number, default: 0 } // Add preference field
+  preference: {
+    type: Number,
+    default: SLOT_PREFERENCES.neutral,
+    enum: Object.values(SLOT_PREFERENCES) // 1 = preferred, 0 = neutral, -1 = only if needed
+  }
 });
 
 const dayAvailabilitySchema = new mongoose.Schema({
@@ -48,6 +77,14 @@ const availabilitySchema = new mongoose.Schema({
   submittedAt: { type: Date, default: Date.now }
 });
 
+// Runs before the enum check so legacy slots can still be saved
+timeSlotSchema.pre('validate', function (next) {
+  if (!Object.values(SLOT_PREFERENCES).includes(this.preference)) {
+    this.preference = toSlotPreferenceScale(this.preference);
+  }
+  next();
+});
+
 timeSlotSchema.pre('validate', function (next) {
   const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
   const startDayIdx = daysOfWeek.indexOf(this.startDay);
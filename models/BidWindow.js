@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const biddableShiftSchema = new mongoose.Schema({
+  weekStartDate: { type: Date, required: true },
+  day: { type: String, enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'], required: true },
+  startTime: { type: String, required: true },
+  endTime: { type: String, required: true },
+  durationHours: { type: Number, required: true },
+  skillId: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill', default: null },
+  positions: { type: Number, default: 1, min: 1 },
+  label: { type: String, default: '' }, // e.g. "Christmas Day night"
+});
+
+const bidSchema = new mongoose.Schema({
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rankings: [
+    {
+      _id: false,
+      shiftId: { type: mongoose.Schema.Types.ObjectId, required: true }, // A shift of this window
+      rank: { type: Number, required: true, min: 1 }, // 1 = most wanted
+    },
+  ],
+  submittedAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// A bidding window over a set of shifts. Employees rank the shifts they want while the window is open;
+// when it closes the shifts are awarded by seniority, points or lottery and the full award is kept for audit.
+const BidWindowSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+  name: { type: String, required: true, trim: true },
+  description: { type: String, default: '' },
+  opensAt: { type: Date, required: true },
+  closesAt: { type: Date, required: true },
+  awardMethod: { type: String, enum: ['seniority', 'points', 'lottery'], required: true },
+  maxAwardsPerEmployee: { type: Number, default: 1, min: 1 },
+  pointsPerAward: { type: Number, default: 0 }, // Added to a winner's bidPoints per shift won (negative spends points)
+  status: { type: String, enum: ['open', 'awarding', 'awarded', 'cancelled'], default: 'open' },
+  awardingStartedAt: { type: Date, default: null }, // An award still "awarding" long after this crashed and is retried
+  shifts: { type: [biddableShiftSchema], default: [] },
+  bids: { type: [bidSchema], default: [] },
+  award: { type: mongoose.Schema.Types.Mixed, default: null }, // Priority order, seed, every award decision and why bids were passed over
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  awardedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null when awarded automatically at close
+  awardedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+BidWindowSchema.index({ companyId: 1, status: 1, closesAt: 1 });
+
+export default mongoose.model('BidWindow', BidWindowSchema);
@@ -1,5 +1,15 @@
 import mongoose from "mongoose";
 
+// A site employees work at. Punches are checked against the circle around it (see Util/Geofence.js).
+const LocationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  address: { type: String, default: "" },
+  latitude: { type: Number, required: true, min: -90, max: 90 },
+  longitude: { type: Number, required: true, min: -180, max: 180 },
+  radiusMeters: { type: Number, default: 150, min: 10, max: 10000 },
+  active: { type: Boolean, default: true }, // Retired locations stay so existing shifts keep their reference
+});
+
 const CompanySchema = new mongoose.Schema(
   {
     name: { type: String, required: true, unique: true },
@@ -11,6 +21,53 @@ const CompanySchema = new mongoose.Schema(
       default: null, // Default to null when the company is first created
       unique: false, // REMOVE unique constraint
     },
+    locations: { type: [LocationSchema], default: [] },
+    // Payroll CSV layout matching the payroll provider: each column is a payroll field or a fixed value
+    // (see Util/PayrollExport.js). No columns = the default layout.
+    payrollExport: {
+      delimiter: { type: String, enum: [",", ";", "\t"], default: "," },
+      includeHeader: { type: Boolean, default: true },
+      columns: [
+        {
+          _id: false,
+          header: { type: String, required: true, trim: true },
+          field: { type: String, default: null },
+          value: { type: String, default: "" }, // Used when field is empty
+        },
+      ],
+    },
+    schedulingSettings: {
+      // What happens to shifts of an employee who goes on approved leave or is removed:
+      // "propose" only reports replacements, "apply" reassigns them right away
+      repairMode: { type: String, enum: ["propose", "apply"], default: "propose" },
+      // Labor cost: weekly hours above the threshold are paid at the overtime multiplier,
+      // night shifts (starting 18:00-06:00) at the night multiplier
+      overtimeThresholdHours: { type: Number, default: 40, min: 0 },
+      overtimeMultiplier: { type: Number, default: 1.5, min: 1 },
+      nightShiftMultiplier: { type: Number, default: 1, min: 1 },
+      preferLowerCost: { type: Boolean, default: false }, // Auto-schedule picks the cheaper employee when candidates are otherwise equal
+      // Open shifts: "first_come" gives the shift to the first eligible claimer, "approval" waits for a manager
+      openShiftClaimMode: { type: String, enum: ["first_come", "approval"], default: "first_come" },
+      // Shift swaps accepted by a colleague wait for a manager before the shifts change hands
+      swapApprovalRequired: { type: Boolean, default: false },
+      // Open swap requests expire after this many hours (null = no fixed duration), and always this many hours
+      // before the earlier shift starts
+      swapExpiryHours: { type: Number, default: null, min: 1 },
+      swapExpiryLeadHours: { type: Number, default: 3, min: 0 },
+      // Time clock: punches more than the grace period off the scheduled start or end are flagged early or late.
+      // A clock-in counts towards a shift from the window before it starts; an entry still open this many hours
+      // after its shift ended is flagged as a missing clock-out.
+      punchGraceMinutes: { type: Number, default: 5, min: 0 },
+      clockInWindowMinutes: { type: Number, default: 60, min: 0 },
+      missingClockOutHours: { type: Number, default: 4, min: 1 },
+      // Punches outside the geofence (or without a GPS fix) are rejected, accepted and flagged for review, or ignored
+      geofencePolicy: { type: String, enum: ["reject", "flag", "ignore"], default: "flag" },
+      // Timesheets: scheduled hours count for shifts without punches when the fallback is on. A day worked longer
+      // than breakAfterHours has an unpaid break of breakDeductionMinutes, less any time already clocked out between entries.
+      timesheetScheduleFallback: { type: Boolean, default: false },
+      breakAfterHours: { type: Number, default: 6, min: 0 },
+      breakDeductionMinutes: { type: Number, default: 30, min: 0 },
+    },
   },
   { timestamps: true }
 );
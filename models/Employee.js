@@ -54,6 +54,26 @@ const employeeSchema = new mongoose.Schema(
     image: {
       type: String,
     },
+    hourlyRate: {
+      type: Number,
+      min: 0,
+      default: null, // Base pay per hour; used for labor cost projections
+    },
+    hireDate: {
+      type: Date,
+      default: null, // Seniority for shift bidding; falls back to when the record was created
+    },
+    bidPoints: {
+      type: Number,
+      default: 0, // Balance for points-based shift bidding
+    },
+    skills: [
+      {
+        skillId: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill', required: true },
+        expiresAt: { type: Date, default: null }, // Certifications lapse after this date; null = never
+        assignedAt: { type: Date, default: Date.now },
+      },
+    ],
     createdAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+const laborBudgetSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+    departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+    weekStartDate: { type: Date, default: null }, // null = standing weekly budget; a date overrides one week
+    amount: { type: Number, required: true, min: 0 },
+    note: { type: String, default: '' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+laborBudgetSchema.index({ companyId: 1, departmentId: 1, weekStartDate: 1 }, { unique: true });
+
+export default mongoose.model('LaborBudget', laborBudgetSchema);
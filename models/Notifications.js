@@ -14,7 +14,7 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["leave_request", "leave_approved", "leave_rejected", "new_message"],
+      enum: ["leave_request", "leave_approved", "leave_rejected", "new_message", "schedule_published", "schedule_gap", "shift_reassigned", "open_shift_posted", "open_shift_claimed", "open_shift_filled", "open_shift_claim_rejected", "bid_window_opened", "shift_bid_won", "shift_bid_lost", "swap_awaiting_approval", "swap_approved", "swap_denied", "shift_offered", "shift_picked_up", "swap_expired", "swap_cancelled", "swap_chain_proposed", "swap_chain_executed", "swap_chain_cancelled", "missed_punch", "timesheet_submitted", "timesheet_approved", "timesheet_rejected"],
       required: true,
     },
     message: {
@@ -39,6 +39,10 @@ const notificationSchema = new mongoose.Schema(
       type: Object, // Store message details like conversationId, senderName
       required: false,
     },
+    metadata: {
+      type: Object, // Context for scheduling notifications (e.g. scheduleVersionId, weekStartDate)
+      required: false,
+    },
     message: {
       type: Object, // Store the actual message object
       required: false,
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const claimSchema = new mongoose.Schema({
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'withdrawn'], default: 'pending' },
+  note: { type: String, default: '' },
+  claimedAt: { type: Date, default: Date.now },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  decidedAt: { type: Date, default: null },
+  reason: { type: String, default: '' }, // Why a claim was rejected
+});
+
+// One unstaffed position that employees of the department can claim.
+// Gaps found by auto-schedule stay "draft" with their schedule version and open when it is published.
+const OpenShiftSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+  weekStartDate: { type: Date, required: true },
+  day: { type: String, enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'], required: true },
+  startTime: { type: String, required: true },
+  endTime: { type: String, required: true },
+  durationHours: { type: Number, required: true },
+  skillId: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill', default: null },
+  locationId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Company location
+  status: { type: String, enum: ['draft', 'open', 'filled', 'cancelled'], default: 'open' },
+  claimMode: { type: String, enum: ['first_come', 'approval'], default: 'first_come' },
+  source: { type: String, enum: ['auto_schedule', 'manual'], default: 'manual' },
+  scheduleVersionId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduleVersion', default: null },
+  note: { type: String, default: '' },
+  claims: { type: [claimSchema], default: [] },
+  filledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  filledAt: { type: Date, default: null },
+  shiftScheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+OpenShiftSchema.index({ companyId: 1, departmentId: 1, weekStartDate: 1, status: 1 });
+
+export default mongoose.model('OpenShift', OpenShiftSchema);
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// A group of employees working a schedule template in one department from startDate (until endDate, if set)
+const rotationAssignmentSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+    departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduleTemplate', required: true },
+    employeeIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    startDate: { type: Date, required: true }, // Cycle day 0 for rotation templates
+    endDate: { type: Date, default: null },
+    offsetDays: { type: Number, default: 0, min: 0 }, // Shifts the cycle, e.g. the second crew of a 4-on-4-off starts 4 days in
+    note: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+rotationAssignmentSchema.index({ companyId: 1, departmentId: 1, startDate: 1 });
+
+export default mongoose.model('RotationAssignment', rotationAssignmentSchema);
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+const templateShiftSchema = new mongoose.Schema(
+  {
+    startTime: { type: String, required: true }, // "HH:mm"; an end at or before the start runs overnight
+    endTime: { type: String, required: true },
+    skillId: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill', default: null },
+  },
+  { _id: false }
+);
+
+// A reusable shift pattern. "weekly" templates repeat every week by weekday (dayIndex 0 = Sunday);
+// "rotation" patterns repeat every cycleLengthDays counted from an assignment's start date (e.g. 4-on-4-off = 8 days).
+const scheduleTemplateSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+    departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null }, // null = any department
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: '' },
+    type: { type: String, enum: ['weekly', 'rotation'], default: 'rotation' },
+    cycleLengthDays: { type: Number, required: true, min: 1, max: 56 },
+    days: [
+      {
+        _id: false,
+        dayIndex: { type: Number, required: true, min: 0 }, // Day of the cycle; days not listed are off
+        shifts: { type: [templateShiftSchema], default: [] },
+      },
+    ],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+scheduleTemplateSchema.index({ companyId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('ScheduleTemplate', scheduleTemplateSchema);
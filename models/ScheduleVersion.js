@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// One generated or edited schedule for a department and week. Only one draft and one published version are live at a time.
+const ScheduleVersionSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+  weekStartDate: { type: Date, required: true },
+  version: { type: Number, required: true },
+  status: { type: String, enum: ['draft', 'published', 'archived', 'discarded'], default: 'draft' },
+  source: { type: String, enum: ['auto', 'manual', 'copy', 'rotation'], default: 'auto' },
+  note: { type: String, default: '' },
+  summary: { type: mongoose.Schema.Types.Mixed, default: null }, // Solver objective and metrics for auto-generated drafts
+  unfilledExplanations: { type: [mongoose.Schema.Types.Mixed], default: [] }, // Per unfilled slot: why each employee was rejected
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  createdAt: { type: Date, default: Date.now },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  publishedAt: { type: Date, default: null },
+  discardedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  discardedAt: { type: Date, default: null },
+});
+
+ScheduleVersionSchema.index({ companyId: 1, departmentId: 1, weekStartDate: 1, status: 1 });
+
+export default mongoose.model('ScheduleVersion', ScheduleVersionSchema);
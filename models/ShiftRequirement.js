@@ -15,6 +15,15 @@ const slotSchema = new mongoose.Schema({
   endTime: { type: String, required: true },
   shiftType: { type: String, enum: ['Day', 'Night'], required: true },
   minEmployees: { type: Number, required: true, min: 1 },
+  // Positions within minEmployees that need a skill, e.g. 2 x Cashier + 1 x Supervisor; the rest can be anyone
+  skillRequirements: [
+    {
+      _id: false,
+      skillId: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill', required: true },
+      count: { type: Number, required: true, min: 1 },
+    },
+  ],
+  locationId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Company location the slot is staffed at
 });
 
 const shiftRequirementSchema = new mongoose.Schema({
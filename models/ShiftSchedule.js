@@ -9,6 +9,16 @@ const ShiftScheduleSchema = new mongoose.Schema({
   startTime: { type: String, required: true },
   endTime: { type: String, required: true },
   durationHours: { type: Number, required: true }, // Added field to store duration in hours
+  status: { type: String, enum: ['draft', 'published'], default: 'published' }, // Drafts are hidden from employees until published
+  scheduleVersionId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduleVersion', default: null },
+  sourceShiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', default: null }, // Draft copy of this published shift; publishing updates that shift in place
+  skillId: { type: mongoose.Schema.Types.ObjectId, ref: 'Skill', default: null }, // Position / skill this shift staffs, if the slot asked for one
+  locationId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Company location (Company.locations) the shift is worked at
+  pinned: { type: Boolean, default: false }, // Placed by a manager; auto-schedule keeps it and fills the remaining demand around it
+  rotationAssignmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'RotationAssignment', default: null }, // Materialized from a rotation / template
+  explanation: { type: mongoose.Schema.Types.Mixed, default: null }, // Why the auto-scheduler picked this employee (candidates and deciding rule)
 });
 
+ShiftScheduleSchema.index({ companyId: 1, departmentId: 1, weekStartDate: 1, status: 1 });
+
 export default mongoose.model('ShiftSchedule', ShiftScheduleSchema);
\ No newline at end of file
@@ -1,20 +1,67 @@
 import mongoose from 'mongoose';
 
+const isSwap = function () {
+  return this.type !== 'giveaway';
+};
+
 const ShiftSwapRequestSchema = new mongoose.Schema({
+  // "swap" trades two shifts; "giveaway" hands the requester's shift to a colleague who picks it up
+  type: { type: String, enum: ['swap', 'giveaway'], default: 'swap' },
   shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', required: true },
   requesterShiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', required: true },
-  colleagueShiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', required: true },
+  colleagueShiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', required: isSwap, default: null },
   employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  colleagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // A giveaway offered to the whole department has no colleague until someone picks it up
+  colleagueId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: isSwap, default: null },
   companyId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null },
+  note: { type: String, default: '' },
   requestedAt: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'accepted', 'rejected', 'cancelled'], default: 'pending' },
+  // With the company's swapApprovalRequired policy an accepted swap waits in awaiting_manager_approval
+  // and is only applied once a manager approves it
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'cancelled', 'awaiting_manager_approval', 'approved', 'denied', 'expired'],
+    default: 'pending',
+  },
   acceptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   acceptedAt: { type: Date, default: null },
   rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   rejectedAt: { type: Date, default: null },
   cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   cancelledAt: { type: Date, default: null },
+  approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  approvedAt: { type: Date, default: null },
+  deniedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  deniedAt: { type: Date, default: null },
+  denialReason: { type: String, default: '' },
+  // Open requests expire after the company's expiry duration or shortly before the earlier shift starts
+  expiresAt: { type: Date, default: null },
+  expiredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null when expired by the system
+  expiredAt: { type: Date, default: null },
+  expiryReason: { type: String, enum: ['duration', 'shift_start'], default: null },
+  // Audit trail: every status change, and for applied swaps which shift went from whom to whom
+  history: [
+    {
+      _id: false,
+      action: { type: String, required: true }, // request, offer, accept, pickup, reject, cancel, approve, deny, expire
+      fromStatus: { type: String, default: null },
+      toStatus: { type: String, required: true },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      at: { type: Date, default: Date.now },
+      shifts: [
+        {
+          _id: false,
+          shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule' },
+          fromEmployeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          toEmployeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        },
+      ],
+      note: { type: String, default: '' },
+    },
+  ],
 });
 
+ShiftSwapRequestSchema.index({ status: 1, expiresAt: 1 });
+
 export default mongoose.model('ShiftSwapRequest', ShiftSwapRequestSchema);
\ No newline at end of file
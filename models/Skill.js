@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Company catalog of skills, certifications and positions that shift requirement slots can ask for
+const skillSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+    name: { type: String, required: true, trim: true },
+    category: { type: String, enum: ['skill', 'certification', 'position'], default: 'skill' },
+    description: { type: String, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+skillSchema.index({ companyId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('Skill', skillSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const participantSchema = new mongoose.Schema({
+  _id: false,
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  intentId: { type: mongoose.Schema.Types.ObjectId, ref: 'SwapIntent', required: true },
+  givesShiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', required: true },
+  receivesShiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', required: true },
+  response: { type: String, enum: ['pending', 'accepted', 'declined'], default: 'pending' },
+  respondedAt: { type: Date, default: null },
+});
+
+// A swap proposed by the matching engine: two participants for a pairwise swap, more for a cycle where each one
+// receives the next participant's shift. Nothing moves until every participant has accepted.
+const SwapChainSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+  participants: { type: [participantSchema], default: [] },
+  status: {
+    type: String,
+    enum: ['proposed', 'awaiting_manager_approval', 'executed', 'declined', 'denied', 'failed', 'expired'],
+    default: 'proposed',
+  },
+  expiresAt: { type: Date, default: null },
+  executedAt: { type: Date, default: null },
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Manager who approved or denied
+  failureReason: { type: String, default: '' },
+  history: [
+    {
+      _id: false,
+      action: { type: String, required: true }, // propose, accept, decline, approve, deny, execute, fail, expire
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+      at: { type: Date, default: Date.now },
+      note: { type: String, default: '' },
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+});
+
+SwapChainSchema.index({ companyId: 1, status: 1 });
+SwapChainSchema.index({ 'participants.employeeId': 1, status: 1 });
+
+export default mongoose.model('SwapChain', SwapChainSchema);
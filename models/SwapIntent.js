@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// "I want to get rid of this shift, and I could take one of those instead." The matching engine combines open
+// intents into pairwise swaps and multi-party chains (see SwapChain).
+const SwapIntentSchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', required: true },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  offerShiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', required: true }, // The shift to get rid of
+  wantShiftIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule' }], // Shifts they could take instead
+  acceptAny: { type: Boolean, default: false }, // Any offered shift they are able to work will do
+  declinedShiftIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule' }], // Offered in a chain and declined
+  status: { type: String, enum: ['open', 'matched', 'fulfilled', 'cancelled', 'expired'], default: 'open' },
+  chainId: { type: mongoose.Schema.Types.ObjectId, ref: 'SwapChain', default: null }, // Current or executed proposal
+  note: { type: String, default: '' },
+  expiresAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+SwapIntentSchema.index({ companyId: 1, departmentId: 1, status: 1 });
+
+export default mongoose.model('SwapIntent', SwapIntentSchema);
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const punchSchema = new mongoose.Schema({
+  _id: false,
+  at: { type: Date, required: true },
+  deviceId: { type: String, default: '' },
+  location: {
+    type: new mongoose.Schema({
+      _id: false,
+      latitude: { type: Number, required: true },
+      longitude: { type: Number, required: true },
+      accuracy: { type: Number, default: null }, // Meters, as reported by the device
+    }),
+    default: null,
+  },
+  source: { type: String, enum: ['employee', 'manager'], default: 'employee' }, // Manager = entered or corrected by a manager
+  geofence: {
+    type: new mongoose.Schema({
+      _id: false,
+      result: { type: String, enum: ['inside', 'outside', 'no_location', 'not_configured'], required: true },
+      locationId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Company location checked against
+      distanceMeters: { type: Number, default: null },
+      flagged: { type: Boolean, default: false }, // Outside or without a fix, under the "flag" policy
+    }),
+    default: null,
+  },
+});
+
+const correctionSchema = new mongoose.Schema({
+  _id: false,
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  at: { type: Date, default: Date.now },
+  reason: { type: String, required: true },
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} }, // { field: { from, to } }
+});
+
+// One clock-in / clock-out pair, linked to the scheduled shift it was worked against (none for unscheduled work).
+// Entries for shifts nobody clocked in to are created as missing clock-ins so managers can correct them.
+const TimeEntrySchema = new mongoose.Schema({
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+  departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null },
+  employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  shiftId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule', default: null },
+  locationId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Company location the shift targets
+  scheduledStart: { type: Date, default: null }, // Copied from the shift when linked
+  scheduledEnd: { type: Date, default: null },
+  clockIn: { type: punchSchema, default: null },
+  clockOut: { type: punchSchema, default: null },
+  status: { type: String, enum: ['open', 'completed', 'missing_clock_in', 'missing_clock_out'], default: 'open' },
+  flags: [
+    {
+      type: String,
+      enum: ['early_clock_in', 'late_clock_in', 'early_clock_out', 'late_clock_out', 'unscheduled', 'missing_clock_in', 'missing_clock_out', 'corrected',
+        'outside_geofence', 'missing_location'],
+    },
+  ],
+  workedMinutes: { type: Number, default: 0 },
+  corrections: { type: [correctionSchema], default: [] },
+  // Manager review of flagged geofence punches; a rejected entry does not count as worked time
+  review: {
+    status: { type: String, enum: ['none', 'pending', 'approved', 'rejected'], default: 'none' },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    at: { type: Date, default: null },
+    note: { type: String, default: '' },
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+TimeEntrySchema.index({ companyId: 1, employeeId: 1, 'clockIn.at': -1 });
+TimeEntrySchema.index({ companyId: 1, status: 1 });
+TimeEntrySchema.index({ shiftId: 1 });
+// At most one open entry per employee, so a double-tapped clock-in cannot open two
+TimeEntrySchema.index({ employeeId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+// At most one missing clock-in placeholder per shift, however many job runs overlap
+TimeEntrySchema.index({ shiftId: 1, status: 1 }, { unique: true, partialFilterExpression: { status: 'missing_clock_in' } });
+TimeEntrySchema.index({ companyId: 1, 'review.status': 1 });
+
+export default mongoose.model('TimeEntry', TimeEntrySchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const daySchema = new mongoose.Schema({
+  _id: false,
+  date: { type: Date, required: true }, // UTC midnight
+  day: { type: String, enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'], required: true },
+  source: { type: String, enum: ['punches', 'schedule', 'mixed', 'none'], default: 'none' }, // Where the hours came from
+  timeEntryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'TimeEntry' }],
+  shiftIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ShiftSchedule' }], // Scheduled shifts counted without punches
+  scheduledHours: { type: Number, default: 0 },
+  workedHours: { type: Number, default: 0 }, // Before the break deduction
+  breakMinutes: { type: Number, default: 0 }, // Deducted
+  paidHours: { type: Number, default: 0 },
+  regularHours: { type: Number, default: 0 },
+  overtimeHours: { type: Number, default: 0 },
+  nightHours: { type: Number, default: 0 }, // Paid hours of work starting 18:00-06:00
+  holidayHours: { type: Number, default: 0 },
+  holiday: { type: String, default: null }, // Name of the company holiday
+});
+
+// One employee's week, computed from their time entries (see Util/Timesheets.js). Drafts and rejected timesheets
+// are recomputed when read; submitted ones wait for a manager, and approved ones are locked together with the time
+// entries they cover.
+const TimesheetSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+    departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null },
+    employeeId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    weekStartDate: { type: Date, required: true },
+    status: { type: String, enum: ['Draft', 'Submitted', 'Approved', 'Rejected'], default: 'Draft' },
+    days: { type: [daySchema], default: [] },
+    totals: {
+      scheduledHours: { type: Number, default: 0 },
+      workedHours: { type: Number, default: 0 },
+      breakHours: { type: Number, default: 0 },
+      paidHours: { type: Number, default: 0 },
+      regularHours: { type: Number, default: 0 },
+      overtimeHours: { type: Number, default: 0 },
+      nightHours: { type: Number, default: 0 },
+      holidayHours: { type: Number, default: 0 },
+    },
+    // Things a manager should look at: open or missing punches, punches awaiting geofence review
+    issues: [
+      {
+        _id: false,
+        code: { type: String, required: true },
+        timeEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'TimeEntry', default: null },
+        message: { type: String, required: true },
+      },
+    ],
+    comments: [
+      {
+        _id: false,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        status: { type: String, default: null }, // Status the comment came with
+        text: { type: String, required: true },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    computedAt: { type: Date, default: null },
+    submittedAt: { type: Date, default: null },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    decidedAt: { type: Date, default: null },
+    locked: { type: Boolean, default: false }, // Set on approval
+  },
+  { timestamps: true }
+);
+
+TimesheetSchema.index({ employeeId: 1, weekStartDate: 1 }, { unique: true });
+TimesheetSchema.index({ companyId: 1, weekStartDate: 1, status: 1 });
+
+export default mongoose.model('Timesheet', TimesheetSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+const workRuleSchema = new mongoose.Schema(
+  {
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+    departmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Department', default: null }, // null = company-wide default
+    maxHoursPerDay: { type: Number, default: 12, min: 1, max: 24 },
+    maxHoursPerWeek: { type: Number, default: 40, min: 1, max: 168 },
+    minRestHours: { type: Number, default: 10, min: 0, max: 48 },
+    maxConsecutiveDays: { type: Number, default: 6, min: 1, max: 31 },
+    maxNightShifts: { type: Number, default: 5, min: 0, max: 7 }, // Per week
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+workRuleSchema.index({ companyId: 1, departmentId: 1 }, { unique: true });
+
+export default mongoose.model('WorkRule', workRuleSchema);
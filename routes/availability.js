@@ -3,15 +3,42 @@ import mongoose from 'mongoose';
 import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc.js';
 import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
-import { Availability, AvailabilityHistory } from '../models/Availability.js';
+import { Availability, AvailabilityHistory, normalizeSlotPreference } from '../models/Availability.js';
 import ShiftRequirement from '../models/ShiftRequirement.js';
 import User from '../models/User.js';
 import ShiftSchedule from '../models/ShiftSchedule.js';
 import Department from '../models/Department.js';
 import Employee from '../models/Employee.js';
 import nodemailer from 'nodemailer';
-import { AvailabilityMatcher } from '../Util/AvailabilityMatcher.js';
+import { AvailabilityMatcher, availabilityCovers } from '../Util/AvailabilityMatcher.js';
 import { SchedulingOptimizer, SchedulingCoordinator } from '../Util/SchedulingOptimizer.js';
+import { ScheduleSolver } from '../Util/ScheduleSolver.js';
+import { loadWorkRules, findShiftsAroundWeek } from '../Util/WorkRulesValidator.js';
+import {
+  PUBLISHED_SHIFT_FILTER,
+  outsideWeekFilter,
+  scheduleScopeFilter,
+  findDraftVersion,
+  createDraftVersion,
+  createDraftFromPublished,
+  diffShiftSets,
+  publishVersion,
+  releaseRemovedShifts,
+  notifyReleasedShifts,
+} from '../Util/ScheduleVersions.js';
+import ScheduleVersion from '../models/ScheduleVersion.js';
+import { sendSystemNotification } from '../Util/NotificationUtils.js';
+import { findShiftsForAbsence, repairShifts, notifyRepairResults } from '../Util/ScheduleRepair.js';
+import Company from '../models/Company.js';
+import Skill from '../models/Skill.js';
+import { loadEmployeeSkills, holdsSkill, normalizeSlotSkillRequirements } from '../Util/Skills.js';
+import { normalizeSlotLocation, validateLocationId } from '../Util/Geofence.js';
+import { loadLaborCostCalculator, loadLaborBudget, compareWithBudget } from '../Util/LaborCost.js';
+import { materializeRotations, planRotations, holidayOn } from '../Util/Rotations.js';
+import Leave from '../models/Leave.js';
+import Holiday from '../models/Holidays.js';
+import { createOpenShiftsFromGaps, activateOpenShifts, cancelDraftOpenShifts, notifyOpenShiftsPosted } from '../Util/OpenShifts.js';
+import LaborBudget from '../models/LaborBudget.js';
 dayjs.extend(utc);
 
 // Nodemailer setup
@@ -70,7 +97,7 @@ const sendScheduleEmail = async (employee, shifts, weekStartDate) => {
 };
 
 // Helper function to check for overlapping shifts and duplicates
-const checkForOverlappingShifts = async (employeeId, weekStartDate, day, startTime, endTime, excludeShiftId = null) => {
+const checkForOverlappingShifts = async (employeeId, weekStartDate, day, startTime, endTime, excludeShiftId = null, scope = PUBLISHED_SHIFT_FILTER) => {
   const startMinutes = parseInt(startTime.split(':')[0]) * 60 + parseInt(startTime.split(':')[1]);
   const endMinutes = parseInt(endTime.split(':')[0]) * 60 + parseInt(endTime.split(':')[1]);
 
@@ -79,6 +106,7 @@ const checkForOverlappingShifts = async (employeeId, weekStartDate, day, startTi
     weekStartDate,
     day,
     ...(excludeShiftId && { _id: { $ne: excludeShiftId } }),
+    ...scope,
   }).lean();
 
   for (const shift of existingShifts) {
@@ -102,270 +130,10 @@ const checkForOverlappingShifts = async (employeeId, weekStartDate, day, startTi
   return false; // No overlap or duplicate
 };
 
-// Enhanced scheduling algorithm that works for ANY scenario
-const generateUniversalSchedule = async (companyId, departmentId, startDate, shiftRequirements, availabilities) => {
-  const shifts = [];
-  const employeeHours = {};
-  const employeeAssignments = {};
-  const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  
-  console.log('=== Starting Universal Scheduling ===');
-  console.log(`Processing ${availabilities.length} employees for ${shiftRequirements.length} shift requirement sets`);
-
-  // Helper function to convert time to minutes
-  const timeToMinutes = (timeStr) => {
-    const [hours, minutes] = timeStr.split(':').map(Number);
-    return hours * 60 + minutes;
-  };
-
-  // Helper function to convert minutes to time
-  const minutesToTime = (minutes) => {
-    const hours = Math.floor(minutes / 60) % 24;
-    const mins = minutes % 60;
-    return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-  };
-
-  // Process each day independently
-  for (let dayIndex = 0; dayIndex < daysOfWeek.length; dayIndex++) {
-    const day = daysOfWeek[dayIndex];
-    console.log(`\n=== Processing ${day.toUpperCase()} ===`);
-
-    // Reset daily assignments to prevent double-booking on same day
-    const dailyAssignedEmployees = new Set();
-
-    // Get all shift requirements for this day
-    const dayRequirements = [];
-    for (const requirement of shiftRequirements) {
-      const daySlots = requirement[day] || [];
-      daySlots.forEach(slot => {
-        dayRequirements.push({
-          ...slot,
-          departmentId: requirement.departmentId,
-          day: day
-        });
-      });
-    }
-
-    if (dayRequirements.length === 0) {
-      console.log(`No shift requirements for ${day}`);
-      continue;
-    }
-
-    // Sort requirements by start time to process in chronological order
-    dayRequirements.sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
-
-    console.log(`Found ${dayRequirements.length} shift requirements for ${day}:`);
-    dayRequirements.forEach((req, i) => {
-      console.log(`  ${i + 1}. ${req.startTime}-${req.endTime} (${req.minEmployees} employees needed)`);
-    });
-
-    // Process each shift requirement
-    for (let reqIndex = 0; reqIndex < dayRequirements.length; reqIndex++) {
-      const shiftReq = dayRequirements[reqIndex];
-      console.log(`\nProcessing shift ${reqIndex + 1}: ${shiftReq.startTime}-${shiftReq.endTime}`);
-
-      const reqStartMinutes = timeToMinutes(shiftReq.startTime);
-      let reqEndMinutes = timeToMinutes(shiftReq.endTime);
-      
-      // Handle overnight shifts (end time before start time)
-      if (reqEndMinutes <= reqStartMinutes) {
-        reqEndMinutes += 24 * 60; // Add 24 hours
-      }
-
-      const shiftDurationMinutes = reqEndMinutes - reqStartMinutes;
-      const shiftDurationHours = shiftDurationMinutes / 60;
-
-      console.log(`Shift details: ${shiftDurationHours} hours (${reqStartMinutes}-${reqEndMinutes} minutes)`);
-
-      // Find ALL employees available for this specific shift
-      const availableEmployees = [];
-
-      for (const avail of availabilities) {
-        const employeeId = avail.employeeId._id.toString();
-        
-        // Skip if employee already assigned today
-        if (dailyAssignedEmployees.has(employeeId)) {
-          console.log(`Skipping ${avail.employeeId.name}: already assigned today`);
-          continue;
-        }
-
-        const dayAvailability = avail.days[day];
-        if (!dayAvailability || !dayAvailability.available) {
-          console.log(`Skipping ${avail.employeeId.name}: not available on ${day}`);
-          continue;
-        }
-
-        console.log(`Checking ${avail.employeeId.name} for ${day}`);
-
-        // Check each availability slot for this employee
-        for (const availSlot of dayAvailability.slots) {
-          const availStartMinutes = timeToMinutes(availSlot.startTime);
-          let availEndMinutes = timeToMinutes(availSlot.endTime);
-          
-          // Handle overnight availability
-          if (availEndMinutes <= availStartMinutes) {
-            availEndMinutes += 24 * 60;
-          }
-
-          console.log(`  Availability slot: ${availSlot.startTime}-${availSlot.endTime} (${availStartMinutes}-${availEndMinutes})`);
-
-          // Calculate overlap between requirement and availability
-          const overlapStart = Math.max(reqStartMinutes, availStartMinutes);
-          const overlapEnd = Math.min(reqEndMinutes, availEndMinutes);
-
-          if (overlapStart < overlapEnd) {
-            const overlapMinutes = overlapEnd - overlapStart;
-            const overlapHours = overlapMinutes / 60;
-            const coveragePercentage = (overlapMinutes / shiftDurationMinutes) * 100;
-
-            console.log(`    Overlap: ${overlapMinutes} minutes (${coveragePercentage.toFixed(1)}% coverage)`);
-
-            // Accept any meaningful overlap (even partial coverage)
-            if (overlapMinutes >= 30) { // At least 30 minutes
-              const currentHours = employeeHours[employeeId] || 0;
-              
-              availableEmployees.push({
-                employeeId,
-                employee: avail.employeeId,
-                overlapStart,
-                overlapEnd,
-                overlapMinutes,
-                overlapHours,
-                coveragePercentage,
-                currentHours,
-                preference: availSlot.preference || 0,
-                actualStartTime: minutesToTime(overlapStart),
-                actualEndTime: minutesToTime(overlapEnd % (24 * 60)),
-                durationHours: overlapHours,
-                isExactMatch: coveragePercentage >= 95
-              });
-
-              console.log(`    Added candidate: ${avail.employeeId.name} ${minutesToTime(overlapStart)}-${minutesToTime(overlapEnd % (24 * 60))} (${overlapHours.toFixed(2)}h)`);
-            } else {
-              console.log(`    Overlap too small: ${overlapMinutes} minutes`);
-            }
-          } else {
-            console.log(`    No overlap: req(${reqStartMinutes}-${reqEndMinutes}) vs avail(${availStartMinutes}-${availEndMinutes})`);
-          }
-        }
-      }
-
-      console.log(`Found ${availableEmployees.length} available employees for this shift`);
-
-      if (availableEmployees.length === 0) {
-        console.warn(`No employees available for ${day} ${shiftReq.startTime}-${shiftReq.endTime}`);
-        continue;
-      }
-
-      // Sort employees by priority:
-      // 1. Exact matches first (95%+ coverage)
-      // 2. Higher coverage percentage
-      // 3. Lower current hours (fairness)
-      // 4. Higher preference
-      availableEmployees.sort((a, b) => {
-        // Exact matches get highest priority
-        if (a.isExactMatch && !b.isExactMatch) return -1;
-        if (!a.isExactMatch && b.isExactMatch) return 1;
-        
-        // Then by coverage percentage
-        const coverageDiff = b.coveragePercentage - a.coveragePercentage;
-        if (Math.abs(coverageDiff) > 5) return coverageDiff;
-        
-        // Then by fairness (fewer hours is better)
-        const hoursDiff = a.currentHours - b.currentHours;
-        if (Math.abs(hoursDiff) > 1) return hoursDiff;
-        
-        // Finally by preference
-        return b.preference - a.preference;
-      });
-
-      console.log('Ranked candidates:');
-      availableEmployees.slice(0, 5).forEach((emp, i) => {
-        console.log(`  ${i + 1}. ${emp.employee.name}: ${emp.actualStartTime}-${emp.actualEndTime} (${emp.coveragePercentage.toFixed(1)}%, ${emp.currentHours}h current)`);
-      });
-
-      // Assign employees to this shift
-      const assignmentsNeeded = shiftReq.minEmployees;
-      const assignments = [];
-
-      // Strategy 1: If we have exact matches, use them first
-      const exactMatches = availableEmployees.filter(emp => emp.isExactMatch);
-      if (exactMatches.length > 0) {
-        console.log(`Using ${Math.min(assignmentsNeeded, exactMatches.length)} exact matches`);
-        for (let i = 0; i < Math.min(assignmentsNeeded, exactMatches.length); i++) {
-          assignments.push(exactMatches[i]);
-        }
-      } else {
-        // Strategy 2: Use best available employees up to the required number
-        console.log(`No exact matches, using top ${Math.min(assignmentsNeeded, availableEmployees.length)} candidates`);
-        for (let i = 0; i < Math.min(assignmentsNeeded, availableEmployees.length); i++) {
-          assignments.push(availableEmployees[i]);
-        }
-      }
-
-      // Create and save shift records
-      for (const assignment of assignments) {
-        const employeeIdStr = assignment.employeeId;
-        
-        const shift = new ShiftSchedule({
-          employeeId: assignment.employeeId,
-          companyId,
-          departmentId: shiftReq.departmentId,
-          weekStartDate: startDate,
-          day,
-          startTime: assignment.actualStartTime,
-          endTime: assignment.actualEndTime,
-          durationHours: assignment荣誉Hours
-        });
-
-        console.log(`Creating shift: ${assignment.employee.name} ${assignment.actualStartTime}-${assignment.actualEndTime} (${assignment.durationHours.toFixed(2)}h)`);
-        
-        try {
-          await shift.save();
-          shifts.push(shift);
-
-          // Update tracking
-          employeeHours[employeeIdStr] = (employeeHours[employeeIdStr] || 0) + assignment.durationHours;
-          dailyAssignedEmployees.add(employeeIdStr);
-
-          if (!employeeAssignments[employeeIdStr]) {
-            employeeAssignments[employeeIdStr] = {
-              employee: assignment.employee,
-              shifts: []
-            };
-          }
-          employeeAssignments[employeeIdStr].shifts.push(shift);
-
-          console.log(`✓ Saved shift for ${assignment.employee.name}`);
-        } catch (error) {
-          console.error(`Failed to save shift for ${assignment.employee.name}:`, error);
-        }
-      }
-
-      console.log(`Assigned ${assignments.length}/${assignmentsNeeded} employees to this shift`);
-    }
-  }
-
-  console.log('\n=== Scheduling Summary ===');
-  console.log(`Total shifts created: ${shifts.length}`);
-  console.log(`Employees with assignments: ${Object.keys(employeeAssignments).length}`);
-  
-  // Log employee hour distribution
-  console.log('\nEmployee Hours:');
-  Object.entries(employeeHours).forEach(([empId, hours]) => {
-    const empName = employeeAssignments[empId]?.employee?.name || 'Unknown';
-    console.log(`  ${empName}: ${hours.toFixed(2)} hours`);
-  });
-
-  return {
-    shifts,
-    employeeHours,
-    employeeAssignments
-  };
-};
-
 const router = express.Router();
 
+const MAX_SCHEDULE_WEEKS = 12; // Longest horizon one auto-schedule run may generate
+
 router.use((req, res, next) => {
   if (mongoose.connection.readyState !== 1) {
     console.error('Database not connected. Current state:', mongoose.connection.readyState);
@@ -496,6 +264,12 @@ router.post('/', verifyUser, async (req, res) => {
           console.log(`Validation failed: Invalid shiftType in ${day}`);
           return res.status(400).json({ message: `Shift type must be "Day" or "Night" in ${day}.` });
         }
+        const preference = normalizeSlotPreference(slot.preference);
+        if (preference === null) {
+          console.log(`Validation failed: Invalid preference in ${day}`);
+          return res.status(400).json({ message: `Preference must be "preferred", "neutral" or "only_if_needed" in ${day}.` });
+        }
+        slot.preference = preference;
         const startDayIdx = daysOfWeekIndices[slot.startDay];
         const endDayIdx = daysOfWeekIndices[slot.endDay];
         const startMinutes = parseInt(slot.startTime.split(':')[0]) * 60 + parseInt(slot.startTime.split(':')[1]);
@@ -1052,6 +826,12 @@ router.put('/:id', verifyUser, async (req, res) => {
               console.log(`Validation failed: Invalid shiftType in ${day}`);
               return res.status(400).json({ message: `Shift type must be "Day" or "Night" in ${day}.` });
             }
+            const preference = normalizeSlotPreference(slot.preference);
+            if (preference === null) {
+              console.log(`Validation failed: Invalid preference in ${day}`);
+              return res.status(400).json({ message: `Preference must be "preferred", "neutral" or "only_if_needed" in ${day}.` });
+            }
+            slot.preference = preference;
             const startDayIdx = daysOfWeekIndices[slot.startDay];
             const endDayIdx = daysOfWeekIndices[slot.endDay];
             const startMinutes = parseInt(slot.startTime.split(':')[0]) * 60 + parseInt(slot.startTime.split(':')[1]);
@@ -1286,6 +1066,52 @@ router.get('/history/:companyId', verifyUser, authorizeRoles(['Manager']), async
     return res.status(500).json({ message: 'Failed to fetch availability history.', error: error.message });
   }
 });
+// Actual labor cost of a week's published shifts against each department's budget
+const weeklyLaborCost = async (companyId, departmentId, weekStartDate) => {
+  const shifts = await ShiftSchedule.find({
+    companyId,
+    weekStartDate,
+    ...(departmentId && { departmentId }),
+    ...PUBLISHED_SHIFT_FILTER
+  }).lean();
+  const { calculator } = await loadLaborCostCalculator(companyId, [...new Set(shifts.map((shift) => shift.employeeId.toString()))]);
+
+  const departmentIds = departmentId
+    ? [departmentId.toString()]
+    : [...new Set([
+      ...shifts.map((shift) => shift.departmentId.toString()),
+      ...(await LaborBudget.find({ companyId, weekStartDate: { $in: [weekStartDate, null] } }).distinct('departmentId')).map(String)
+    ])];
+
+  const departments = [];
+  for (const deptId of departmentIds) {
+    const cost = calculator.calculate(shifts.filter((shift) => shift.departmentId.toString() === deptId));
+    departments.push({
+      departmentId: deptId,
+      ...compareWithBudget(cost, await loadLaborBudget(companyId, deptId, weekStartDate))
+    });
+  }
+
+  const actualCost = Number(departments.reduce((sum, dept) => sum + dept.totalCost, 0).toFixed(2));
+  // The variance only compares departments that have a budget; spend elsewhere is reported as unbudgeted
+  const budgeted = departments.filter((dept) => dept.budget !== null);
+  const budget = budgeted.length > 0 ? budgeted.reduce((sum, dept) => sum + dept.budget, 0) : null;
+  const budgetedCost = Number(budgeted.reduce((sum, dept) => sum + dept.totalCost, 0).toFixed(2));
+  return {
+    weekStartDate,
+    actualCost,
+    budget,
+    budgetedCost,
+    unbudgetedCost: Number((actualCost - budgetedCost).toFixed(2)),
+    variance: budget !== null ? Number((budget - budgetedCost).toFixed(2)) : null,
+    overBudget: departments.some((dept) => dept.overBudget),
+    totalHours: Number(departments.reduce((sum, dept) => sum + dept.totalHours, 0).toFixed(2)),
+    overtimeHours: Number(departments.reduce((sum, dept) => sum + dept.overtimeHours, 0).toFixed(2)),
+    missingRates: [...new Set(departments.flatMap((dept) => dept.missingRates))],
+    departments: departments.map(({ byEmployee, settings, ...dept }) => dept)
+  };
+};
+
 //fetching analytics
 router.get('/analytics/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
   try {
@@ -1479,10 +1305,59 @@ router.get('/analytics/:companyId', verifyUser, authorizeRoles(['Manager']), asy
       });
     });
 
+    // Skill positions required by the shift requirements vs. published shifts staffing them, per skill and day
+    let skillCoverage;
+    if (weekStartDate) {
+      const weekStart = dayjs.utc(weekStartDate, 'YYYY-MM-DD').startOf('day');
+      const scope = { companyId, ...(departmentId && { departmentId }) };
+      const requirements = await ShiftRequirement.find(scope).lean();
+      const skillShifts = await ShiftSchedule.find({
+        ...scope,
+        weekStartDate: weekStart.toDate(),
+        skillId: { $ne: null },
+        ...PUBLISHED_SHIFT_FILTER
+      }).select('day skillId').lean();
+      const skills = await Skill.find({ companyId }).lean();
+      const employees = await Employee.find({ companyId, ...(departmentId && { department: departmentId }) }).select('skills').lean();
+
+      skillCoverage = skills.map((skill) => {
+        const skillIdStr = skill._id.toString();
+        const byDay = {};
+        Object.keys(days).forEach((day) => {
+          const required = requirements.reduce((sum, requirement) => sum + (requirement[day] || []).reduce((daySum, slot) =>
+            daySum + (slot.skillRequirements || [])
+              .filter((requirementSkill) => requirementSkill.skillId.toString() === skillIdStr)
+              .reduce((count, requirementSkill) => count + requirementSkill.count, 0), 0), 0);
+          const scheduled = skillShifts.filter((shift) => shift.day === day && shift.skillId.toString() === skillIdStr).length;
+          byDay[day] = { required, scheduled, gap: Math.max(0, required - scheduled) };
+        });
+        const totals = Object.values(byDay).reduce((acc, entry) => ({
+          required: acc.required + entry.required,
+          scheduled: acc.scheduled + entry.scheduled,
+          gap: acc.gap + entry.gap
+        }), { required: 0, scheduled: 0, gap: 0 });
+
+        return {
+          skillId: skill._id,
+          name: skill.name,
+          category: skill.category,
+          ...totals,
+          certifiedEmployees: employees.filter((employee) => holdsSkill(employee.skills, skillIdStr, weekStart.toDate())).length,
+          byDay
+        };
+      }).filter((entry) => entry.required > 0 || entry.scheduled > 0);
+    }
+
+    const laborCost = weekStartDate
+      ? await weeklyLaborCost(companyId, departmentId, dayjs.utc(weekStartDate, 'YYYY-MM-DD').startOf('day').toDate())
+      : undefined;
+
     return res.status(200).json({
       totalEmployees: totalEmployees.size,
       totalHours,
       days,
+      skillCoverage,
+      laborCost,
       warnings: warnings.length > 0 ? {
         message: 'Some availabilities may not match the requested date or were skipped due to missing employee data.',
         details: warnings,
@@ -1496,6 +1371,62 @@ router.get('/analytics/:companyId', verifyUser, authorizeRoles(['Manager']), asy
     });
   }
 });
+
+// GET /analytics/:companyId/labor-cost - Actual (published) vs. budgeted labor cost per week
+// Query: weekStartDate (Sunday, defaults to the current week), weeks (default 1), departmentId (optional)
+router.get('/analytics/:companyId/labor-cost', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { weekStartDate, departmentId } = req.query;
+    const weeks = req.query.weeks !== undefined ? parseInt(req.query.weeks) : 1;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      console.log('Validation failed: Invalid companyId');
+      return res.status(400).json({ message: 'Invalid companyId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to view labor cost for this company.' });
+    }
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      console.log('Validation failed: Invalid departmentId');
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+    if (isNaN(weeks) || weeks < 1 || weeks > MAX_SCHEDULE_WEEKS) {
+      return res.status(400).json({ message: `weeks must be a whole number from 1 to ${MAX_SCHEDULE_WEEKS}.` });
+    }
+
+    const today = dayjs().utc().startOf('day');
+    const start = weekStartDate ? dayjs.utc(weekStartDate, 'YYYY-MM-DD').startOf('day') : today.subtract(today.day(), 'day');
+    if (!start.isValid() || start.day() !== 0) {
+      return res.status(400).json({ message: 'weekStartDate must be a Sunday.' });
+    }
+
+    const weekly = [];
+    for (let index = 0; index < weeks; index++) {
+      weekly.push(await weeklyLaborCost(companyId, departmentId, start.add(index * 7, 'day').toDate()));
+    }
+
+    const actualCost = Number(weekly.reduce((sum, week) => sum + week.actualCost, 0).toFixed(2));
+    const budgetedWeeks = weekly.filter((week) => week.budget !== null);
+    const budget = budgetedWeeks.length > 0 ? budgetedWeeks.reduce((sum, week) => sum + week.budget, 0) : null;
+    const budgetedCost = Number(budgetedWeeks.reduce((sum, week) => sum + week.budgetedCost, 0).toFixed(2));
+
+    return res.status(200).json({
+      weeks: weekly,
+      totals: {
+        actualCost,
+        budget,
+        budgetedCost,
+        unbudgetedCost: Number((actualCost - budgetedCost).toFixed(2)),
+        variance: budget !== null ? Number((budget - budgetedCost).toFixed(2)) : null,
+        weeksOverBudget: weekly.filter((week) => week.overBudget).length
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching labor cost analytics:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch labor cost analytics.', error: error.message });
+  }
+});
 //POST /api/availability/shift-requirements
 router.post('/shift-requirements', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
   try {
@@ -1556,6 +1487,16 @@ router.post('/shift-requirements', verifyUser, authorizeRoles(['Manager']), asyn
           console.log(`Validation failed: Invalid minEmployees in ${day}`);
           return res.status(400).json({ message: `Minimum employees must be at least 1 in ${day}.` });
         }
+        const skillError = await normalizeSlotSkillRequirements(companyId, slot);
+        if (skillError) {
+          console.log(`Validation failed: Invalid skill requirements in ${day}`);
+          return res.status(400).json({ message: `${skillError} (${day})` });
+        }
+        const locationError = await normalizeSlotLocation(companyId, slot);
+        if (locationError) {
+          console.log(`Validation failed: Invalid location in ${day}`);
+          return res.status(400).json({ message: `${locationError} (${day})` });
+        }
       }
 
       // Check for overlaps within the day's slots
@@ -1708,6 +1649,16 @@ router.put('/shift-requirements/:companyId/:departmentId/add-slot', verifyUser,
       console.log('Validation failed: Invalid minEmployees');
       return res.status(400).json({ message: 'Minimum employees must be at least 1.' });
     }
+    const skillError = await normalizeSlotSkillRequirements(companyId, slot);
+    if (skillError) {
+      console.log('Validation failed: Invalid skill requirements');
+      return res.status(400).json({ message: skillError });
+    }
+    const locationError = await normalizeSlotLocation(companyId, slot);
+    if (locationError) {
+      console.log('Validation failed: Invalid location');
+      return res.status(400).json({ message: locationError });
+    }
 
     const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
     const daysOfWeekIndices = daysOfWeek.reduce((acc, d, idx) => {
@@ -1862,6 +1813,16 @@ router.put('/shift-requirements/:companyId/:departmentId/edit-slot', verifyUser,
       console.log('Validation failed: Invalid minEmployees');
       return res.status(400).json({ message: 'Minimum employees must be at least 1.' });
     }
+    const skillError = await normalizeSlotSkillRequirements(companyId, slot);
+    if (skillError) {
+      console.log('Validation failed: Invalid skill requirements');
+      return res.status(400).json({ message: skillError });
+    }
+    const locationError = await normalizeSlotLocation(companyId, slot);
+    if (locationError) {
+      console.log('Validation failed: Invalid location');
+      return res.status(400).json({ message: locationError });
+    }
 
     const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
     const daysOfWeekIndices = daysOfWeek.reduce((acc, d, idx) => {
@@ -2013,6 +1974,16 @@ router.put('/shift-requirements/:companyId/:departmentId/edit-slot', verifyUser,
       console.log('Validation failed: Invalid minEmployees');
       return res.status(400).json({ message: 'Minimum employees must be at least 1.' });
     }
+    const skillError = await normalizeSlotSkillRequirements(companyId, slot);
+    if (skillError) {
+      console.log('Validation failed: Invalid skill requirements');
+      return res.status(400).json({ message: skillError });
+    }
+    const locationError = await normalizeSlotLocation(companyId, slot);
+    if (locationError) {
+      console.log('Validation failed: Invalid location');
+      return res.status(400).json({ message: locationError });
+    }
 
     const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
     const daysOfWeekIndices = daysOfWeek.reduce((acc, d, idx) => {
@@ -2150,15 +2121,185 @@ router.get('/shift-requirements/:companyId', verifyUser, authorizeRoles(['Manage
   }
 });
 
+// Employees without a submission for the week fall back to their latest earlier submission when it is recurring.
+// The projection is only used for scheduling and is not saved.
+const projectRecurringAvailabilities = async (companyId, weekStartDate, submitted) => {
+  const submittedIds = submitted.map((avail) => avail.employeeId?._id || avail.employeeId);
+  const latestEarlier = await Availability.aggregate([
+    { $match: { companyId: new mongoose.Types.ObjectId(companyId), weekStartDate: { $lt: weekStartDate }, employeeId: { $nin: submittedIds } } },
+    { $sort: { weekStartDate: -1 } },
+    { $group: { _id: '$employeeId', availabilityId: { $first: '$_id' }, isRecurring: { $first: '$isRecurring' } } },
+    { $match: { isRecurring: true } }
+  ]);
+  if (latestEarlier.length === 0) return [];
+
+  const templates = await Availability.find({ _id: { $in: latestEarlier.map((entry) => entry.availabilityId) } })
+    .populate({ path: 'employeeId', select: 'name email role' })
+    .lean();
+
+  console.log(`Projected recurring availability for ${templates.length} employees into week ${dayjs.utc(weekStartDate).format('YYYY-MM-DD')}`);
+  return templates.map(({ _id, ...template }) => ({
+    ...template,
+    weekStartDate,
+    weekEndDate: dayjs.utc(weekStartDate).add(6, 'day').toDate(),
+    projectedFrom: _id
+  }));
+};
+
+// Requirements and department availabilities for one week; `error` is set when there is nothing to schedule
+// (requirements are still returned when only availability is missing)
+const loadSchedulingInputs = async (companyId, departmentId, weekStartDate) => {
+  const shiftRequirements = await ShiftRequirement.find({ companyId, departmentId }).lean();
+  if (!shiftRequirements || shiftRequirements.length === 0) {
+    return { error: 'No shift requirements found.' };
+  }
+
+  // Validate shift requirements have actual slots
+  const hasValidSlots = shiftRequirements.some(req =>
+    ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+      .some(day => req[day] && req[day].length > 0)
+  );
+  if (!hasValidSlots) {
+    return { error: 'No time slots defined in shift requirements.' };
+  }
+
+  const availabilities = await Availability.find({
+    companyId,
+    weekStartDate,
+  }).populate({
+    path: 'employeeId',
+    select: 'name email role',
+  }).lean();
+  availabilities.push(...await projectRecurringAvailabilities(companyId, weekStartDate, availabilities));
+
+  if (!availabilities || availabilities.length === 0) {
+    return { error: 'No employee availabilities found.', shiftRequirements, availabilities: [] };
+  }
+
+  // Filter by department
+  const validAvailabilities = [];
+  for (const avail of availabilities) {
+    if (avail.employeeId && avail.employeeId._id) {
+      const employeeDetails = await Employee.findOne({ userId: avail.employeeId._id }).select('department').lean();
+      if (employeeDetails && employeeDetails.department && employeeDetails.department.toString() === departmentId.toString()) {
+        avail.employeeId.departmentId = employeeDetails.department;
+        validAvailabilities.push(avail);
+      }
+    }
+  }
+
+  if (validAvailabilities.length === 0) {
+    return { error: 'No employees from this department have submitted availability.', shiftRequirements, availabilities: [] };
+  }
+
+  return { shiftRequirements, availabilities: validAvailabilities };
+};
+
+// Run the constraint solver for one department-week under the department's work rules, filling only the demand
+// that the week's pinned shifts (and the not yet saved `rotationShifts`) leave open. In a multi-week run
+// `carryOver` holds the earlier weeks' generated shifts and totals so rest rules and fairness span the whole horizon.
+// Pinned and rotation shifts of `excludedEmployeeIds` are left out, as a simulation without those employees needs.
+const solveDepartmentWeek = async (companyId, departmentId, weekStartDate, shiftRequirements, availabilities, carryOver = {}, rotationShifts = [], excludedEmployeeIds = []) => {
+  // Work rules for the department, plus each employee's shifts around this week for rest / consecutive-day checks
+  const { validator: workRules, source: workRulesSource } = await loadWorkRules(companyId, departmentId);
+  const surroundingShifts = await findShiftsAroundWeek(
+    availabilities.map((avail) => avail.employeeId._id),
+    weekStartDate,
+    [],
+    outsideWeekFilter(departmentId, weekStartDate)
+  );
+  // Earlier weeks of this run replace their published shifts once published
+  const generatedWeeks = new Set((carryOver.shifts || []).map((shift) => new Date(shift.weekStartDate).getTime()));
+  const existingShifts = [
+    ...surroundingShifts.filter((shift) =>
+      !(shift.departmentId?.toString() === departmentId.toString() && generatedWeeks.has(new Date(shift.weekStartDate).getTime()))
+    ),
+    ...(carryOver.shifts || [])
+  ];
+  console.log(`Applying ${workRulesSource} work rules:`, workRules.rules);
+
+  const excluded = new Set(excludedEmployeeIds.map(String));
+  const pinnedShifts = [
+    ...await ShiftSchedule.find({
+      companyId,
+      departmentId,
+      weekStartDate,
+      pinned: true,
+      ...PUBLISHED_SHIFT_FILTER
+    }).lean(),
+    ...rotationShifts
+  ].filter((shift) => !excluded.has(shift.employeeId.toString()));
+  console.log(`Scheduling around ${pinnedShifts.length} pinned shifts`);
+
+  // Skill holders for skill positions in the requirements
+  const employeeSkills = await loadEmployeeSkills([
+    ...availabilities.map((avail) => avail.employeeId._id),
+    ...pinnedShifts.map((shift) => shift.employeeId)
+  ]);
+  const requiredSkillIds = shiftRequirements.flatMap((requirement) =>
+    ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+      .flatMap((day) => (requirement[day] || []).flatMap((slot) => (slot.skillRequirements || []).map((skill) => skill.skillId)))
+  );
+  const skills = requiredSkillIds.length > 0 ? await Skill.find({ _id: { $in: requiredSkillIds } }).select('name').lean() : [];
+  const skillNames = Object.fromEntries(skills.map((skill) => [skill._id.toString(), skill.name]));
+
+  // Hourly rates and pay settings; cost only breaks ties between otherwise equal candidates when the company asks for it
+  const { calculator: laborCostCalculator, preferLowerCost } = await loadLaborCostCalculator(companyId, [
+    ...availabilities.map((avail) => avail.employeeId._id),
+    ...pinnedShifts.map((shift) => shift.employeeId)
+  ]);
+
+  // Constraint-based solver: maximizes coverage under availability and work rules while balancing hours
+  const solver = new ScheduleSolver({ rules: workRules, weights: preferLowerCost ? { cost: 0.001 } : {} });
+  const solution = solver.solve(shiftRequirements, availabilities, {
+    companyId,
+    weekStartDate,
+    existingShifts,
+    pinnedShifts,
+    carryOver,
+    employeeSkills,
+    skillNames,
+    hourlyRates: laborCostCalculator.ratesByEmployee,
+  });
+  console.log('Solver objective:', solution.objective);
+
+  // Projected cost of the week (pinned + generated shifts) against the department's budget
+  const laborCost = compareWithBudget(
+    laborCostCalculator.calculate([...solution.pinnedShifts, ...solution.shifts]),
+    await loadLaborBudget(companyId, departmentId, weekStartDate)
+  );
+  if (laborCost.warning) console.log('Labor budget warning:', laborCost.warning);
+
+  return { solution, workRules, workRulesSource, laborCost };
+};
+
+const calculateFairnessMetrics = (shifts) => {
+  const employeeHours = {};
+  shifts.forEach((shift) => {
+    const employeeIdStr = (shift.employeeId?._id || shift.employeeId).toString();
+    employeeHours[employeeIdStr] = (employeeHours[employeeIdStr] || 0) + shift.durationHours;
+  });
+  const totalHours = Object.values(employeeHours).reduce((sum, hours) => sum + hours, 0);
+  const employeesAssigned = Object.keys(employeeHours).length;
+
+  return {
+    totalHours,
+    shiftsAssigned: shifts.length,
+    employeesAssigned,
+    averageHoursPerEmployee: employeesAssigned > 0 ? totalHours / employeesAssigned : 0,
+    hourDistribution: employeeHours
+  };
+};
+
 //auto-schedule:
 // Complete Integration - Enhanced Auto-Schedule System
 //auto-schedule:
 router.post('/auto-schedule/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
   try {
     const { companyId } = req.params;
-    const { startDate, endDate, departmentId } = req.body;
+    const { startDate, endDate, departmentId, weeks } = req.body;
     
-    console.log('Auto-schedule request:', { companyId, startDate, endDate, departmentId });
+    console.log('Auto-schedule request:', { companyId, startDate, endDate, departmentId, weeks });
 
     // Basic validation
     if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
@@ -2167,12 +2308,20 @@ router.post('/auto-schedule/:companyId', verifyUser, authorizeRoles(['Manager'])
     if (!departmentId || !mongoose.Types.ObjectId.isValid(departmentId)) {
       return res.status(400).json({ message: 'Invalid departmentId.' });
     }
+    if (weeks !== undefined && (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_SCHEDULE_WEEKS)) {
+      return res.status(400).json({ message: `weeks must be a whole number from 1 to ${MAX_SCHEDULE_WEEKS}.` });
+    }
 
+    // Either an explicit Sunday-to-Saturday range covering whole weeks, or a start Sunday plus a number of weeks
     const start = dayjs.utc(startDate).startOf('day');
-    const end = dayjs.utc(endDate).startOf('day');
+    const end = weeks !== undefined ? start.add(weeks * 7 - 1, 'day') : dayjs.utc(endDate).startOf('day');
 
-    if (start.day() !== 0 || end.day() !== 6 || end.diff(start, 'day') !== 6) {
-      return res.status(400).json({ message: 'Date range must be from Sunday to Saturday.' });
+    if (start.day() !== 0 || end.day() !== 6 || end.diff(start, 'day') < 6 || (end.diff(start, 'day') + 1) % 7 !== 0) {
+      return res.status(400).json({ message: 'Date range must run from a Sunday to a Saturday and cover whole weeks.' });
+    }
+    const weekCount = (end.diff(start, 'day') + 1) / 7;
+    if (weekCount > MAX_SCHEDULE_WEEKS) {
+      return res.status(400).json({ message: `At most ${MAX_SCHEDULE_WEEKS} weeks can be generated in one run.` });
     }
 
     // Add validation for startDate to prevent scheduling before the current week
@@ -2188,332 +2337,240 @@ router.post('/auto-schedule/:companyId', verifyUser, authorizeRoles(['Manager'])
       return res.status(400).json({ message: 'Department not found.' });
     }
 
-    // Check for existing shifts
-    const existingShifts = await ShiftSchedule.find({
-      companyId,
-      weekStartDate: start.toDate(),
-      departmentId,
-    }).lean();
-
-    if (existingShifts.length > 0) {
-      return res.status(400).json({ 
-        message: 'Schedule already exists. Delete existing shifts first.',
-        existingShiftsCount: existingShifts.length
-      });
-    }
-
-    // Get shift requirements
-    const shiftRequirements = await ShiftRequirement.find({ companyId, departmentId }).lean();
-    if (!shiftRequirements || shiftRequirements.length === 0) {
-      return res.status(400).json({ message: 'No shift requirements found.' });
-    }
-
-    // Validate shift requirements have actual slots
-    const hasValidSlots = shiftRequirements.some(req => 
-      ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
-        .some(day => req[day] && req[day].length > 0)
-    );
+    const weekStarts = Array.from({ length: weekCount }, (_, index) => start.add(index * 7, 'day'));
 
-    if (!hasValidSlots) {
-      return res.status(400).json({ message: 'No time slots defined in shift requirements.' });
+    // Only one draft per department and week; the published schedule stays live until the new draft is published
+    for (const weekStart of weekStarts) {
+      const existingDraft = await findDraftVersion(companyId, departmentId, weekStart.toDate());
+      if (existingDraft) {
+        return res.status(400).json({
+          message: `A draft schedule already exists for the week of ${weekStart.format('YYYY-MM-DD')}. Publish or discard it first.`,
+          scheduleVersionId: existingDraft._id
+        });
+      }
     }
 
-    // Get availabilities
-    let availabilities = await Availability.find({
-      companyId,
-      weekStartDate: start.toDate(),
-    }).populate({
-      path: 'employeeId',
-      select: 'name email role',
-    }).lean();
+    // Hours, weekend shifts and generated shifts carried from week to week so fairness spans the whole run
+    const carryOver = { hoursByEmployee: {}, weekendShiftsByEmployee: {}, shifts: [] };
+    const weekResults = [];
+    const scheduleVersions = [];
+    const shifts = [];
+    const proposedShifts = []; // Solver output across all weeks, for cumulative preference satisfaction
+    let workRulesInfo = null;
 
-    if (!availabilities || availabilities.length === 0) {
-      return res.status(400).json({ message: 'No employee availabilities found.' });
-    }
+    for (const weekStart of weekStarts) {
+      const weekLabel = weekStart.format('YYYY-MM-DD');
+      console.log(`\n=== Scheduling week of ${weekLabel} ===`);
 
-    // Filter by department
-    const validAvailabilities = [];
-    for (const avail of availabilities) {
-      if (avail.employeeId && avail.employeeId._id) {
-        const employeeDetails = await Employee.findOne({ userId: avail.employeeId._id }).select('department').lean();
-        if (employeeDetails && employeeDetails.department && employeeDetails.department.toString() === departmentId.toString()) {
-          avail.employeeId.departmentId = employeeDetails.department;
-          validAvailabilities.push(avail);
+      const inputs = await loadSchedulingInputs(companyId, departmentId, weekStart.toDate());
+      if (inputs.error) {
+        if (weekCount === 1) {
+          return res.status(400).json({ message: inputs.error });
         }
+        weekResults.push({ weekStartDate: weekStart.toDate(), skipped: true, reason: inputs.error });
+        continue;
       }
-    }
-
-    if (validAvailabilities.length === 0) {
-      return res.status(400).json({ message: 'No employees from this department have submitted availability.' });
-    }
-
-    console.log(`Processing ${validAvailabilities.length} employees`);
-
-    // Enhanced scheduling algorithm
-    const shifts = [];
-    const employeeHours = {};
-    const employeeAssignments = {};
-    const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+      const { shiftRequirements, availabilities: validAvailabilities } = inputs;
 
-    // Helper functions
-    const timeToMinutes = (timeStr) => {
-      const [hours, minutes] = timeStr.split(':').map(Number);
-      return hours * 60 + minutes;
-    };
+      // Rotation shifts are pinned into the draft, so the solver fills the remaining demand around them
+      const rotation = await planRotations({ companyId, departmentId, weekStartDate: weekStart.toDate() });
+      const rotationSummary = { created: rotation.shifts.length, kept: rotation.kept, skipped: rotation.skipped };
 
-    const minutesToTime = (minutes) => {
-      const hours = Math.floor(minutes / 60) % 24;
-      const mins = minutes % 60;
-      return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
-    };
+      console.log(`Processing ${validAvailabilities.length} employees`);
 
-    // Process each day
-    for (let dayIndex = 0; dayIndex < daysOfWeek.length; dayIndex++) {
-      const day = daysOfWeek[dayIndex];
-      console.log(`\n=== Processing ${day.toUpperCase()} ===`);
-
-      // Track employee assignments for this day (but allow multiple shifts)
-      const employeeShiftTimes = {}; // Track specific time slots to prevent exact duplicates
-
-      // Get shift requirements for this day
-      const dayRequirements = [];
-      for (const requirement of shiftRequirements) {
-        const daySlots = requirement[day] || [];
-        daySlots.forEach(slot => {
-          dayRequirements.push({
-            ...slot,
-            departmentId: requirement.departmentId,
-            day: day
+      const { solution, workRules, workRulesSource, laborCost } = await solveDepartmentWeek(
+        companyId,
+        departmentId,
+        weekStart.toDate(),
+        shiftRequirements,
+        validAvailabilities,
+        carryOver,
+        rotation.shifts
+      );
+      workRulesInfo = { source: workRulesSource, rules: workRules.rules };
+
+      if (solution.shifts.length === 0 && solution.pinnedShifts.length === 0) {
+        if (weekCount === 1) {
+          return res.status(400).json({
+            message: 'Unable to generate any shifts.',
+            unfilledRequirements: solution.unfilled,
+            unfilledExplanations: solution.unfilledExplanations,
+            recommendations: solution.recommendations
           });
+        }
+        weekResults.push({
+          weekStartDate: weekStart.toDate(),
+          skipped: true,
+          reason: 'Unable to generate any shifts.',
+          unfilledRequirements: solution.unfilled,
+          unfilledExplanations: solution.unfilledExplanations,
+          recommendations: solution.recommendations
         });
-      }
-
-      if (dayRequirements.length === 0) {
-        console.log(`No shift requirements for ${day}`);
         continue;
       }
 
-      // Sort by start time
-      dayRequirements.sort((a, b) => timeToMinutes(a.startTime) - timeToMinutes(b.startTime));
-
-      console.log(`Found ${dayRequirements.length} shift requirements for ${day}:`);
-      dayRequirements.forEach((req, i) => {
-        console.log(`  ${i + 1}. ${req.startTime}-${req.endTime} (${req.minEmployees} employees)`);
+      const scheduleVersion = await createDraftVersion({
+        companyId,
+        departmentId,
+        weekStartDate: weekStart.toDate(),
+        source: 'auto',
+        createdBy: req.user._id,
+        note: weekCount > 1 ? `Week ${weekResults.length + 1} of ${weekCount}` : ''
       });
 
-      // Process each shift requirement
-      for (const shiftReq of dayRequirements) {
-        console.log(`\nProcessing shift: ${shiftReq.startTime}-${shiftReq.endTime}`);
-
-        const reqStartMinutes = timeToMinutes(shiftReq.startTime);
-        let reqEndMinutes = timeToMinutes(shiftReq.endTime);
-        
-        // Handle overnight shifts
-        if (reqEndMinutes <= reqStartMinutes) {
-          reqEndMinutes += 24 * 60;
-        }
-
-        const shiftDurationMinutes = reqEndMinutes - reqStartMinutes;
-        const shiftDurationHours = shiftDurationMinutes / 60;
-
-        console.log(`Shift details: ${shiftDurationHours} hours (${reqStartMinutes}-${reqEndMinutes} minutes)`);
-
-        // Find available employees
-        const candidates = [];
-
-        for (const avail of validAvailabilities) {
-          const employeeId = avail.employeeId._id.toString();
-          
-          // Check if employee already has THIS EXACT shift time
-          const shiftKey = `${shiftReq.startTime}-${shiftReq.endTime}`;
-          if (employeeShiftTimes[employeeId]?.includes(shiftKey)) {
-            console.log(`Skipping ${avail.employeeId.name}: already has this exact shift time`);
-            continue;
-          }
-
-          const dayAvailability = avail.days[day];
-          if (!dayAvailability || !dayAvailability.available) {
-            console.log(`Skipping ${avail.employeeId.name}: not available on ${day}`);
-            continue;
-          }
+      // Pinned shifts carry over into the draft unchanged so publishing it keeps them; rotation shifts are new
+      const weekShifts = await ShiftSchedule.insertMany(
+        solution.pinnedShifts.map(({ _id, __v, requirementStartTime, requirementEndTime, ...shift }) => ({
+          ...shift,
+          sourceShiftId: _id || null,
+          status: 'draft',
+          scheduleVersionId: scheduleVersion._id
+        }))
+      );
 
-          console.log(`Checking ${avail.employeeId.name} for ${day} ${shiftReq.startTime}-${shiftReq.endTime}`);
+      for (const proposed of solution.shifts) {
+        try {
+          const shift = new ShiftSchedule({
+            employeeId: proposed.employeeId,
+            companyId,
+            departmentId: proposed.departmentId,
+            weekStartDate: weekStart.toDate(),
+            day: proposed.day,
+            startTime: proposed.startTime,
+            endTime: proposed.endTime,
+            durationHours: proposed.durationHours,
+            skillId: proposed.skillId,
+            locationId: proposed.locationId || null,
+            status: 'draft',
+            scheduleVersionId: scheduleVersion._id,
+            explanation: proposed.explanation
+          });
 
-          // Check each availability slot
-          for (const availSlot of dayAvailability.slots || []) {
-            const availStartMinutes = timeToMinutes(availSlot.startTime);
-            let availEndMinutes = timeToMinutes(availSlot.endTime);
-            
-            // Handle overnight availability
-            if (availEndMinutes <= availStartMinutes) {
-              availEndMinutes += 24 * 60;
-            }
+          await shift.save();
+          weekShifts.push(shift);
 
-            console.log(`  Available: ${availSlot.startTime}-${availSlot.endTime} (${availStartMinutes}-${availEndMinutes})`);
-            console.log(`  Required: ${shiftReq.startTime}-${shiftReq.endTime} (${reqStartMinutes}-${reqEndMinutes})`);
-
-            // Calculate overlap
-            const overlapStart = Math.max(reqStartMinutes, availStartMinutes);
-            const overlapEnd = Math.min(reqEndMinutes, availEndMinutes);
-
-            if (overlapStart < overlapEnd) {
-              const overlapMinutes = overlapEnd - overlapStart;
-              const overlapHours = overlapMinutes / 60;
-              const coveragePercentage = (overlapMinutes / shiftDurationMinutes) * 100;
-
-              console.log(`    Overlap: ${overlapMinutes} minutes (${coveragePercentage.toFixed(1)}% coverage)`);
-
-              // Accept meaningful overlap (at least 30 minutes)
-              if (overlapMinutes >= 30) {
-                const currentHours = employeeHours[employeeId] || 0;
-                
-                candidates.push({
-                  employeeId,
-                  employee: avail.employeeId,
-                  overlapStart,
-                  overlapEnd,
-                  overlapHours,
-                  coveragePercentage,
-                  currentHours,
-                  actualStartTime: minutesToTime(overlapStart),
-                  actualEndTime: minutesToTime(overlapEnd % (24 * 60)),
-                  isExactMatch: coveragePercentage >= 95,
-                  shiftKey
-                });
-
-                console.log(`    ✓ Added candidate: ${avail.employeeId.name} ${minutesToTime(overlapStart)}-${minutesToTime(overlapEnd % (24 * 60))} (${overlapHours.toFixed(2)}h, ${coveragePercentage.toFixed(1)}%)`);
-              } else {
-                console.log(`    ✗ Overlap too small: ${overlapMinutes} minutes`);
-              }
-            } else {
-              console.log(`    ✗ No overlap`);
-            }
-          }
+          console.log(`✓ ASSIGNED: ${proposed.employee.name} to ${proposed.day} ${proposed.startTime}-${proposed.endTime} (${proposed.durationHours.toFixed(2)}h)`);
+        } catch (error) {
+          console.error(`Failed to save shift for ${proposed.employee.name}:`, error);
         }
+      }
 
-        console.log(`Found ${candidates.length} candidates for ${day} ${shiftReq.startTime}-${shiftReq.endTime}`);
-
-        if (candidates.length === 0) {
-          console.warn(`No candidates available for ${day} ${shiftReq.startTime}-${shiftReq.endTime}`);
-          continue;
-        }
+      console.log(`Generated ${weekShifts.length} draft shifts in version ${scheduleVersion.version} (${solution.pinnedShifts.length} pinned)`);
 
-        // Sort candidates: exact matches first, then by coverage, then by fairness
-        candidates.sort((a, b) => {
-          // Exact matches get priority
-          if (a.isExactMatch && !b.isExactMatch) return -1;
-          if (!a.isExactMatch && b.isExactMatch) return 1;
-          
-          // Then by coverage percentage
-          const coverageDiff = b.coveragePercentage - a.coveragePercentage;
-          if (Math.abs(coverageDiff) > 5) return coverageDiff;
-          
-          // Then by fairness (fewer current hours is better)
-          const hoursDiff = a.currentHours - b.currentHours;
-          if (Math.abs(hoursDiff) > 1) return hoursDiff;
-          
-          return 0;
-        });
+      // Calculate metrics
+      const fairnessMetrics = calculateFairnessMetrics(weekShifts);
 
-        console.log(`Top candidates:`);
-        candidates.slice(0, 3).forEach((candidate, i) => {
-          console.log(`  ${i + 1}. ${candidate.employee.name}: ${candidate.actualStartTime}-${candidate.actualEndTime} (${candidate.coveragePercentage.toFixed(1)}%, ${candidate.currentHours}h current)`);
-        });
+      console.log('Final employee hours:', fairnessMetrics.hourDistribution);
+      console.log('Preference satisfaction:', solution.preferenceSatisfaction);
 
-        // Assign employees to this shift
-        const assignmentsNeeded = Math.min(shiftReq.minEmployees, candidates.length);
-        
-        for (let i = 0; i < assignmentsNeeded; i++) {
-          const assignment = candidates[i];
-          const employeeIdStr = assignment.employeeId;
-          
-          try {
-            const shift = new ShiftSchedule({
-              employeeId: assignment.employeeId,
-              companyId,
-              departmentId: shiftReq.departmentId,
-              weekStartDate: start.toDate(),
-              day,
-              startTime: assignment.actualStartTime,
-              endTime: assignment.actualEndTime,
-              durationHours: assignment.overlapHours
-            });
-
-            await shift.save();
-            shifts.push(shift);
-
-            // Update tracking
-            employeeHours[employeeIdStr] = (employeeHours[employeeIdStr] || 0) + assignment.overlapHours;
-            
-            // Track this specific shift time for this employee
-            if (!employeeShiftTimes[employeeIdStr]) {
-              employeeShiftTimes[employeeIdStr] = [];
-            }
-            employeeShiftTimes[employeeIdStr].push(assignment.shiftKey);
+      // Emails and notifications go out when the draft is published
+      scheduleVersion.summary = {
+        objective: solution.objective,
+        fairnessMetrics,
+        preferenceSatisfaction: solution.preferenceSatisfaction,
+        skillGaps: solution.skillGaps,
+        laborCost,
+        unfilledCount: solution.unfilled.length
+      };
+      scheduleVersion.unfilledExplanations = solution.unfilledExplanations;
+      await scheduleVersion.save();
 
-            if (!employeeAssignments[employeeIdStr]) {
-              employeeAssignments[employeeIdStr] = {
-                employee: assignment.employee,
-                shifts: []
-              };
-            }
-            employeeAssignments[employeeIdStr].shifts.push(shift);
+      // Unfilled positions become open shifts that go live when this draft is published
+      const openShifts = await createOpenShiftsFromGaps({
+        companyId,
+        departmentId,
+        weekStartDate: weekStart.toDate(),
+        scheduleVersionId: scheduleVersion._id,
+        gaps: solution.unfilledExplanations,
+        createdBy: req.user._id
+      });
+      if (openShifts.length > 0) console.log(`Created ${openShifts.length} open shifts for unfilled positions`);
 
-            console.log(`✓ ASSIGNED: ${assignment.employee.name} to ${assignment.actualStartTime}-${assignment.actualEndTime} (${assignment.overlapHours.toFixed(2)}h)`);
-            console.log(`  Total hours for ${assignment.employee.name}: ${employeeHours[employeeIdStr].toFixed(2)}h`);
-          } catch (error) {
-            console.error(`Failed to save shift for ${assignment.employee.name}:`, error);
-          }
+      weekShifts.forEach((shift) => {
+        const employeeIdStr = shift.employeeId.toString();
+        carryOver.hoursByEmployee[employeeIdStr] = (carryOver.hoursByEmployee[employeeIdStr] || 0) + shift.durationHours;
+        if (['saturday', 'sunday'].includes(shift.day)) {
+          carryOver.weekendShiftsByEmployee[employeeIdStr] = (carryOver.weekendShiftsByEmployee[employeeIdStr] || 0) + 1;
         }
+        carryOver.shifts.push(shift.toObject());
+      });
 
-        console.log(`Completed shift assignment: ${assignmentsNeeded} employees assigned`);
-      }
-
-      console.log(`\nCompleted ${day}. Employee hours so far:`);
-      Object.entries(employeeHours).forEach(([empId, hours]) => {
-        const empName = employeeAssignments[empId]?.employee?.name || 'Unknown';
-        console.log(`  ${empName}: ${hours.toFixed(2)}h`);
+      scheduleVersions.push(scheduleVersion);
+      shifts.push(...weekShifts);
+      proposedShifts.push(...solution.shifts);
+      weekResults.push({
+        weekStartDate: weekStart.toDate(),
+        scheduleVersion,
+        shiftCount: weekShifts.length,
+        pinnedShifts: solution.pinnedShifts.length,
+        rotationShifts: rotationSummary,
+        openShifts: openShifts.length,
+        fairnessMetrics,
+        weekendShiftsByEmployee: solution.weekendShiftsByEmployee,
+        preferenceSatisfaction: solution.preferenceSatisfaction,
+        objective: solution.objective,
+        unfilledRequirements: solution.unfilled,
+        unfilledExplanations: solution.unfilledExplanations,
+        skillGaps: solution.skillGaps,
+        laborCost,
+        recommendations: solution.recommendations,
+        ruleViolations: solution.conflicts.filter((conflict) => conflict.type === 'rule_violation')
       });
     }
 
-    console.log(`\n=== Final Summary ===`);
-    console.log(`Generated ${shifts.length} total shifts`);
-
-    if (shifts.length === 0) {
-      return res.status(400).json({ message: 'Unable to generate any shifts.' });
+    if (scheduleVersions.length === 0) {
+      return res.status(400).json({ message: 'Unable to generate any shifts.', weeks: weekResults });
     }
 
-    // Send email notifications
-    for (const employeeId in employeeAssignments) {
-      const { employee, shifts: employeeShifts } = employeeAssignments[employeeId];
-      try {
-        await sendScheduleEmail(employee, employeeShifts, start);
-        console.log(`Email sent to ${employee.email}`);
-      } catch (emailError) {
-        console.error(`Email failed for ${employee.email}:`, emailError.message);
-      }
-    }
-
-    // Calculate metrics
-    const fairnessMetrics = {
-      totalHours: Object.values(employeeHours).reduce((sum, hours) => sum + hours, 0),
-      shiftsAssigned: shifts.length,
-      employeesAssigned: Object.keys(employeeAssignments).length,
-      averageHoursPerEmployee: Object.keys(employeeHours).length > 0 
-        ? Object.values(employeeHours).reduce((sum, hours) => sum + hours, 0) / Object.keys(employeeHours).length 
-        : 0,
-      hourDistribution: employeeHours
+    console.log(`\n=== Final Summary ===`);
+    console.log(`Generated ${shifts.length} draft shifts across ${scheduleVersions.length} week(s)`);
+
+    const solvedWeeks = weekResults.filter((week) => !week.skipped);
+    const withWeek = (week, entries) => entries.map((entry) => ({ ...entry, weekStartDate: week.weekStartDate }));
+    const cumulativeFairness = calculateFairnessMetrics(shifts);
+    const weekendCounts = Object.values(carryOver.weekendShiftsByEmployee);
+    const cumulative = {
+      weeks: weekCount,
+      weeksGenerated: scheduleVersions.length,
+      totalShifts: shifts.length,
+      totalHours: cumulativeFairness.totalHours,
+      hoursByEmployee: carryOver.hoursByEmployee,
+      weekendShiftsByEmployee: carryOver.weekendShiftsByEmployee,
+      maxWeekendShifts: weekendCounts.length > 0 ? Math.max(...weekendCounts) : 0,
+      unfilledCount: solvedWeeks.reduce((sum, week) => sum + week.unfilledRequirements.length, 0),
+      fairnessMetrics: cumulativeFairness,
+      laborCost: Number(solvedWeeks.reduce((sum, week) => sum + week.laborCost.totalCost, 0).toFixed(2))
     };
-
-    console.log('Final employee hours:', fairnessMetrics.hourDistribution);
+    const budgetWarnings = solvedWeeks
+      .filter((week) => week.laborCost.overBudget)
+      .map((week) => ({ weekStartDate: week.weekStartDate, message: week.laborCost.warning }));
 
     return res.status(200).json({
+      message: scheduleVersions.length === 1
+        ? 'Draft schedule generated. Review and publish it to notify employees.'
+        : `Draft schedules generated for ${scheduleVersions.length} weeks. Review and publish each week to notify employees.`,
+      scheduleVersion: scheduleVersions[0],
+      scheduleVersions,
       shifts,
-      fairnessMetricsByDept: { [departmentId]: fairnessMetrics },
+      fairnessMetricsByDept: { [departmentId]: cumulativeFairness },
+      preferenceSatisfactionByDept: { [departmentId]: new ScheduleSolver().summarizePreferences(proposedShifts) },
+      objective: solvedWeeks.length === 1 ? solvedWeeks[0].objective : undefined,
+      unfilledRequirements: solvedWeeks.flatMap((week) => withWeek(week, week.unfilledRequirements)),
+      unfilledExplanations: solvedWeeks.flatMap((week) => withWeek(week, week.unfilledExplanations)),
+      skillGaps: solvedWeeks.flatMap((week) => withWeek(week, week.skillGaps)),
+      recommendations: solvedWeeks[0].recommendations,
+      workRules: workRulesInfo,
+      ruleViolations: solvedWeeks.flatMap((week) => withWeek(week, week.ruleViolations)),
+      laborCost: solvedWeeks.length === 1 ? solvedWeeks[0].laborCost : undefined,
+      budgetWarnings,
+      weeks: weekResults,
+      cumulative,
       summary: {
         totalShifts: shifts.length,
-        employeesScheduled: Object.keys(employeeAssignments).length,
-        averageHours: fairnessMetrics.averageHoursPerEmployee.toFixed(2)
+        pinnedShifts: solvedWeeks.reduce((sum, week) => sum + week.pinnedShifts, 0),
+        openShifts: solvedWeeks.reduce((sum, week) => sum + week.openShifts, 0),
+        employeesScheduled: cumulativeFairness.employeesAssigned,
+        averageHours: cumulativeFairness.averageHoursPerEmployee.toFixed(2)
       }
     });
 
@@ -2528,6 +2585,183 @@ router.post('/auto-schedule/:companyId', verifyUser, authorizeRoles(['Manager'])
 });
 
 
+// POST /auto-schedule/:companyId/simulate - What-if run of the auto-scheduler. Nothing is saved and no email is sent.
+// overrides: {
+//   removedEmployeeIds: [userId],
+//   requirementChanges: [{ day, startTime, endTime, minEmployees }],
+//   extraAvailability: [{ employeeId, day, startTime, endTime, shiftType, preference }]
+// }
+router.post('/auto-schedule/:companyId/simulate', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { startDate, endDate, departmentId, overrides = {} } = req.body;
+    const { removedEmployeeIds = [], requirementChanges = [], extraAvailability = [] } = overrides;
+
+    console.log('Simulation request:', JSON.stringify({ companyId, startDate, endDate, departmentId, overrides }, null, 2));
+
+    if (!companyId || !mongoose.Types.ObjectId.isValid(companyId)) {
+      return res.status(400).json({ message: 'Invalid companyId.' });
+    }
+    if (!departmentId || !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+    if (!Array.isArray(removedEmployeeIds) || !Array.isArray(requirementChanges) || !Array.isArray(extraAvailability)) {
+      return res.status(400).json({ message: 'Overrides must be arrays.' });
+    }
+
+    const start = dayjs.utc(startDate).startOf('day');
+    const end = dayjs.utc(endDate).startOf('day');
+    if (start.day() !== 0 || end.day() !== 6 || end.diff(start, 'day') !== 6) {
+      return res.status(400).json({ message: 'Date range must be from Sunday to Saturday.' });
+    }
+
+    const department = await Department.findOne({ _id: departmentId, companyId }).lean();
+    if (!department) {
+      return res.status(400).json({ message: 'Department not found.' });
+    }
+
+    // Missing availability is fine when the overrides supply some
+    const inputs = await loadSchedulingInputs(companyId, departmentId, start.toDate());
+    if (inputs.error && !(inputs.shiftRequirements && extraAvailability.length > 0)) {
+      return res.status(400).json({ message: inputs.error });
+    }
+    let { shiftRequirements, availabilities } = inputs;
+
+    const validDays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const appliedOverrides = { removedEmployees: [], requirementChanges: [], extraAvailability: [] };
+
+    // 1. Remove employees (e.g. sick calls)
+    const removed = new Set(removedEmployeeIds.map(String));
+    availabilities = availabilities.filter((avail) => {
+      if (!removed.has(avail.employeeId._id.toString())) return true;
+      appliedOverrides.removedEmployees.push({ employeeId: avail.employeeId._id, name: avail.employeeId.name });
+      return false;
+    });
+
+    // 2. Change minEmployees on matching requirement slots (working on copies)
+    shiftRequirements = shiftRequirements.map((requirement) => ({
+      ...requirement,
+      ...Object.fromEntries(validDays.map((day) => [day, (requirement[day] || []).map((slot) => ({ ...slot }))]))
+    }));
+    for (const change of requirementChanges) {
+      const day = change.day?.toLowerCase();
+      const minEmployees = Number(change.minEmployees);
+      if (!validDays.includes(day) || !Number.isInteger(minEmployees) || minEmployees < 0) {
+        return res.status(400).json({ message: 'Each requirement change needs a valid day and a non-negative integer minEmployees.', change });
+      }
+      const slots = shiftRequirements.flatMap((requirement) => requirement[day])
+        .filter((slot) => slot.startTime === change.startTime && slot.endTime === change.endTime);
+      if (slots.length === 0) {
+        return res.status(400).json({ message: `No ${day} requirement slot ${change.startTime}-${change.endTime} to change.`, change });
+      }
+      slots.forEach((slot) => {
+        appliedOverrides.requirementChanges.push({ day, startTime: slot.startTime, endTime: slot.endTime, from: slot.minEmployees, to: minEmployees });
+        slot.minEmployees = minEmployees;
+      });
+    }
+
+    // 3. Extra availability, added to the employee's (copied) submission or to a synthetic one
+    availabilities = availabilities.map((avail) => ({
+      ...avail,
+      days: Object.fromEntries(validDays.map((day) => [day, {
+        ...(avail.days?.[day] || {}),
+        available: avail.days?.[day]?.available || false,
+        slots: [...(avail.days?.[day]?.slots || [])]
+      }]))
+    }));
+    for (const extra of extraAvailability) {
+      const day = extra.day?.toLowerCase();
+      if (!mongoose.Types.ObjectId.isValid(extra.employeeId) || !validDays.includes(day) ||
+          !/^\d{2}:\d{2}$/.test(extra.startTime || '') || !/^\d{2}:\d{2}$/.test(extra.endTime || '')) {
+        return res.status(400).json({ message: 'Each extra availability needs employeeId, day, startTime and endTime (HH:mm).', extra });
+      }
+      const preference = normalizeSlotPreference(extra.preference);
+      if (preference === null) {
+        return res.status(400).json({ message: 'Preference must be "preferred", "neutral" or "only_if_needed".', extra });
+      }
+
+      let avail = availabilities.find((candidate) => candidate.employeeId._id.toString() === extra.employeeId.toString());
+      if (!avail) {
+        const employeeDetails = await Employee.findOne({ userId: extra.employeeId }).select('department').lean();
+        const user = await User.findById(extra.employeeId).select('name email role companyId').lean();
+        if (!user || user.companyId?.toString() !== companyId || employeeDetails?.department?.toString() !== departmentId.toString()) {
+          return res.status(400).json({ message: 'Extra availability employee is not in this department.', extra });
+        }
+        avail = {
+          employeeId: { _id: user._id, name: user.name, email: user.email, role: user.role, departmentId: employeeDetails.department },
+          companyId,
+          weekStartDate: start.toDate(),
+          days: Object.fromEntries(validDays.map((d) => [d, { available: false, slots: [] }])),
+          simulated: true
+        };
+        availabilities.push(avail);
+      }
+
+      const startHour = parseInt(extra.startTime.split(':')[0]);
+      avail.days[day].available = true;
+      avail.days[day].slots.push({
+        startTime: extra.startTime,
+        endTime: extra.endTime,
+        startDay: day,
+        endDay: extra.endDay?.toLowerCase() || day,
+        shiftType: extra.shiftType || (startHour >= 18 || startHour < 6 ? 'Night' : 'Day'),
+        preference
+      });
+      appliedOverrides.extraAvailability.push({ employeeId: avail.employeeId._id, name: avail.employeeId.name, day, startTime: extra.startTime, endTime: extra.endTime });
+    }
+
+    if (availabilities.length === 0) {
+      return res.status(400).json({ message: 'No employees left to schedule after applying overrides.' });
+    }
+
+    // Rotation shifts count as they would in a real run, except those of removed employees
+    const rotation = await planRotations({ companyId, departmentId, weekStartDate: start.toDate() });
+
+    const { solution, workRules, workRulesSource, laborCost } = await solveDepartmentWeek(
+      companyId,
+      departmentId,
+      start.toDate(),
+      shiftRequirements,
+      availabilities,
+      {},
+      rotation.shifts,
+      [...removed]
+    );
+
+    const proposedShifts = solution.shifts.map(({ employee, ...shift }) => ({
+      ...shift,
+      employeeName: employee?.name
+    }));
+    const fairnessMetrics = calculateFairnessMetrics([...solution.pinnedShifts, ...proposedShifts]);
+
+    return res.status(200).json({
+      simulation: true,
+      appliedOverrides,
+      shifts: proposedShifts,
+      pinnedShifts: solution.pinnedShifts,
+      unfilledRequirements: solution.unfilled,
+      unfilledExplanations: solution.unfilledExplanations,
+      skillGaps: solution.skillGaps,
+      laborCost,
+      fairnessMetricsByDept: { [departmentId]: fairnessMetrics },
+      preferenceSatisfactionByDept: { [departmentId]: solution.preferenceSatisfaction },
+      objective: solution.objective,
+      recommendations: solution.recommendations,
+      workRules: { source: workRulesSource, rules: workRules.rules },
+      ruleViolations: solution.conflicts.filter((conflict) => conflict.type === 'rule_violation'),
+      summary: {
+        totalShifts: proposedShifts.length,
+        employeesScheduled: fairnessMetrics.employeesAssigned,
+        averageHours: fairnessMetrics.averageHoursPerEmployee.toFixed(2),
+        unfilledCount: solution.unfilled.length
+      }
+    });
+  } catch (error) {
+    console.error('Simulation error:', error);
+    return res.status(500).json({ message: 'Failed to run schedule simulation.', error: error.message });
+  }
+});
+
 // POST /shift-schedule: Add a new shift with overlap validation
 router.post('/schedule/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
   try {
@@ -2540,7 +2774,11 @@ router.post('/schedule/:companyId', verifyUser, authorizeRoles(['Manager']), asy
       weekStartDate, 
       departmentId, 
       note,
-      durationHours // Accept durationHours from frontend
+      durationHours, // Accept durationHours from frontend
+      scheduleVersionId, // Optional: add the shift to a draft instead of the published schedule
+      pinned, // Optional: keep this shift fixed when auto-schedule fills the rest of the week
+      skillId, // Optional: the position / skill this shift staffs; the employee must hold it on that day
+      locationId // Optional: the company location the shift is worked at
     } = req.body;
 
     console.log('Creating manual shift for company:', companyId);
@@ -2571,6 +2809,16 @@ router.post('/schedule/:companyId', verifyUser, authorizeRoles(['Manager']), asy
     if (!mongoose.Types.ObjectId.isValid(departmentId)) {
       return res.status(400).json({ message: 'Invalid departmentId format.' });
     }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return res.status(400).json({ message: 'pinned must be true or false.' });
+    }
+    if (skillId && !mongoose.Types.ObjectId.isValid(skillId)) {
+      return res.status(400).json({ message: 'Invalid skillId format.' });
+    }
+    const locationError = await validateLocationId(companyId, locationId);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
 
     // Calculate duration if not provided
     let calculatedDurationHours = durationHours;
@@ -2601,12 +2849,31 @@ router.post('/schedule/:companyId', verifyUser, authorizeRoles(['Manager']), asy
       return res.status(400).json({ message: 'Invalid weekStartDate format.' });
     }
 
+    // Draft shifts must belong to an open draft for the same department and week
+    let draftVersion = null;
+    if (scheduleVersionId) {
+      if (!mongoose.Types.ObjectId.isValid(scheduleVersionId)) {
+        return res.status(400).json({ message: 'Invalid scheduleVersionId format.' });
+      }
+      draftVersion = await ScheduleVersion.findOne({ _id: scheduleVersionId, companyId, departmentId, status: 'draft' });
+      if (!draftVersion || draftVersion.weekStartDate.getTime() !== weekStartDateObj.getTime()) {
+        return res.status(400).json({ message: 'Schedule version is not an open draft for this department and week.' });
+      }
+    }
+    const scope = scheduleScopeFilter({
+      status: draftVersion ? 'draft' : 'published',
+      scheduleVersionId: draftVersion?._id,
+      departmentId,
+      weekStartDate: weekStartDateObj
+    });
+
     // Check if employee already has a shift at this time
     const existingShift = await ShiftSchedule.findOne({
       employeeId,
       day,
       weekStartDate: weekStartDateObj,
-      $or: [
+      $and: [
+        scope,
         {
           $and: [
             { startTime: { $lt: endTime } },
@@ -2638,6 +2905,35 @@ router.post('/schedule/:companyId', verifyUser, authorizeRoles(['Manager']), asy
       return res.status(400).json({ message: 'Employee does not belong to this company.' });
     }
 
+    // The employee must hold the requested skill on the shift date
+    if (skillId) {
+      const skill = await Skill.findOne({ _id: skillId, companyId }).lean();
+      if (!skill) {
+        return res.status(400).json({ message: 'Skill not found.' });
+      }
+      const employeeSkills = await loadEmployeeSkills([employeeId]);
+      const shiftDate = dayjs.utc(weekStartDateObj).add(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].indexOf(day), 'day').toDate();
+      if (!holdsSkill(employeeSkills[employeeId.toString()], skillId, shiftDate)) {
+        return res.status(422).json({ message: `${employee.name} does not hold a valid ${skill.name} qualification for this shift.` });
+      }
+    }
+
+    // Enforce work rules (daily/weekly hours, rest, consecutive days, night shifts)
+    const { validator: workRules } = await loadWorkRules(companyId, departmentId);
+    const employeeShifts = await findShiftsAroundWeek([employeeId], weekStartDateObj, [], scope);
+    const violations = workRules.checkAssignment(
+      { employeeId, weekStartDate: weekStartDateObj, day, startTime, endTime },
+      employeeShifts,
+      employeeId
+    );
+    if (violations.length > 0) {
+      console.log('Work rule violations:', violations.map((violation) => violation.message));
+      return res.status(422).json({
+        message: 'Shift violates work rules.',
+        violations: workRules.serialize(violations)
+      });
+    }
+
     // Verify department exists and belongs to the company
     const department = await Department.findOne({ _id: departmentId, companyId });
     if (!department) {
@@ -2653,7 +2949,12 @@ router.post('/schedule/:companyId', verifyUser, authorizeRoles(['Manager']), asy
       day,
       startTime,
       endTime,
-      durationHours: Number(calculatedDurationHours.toFixed(2)) // Include durationHours as required by schema
+      durationHours: Number(calculatedDurationHours.toFixed(2)), // Include durationHours as required by schema
+      status: draftVersion ? 'draft' : 'published',
+      scheduleVersionId: draftVersion?._id || null,
+      pinned: pinned === true,
+      skillId: skillId || null,
+      locationId: locationId || null
     });
 
     console.log('Creating shift with data:', {
@@ -2753,9 +3054,10 @@ router.get('/schedule/:companyId', verifyUser, async (req, res) => {
       query.departmentId = departmentId;
     }
 
-    // If the user is an employee, restrict to their own shifts
+    // If the user is an employee, restrict to their own published shifts
     if (req.user.role.toLowerCase() === 'employee') {
       query.employeeId = req.user._id;
+      Object.assign(query, PUBLISHED_SHIFT_FILTER);
       // Ensure the employee belongs to the specified department (if provided)
       if (departmentId) {
         const employee = await Employee.findOne({ userId: req.user._id }).lean();
@@ -2767,6 +3069,17 @@ router.get('/schedule/:companyId', verifyUser, async (req, res) => {
     } else if (req.user.role.toLowerCase() !== 'manager') {
       console.log('Authorization failed: User is neither an employee nor a manager');
       return res.status(403).json({ message: 'Unauthorized: You must be an employee or manager to fetch shifts.' });
+    } else if (req.query.scheduleVersionId) {
+      // Managers can open a specific draft or version
+      if (!mongoose.Types.ObjectId.isValid(req.query.scheduleVersionId)) {
+        console.log('Validation failed: Invalid scheduleVersionId');
+        return res.status(400).json({ message: 'Invalid scheduleVersionId.' });
+      }
+      query.scheduleVersionId = req.query.scheduleVersionId;
+    } else if (req.query.status === 'draft') {
+      query.status = 'draft';
+    } else {
+      Object.assign(query, PUBLISHED_SHIFT_FILTER);
     }
 
     console.log('Fetching shifts with query:', query);
@@ -2847,8 +3160,30 @@ router.put('/shift-schedule/:id', verifyUser, authorizeRoles(['Manager']), async
       return res.status(404).json({ message: 'Shift schedule not found.' });
     }
 
+    const { validator: workRules } = await loadWorkRules(shiftSchedule.companyId, shiftSchedule.departmentId);
+    const employeeShifts = await findShiftsAroundWeek(
+      [shiftSchedule.employeeId],
+      shiftSchedule.weekStartDate,
+      [shiftSchedule._id],
+      scheduleScopeFilter(shiftSchedule)
+    );
+    const violations = workRules.checkAssignment(
+      { ...shiftSchedule.toObject(), startTime, endTime },
+      employeeShifts,
+      shiftSchedule.employeeId.toString()
+    );
+    if (violations.length > 0) {
+      console.log('Work rule violations:', violations.map((violation) => violation.message));
+      return res.status(422).json({
+        message: 'Shift violates work rules.',
+        violations: workRules.serialize(violations)
+      });
+    }
+
     shiftSchedule.startTime = startTime;
     shiftSchedule.endTime = endTime;
+    shiftSchedule.durationHours = Number(end.diff(start, 'hour', true).toFixed(2)); // Clock-in matching and timesheets go by the duration
+    shiftSchedule.explanation = null; // The auto-scheduler's reasoning no longer applies to a hand-edited shift
     await shiftSchedule.save();
 
     console.log('Shift schedule updated successfully:', shiftSchedule._id);
@@ -2859,6 +3194,37 @@ router.put('/shift-schedule/:id', verifyUser, authorizeRoles(['Manager']), async
   }
 });
 
+// PUT /shift-schedule/:id/pin - Pin or unpin a shift; auto-schedule keeps pinned shifts and schedules around them
+router.put('/shift-schedule/:id/pin', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { pinned } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      console.log('Validation failed: Invalid shift schedule ID');
+      return res.status(400).json({ message: 'Invalid shift schedule ID.' });
+    }
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({ message: 'pinned must be true or false.' });
+    }
+
+    const shiftSchedule = await ShiftSchedule.findOneAndUpdate(
+      { _id: id, companyId: req.user.companyId },
+      { $set: { pinned } },
+      { new: true }
+    );
+    if (!shiftSchedule) {
+      return res.status(404).json({ message: 'Shift schedule not found.' });
+    }
+
+    console.log(`Shift ${shiftSchedule._id} ${pinned ? 'pinned' : 'unpinned'}`);
+    return res.status(200).json({ message: `Shift ${pinned ? 'pinned' : 'unpinned'}.`, data: shiftSchedule });
+  } catch (error) {
+    console.error('Error pinning shift schedule:', error);
+    return res.status(500).json({ message: 'Failed to update pinned flag.', error: error.message });
+  }
+});
+
 // DELETE /shift-schedule/:id
 router.delete('/shift-schedule/:id', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
   try {
@@ -2871,20 +3237,604 @@ router.delete('/shift-schedule/:id', verifyUser, authorizeRoles(['Manager']), as
       return res.status(400).json({ message: 'Invalid shift schedule ID.' });
     }
 
-    const shiftSchedule = await ShiftSchedule.findById(id);
+    const shiftSchedule = await ShiftSchedule.findOne({ _id: id, companyId: req.user.companyId });
     if (!shiftSchedule) {
       console.log('Shift schedule not found:', id);
       return res.status(404).json({ message: 'Shift schedule not found.' });
     }
 
-    await shiftSchedule.deleteOne();
+    if (shiftSchedule.status === 'draft') {
+      await shiftSchedule.deleteOne();
+      console.log('Draft shift deleted successfully:', id);
+      return res.status(200).json({ message: 'Shift schedule deleted successfully.' });
+    }
+
+    // A published shift takes its draft copies and everything built on it (swaps, open shifts, punches) along
+    let released = { swapRequests: [], chains: [] };
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await ShiftSchedule.deleteMany({ $or: [{ _id: shiftSchedule._id }, { sourceShiftId: shiftSchedule._id, status: 'draft' }] }, { session });
+        released = await releaseRemovedShifts([shiftSchedule._id], { removedBy: req.user._id, note: 'shift deleted', session });
+      });
+    } finally {
+      await session.endSession();
+    }
+    await notifyReleasedShifts(req.app.get('io'), released, { senderId: req.user._id, reason: 'was deleted from the schedule' });
+
     console.log('Shift schedule deleted successfully:', id);
-    return res.status(200).json({ message: 'Shift schedule deleted successfully.' });
+    return res.status(200).json({
+      message: 'Shift schedule deleted successfully.',
+      cancelledSwaps: released.swapRequests.length + released.chains.length
+    });
   } catch (error) {
     console.error('Error deleting shift schedule:', error);
     return res.status(500).json({ message: 'Failed to delete shift schedule.', error: error.message });
   }
 });
+
+// GET /schedule-versions/:companyId?departmentId=&weekStartDate= - List schedule versions (drafts, published, archived)
+router.get('/schedule-versions/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId, weekStartDate } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      console.log('Validation failed: Invalid companyId');
+      return res.status(400).json({ message: 'Invalid companyId.' });
+    }
+
+    const query = { companyId };
+    if (departmentId) {
+      if (!mongoose.Types.ObjectId.isValid(departmentId)) {
+        console.log('Validation failed: Invalid departmentId');
+        return res.status(400).json({ message: 'Invalid departmentId.' });
+      }
+      query.departmentId = departmentId;
+    }
+    if (weekStartDate) {
+      const weekStart = dayjs.utc(weekStartDate).startOf('day');
+      if (!weekStart.isValid()) {
+        console.log('Validation failed: Invalid weekStartDate');
+        return res.status(400).json({ message: 'Invalid weekStartDate.' });
+      }
+      query.weekStartDate = weekStart.toDate();
+    }
+
+    const versions = await ScheduleVersion.find(query)
+      .sort({ weekStartDate: -1, version: -1 })
+      .populate('createdBy publishedBy', 'name email')
+      .lean();
+
+    return res.status(200).json(versions);
+  } catch (error) {
+    console.error('Error fetching schedule versions:', error);
+    return res.status(500).json({ message: 'Failed to fetch schedule versions.', error: error.message });
+  }
+});
+
+// POST /schedule-versions/:companyId/draft - Start a draft from the currently published week for manual editing
+router.post('/schedule-versions/:companyId/draft', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId, weekStartDate, note } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(departmentId)) {
+      console.log('Validation failed: Invalid companyId or departmentId');
+      return res.status(400).json({ message: 'Invalid companyId or departmentId.' });
+    }
+
+    const weekStart = dayjs.utc(weekStartDate).startOf('day');
+    if (!weekStart.isValid() || weekStart.day() !== 0) {
+      console.log('Validation failed: weekStartDate must be a Sunday');
+      return res.status(400).json({ message: 'weekStartDate must be a Sunday.' });
+    }
+
+    const department = await Department.findOne({ _id: departmentId, companyId }).lean();
+    if (!department) {
+      return res.status(400).json({ message: 'Department not found.' });
+    }
+
+    const existingDraft = await findDraftVersion(companyId, departmentId, weekStart.toDate());
+    if (existingDraft) {
+      return res.status(400).json({
+        message: 'A draft schedule already exists for this week. Publish or discard it first.',
+        scheduleVersionId: existingDraft._id
+      });
+    }
+
+    const { scheduleVersion, shifts: draftShifts } = await createDraftFromPublished({
+      companyId,
+      departmentId,
+      weekStartDate: weekStart.toDate(),
+      source: 'manual',
+      createdBy: req.user._id,
+      note: note || ''
+    });
+
+    console.log(`Draft version ${scheduleVersion.version} created with ${draftShifts.length} shifts copied from the published week`);
+    return res.status(201).json({ message: 'Draft created from the published schedule.', scheduleVersion, shifts: draftShifts });
+  } catch (error) {
+    console.error('Error creating draft schedule:', error);
+    return res.status(500).json({ message: 'Failed to create draft schedule.', error: error.message });
+  }
+});
+
+// POST /schedule/:companyId/copy - Copy a department's published week into drafts for one or more later weeks
+// { departmentId, sourceWeekStartDate, targetWeekStartDates: [Sunday] } or { departmentId, sourceWeekStartDate, weeks }
+// Each target week gets a draft (its open draft, or a new one started from its published schedule). Shifts that clash
+// with the target week's availability, approved leave, holidays or existing shifts are skipped and reported.
+router.post('/schedule/:companyId/copy', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId, sourceWeekStartDate, targetWeekStartDates, weeks } = req.body;
+    console.log('Copy schedule request:', JSON.stringify(req.body, null, 2));
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(departmentId)) {
+      console.log('Validation failed: Invalid companyId or departmentId');
+      return res.status(400).json({ message: 'Invalid companyId or departmentId.' });
+    }
+
+    const sourceWeek = dayjs.utc(sourceWeekStartDate).startOf('day');
+    if (!sourceWeek.isValid() || sourceWeek.day() !== 0) {
+      return res.status(400).json({ message: 'sourceWeekStartDate must be a Sunday.' });
+    }
+
+    let targetWeeks;
+    if (Array.isArray(targetWeekStartDates) && targetWeekStartDates.length > 0) {
+      targetWeeks = targetWeekStartDates.map((date) => dayjs.utc(date).startOf('day'));
+    } else if (Number.isInteger(weeks) && weeks >= 1) {
+      targetWeeks = Array.from({ length: weeks }, (_, index) => sourceWeek.add((index + 1) * 7, 'day'));
+    } else {
+      return res.status(400).json({ message: 'Provide targetWeekStartDates or a number of weeks to roll forward.' });
+    }
+    if (targetWeeks.length > MAX_SCHEDULE_WEEKS) {
+      return res.status(400).json({ message: `At most ${MAX_SCHEDULE_WEEKS} weeks can be copied in one request.` });
+    }
+    if (targetWeeks.some((week) => !week.isValid() || week.day() !== 0)) {
+      return res.status(400).json({ message: 'Every target week must start on a Sunday.' });
+    }
+    if (targetWeeks.some((week) => week.isSame(sourceWeek, 'day'))) {
+      return res.status(400).json({ message: 'A week cannot be copied onto itself.' });
+    }
+    if (new Set(targetWeeks.map((week) => week.valueOf())).size !== targetWeeks.length) {
+      return res.status(400).json({ message: 'Target weeks must be unique.' });
+    }
+    const today = dayjs().utc();
+    const currentWeekStart = today.subtract(today.day(), 'day');
+    if (targetWeeks.some((week) => week.isBefore(currentWeekStart, 'day'))) {
+      return res.status(400).json({ message: 'Cannot copy a schedule into past weeks.' });
+    }
+
+    const department = await Department.findOne({ _id: departmentId, companyId }).lean();
+    if (!department) {
+      return res.status(400).json({ message: 'Department not found.' });
+    }
+
+    // Rotation shifts are not copied: each target week gets them from its own rotation assignments
+    const sourceShifts = await ShiftSchedule.find({
+      companyId,
+      departmentId,
+      weekStartDate: sourceWeek.toDate(),
+      ...PUBLISHED_SHIFT_FILTER
+    }).populate('employeeId', 'name email').lean();
+    if (sourceShifts.length === 0) {
+      return res.status(400).json({ message: 'The source week has no published shifts to copy.' });
+    }
+
+    const employeeIds = [...new Set(sourceShifts.filter((shift) => shift.employeeId).map((shift) => shift.employeeId._id.toString()))];
+    const members = await Employee.find({ companyId, userId: { $in: employeeIds } }).select('userId').lean();
+    const memberIds = new Set(members.map((member) => member.userId.toString()));
+    const employeeSkills = await loadEmployeeSkills(employeeIds);
+    const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+    const targets = [];
+    for (const targetWeek of targetWeeks) {
+      const weekStart = targetWeek.toDate();
+      const weekEnd = targetWeek.add(6, 'day').endOf('day').toDate();
+
+      let scheduleVersion = await findDraftVersion(companyId, departmentId, weekStart);
+      if (!scheduleVersion) {
+        ({ scheduleVersion } = await createDraftFromPublished({
+          companyId,
+          departmentId,
+          weekStartDate: weekStart,
+          source: 'copy',
+          createdBy: req.user._id,
+          note: `Copied from the week of ${sourceWeek.format('YYYY-MM-DD')}`
+        }));
+      }
+      await materializeRotations({ companyId, departmentId, weekStartDate: weekStart, createdBy: req.user._id, scheduleVersion });
+      const scope = scheduleScopeFilter({ status: 'draft', scheduleVersionId: scheduleVersion._id, departmentId, weekStartDate: weekStart });
+
+      const submitted = await Availability.find({ companyId, weekStartDate: weekStart, employeeId: { $in: employeeIds } }).lean();
+      const availabilityByEmployee = new Map(
+        [...submitted, ...(await projectRecurringAvailabilities(companyId, weekStart, submitted))]
+          .filter((avail) => employeeIds.includes((avail.employeeId?._id || avail.employeeId).toString()))
+          .map((avail) => [(avail.employeeId?._id || avail.employeeId).toString(), avail])
+      );
+      const leaves = await Leave.find({
+        companyId,
+        userId: { $in: employeeIds },
+        status: 'Approved',
+        fromDate: { $lte: weekEnd },
+        toDate: { $gte: weekStart }
+      }).lean();
+      const holidays = await Holiday.find({
+        companyId,
+        startDate: { $lte: targetWeek.add(8, 'day').toDate() },
+        endDate: { $gte: targetWeek.subtract(1, 'day').toDate() }
+      }).lean();
+
+      const copied = [];
+      const skipped = [];
+      for (const source of sourceShifts) {
+        const employeeIdStr = source.employeeId?._id?.toString();
+        const date = targetWeek.add(daysOfWeek.indexOf(source.day), 'day');
+        const entry = {
+          sourceShiftId: source._id,
+          employeeId: source.employeeId?._id || null,
+          employeeName: source.employeeId?.name,
+          date: date.format('YYYY-MM-DD'),
+          day: source.day,
+          startTime: source.startTime,
+          endTime: source.endTime
+        };
+        const skip = (reason, message) => skipped.push({ ...entry, reason, message });
+
+        if (source.rotationAssignmentId) {
+          skip('rotation', 'Rotation shifts come from the rotation assignment of the target week.');
+          continue;
+        }
+        if (!employeeIdStr || !memberIds.has(employeeIdStr)) {
+          skip('employee_missing', 'The employee is no longer part of the company.');
+          continue;
+        }
+        const holiday = holidayOn(holidays, date.toDate());
+        if (holiday) {
+          skip('holiday', `Company holiday: ${holiday.name}.`);
+          continue;
+        }
+        const leave = leaves.find((item) =>
+          item.userId.toString() === employeeIdStr &&
+          dayjs.utc(item.fromDate).startOf('day').valueOf() <= date.valueOf() &&
+          dayjs.utc(item.toDate).endOf('day').valueOf() >= date.valueOf()
+        );
+        if (leave) {
+          skip('leave', `On approved leave${leave.leaveType ? ` (${leave.leaveType})` : ''}.`);
+          continue;
+        }
+        const availability = availabilityByEmployee.get(employeeIdStr);
+        if (availability && !availabilityCovers(availability, source)) {
+          skip('availability', `Not available ${source.day} ${source.startTime}-${source.endTime} that week.`);
+          continue;
+        }
+        if (source.skillId && !holdsSkill(employeeSkills[employeeIdStr], source.skillId, date.toDate())) {
+          skip('missing_skill', 'No longer holds the skill this shift staffs.');
+          continue;
+        }
+        if (await checkForOverlappingShifts(employeeIdStr, weekStart, source.day, source.startTime, source.endTime, null, scope)) {
+          skip('overlap', 'Overlaps a shift the employee already has that week.');
+          continue;
+        }
+
+        const { _id, __v, employeeId, explanation, ...shift } = source;
+        const created = await ShiftSchedule.create({
+          ...shift,
+          employeeId: employeeId._id,
+          weekStartDate: weekStart,
+          status: 'draft',
+          scheduleVersionId: scheduleVersion._id,
+          explanation: {
+            decidedBy: { rule: 'copy', message: `Copied from the week of ${sourceWeek.format('YYYY-MM-DD')}.` },
+            sourceShiftId: _id
+          }
+        });
+        copied.push({ ...entry, shiftId: created._id, availabilityChecked: Boolean(availability) });
+      }
+
+      console.log(`Copied ${copied.length} shifts into draft version ${scheduleVersion.version} for ${targetWeek.format('YYYY-MM-DD')}, skipped ${skipped.length}`);
+      targets.push({ weekStartDate: weekStart, scheduleVersion, copied, skipped });
+    }
+
+    const allSkipped = targets.flatMap((target) => target.skipped);
+    return res.status(200).json({
+      message: 'Schedule copied into draft schedules. Review and publish each week to notify employees.',
+      sourceWeekStartDate: sourceWeek.toDate(),
+      targets,
+      summary: {
+        sourceShifts: sourceShifts.length,
+        weeks: targets.length,
+        copied: targets.reduce((sum, target) => sum + target.copied.length, 0),
+        skipped: allSkipped.length,
+        skippedByReason: allSkipped.reduce((acc, entry) => ({ ...acc, [entry.reason]: (acc[entry.reason] || 0) + 1 }), {})
+      }
+    });
+  } catch (error) {
+    console.error('Error copying schedule:', error);
+    return res.status(500).json({ message: 'Failed to copy schedule.', error: error.message });
+  }
+});
+
+// GET /schedule-versions/:companyId/:versionId/diff - Compare a draft with the published schedule of its week
+router.get('/schedule-versions/:companyId/:versionId/diff', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, versionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(versionId)) {
+      console.log('Validation failed: Invalid companyId or versionId');
+      return res.status(400).json({ message: 'Invalid companyId or versionId.' });
+    }
+
+    const scheduleVersion = await ScheduleVersion.findOne({ _id: versionId, companyId }).lean();
+    if (!scheduleVersion) {
+      return res.status(404).json({ message: 'Schedule version not found.' });
+    }
+
+    const [publishedShifts, versionShifts] = await Promise.all([
+      ShiftSchedule.find({
+        companyId,
+        departmentId: scheduleVersion.departmentId,
+        weekStartDate: scheduleVersion.weekStartDate,
+        ...PUBLISHED_SHIFT_FILTER
+      }).populate('employeeId', 'name email').lean(),
+      ShiftSchedule.find({ scheduleVersionId: scheduleVersion._id }).populate('employeeId', 'name email').lean()
+    ]);
+
+    return res.status(200).json({
+      scheduleVersion,
+      diff: diffShiftSets(publishedShifts, versionShifts)
+    });
+  } catch (error) {
+    console.error('Error diffing schedule version:', error);
+    return res.status(500).json({ message: 'Failed to compare schedule versions.', error: error.message });
+  }
+});
+
+// POST /schedule-versions/:companyId/:versionId/publish - Replace the published week with the draft and notify employees
+router.post('/schedule-versions/:companyId/:versionId/publish', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, versionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(versionId)) {
+      console.log('Validation failed: Invalid companyId or versionId');
+      return res.status(400).json({ message: 'Invalid companyId or versionId.' });
+    }
+
+    const scheduleVersion = await ScheduleVersion.findOne({ _id: versionId, companyId });
+    if (!scheduleVersion) {
+      return res.status(404).json({ message: 'Schedule version not found.' });
+    }
+    if (scheduleVersion.status !== 'draft') {
+      return res.status(400).json({ message: `Only drafts can be published. This version is ${scheduleVersion.status}.` });
+    }
+
+    const { previousShifts, publishedShifts, released } = await publishVersion(scheduleVersion, req.user._id);
+    const diff = diffShiftSets(previousShifts, publishedShifts);
+    console.log(`Published version ${scheduleVersion.version}:`, diff.summary);
+
+    // Everyone with shifts in the new schedule, plus anyone whose shifts were all removed
+    const weekStart = dayjs.utc(scheduleVersion.weekStartDate);
+    const shiftsByEmployee = {};
+    publishedShifts.forEach((shift) => {
+      const employeeIdStr = shift.employeeId._id.toString();
+      (shiftsByEmployee[employeeIdStr] = shiftsByEmployee[employeeIdStr] || []).push(shift);
+    });
+    const removedEmployeeIds = previousShifts
+      .map((shift) => shift.employeeId.toString())
+      .filter((employeeIdStr) => !shiftsByEmployee[employeeIdStr]);
+    const removedEmployees = await User.find({ _id: { $in: [...new Set(removedEmployeeIds)] } }).select('name email').lean();
+    removedEmployees.forEach((employee) => { shiftsByEmployee[employee._id.toString()] = []; });
+
+    const io = req.app.get('io');
+    const notified = [];
+    for (const [employeeIdStr, employeeShifts] of Object.entries(shiftsByEmployee)) {
+      const employee = employeeShifts[0]?.employeeId || removedEmployees.find((user) => user._id.toString() === employeeIdStr);
+
+      try {
+        await sendScheduleEmail(employee, employeeShifts, weekStart);
+      } catch (emailError) {
+        console.error(`Email failed for ${employee.email}:`, emailError.message);
+      }
+
+      try {
+        await sendSystemNotification(io, {
+          recipientId: employee._id,
+          senderId: req.user._id,
+          type: 'schedule_published',
+          message: employeeShifts.length > 0
+            ? `Your schedule for the week of ${weekStart.format('YYYY-MM-DD')} has been published (${employeeShifts.length} shift${employeeShifts.length === 1 ? '' : 's'}).`
+            : `Your shifts for the week of ${weekStart.format('YYYY-MM-DD')} have been removed from the published schedule.`,
+          metadata: { scheduleVersionId: scheduleVersion._id, weekStartDate: scheduleVersion.weekStartDate }
+        });
+        notified.push(employeeIdStr);
+      } catch (notificationError) {
+        console.error(`Notification failed for ${employeeIdStr}:`, notificationError.message);
+      }
+    }
+
+    // Swaps built on shifts this version removed were cancelled with the publish
+    await notifyReleasedShifts(io, released, { senderId: req.user._id });
+
+    // Gaps of this version open up for claiming
+    let openShifts = [];
+    try {
+      openShifts = await activateOpenShifts(scheduleVersion);
+      await notifyOpenShiftsPosted(io, {
+        companyId,
+        departmentId: scheduleVersion.departmentId,
+        openShifts,
+        senderId: req.user._id
+      });
+    } catch (openShiftError) {
+      console.error('Failed to open shifts for unfilled positions:', openShiftError.message);
+    }
+
+    return res.status(200).json({
+      message: 'Schedule published successfully.',
+      scheduleVersion,
+      diff: diff.summary,
+      employeesNotified: notified.length,
+      cancelledSwaps: released.swapRequests.length + released.chains.length,
+      openShifts: openShifts.length
+    });
+  } catch (error) {
+    console.error('Error publishing schedule version:', error);
+    return res.status(500).json({ message: 'Failed to publish schedule.', error: error.message });
+  }
+});
+
+// DELETE /schedule-versions/:companyId/:versionId - Discard a draft and its shifts
+router.delete('/schedule-versions/:companyId/:versionId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, versionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(versionId)) {
+      console.log('Validation failed: Invalid companyId or versionId');
+      return res.status(400).json({ message: 'Invalid companyId or versionId.' });
+    }
+
+    const scheduleVersion = await ScheduleVersion.findOne({ _id: versionId, companyId });
+    if (!scheduleVersion) {
+      return res.status(404).json({ message: 'Schedule version not found.' });
+    }
+    if (scheduleVersion.status !== 'draft') {
+      return res.status(400).json({ message: 'Only drafts can be discarded.' });
+    }
+
+    const { deletedCount } = await ShiftSchedule.deleteMany({ scheduleVersionId: scheduleVersion._id, status: 'draft' });
+    await cancelDraftOpenShifts(scheduleVersion._id);
+    scheduleVersion.status = 'discarded';
+    scheduleVersion.discardedBy = req.user._id;
+    scheduleVersion.discardedAt = new Date();
+    await scheduleVersion.save();
+
+    console.log(`Discarded draft version ${scheduleVersion.version} (${deletedCount} shifts)`);
+    return res.status(200).json({ message: 'Draft discarded.', deletedShifts: deletedCount });
+  } catch (error) {
+    console.error('Error discarding draft schedule:', error);
+    return res.status(500).json({ message: 'Failed to discard draft.', error: error.message });
+  }
+});
+
+// GET /schedule-versions/:companyId/:versionId/explanations - Why each shift went to its employee and why slots stayed open
+router.get('/schedule-versions/:companyId/:versionId/explanations', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, versionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(versionId)) {
+      console.log('Validation failed: Invalid companyId or versionId');
+      return res.status(400).json({ message: 'Invalid companyId or versionId.' });
+    }
+
+    const scheduleVersion = await ScheduleVersion.findOne({ _id: versionId, companyId }).lean();
+    if (!scheduleVersion) {
+      return res.status(404).json({ message: 'Schedule version not found.' });
+    }
+
+    const shifts = await ShiftSchedule.find({ scheduleVersionId: scheduleVersion._id })
+      .select('employeeId day startTime endTime durationHours status explanation')
+      .populate('employeeId', 'name email')
+      .lean();
+
+    return res.status(200).json({
+      scheduleVersionId: scheduleVersion._id,
+      weekStartDate: scheduleVersion.weekStartDate,
+      assignments: shifts,
+      unfilled: scheduleVersion.unfilledExplanations || []
+    });
+  } catch (error) {
+    console.error('Error fetching schedule explanations:', error);
+    return res.status(500).json({ message: 'Failed to fetch schedule explanations.', error: error.message });
+  }
+});
+
+// GET /shift-schedule/:id/explanation - Explanation stored for a single auto-scheduled shift
+router.get('/shift-schedule/:id/explanation', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      console.log('Validation failed: Invalid shift schedule ID');
+      return res.status(400).json({ message: 'Invalid shift schedule ID.' });
+    }
+
+    const shiftSchedule = await ShiftSchedule.findOne({ _id: id, companyId: req.user.companyId })
+      .populate('employeeId', 'name email')
+      .lean();
+    if (!shiftSchedule) {
+      return res.status(404).json({ message: 'Shift schedule not found.' });
+    }
+    if (!shiftSchedule.explanation) {
+      return res.status(404).json({ message: 'No explanation recorded. The shift was not created by the auto-scheduler.' });
+    }
+
+    return res.status(200).json({
+      shiftId: shiftSchedule._id,
+      employee: shiftSchedule.employeeId,
+      day: shiftSchedule.day,
+      startTime: shiftSchedule.startTime,
+      endTime: shiftSchedule.endTime,
+      explanation: shiftSchedule.explanation
+    });
+  } catch (error) {
+    console.error('Error fetching shift explanation:', error);
+    return res.status(500).json({ message: 'Failed to fetch shift explanation.', error: error.message });
+  }
+});
+// POST /repair/:companyId - Reassign an unavailable employee's upcoming shifts without rescheduling the week
+router.post('/repair/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { employeeId, fromDate, toDate, mode } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(employeeId)) {
+      console.log('Validation failed: Invalid companyId or employeeId');
+      return res.status(400).json({ message: 'Invalid companyId or employeeId.' });
+    }
+    if (companyId !== req.user.companyId.toString()) {
+      return res.status(403).json({ message: 'You can only repair schedules of your own company.' });
+    }
+    if (mode && !['propose', 'apply'].includes(mode)) {
+      return res.status(400).json({ message: 'mode must be "propose" or "apply".' });
+    }
+
+    const from = fromDate ? dayjs.utc(fromDate) : dayjs.utc();
+    const to = toDate ? dayjs.utc(toDate) : null;
+    if (!from.isValid() || (to && !to.isValid())) {
+      return res.status(400).json({ message: 'Invalid fromDate or toDate.' });
+    }
+    if (to && to.isBefore(from, 'day')) {
+      return res.status(400).json({ message: 'toDate cannot be before fromDate.' });
+    }
+
+    const shifts = await findShiftsForAbsence({
+      companyId,
+      employeeId,
+      fromDate: from.toDate(),
+      toDate: to ? to.toDate() : null
+    });
+    if (shifts.length === 0) {
+      return res.status(200).json({ message: 'No upcoming shifts to repair.', schedulingRepair: null });
+    }
+
+    const company = await Company.findById(companyId).select('schedulingSettings').lean();
+    const schedulingRepair = await repairShifts({
+      shifts,
+      absentEmployeeId: employeeId,
+      mode: mode || company?.schedulingSettings?.repairMode || 'propose',
+      reason: 'manual repair',
+      repairedBy: req.user._id
+    });
+    await notifyRepairResults(req.app.get('io'), { companyId, report: schedulingRepair, senderId: req.user._id });
+
+    console.log(`Schedule repair (${schedulingRepair.mode}): ${schedulingRepair.reassigned.length} reassigned, ${schedulingRepair.proposals.length} proposed, ${schedulingRepair.gaps.length} gaps`);
+    return res.status(200).json({ message: 'Schedule repair completed.', schedulingRepair });
+  } catch (error) {
+    console.error('Error repairing schedule:', error);
+    return res.status(500).json({ message: 'Failed to repair schedule.', error: error.message });
+  }
+});
 // GET /api/availability/shift-swap/available/:employeeId
 router.get('/shift-swap/available/:employeeId', verifyUser, authorizeRoles(), async (req, res) => {
   try {
@@ -2933,6 +3883,7 @@ router.get('/shift-swap/available/:employeeId', verifyUser, authorizeRoles(), as
       companyId,
       departmentId,
       weekStartDate: startDateObj,
+      ...PUBLISHED_SHIFT_FILTER,
     }).lean();
     console.log('My shifts:', myShifts); // Debug: Log the user's shifts
 
@@ -2951,6 +3902,7 @@ router.get('/shift-swap/available/:employeeId', verifyUser, authorizeRoles(), as
       companyId,
       departmentId,
       weekStartDate: startDateObj,
+      ...PUBLISHED_SHIFT_FILTER,
     }).populate('employeeId', 'name email').lean();
     console.log('Colleague shifts:', colleagueShifts); // Debug: Log colleague shifts
 
@@ -2969,7 +3921,7 @@ router.get('/shift-swap/available/:employeeId', verifyUser, authorizeRoles(), as
     const existingSwapRequests = await ShiftSwapRequest.find({
       shiftId: { $in: availableShiftsForSwap.map((shift) => shift._id) },
       employeeId,
-      status: 'pending',
+      status: { $in: ['pending', 'awaiting_manager_approval'] },
     }).lean();
     console.log('Existing swap requests:', existingSwapRequests); // Debug: Log existing swap requests
 
@@ -5,6 +5,12 @@ import {
   updateCompany,
   deleteCompany,
   getCompanyById,
+  getCompanySettings,
+  updateCompanySettings,
+  getCompanyLocations,
+  addCompanyLocation,
+  updateCompanyLocation,
+  deleteCompanyLocation,
 } from "../controller/companyController.js";
 import { verifyUser, authorizeRoles } from "../middleware/authMiddleware.js";
 
@@ -16,6 +22,16 @@ router.post("/create", verifyUser, authorizeRoles(["Admin"]), createCompany);
 // Only Admins can fetch all companies
 router.get("/", verifyUser, authorizeRoles(["Admin"]), getCompanies);
 
+// Scheduling policies: Managers of the company or Admins
+router.get("/:id/settings", verifyUser, authorizeRoles(["Admin", "Manager"]), getCompanySettings);
+router.put("/:id/settings", verifyUser, authorizeRoles(["Admin", "Manager"]), updateCompanySettings);
+
+// Work locations with their geofence: anyone in the company can list them, Managers or Admins manage them
+router.get("/:id/locations", verifyUser, getCompanyLocations);
+router.post("/:id/locations", verifyUser, authorizeRoles(["Admin", "Manager"]), addCompanyLocation);
+router.put("/:id/locations/:locationId", verifyUser, authorizeRoles(["Admin", "Manager"]), updateCompanyLocation);
+router.delete("/:id/locations/:locationId", verifyUser, authorizeRoles(["Admin", "Manager"]), deleteCompanyLocation);
+
 // Only Admins can fetch a single company
 router.get("/:id", verifyUser, authorizeRoles(["Admin"]), getCompanyById);
 
@@ -9,7 +9,9 @@ import Employee from "../models/Employee.js";
 import User from "../models/User.js";
 import Department from "../models/Department.js";
 import Company from "../models/Company.js";
+import RotationAssignment from "../models/RotationAssignment.js";
 import { verifyUser } from "../middleware/authMiddleware.js";
+import { findShiftsForAbsence, repairShifts, notifyRepairResults } from "../Util/ScheduleRepair.js";
 
 const router = express.Router();
 
@@ -33,6 +35,28 @@ const transporter = nodemailer.createTransport({
   },
 });
 
+// Hourly rates arrive as form fields; "" clears the rate. Returns { value } or { error }.
+const parseHourlyRate = (hourlyRate) => {
+  if (hourlyRate === undefined) return {};
+  if (hourlyRate === null || hourlyRate === "") return { value: null };
+  const value = Number(hourlyRate);
+  if (isNaN(value) || value < 0) {
+    return { error: "Hourly rate must be a non-negative number." };
+  }
+  return { value };
+};
+
+// Hire date sets seniority for shift bidding; "" clears it. Returns { value } or { error }.
+const parseHireDate = (hireDate) => {
+  if (hireDate === undefined) return {};
+  if (hireDate === null || hireDate === "") return { value: null };
+  const value = new Date(hireDate);
+  if (isNaN(value.getTime())) {
+    return { error: "Invalid hire date format." };
+  }
+  return { value };
+};
+
 /**
  * @route   POST /api/employee/add
  * @desc    Add a new employee (Manager only) - role defaults to "Employee"
@@ -49,6 +73,8 @@ router.post("/add", verifyUser, upload.single("image"), async (req, res) => {
       designation,
       department,
       password,
+      hourlyRate,
+      hireDate,
     } = req.body;
 
     // Validate required fields (password is optional since we'll use a reset link)
@@ -116,6 +142,22 @@ router.post("/add", verifyUser, upload.single("image"), async (req, res) => {
       });
     }
 
+    const parsedRate = parseHourlyRate(hourlyRate);
+    if (parsedRate.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsedRate.error,
+      });
+    }
+
+    const parsedHireDate = parseHireDate(hireDate);
+    if (parsedHireDate.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsedHireDate.error,
+      });
+    }
+
     // Ensure manager has a companyId
     if (!req.user.companyId) {
       return res.status(403).json({
@@ -176,6 +218,8 @@ router.post("/add", verifyUser, upload.single("image"), async (req, res) => {
         department,
         companyId: req.user.companyId,
         image: req.file ? req.file.filename : null,
+        hourlyRate: parsedRate.value ?? null,
+        hireDate: parsedHireDate.value ?? null,
       });
       await newEmployee.save();
 
@@ -459,6 +503,8 @@ router.put("/:id", verifyUser, upload.single("image"), async (req, res) => {
       department,
       role,
       password,
+      hourlyRate,
+      hireDate,
     } = req.body;
 
     // Validate required fields
@@ -532,6 +578,22 @@ router.put("/:id", verifyUser, upload.single("image"), async (req, res) => {
       });
     }
 
+    const parsedRate = parseHourlyRate(hourlyRate);
+    if (parsedRate.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsedRate.error,
+      });
+    }
+
+    const parsedHireDate = parseHireDate(hireDate);
+    if (parsedHireDate.error) {
+      return res.status(400).json({
+        success: false,
+        error: parsedHireDate.error,
+      });
+    }
+
     // Validate role if provided
     const validRoles = ["Employee", "Manager"];
     if (role && !validRoles.includes(role)) {
@@ -590,6 +652,8 @@ router.put("/:id", verifyUser, upload.single("image"), async (req, res) => {
       designation,
       department: departmentId,
       ...(req.file && { image: req.file.filename }),
+      ...(parsedRate.value !== undefined && { hourlyRate: parsedRate.value }),
+      ...(parsedHireDate.value !== undefined && { hireDate: parsedHireDate.value }),
     };
 
     // Update employee
@@ -684,9 +748,40 @@ router.delete("/:id", verifyUser, async (req, res) => {
       });
     }
 
+    // Reassign the removed employee's upcoming shifts without touching the rest of the schedule
+    let schedulingRepair = null;
+    if (employee.userId) {
+      await RotationAssignment.updateMany(
+        { companyId: employee.companyId },
+        { $pull: { employeeIds: employee.userId } }
+      );
+      try {
+        const company = await Company.findById(employee.companyId).select("schedulingSettings").lean();
+        const shifts = await findShiftsForAbsence({
+          companyId: employee.companyId,
+          employeeId: employee.userId,
+          fromDate: new Date(),
+        });
+        if (shifts.length > 0) {
+          schedulingRepair = await repairShifts({
+            shifts,
+            absentEmployeeId: employee.userId,
+            mode: company?.schedulingSettings?.repairMode || "propose",
+            reason: "employee removed",
+            repairedBy: req.user._id,
+          });
+          await notifyRepairResults(req.app.get("io"), { companyId: employee.companyId, report: schedulingRepair, senderId: req.user._id });
+        }
+      } catch (repairError) {
+        console.error("Error repairing schedule after employee removal:", repairError);
+        schedulingRepair = { error: "Schedule repair failed. Please review the schedule manually." };
+      }
+    }
+
     return res.status(200).json({
       success: true,
       message: "Employee deleted successfully.",
+      schedulingRepair,
     });
   } catch (error) {
     console.error("Error deleting employee:", error.message);
@@ -2,6 +2,7 @@ import express from "express";
 import Holiday from "../models/Holidays.js";
 import { verifyUser, authorizeRoles } from "../middleware/authMiddleware.js";
 import { startOfDay } from "date-fns"; // Import required function
+import { removeRotationShiftsBetween } from "../Util/Rotations.js";
 
 const router = express.Router();
 
@@ -77,7 +78,18 @@ router.post("/", verifyUser, authorizeRoles(["Manager"]), async (req, res) => {
     });
 
     await holiday.save();
-    res.status(201).json({ success: true, holiday });
+
+    // Holidays override rotations: rotation shifts already materialized for these days come out of the drafts,
+    // and published ones leave the schedule when those drafts are published
+    const { removed: removedRotationShifts, scheduleVersionIds } = await removeRotationShiftsBetween(companyId, parsedStartDate, parsedEndDate, {
+      createdBy: req.user._id,
+      note: `Holiday ${name}`,
+    });
+    if (removedRotationShifts > 0) {
+      console.log(`Removed ${removedRotationShifts} rotation shifts from drafts during holiday ${name}`);
+    }
+
+    res.status(201).json({ success: true, holiday, removedRotationShifts, scheduleVersionIds });
   } catch (error) {
     console.error("Error adding holiday:", error);
     res.status(500).json({ success: false, error: "Internal Server Error" });
@@ -0,0 +1,120 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
+import LaborBudget from '../models/LaborBudget.js';
+import Department from '../models/Department.js';
+
+dayjs.extend(utc);
+
+const router = express.Router();
+
+// GET /api/labor-budgets/:companyId - Standing and week-specific budgets, optionally for one department
+router.get('/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      console.log('Validation failed: Invalid companyId');
+      return res.status(400).json({ message: 'Invalid companyId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to view labor budgets for this company.' });
+    }
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      console.log('Validation failed: Invalid departmentId');
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+
+    const budgets = await LaborBudget.find({ companyId, ...(departmentId && { departmentId }) })
+      .populate('departmentId', 'departmentName')
+      .sort({ departmentId: 1, weekStartDate: 1 })
+      .lean();
+
+    return res.status(200).json({ budgets });
+  } catch (error) {
+    console.error('Error fetching labor budgets:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch labor budgets.', error: error.message });
+  }
+});
+
+// PUT /api/labor-budgets/:companyId - Set a department's weekly budget ({ departmentId, weekStartDate?, amount, note })
+// Without weekStartDate the amount is the standing budget for every week; with it, it overrides that one week.
+router.put('/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId, weekStartDate, amount, note = '' } = req.body;
+    console.log('Received PUT /api/labor-budgets payload:', JSON.stringify(req.body, null, 2));
+
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      console.log('Validation failed: Invalid companyId');
+      return res.status(400).json({ message: 'Invalid companyId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to manage labor budgets for this company.' });
+    }
+    if (!departmentId || !mongoose.Types.ObjectId.isValid(departmentId)) {
+      console.log('Validation failed: Invalid departmentId');
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+    if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
+      return res.status(400).json({ message: 'amount must be a non-negative number.' });
+    }
+
+    let weekStart = null;
+    if (weekStartDate) {
+      const parsed = dayjs.utc(weekStartDate).startOf('day');
+      if (!parsed.isValid() || parsed.day() !== 0) {
+        return res.status(400).json({ message: 'weekStartDate must be a Sunday.' });
+      }
+      weekStart = parsed.toDate();
+    }
+
+    const department = await Department.findOne({ _id: departmentId, companyId }).lean();
+    if (!department) {
+      return res.status(404).json({ message: 'Department not found.' });
+    }
+
+    const budget = await LaborBudget.findOneAndUpdate(
+      { companyId, departmentId, weekStartDate: weekStart },
+      { $set: { amount, note, updatedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    console.log(`Labor budget saved for department ${departmentId}:`, budget.amount);
+    return res.status(200).json({ message: 'Labor budget saved successfully.', budget });
+  } catch (error) {
+    console.error('Error saving labor budget:', error.stack);
+    return res.status(500).json({ message: 'Failed to save labor budget.', error: error.message });
+  }
+});
+
+// DELETE /api/labor-budgets/:companyId/:budgetId - Remove a budget; a deleted week override falls back to the standing budget
+router.delete('/:companyId/:budgetId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, budgetId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(budgetId)) {
+      console.log('Validation failed: Invalid companyId or budgetId');
+      return res.status(400).json({ message: 'Invalid companyId or budgetId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to manage labor budgets for this company.' });
+    }
+
+    const budget = await LaborBudget.findOneAndDelete({ _id: budgetId, companyId });
+    if (!budget) {
+      return res.status(404).json({ message: 'Labor budget not found.' });
+    }
+
+    console.log('Labor budget deleted:', budget._id);
+    return res.status(200).json({ message: 'Labor budget deleted successfully.' });
+  } catch (error) {
+    console.error('Error deleting labor budget:', error.stack);
+    return res.status(500).json({ message: 'Failed to delete labor budget.', error: error.message });
+  }
+});
+
+export default router;
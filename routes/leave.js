@@ -5,9 +5,20 @@ import Employee from "../models/Employee.js";
 import { verifyUser } from "../middleware/authMiddleware.js";
 import Notification from "../models/Notifications.js";
 import User from "../models/User.js";
+import Company from "../models/Company.js";
+import { findShiftsForAbsence, repairShifts, notifyRepairResults } from "../Util/ScheduleRepair.js";
 
 const router = express.Router();
 
+// Push a saved notification to the recipient's Socket.IO room
+const sendNotification = async (io, recipientId, payload) => {
+  if (!io) {
+    console.warn("Socket.IO instance not found. Notification saved but not pushed:", payload._id);
+    return;
+  }
+  io.to(recipientId).emit("notification", payload);
+};
+
 /**
  * @route POST /api/leave/add
  * @desc Add a new leave request (Employee only)
@@ -130,7 +141,7 @@ router.post("/add", verifyUser, async (req, res) => {
 
     // Send notification
     console.log("Sending notification to manager:", manager._id);
-    await sendNotification(manager._id.toString(), notificationPayload);
+    await sendNotification(req.app.get("io"), manager._id.toString(), notificationPayload);
     console.log("Notification sent successfully to manager:", manager._id);
 
     return res.status(201).json({
@@ -331,6 +342,7 @@ router.put("/:id/status", verifyUser, async (req, res) => {
       return res.status(403).json({ success: false, error: "Only managers can update leave status." });
     }
 
+    const previousStatus = leave.status;
     leave.status = status;
     await leave.save();
 
@@ -357,12 +369,40 @@ router.put("/:id/status", verifyUser, async (req, res) => {
       sender: notification.sender.toString(),
     };
 
-    await sendNotification(leave.userId.toString(), notificationPayload);
+    await sendNotification(req.app.get("io"), leave.userId.toString(), notificationPayload);
+
+    // Hand the employee's upcoming shifts in the leave period to colleagues; the leave itself is already saved
+    let schedulingRepair = null;
+    if (status === "Approved" && previousStatus !== "Approved") {
+      try {
+        const company = await Company.findById(leave.companyId).select("schedulingSettings").lean();
+        const shifts = await findShiftsForAbsence({
+          companyId: leave.companyId,
+          employeeId: leave.userId,
+          fromDate: leave.fromDate,
+          toDate: leave.toDate,
+        });
+        if (shifts.length > 0) {
+          schedulingRepair = await repairShifts({
+            shifts,
+            absentEmployeeId: leave.userId,
+            mode: company?.schedulingSettings?.repairMode || "propose",
+            reason: `${leave.leaveType} leave`,
+            repairedBy: req.user._id,
+          });
+          await notifyRepairResults(req.app.get("io"), { companyId: leave.companyId, report: schedulingRepair, senderId: req.user._id });
+        }
+      } catch (repairError) {
+        console.error("Error repairing schedule after leave approval:", repairError);
+        schedulingRepair = { error: "Schedule repair failed. Please review the schedule manually." };
+      }
+    }
 
     return res.status(200).json({
       success: true,
       message: `Leave status updated to ${status}.`,
       leave,
+      schedulingRepair,
     });
   } catch (error) {
     console.error("Error updating leave status:", error);
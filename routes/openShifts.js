@@ -0,0 +1,417 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
+import OpenShift from '../models/OpenShift.js';
+import Department from '../models/Department.js';
+import Skill from '../models/Skill.js';
+import { sendSystemNotification } from '../Util/NotificationUtils.js';
+import { validateLocationId } from '../Util/Geofence.js';
+import {
+  loadClaimMode,
+  checkClaimEligibility,
+  createShiftForOpenShift,
+  describeOpenShift,
+  notifyManagers,
+  notifyOpenShiftsPosted,
+} from '../Util/OpenShifts.js';
+
+dayjs.extend(utc);
+
+const router = express.Router();
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const rejectCompany = (req, res, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(companyId)) {
+    console.log('Validation failed: Invalid companyId');
+    return res.status(400).json({ message: 'Invalid companyId.' });
+  }
+  if (companyId !== req.user.companyId) {
+    return res.status(403).json({ message: 'Unauthorized to access open shifts for this company.' });
+  }
+  return null;
+};
+
+// Marks the open shift filled by `employeeId` unless someone else got there first; returns the updated document or null
+const fillOpenShift = async (openShiftId, employeeId, claimUpdate) => {
+  const filled = await OpenShift.findOneAndUpdate(
+    { _id: openShiftId, status: 'open' },
+    { $set: { status: 'filled', filledBy: employeeId, filledAt: new Date(), ...claimUpdate.$set }, ...(claimUpdate.$push && { $push: claimUpdate.$push }) },
+    { new: true, ...(claimUpdate.arrayFilters && { arrayFilters: claimUpdate.arrayFilters }) }
+  );
+  if (!filled) return null;
+
+  try {
+    const shift = await createShiftForOpenShift(filled, employeeId);
+    filled.shiftScheduleId = shift._id;
+    await filled.save();
+    return filled;
+  } catch (error) {
+    // Give the position back if the shift could not be written
+    await OpenShift.updateOne({ _id: openShiftId }, { $set: { status: 'open', filledBy: null, filledAt: null } });
+    throw error;
+  }
+};
+
+// GET /api/open-shifts/:companyId - Managers see every open shift (filter by status, departmentId, weekStartDate);
+// employees see open shifts of their department with their own claim, and with checkEligibility=true whether they can claim
+router.get('/:companyId', verifyUser, authorizeRoles(['Manager', 'Employee']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { status, departmentId, weekStartDate, checkEligibility } = req.query;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const isManager = req.user.role.toLowerCase() === 'manager';
+    const query = { companyId };
+    if (weekStartDate) {
+      const weekStart = dayjs.utc(weekStartDate).startOf('day');
+      if (!weekStart.isValid()) {
+        return res.status(400).json({ message: 'Invalid weekStartDate.' });
+      }
+      query.weekStartDate = weekStart.toDate();
+    }
+
+    if (isManager) {
+      if (departmentId) query.departmentId = departmentId;
+      if (status) query.status = status;
+    } else {
+      if (!req.user.departmentId) {
+        return res.status(200).json({ openShifts: [] });
+      }
+      const today = dayjs().utc();
+      query.departmentId = req.user.departmentId;
+      query.status = 'open';
+      query.weekStartDate = query.weekStartDate || { $gte: today.subtract(today.day(), 'day').startOf('day').toDate() };
+    }
+
+    const openShifts = await OpenShift.find(query)
+      .populate('skillId', 'name')
+      .populate('filledBy', 'name email')
+      .populate('claims.employeeId', 'name email')
+      .sort({ weekStartDate: 1, day: 1, startTime: 1 })
+      .lean();
+
+    if (isManager) {
+      return res.status(200).json({ openShifts });
+    }
+
+    const result = [];
+    for (const openShift of openShifts) {
+      const { claims, ...rest } = openShift;
+      const entry = {
+        ...rest,
+        myClaim: claims.find((claim) => claim.employeeId?._id?.toString() === req.user._id && claim.status !== 'withdrawn') || null,
+      };
+      if (checkEligibility === 'true') {
+        const { eligible, reasons } = await checkClaimEligibility({ ...openShift, skillId: openShift.skillId?._id || null }, req.user._id);
+        entry.eligibility = { eligible, reasons };
+      }
+      result.push(entry);
+    }
+    return res.status(200).json({ openShifts: result });
+  } catch (error) {
+    console.error('Error fetching open shifts:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch open shifts.', error: error.message });
+  }
+});
+
+// POST /api/open-shifts/:companyId - Post open shifts by hand
+// { departmentId, weekStartDate, day, startTime, endTime, skillId?, locationId?, positions = 1, claimMode?, note? }
+router.post('/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId, weekStartDate, day, startTime, endTime, skillId = null, locationId = null, positions = 1, claimMode, note = '' } = req.body;
+    console.log('Received POST /api/open-shifts payload:', JSON.stringify(req.body, null, 2));
+    if (rejectCompany(req, res, companyId)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+    const weekStart = dayjs.utc(weekStartDate).startOf('day');
+    if (!weekStart.isValid() || weekStart.day() !== 0) {
+      return res.status(400).json({ message: 'weekStartDate must be a Sunday.' });
+    }
+    if (!DAYS_OF_WEEK.includes(day)) {
+      return res.status(400).json({ message: 'Invalid day.' });
+    }
+    if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '')) {
+      return res.status(400).json({ message: 'startTime and endTime must be in HH:mm format.' });
+    }
+    if (!Number.isInteger(positions) || positions < 1 || positions > 20) {
+      return res.status(400).json({ message: 'positions must be a whole number from 1 to 20.' });
+    }
+    if (claimMode !== undefined && !['first_come', 'approval'].includes(claimMode)) {
+      return res.status(400).json({ message: 'claimMode must be first_come or approval.' });
+    }
+    if (skillId && (!mongoose.Types.ObjectId.isValid(skillId) || !(await Skill.exists({ _id: skillId, companyId })))) {
+      return res.status(400).json({ message: 'Unknown skill.' });
+    }
+    const locationError = await validateLocationId(companyId, locationId);
+    if (locationError) {
+      return res.status(400).json({ message: locationError });
+    }
+    if (!(await Department.exists({ _id: departmentId, companyId }))) {
+      return res.status(404).json({ message: 'Department not found.' });
+    }
+
+    const [startHours, startMinutes] = startTime.split(':').map(Number);
+    const [endHours, endMinutes] = endTime.split(':').map(Number);
+    let minutes = endHours * 60 + endMinutes - (startHours * 60 + startMinutes);
+    if (minutes <= 0) minutes += 24 * 60;
+    if (weekStart.add(DAYS_OF_WEEK.indexOf(day), 'day').add(startHours * 60 + startMinutes, 'minute').isBefore(dayjs.utc())) {
+      return res.status(400).json({ message: 'Cannot post an open shift that has already started.' });
+    }
+
+    const mode = claimMode || await loadClaimMode(companyId);
+    const openShifts = await OpenShift.insertMany(Array.from({ length: positions }, () => ({
+      companyId,
+      departmentId,
+      weekStartDate: weekStart.toDate(),
+      day,
+      startTime,
+      endTime,
+      durationHours: Number((minutes / 60).toFixed(2)),
+      skillId,
+      locationId,
+      status: 'open',
+      claimMode: mode,
+      source: 'manual',
+      note,
+      createdBy: req.user._id,
+    })));
+
+    const notifiedEmployees = await notifyOpenShiftsPosted(req.app.get('io'), { companyId, departmentId, openShifts, senderId: req.user._id });
+    console.log(`Posted ${openShifts.length} open shifts, notified ${notifiedEmployees} employees`);
+    return res.status(201).json({ message: 'Open shift posted.', openShifts, notifiedEmployees });
+  } catch (error) {
+    console.error('Error posting open shift:', error.stack);
+    return res.status(500).json({ message: 'Failed to post open shift.', error: error.message });
+  }
+});
+
+// POST /api/open-shifts/:companyId/:openShiftId/claim - Claim an open shift. First-come shifts go to the first eligible
+// claimer right away; approval shifts wait for a manager.
+router.post('/:companyId/:openShiftId/claim', verifyUser, authorizeRoles(['Employee', 'Manager']), async (req, res) => {
+  try {
+    const { companyId, openShiftId } = req.params;
+    const { note = '' } = req.body;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(openShiftId)) {
+      return res.status(400).json({ message: 'Invalid openShiftId.' });
+    }
+
+    const openShift = await OpenShift.findOne({ _id: openShiftId, companyId }).lean();
+    if (!openShift) {
+      return res.status(404).json({ message: 'Open shift not found.' });
+    }
+    if (openShift.status !== 'open') {
+      return res.status(409).json({ message: openShift.status === 'filled' ? 'This shift has already been taken.' : 'This shift is no longer open.' });
+    }
+    if (openShift.claims.some((claim) => claim.employeeId.toString() === req.user._id && claim.status === 'pending')) {
+      return res.status(400).json({ message: 'You have already claimed this shift.' });
+    }
+
+    const { eligible, reasons } = await checkClaimEligibility(openShift, req.user._id);
+    if (!eligible) {
+      return res.status(422).json({ message: 'You cannot take this shift.', reasons });
+    }
+
+    const io = req.app.get('io');
+    const label = describeOpenShift(openShift);
+
+    if (openShift.claimMode === 'approval') {
+      const updated = await OpenShift.findOneAndUpdate(
+        { _id: openShiftId, status: 'open' },
+        { $push: { claims: { employeeId: req.user._id, note } } },
+        { new: true }
+      );
+      if (!updated) {
+        return res.status(409).json({ message: 'This shift is no longer open.' });
+      }
+      await notifyManagers(io, {
+        companyId,
+        senderId: req.user._id,
+        type: 'open_shift_claimed',
+        message: `An employee has claimed the open shift ${label} and is waiting for approval.`,
+        metadata: { openShiftId: updated._id },
+      });
+      return res.status(202).json({ message: 'Claim submitted. A manager will review it.', openShift: updated });
+    }
+
+    const filled = await fillOpenShift(openShiftId, req.user._id, {
+      $push: { claims: { employeeId: req.user._id, note, status: 'approved', decidedAt: new Date() } },
+    });
+    if (!filled) {
+      return res.status(409).json({ message: 'Someone else claimed this shift first.' });
+    }
+
+    await sendSystemNotification(io, {
+      recipientId: req.user._id,
+      senderId: req.user._id,
+      type: 'open_shift_filled',
+      message: `The open shift ${label} is yours.`,
+      metadata: { openShiftId: filled._id, shiftId: filled.shiftScheduleId },
+    });
+    await notifyManagers(io, {
+      companyId,
+      senderId: req.user._id,
+      type: 'open_shift_filled',
+      message: `The open shift ${label} has been claimed.`,
+      metadata: { openShiftId: filled._id, shiftId: filled.shiftScheduleId, employeeId: req.user._id },
+    });
+
+    console.log(`Open shift ${filled._id} claimed by ${req.user._id}`);
+    return res.status(200).json({ message: 'Shift claimed successfully.', openShift: filled });
+  } catch (error) {
+    console.error('Error claiming open shift:', error.stack);
+    return res.status(500).json({ message: 'Failed to claim open shift.', error: error.message });
+  }
+});
+
+// DELETE /api/open-shifts/:companyId/:openShiftId/claim - Withdraw a pending claim
+router.delete('/:companyId/:openShiftId/claim', verifyUser, authorizeRoles(['Employee', 'Manager']), async (req, res) => {
+  try {
+    const { companyId, openShiftId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(openShiftId)) {
+      return res.status(400).json({ message: 'Invalid openShiftId.' });
+    }
+
+    const updated = await OpenShift.findOneAndUpdate(
+      { _id: openShiftId, companyId, claims: { $elemMatch: { employeeId: req.user._id, status: 'pending' } } },
+      { $set: { 'claims.$.status': 'withdrawn', 'claims.$.decidedAt': new Date() } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: 'No pending claim found for this shift.' });
+    }
+
+    return res.status(200).json({ message: 'Claim withdrawn.', openShift: updated });
+  } catch (error) {
+    console.error('Error withdrawing open shift claim:', error.stack);
+    return res.status(500).json({ message: 'Failed to withdraw claim.', error: error.message });
+  }
+});
+
+// PUT /api/open-shifts/:companyId/:openShiftId/claims/:claimId - Approve or reject a pending claim ({ action, reason })
+router.put('/:companyId/:openShiftId/claims/:claimId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, openShiftId, claimId } = req.params;
+    const { action, reason = '' } = req.body;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(openShiftId) || !mongoose.Types.ObjectId.isValid(claimId)) {
+      return res.status(400).json({ message: 'Invalid openShiftId or claimId.' });
+    }
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ message: 'action must be approve or reject.' });
+    }
+
+    const openShift = await OpenShift.findOne({ _id: openShiftId, companyId }).lean();
+    if (!openShift) {
+      return res.status(404).json({ message: 'Open shift not found.' });
+    }
+    const claim = openShift.claims.find((entry) => entry._id.toString() === claimId);
+    if (!claim || claim.status !== 'pending') {
+      return res.status(404).json({ message: 'Pending claim not found.' });
+    }
+    if (openShift.status !== 'open') {
+      return res.status(409).json({ message: 'This shift is no longer open.' });
+    }
+
+    const io = req.app.get('io');
+    const label = describeOpenShift(openShift);
+    const decided = { decidedBy: req.user._id, decidedAt: new Date() };
+
+    if (action === 'reject') {
+      const updated = await OpenShift.findOneAndUpdate(
+        { _id: openShiftId, 'claims._id': claimId },
+        { $set: { 'claims.$.status': 'rejected', 'claims.$.reason': reason, 'claims.$.decidedBy': decided.decidedBy, 'claims.$.decidedAt': decided.decidedAt } },
+        { new: true }
+      );
+      await sendSystemNotification(io, {
+        recipientId: claim.employeeId,
+        senderId: req.user._id,
+        type: 'open_shift_claim_rejected',
+        message: `Your claim for the open shift ${label} was not approved.${reason ? ` ${reason}` : ''}`,
+        metadata: { openShiftId },
+      });
+      return res.status(200).json({ message: 'Claim rejected.', openShift: updated });
+    }
+
+    // Availability or other shifts may have changed since the claim was made
+    const { eligible, reasons } = await checkClaimEligibility(openShift, claim.employeeId);
+    if (!eligible) {
+      return res.status(422).json({ message: 'The employee can no longer take this shift.', reasons });
+    }
+
+    const filled = await fillOpenShift(openShiftId, claim.employeeId, {
+      $set: {
+        'claims.$[approved].status': 'approved',
+        'claims.$[approved].decidedBy': decided.decidedBy,
+        'claims.$[approved].decidedAt': decided.decidedAt,
+        'claims.$[other].status': 'rejected',
+        'claims.$[other].reason': 'Another employee was approved for this shift.',
+        'claims.$[other].decidedAt': decided.decidedAt,
+      },
+      arrayFilters: [
+        { 'approved._id': claim._id },
+        { 'other._id': { $ne: claim._id }, 'other.status': 'pending' },
+      ],
+    });
+    if (!filled) {
+      return res.status(409).json({ message: 'This shift is no longer open.' });
+    }
+
+    await sendSystemNotification(io, {
+      recipientId: claim.employeeId,
+      senderId: req.user._id,
+      type: 'open_shift_filled',
+      message: `Your claim for the open shift ${label} was approved.`,
+      metadata: { openShiftId, shiftId: filled.shiftScheduleId },
+    });
+    for (const other of openShift.claims.filter((entry) => entry.status === 'pending' && entry._id.toString() !== claimId)) {
+      await sendSystemNotification(io, {
+        recipientId: other.employeeId,
+        senderId: req.user._id,
+        type: 'open_shift_claim_rejected',
+        message: `The open shift ${label} went to another employee.`,
+        metadata: { openShiftId },
+      });
+    }
+
+    return res.status(200).json({ message: 'Claim approved.', openShift: filled });
+  } catch (error) {
+    console.error('Error deciding open shift claim:', error.stack);
+    return res.status(500).json({ message: 'Failed to decide claim.', error: error.message });
+  }
+});
+
+// DELETE /api/open-shifts/:companyId/:openShiftId - Withdraw an open shift that has not been filled
+router.delete('/:companyId/:openShiftId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, openShiftId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(openShiftId)) {
+      return res.status(400).json({ message: 'Invalid openShiftId.' });
+    }
+
+    const cancelled = await OpenShift.findOneAndUpdate(
+      { _id: openShiftId, companyId, status: { $in: ['draft', 'open'] } },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(404).json({ message: 'Open shift not found or already filled.' });
+    }
+
+    return res.status(200).json({ message: 'Open shift cancelled.', openShift: cancelled });
+  } catch (error) {
+    console.error('Error cancelling open shift:', error.stack);
+    return res.status(500).json({ message: 'Failed to cancel open shift.', error: error.message });
+  }
+});
+
+export default router;
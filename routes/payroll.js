@@ -0,0 +1,117 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
+import Company from '../models/Company.js';
+import {
+  PAYROLL_FIELDS,
+  DEFAULT_PAYROLL_TEMPLATE,
+  normalizePayrollTemplate,
+  loadPayrollTemplate,
+  buildPayrollRows,
+  toPayrollCsv,
+} from '../Util/PayrollExport.js';
+
+dayjs.extend(utc);
+
+const router = express.Router();
+
+const MAX_PERIOD_DAYS = 62;
+
+// Managers work with their own company; Admins with any
+const rejectCompany = (req, res, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(companyId)) {
+    console.log('Validation failed: Invalid companyId');
+    return res.status(400).json({ message: 'Invalid companyId.' });
+  }
+  if (req.user.role !== 'Admin' && companyId !== req.user.companyId) {
+    return res.status(403).json({ message: 'Unauthorized to access payroll for this company.' });
+  }
+  return null;
+};
+
+// GET /api/payroll/:companyId/template - The company's CSV column layout and the fields it can use
+router.get('/:companyId/template', verifyUser, authorizeRoles(['Manager', 'Admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    res.status(200).json({ template: await loadPayrollTemplate(companyId), fields: PAYROLL_FIELDS, defaultTemplate: DEFAULT_PAYROLL_TEMPLATE });
+  } catch (error) {
+    console.error('Error fetching payroll template:', error.stack);
+    res.status(500).json({ message: 'Failed to fetch payroll template.', error: error.message });
+  }
+});
+
+// PUT /api/payroll/:companyId/template - Save the layout ({ delimiter, includeHeader, columns: [{ header, field } |
+// { header, value }] }); an empty column list goes back to the default layout
+router.put('/:companyId/template', verifyUser, authorizeRoles(['Manager', 'Admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    let template = { delimiter: ',', includeHeader: true, columns: [] };
+    if (!Array.isArray(req.body.columns) || req.body.columns.length > 0) {
+      const normalized = normalizePayrollTemplate(req.body);
+      if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+      }
+      template = normalized.template;
+    }
+
+    const company = await Company.findByIdAndUpdate(companyId, { $set: { payrollExport: template } }, { new: true, runValidators: true })
+      .select('payrollExport')
+      .lean();
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found.' });
+    }
+    console.log('Payroll template saved for company:', companyId);
+
+    res.status(200).json({ message: 'Payroll template saved.', template: await loadPayrollTemplate(companyId) });
+  } catch (error) {
+    console.error('Error saving payroll template:', error.stack);
+    res.status(500).json({ message: 'Failed to save payroll template.', error: error.message });
+  }
+});
+
+// GET /api/payroll/:companyId/export?from=YYYY-MM-DD&to=YYYY-MM-DD&source=timesheets|shifts&departmentId=
+// Download the pay period as CSV. "timesheets" (default) exports approved timesheets only; "shifts" the published
+// schedule.
+router.get('/:companyId/export', verifyUser, authorizeRoles(['Manager', 'Admin']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const { source = 'timesheets', departmentId = null } = req.query;
+    const from = dayjs.utc(req.query.from).startOf('day');
+    const to = dayjs.utc(req.query.to).startOf('day');
+    if (!req.query.from || !req.query.to || !from.isValid() || !to.isValid() || to.isBefore(from)) {
+      return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD), from not after to.' });
+    }
+    if (to.diff(from, 'day') + 1 > MAX_PERIOD_DAYS) {
+      return res.status(400).json({ message: `A pay period can span at most ${MAX_PERIOD_DAYS} days.` });
+    }
+    if (!['timesheets', 'shifts'].includes(source)) {
+      return res.status(400).json({ message: 'source must be timesheets or shifts.' });
+    }
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+
+    const { rows, unapprovedTimesheets } = await buildPayrollRows({ companyId, from: from.toDate(), to: to.toDate(), source, departmentId });
+    const csv = toPayrollCsv(rows, await loadPayrollTemplate(companyId));
+    console.log(`Payroll export for ${companyId}: ${rows.length} employees, ${from.format('YYYY-MM-DD')} to ${to.format('YYYY-MM-DD')} (${source})`);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="payroll-${from.format('YYYY-MM-DD')}-${to.format('YYYY-MM-DD')}.csv"`);
+    // Timesheets of the period still waiting for approval are left out; tell the caller how many
+    res.setHeader('X-Unapproved-Timesheets', String(unapprovedTimesheets));
+    res.status(200).send(csv);
+  } catch (error) {
+    console.error('Error exporting payroll:', error.stack);
+    res.status(500).json({ message: 'Failed to export payroll.', error: error.message });
+  }
+});
+
+export default router;
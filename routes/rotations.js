@@ -0,0 +1,383 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
+import ScheduleTemplate from '../models/ScheduleTemplate.js';
+import RotationAssignment from '../models/RotationAssignment.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import Department from '../models/Department.js';
+import User from '../models/User.js';
+import { normalizeTemplate, generateRotationShifts, materializeRotations, removeRotationShifts } from '../Util/Rotations.js';
+
+dayjs.extend(utc);
+
+const router = express.Router();
+
+const MAX_MATERIALIZE_WEEKS = 12;
+
+// Shared checks for company-scoped routes; returns an error response or null
+const rejectCompany = (req, res, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(companyId)) {
+    console.log('Validation failed: Invalid companyId');
+    return res.status(400).json({ message: 'Invalid companyId.' });
+  }
+  if (companyId !== req.user.companyId) {
+    return res.status(403).json({ message: 'Unauthorized to manage rotations for this company.' });
+  }
+  return null;
+};
+
+const parseSunday = (value) => {
+  const date = dayjs.utc(value).startOf('day');
+  return date.isValid() && date.day() === 0 ? date : null;
+};
+
+// GET /api/rotations/:companyId/templates - Schedule templates and rotation patterns (optionally for one department)
+router.get('/:companyId/templates', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId } = req.query;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const templates = await ScheduleTemplate.find({
+      companyId,
+      ...(departmentId && { departmentId: { $in: [departmentId, null] } }),
+    }).sort({ name: 1 }).lean();
+
+    return res.status(200).json({ templates });
+  } catch (error) {
+    console.error('Error fetching schedule templates:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch schedule templates.', error: error.message });
+  }
+});
+
+// POST /api/rotations/:companyId/templates - Create a template
+// { name, description, type: 'weekly' | 'rotation', cycleLengthDays, departmentId?, days: [{ dayIndex, shifts: [{ startTime, endTime, skillId? }] }] }
+router.post('/:companyId/templates', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { name, description = '', type = 'rotation', cycleLengthDays, departmentId = null, days = [] } = req.body;
+    console.log('Received POST /api/rotations/templates payload:', JSON.stringify(req.body, null, 2));
+    if (rejectCompany(req, res, companyId)) return;
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Template name is required.' });
+    }
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+    if (departmentId && !(await Department.exists({ _id: departmentId, companyId }))) {
+      return res.status(404).json({ message: 'Department not found.' });
+    }
+
+    const template = { type, cycleLengthDays, days };
+    const templateError = await normalizeTemplate(companyId, template);
+    if (templateError) {
+      return res.status(400).json({ message: templateError });
+    }
+    if (await ScheduleTemplate.exists({ companyId, name: name.trim() })) {
+      return res.status(409).json({ message: 'A template with this name already exists.' });
+    }
+
+    const created = await ScheduleTemplate.create({
+      companyId,
+      departmentId,
+      name: name.trim(),
+      description,
+      ...template,
+      createdBy: req.user._id,
+    });
+    console.log('Schedule template created:', created._id);
+    return res.status(201).json({ message: 'Schedule template created successfully.', template: created });
+  } catch (error) {
+    console.error('Error creating schedule template:', error.stack);
+    return res.status(500).json({ message: 'Failed to create schedule template.', error: error.message });
+  }
+});
+
+// PUT /api/rotations/:companyId/templates/:templateId - Update a template. Shifts already materialized stay
+// until the week is materialized again with replace.
+router.put('/:companyId/templates/:templateId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, templateId } = req.params;
+    const { name, description, type, cycleLengthDays, days } = req.body;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({ message: 'Invalid templateId.' });
+    }
+
+    const template = await ScheduleTemplate.findOne({ _id: templateId, companyId });
+    if (!template) {
+      return res.status(404).json({ message: 'Schedule template not found.' });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'Template name cannot be empty.' });
+      }
+      if (await ScheduleTemplate.exists({ companyId, name: name.trim(), _id: { $ne: templateId } })) {
+        return res.status(409).json({ message: 'A template with this name already exists.' });
+      }
+      template.name = name.trim();
+    }
+    if (description !== undefined) template.description = description;
+
+    if (type !== undefined || cycleLengthDays !== undefined || days !== undefined) {
+      const pattern = {
+        type: type ?? template.type,
+        cycleLengthDays: cycleLengthDays ?? template.cycleLengthDays,
+        days: days ?? template.days.map((day) => day.toObject()),
+      };
+      const templateError = await normalizeTemplate(companyId, pattern);
+      if (templateError) {
+        return res.status(400).json({ message: templateError });
+      }
+      Object.assign(template, pattern);
+    }
+
+    await template.save();
+    return res.status(200).json({ message: 'Schedule template updated successfully.', template });
+  } catch (error) {
+    console.error('Error updating schedule template:', error.stack);
+    return res.status(500).json({ message: 'Failed to update schedule template.', error: error.message });
+  }
+});
+
+// DELETE /api/rotations/:companyId/templates/:templateId - Only templates no assignment uses
+router.delete('/:companyId/templates/:templateId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, templateId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(templateId)) {
+      return res.status(400).json({ message: 'Invalid templateId.' });
+    }
+
+    const assignments = await RotationAssignment.countDocuments({ companyId, templateId });
+    if (assignments > 0) {
+      return res.status(409).json({ message: `The template is used by ${assignments} rotation assignment(s). Remove them first.` });
+    }
+
+    const template = await ScheduleTemplate.findOneAndDelete({ _id: templateId, companyId });
+    if (!template) {
+      return res.status(404).json({ message: 'Schedule template not found.' });
+    }
+
+    console.log('Schedule template deleted:', template._id);
+    return res.status(200).json({ message: 'Schedule template deleted successfully.' });
+  } catch (error) {
+    console.error('Error deleting schedule template:', error.stack);
+    return res.status(500).json({ message: 'Failed to delete schedule template.', error: error.message });
+  }
+});
+
+// GET /api/rotations/:companyId/assignments - Rotation assignments (optionally for one department)
+router.get('/:companyId/assignments', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId } = req.query;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const assignments = await RotationAssignment.find({ companyId, ...(departmentId && { departmentId }) })
+      .populate('templateId', 'name type cycleLengthDays')
+      .populate('employeeIds', 'name email')
+      .populate('departmentId', 'departmentName')
+      .sort({ startDate: -1 })
+      .lean();
+
+    return res.status(200).json({ assignments });
+  } catch (error) {
+    console.error('Error fetching rotation assignments:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch rotation assignments.', error: error.message });
+  }
+});
+
+// POST /api/rotations/:companyId/assignments - Assign a template to a group of employees
+// { templateId, departmentId, employeeIds: [userId], startDate, endDate?, offsetDays?, note? }
+router.post('/:companyId/assignments', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { templateId, departmentId, employeeIds, startDate, endDate = null, offsetDays = 0, note = '' } = req.body;
+    console.log('Received POST /api/rotations/assignments payload:', JSON.stringify(req.body, null, 2));
+    if (rejectCompany(req, res, companyId)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(templateId) || !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ message: 'Invalid templateId or departmentId.' });
+    }
+    if (!Array.isArray(employeeIds) || employeeIds.length === 0 || !employeeIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'employeeIds must be a non-empty array of user ids.' });
+    }
+    if (!Number.isInteger(offsetDays) || offsetDays < 0) {
+      return res.status(400).json({ message: 'offsetDays must be a non-negative whole number.' });
+    }
+
+    const start = dayjs.utc(startDate).startOf('day');
+    const end = endDate ? dayjs.utc(endDate).startOf('day') : null;
+    if (!start.isValid() || (end && !end.isValid())) {
+      return res.status(400).json({ message: 'Invalid startDate or endDate.' });
+    }
+    if (end && end.isBefore(start)) {
+      return res.status(400).json({ message: 'endDate cannot be before startDate.' });
+    }
+
+    const template = await ScheduleTemplate.findOne({ _id: templateId, companyId }).lean();
+    if (!template) {
+      return res.status(404).json({ message: 'Schedule template not found.' });
+    }
+    if (template.departmentId && template.departmentId.toString() !== departmentId) {
+      return res.status(400).json({ message: 'This template belongs to another department.' });
+    }
+    if (!(await Department.exists({ _id: departmentId, companyId }))) {
+      return res.status(404).json({ message: 'Department not found.' });
+    }
+
+    const uniqueEmployeeIds = [...new Set(employeeIds.map(String))];
+    const members = await User.countDocuments({ _id: { $in: uniqueEmployeeIds }, companyId });
+    if (members !== uniqueEmployeeIds.length) {
+      return res.status(400).json({ message: 'Every employee must belong to this company.' });
+    }
+
+    const assignment = await RotationAssignment.create({
+      companyId,
+      departmentId,
+      templateId,
+      employeeIds: uniqueEmployeeIds,
+      startDate: start.toDate(),
+      endDate: end ? end.toDate() : null,
+      offsetDays,
+      note,
+      createdBy: req.user._id,
+    });
+
+    console.log('Rotation assignment created:', assignment._id);
+    return res.status(201).json({
+      message: 'Rotation assigned. Materialize the weeks you need, or run auto-schedule to do it automatically.',
+      assignment,
+    });
+  } catch (error) {
+    console.error('Error creating rotation assignment:', error.stack);
+    return res.status(500).json({ message: 'Failed to create rotation assignment.', error: error.message });
+  }
+});
+
+// DELETE /api/rotations/:companyId/assignments/:assignmentId - End a rotation and remove its shifts that have not started yet
+router.delete('/:companyId/assignments/:assignmentId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, assignmentId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+      return res.status(400).json({ message: 'Invalid assignmentId.' });
+    }
+
+    const assignment = await RotationAssignment.findOneAndDelete({ _id: assignmentId, companyId });
+    if (!assignment) {
+      return res.status(404).json({ message: 'Rotation assignment not found.' });
+    }
+
+    const today = dayjs().utc();
+    const now = today.valueOf();
+    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const upcoming = (await ShiftSchedule.find({
+      companyId,
+      rotationAssignmentId: assignment._id,
+      weekStartDate: { $gte: today.subtract(today.day(), 'day').startOf('day').toDate() },
+    }).select('departmentId weekStartDate day startTime status scheduleVersionId').lean()).filter((shift) => {
+      const [hours, minutes] = shift.startTime.split(':').map(Number);
+      return dayjs.utc(shift.weekStartDate).add(days.indexOf(shift.day), 'day').add(hours * 60 + minutes, 'minute').valueOf() > now;
+    });
+    // Published ones leave the schedule when the drafts are published
+    const { removed, scheduleVersionIds } = await removeRotationShifts(companyId, upcoming, {
+      createdBy: req.user._id,
+      note: 'Rotation ended',
+    });
+
+    console.log(`Rotation assignment ${assignment._id} deleted with ${removed} upcoming shifts removed from drafts`);
+    return res.status(200).json({
+      message: scheduleVersionIds.length > 0
+        ? 'Rotation assignment deleted. Publish the updated drafts to remove its shifts from the schedule.'
+        : 'Rotation assignment deleted successfully.',
+      removedShifts: removed,
+      scheduleVersionIds,
+    });
+  } catch (error) {
+    console.error('Error deleting rotation assignment:', error.stack);
+    return res.status(500).json({ message: 'Failed to delete rotation assignment.', error: error.message });
+  }
+});
+
+// GET /api/rotations/:companyId/preview?weekStartDate&departmentId - Shifts the rotations would produce, without saving
+router.get('/:companyId/preview', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId } = req.query;
+    if (rejectCompany(req, res, companyId)) return;
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+    const weekStart = parseSunday(req.query.weekStartDate);
+    if (!weekStart) {
+      return res.status(400).json({ message: 'weekStartDate must be a Sunday.' });
+    }
+
+    const { shifts, skipped } = await generateRotationShifts({ companyId, departmentId, weekStartDate: weekStart.toDate() });
+    return res.status(200).json({ weekStartDate: weekStart.toDate(), shifts, skipped });
+  } catch (error) {
+    console.error('Error previewing rotations:', error.stack);
+    return res.status(500).json({ message: 'Failed to preview rotations.', error: error.message });
+  }
+});
+
+// POST /api/rotations/:companyId/materialize - Write rotation shifts into the draft schedules; they go live on publish
+// { weekStartDate, weeks = 1, departmentId?, replace = false }
+router.post('/:companyId/materialize', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { weekStartDate, weeks = 1, departmentId = null, replace = false } = req.body;
+    if (rejectCompany(req, res, companyId)) return;
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_MATERIALIZE_WEEKS) {
+      return res.status(400).json({ message: `weeks must be a whole number from 1 to ${MAX_MATERIALIZE_WEEKS}.` });
+    }
+    const weekStart = parseSunday(weekStartDate);
+    if (!weekStart) {
+      return res.status(400).json({ message: 'weekStartDate must be a Sunday.' });
+    }
+
+    const results = [];
+    for (let index = 0; index < weeks; index++) {
+      const result = await materializeRotations({
+        companyId,
+        departmentId,
+        weekStartDate: weekStart.add(index * 7, 'day').toDate(),
+        replace: Boolean(replace),
+        createdBy: req.user._id,
+      });
+      results.push({
+        weekStartDate: result.weekStartDate,
+        created: result.created.length,
+        kept: result.kept,
+        removed: result.removed,
+        skipped: result.skipped,
+        shifts: result.created,
+        scheduleVersionIds: result.scheduleVersions.map((version) => version._id),
+      });
+    }
+
+    return res.status(200).json({
+      message: 'Rotation shifts added to the draft schedules. Publish them to notify employees.',
+      weeks: results,
+      totals: {
+        created: results.reduce((sum, week) => sum + week.created, 0),
+        kept: results.reduce((sum, week) => sum + week.kept, 0),
+        skipped: results.reduce((sum, week) => sum + week.skipped.length, 0),
+      },
+    });
+  } catch (error) {
+    console.error('Error materializing rotations:', error.stack);
+    return res.status(500).json({ message: 'Failed to materialize rotations.', error: error.message });
+  }
+});
+
+export default router;
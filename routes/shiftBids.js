@@ -0,0 +1,413 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
+import BidWindow from '../models/BidWindow.js';
+import Department from '../models/Department.js';
+import Employee from '../models/Employee.js';
+import Skill from '../models/Skill.js';
+import { AWARD_METHODS, awardBidWindow, awardDueBidWindows, notifyBidWindowOpened } from '../Util/ShiftBidding.js';
+
+dayjs.extend(utc);
+
+const router = express.Router();
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_SHIFTS_PER_WINDOW = 200;
+
+const rejectCompany = (req, res, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(companyId)) {
+    console.log('Validation failed: Invalid companyId');
+    return res.status(400).json({ message: 'Invalid companyId.' });
+  }
+  if (companyId !== req.user.companyId) {
+    return res.status(403).json({ message: 'Unauthorized to access shift bidding for this company.' });
+  }
+  return null;
+};
+
+// Returns { shift } or { error } for one entry of a window's shifts
+const parseBiddableShift = (entry, index) => {
+  const { weekStartDate, day, startTime, endTime, skillId = null, positions = 1, label = '' } = entry || {};
+  const weekStart = dayjs.utc(weekStartDate).startOf('day');
+  if (!weekStart.isValid() || weekStart.day() !== 0) {
+    return { error: `shifts[${index}]: weekStartDate must be a Sunday.` };
+  }
+  if (!DAYS_OF_WEEK.includes(day)) {
+    return { error: `shifts[${index}]: invalid day.` };
+  }
+  if (!TIME_PATTERN.test(startTime || '') || !TIME_PATTERN.test(endTime || '')) {
+    return { error: `shifts[${index}]: startTime and endTime must be in HH:mm format.` };
+  }
+  if (!Number.isInteger(positions) || positions < 1 || positions > 20) {
+    return { error: `shifts[${index}]: positions must be a whole number from 1 to 20.` };
+  }
+  if (skillId && !mongoose.Types.ObjectId.isValid(skillId)) {
+    return { error: `shifts[${index}]: invalid skillId.` };
+  }
+
+  const [startHours, startMinutes] = startTime.split(':').map(Number);
+  const [endHours, endMinutes] = endTime.split(':').map(Number);
+  let minutes = endHours * 60 + endMinutes - (startHours * 60 + startMinutes);
+  if (minutes <= 0) minutes += 24 * 60; // Overnight
+
+  return {
+    shift: {
+      weekStartDate: weekStart.toDate(),
+      day,
+      startTime,
+      endTime,
+      durationHours: Number((minutes / 60).toFixed(2)),
+      skillId,
+      positions,
+      label: String(label).trim(),
+    },
+    startsAt: weekStart.add(DAYS_OF_WEEK.indexOf(day), 'day').add(startHours * 60 + startMinutes, 'minute'),
+  };
+};
+
+// What an employee sees of a window: the shifts, their own bid and what they won, never other bids
+const employeeView = (window, employeeId) => {
+  const { bids, award, ...rest } = window;
+  return {
+    ...rest,
+    bidCount: bids.filter((bid) => bid.rankings.length > 0).length,
+    myBid: bids.find((bid) => bid.employeeId.toString() === employeeId) || null,
+    myAwards: award ? award.awards.filter((entry) => entry.employeeId === employeeId) : [],
+    myPriority: award ? award.priority.find((entry) => entry.employeeId === employeeId)?.position || null : null,
+  };
+};
+
+// GET /api/shift-bids/:companyId - Bidding windows (filter by status, departmentId). Windows past their closing time
+// are awarded first. Employees only see windows of their department.
+router.get('/:companyId', verifyUser, authorizeRoles(['Manager', 'Employee']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { status, departmentId } = req.query;
+    if (rejectCompany(req, res, companyId)) return;
+
+    await awardDueBidWindows(req.app.get('io'), companyId);
+
+    const isManager = req.user.role.toLowerCase() === 'manager';
+    const query = { companyId };
+    if (status) query.status = status;
+    if (isManager) {
+      if (departmentId) query.departmentId = departmentId;
+    } else {
+      if (!req.user.departmentId) {
+        return res.status(200).json({ windows: [] });
+      }
+      query.departmentId = req.user.departmentId;
+      query.status = status && status !== 'cancelled' ? status : { $ne: 'cancelled' };
+    }
+
+    const windows = await BidWindow.find(query).populate('shifts.skillId', 'name').sort({ closesAt: -1 }).lean();
+    return res.status(200).json({
+      windows: isManager ? windows : windows.map((window) => employeeView(window, req.user._id)),
+    });
+  } catch (error) {
+    console.error('Error fetching bid windows:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch bid windows.', error: error.message });
+  }
+});
+
+// POST /api/shift-bids/:companyId - Open a bidding window
+// { departmentId, name, description?, opensAt?, closesAt, awardMethod, maxAwardsPerEmployee = 1, pointsPerAward = 0,
+//   shifts: [{ weekStartDate, day, startTime, endTime, skillId?, positions = 1, label? }] }
+router.post('/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const {
+      departmentId,
+      name,
+      description = '',
+      opensAt,
+      closesAt,
+      awardMethod,
+      maxAwardsPerEmployee = 1,
+      pointsPerAward = 0,
+      shifts,
+    } = req.body;
+    console.log('Received POST /api/shift-bids payload:', JSON.stringify(req.body, null, 2));
+    if (rejectCompany(req, res, companyId)) return;
+
+    if (!mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'name is required.' });
+    }
+    if (!AWARD_METHODS.includes(awardMethod)) {
+      return res.status(400).json({ message: `awardMethod must be one of ${AWARD_METHODS.join(', ')}.` });
+    }
+    if (!Number.isInteger(maxAwardsPerEmployee) || maxAwardsPerEmployee < 1 || maxAwardsPerEmployee > 50) {
+      return res.status(400).json({ message: 'maxAwardsPerEmployee must be a whole number from 1 to 50.' });
+    }
+    if (!Number.isInteger(pointsPerAward) || Math.abs(pointsPerAward) > 1000) {
+      return res.status(400).json({ message: 'pointsPerAward must be a whole number from -1000 to 1000.' });
+    }
+
+    const opens = opensAt ? dayjs.utc(opensAt) : dayjs.utc();
+    const closes = dayjs.utc(closesAt);
+    if (!opens.isValid() || !closes.isValid()) {
+      return res.status(400).json({ message: 'Invalid opensAt or closesAt.' });
+    }
+    if (!closes.isAfter(opens) || !closes.isAfter(dayjs.utc())) {
+      return res.status(400).json({ message: 'closesAt must be in the future and after opensAt.' });
+    }
+
+    if (!Array.isArray(shifts) || shifts.length === 0 || shifts.length > MAX_SHIFTS_PER_WINDOW) {
+      return res.status(400).json({ message: `shifts must list 1 to ${MAX_SHIFTS_PER_WINDOW} shifts.` });
+    }
+    const parsed = [];
+    for (const [index, entry] of shifts.entries()) {
+      const result = parseBiddableShift(entry, index);
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+      if (!result.startsAt.isAfter(closes)) {
+        return res.status(400).json({ message: `shifts[${index}]: bidding must close before the shift starts.` });
+      }
+      parsed.push(result.shift);
+    }
+
+    if (!(await Department.exists({ _id: departmentId, companyId }))) {
+      return res.status(404).json({ message: 'Department not found.' });
+    }
+    const skillIds = [...new Set(parsed.filter((shift) => shift.skillId).map((shift) => shift.skillId.toString()))];
+    if (skillIds.length > 0 && (await Skill.countDocuments({ _id: { $in: skillIds }, companyId })) !== skillIds.length) {
+      return res.status(400).json({ message: 'Unknown skill.' });
+    }
+
+    const window = await BidWindow.create({
+      companyId,
+      departmentId,
+      name: String(name).trim(),
+      description,
+      opensAt: opens.toDate(),
+      closesAt: closes.toDate(),
+      awardMethod,
+      maxAwardsPerEmployee,
+      pointsPerAward,
+      shifts: parsed,
+      createdBy: req.user._id,
+    });
+
+    const notifiedEmployees = await notifyBidWindowOpened(req.app.get('io'), window, req.user._id);
+    console.log(`Bid window ${window._id} created with ${parsed.length} shifts, notified ${notifiedEmployees} employees`);
+    return res.status(201).json({ message: 'Bidding window created.', window, notifiedEmployees });
+  } catch (error) {
+    console.error('Error creating bid window:', error.stack);
+    return res.status(500).json({ message: 'Failed to create bidding window.', error: error.message });
+  }
+});
+
+// PUT /api/shift-bids/:companyId/points/:employeeId - Set an employee's bid points ({ points })
+router.put('/:companyId/points/:employeeId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, employeeId } = req.params;
+    const { points } = req.body;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      return res.status(400).json({ message: 'Invalid employeeId.' });
+    }
+    if (!Number.isInteger(points)) {
+      return res.status(400).json({ message: 'points must be a whole number.' });
+    }
+
+    const employee = await Employee.findOneAndUpdate(
+      { companyId, userId: employeeId },
+      { $set: { bidPoints: points } },
+      { new: true }
+    ).select('userId fullName bidPoints hireDate');
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found.' });
+    }
+
+    return res.status(200).json({ message: 'Bid points updated.', employee });
+  } catch (error) {
+    console.error('Error updating bid points:', error.stack);
+    return res.status(500).json({ message: 'Failed to update bid points.', error: error.message });
+  }
+});
+
+// GET /api/shift-bids/:companyId/:windowId - One window; managers get every bid and the full award audit
+router.get('/:companyId/:windowId', verifyUser, authorizeRoles(['Manager', 'Employee']), async (req, res) => {
+  try {
+    const { companyId, windowId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(windowId)) {
+      return res.status(400).json({ message: 'Invalid windowId.' });
+    }
+
+    const existing = await BidWindow.findOne({ _id: windowId, companyId }).select('status closesAt').lean();
+    if (!existing) {
+      return res.status(404).json({ message: 'Bidding window not found.' });
+    }
+    if (existing.status === 'open' && existing.closesAt <= new Date()) {
+      await awardBidWindow(windowId, { io: req.app.get('io') });
+    }
+
+    const window = await BidWindow.findById(windowId)
+      .populate('shifts.skillId', 'name')
+      .populate('bids.employeeId', 'name email')
+      .lean();
+    if (req.user.role.toLowerCase() === 'manager') {
+      return res.status(200).json({ window });
+    }
+    if (window.departmentId.toString() !== req.user.departmentId || window.status === 'cancelled') {
+      return res.status(404).json({ message: 'Bidding window not found.' });
+    }
+    const bids = window.bids.map((bid) => ({ ...bid, employeeId: bid.employeeId?._id || bid.employeeId }));
+    return res.status(200).json({ window: employeeView({ ...window, bids }, req.user._id) });
+  } catch (error) {
+    console.error('Error fetching bid window:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch bidding window.', error: error.message });
+  }
+});
+
+// PUT /api/shift-bids/:companyId/:windowId/bid - Submit or replace a bid: { rankings: [shiftId, ...] }, most wanted first
+router.put('/:companyId/:windowId/bid', verifyUser, authorizeRoles(['Employee', 'Manager']), async (req, res) => {
+  try {
+    const { companyId, windowId } = req.params;
+    const { rankings } = req.body;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(windowId)) {
+      return res.status(400).json({ message: 'Invalid windowId.' });
+    }
+
+    const window = await BidWindow.findOne({ _id: windowId, companyId }).lean();
+    if (!window) {
+      return res.status(404).json({ message: 'Bidding window not found.' });
+    }
+    const now = new Date();
+    if (window.status !== 'open' || window.closesAt <= now) {
+      return res.status(409).json({ message: 'Bidding has closed for this window.' });
+    }
+    if (window.opensAt > now) {
+      return res.status(409).json({ message: 'Bidding has not opened yet.' });
+    }
+    if (!(await Employee.exists({ companyId, userId: req.user._id, department: window.departmentId }))) {
+      return res.status(403).json({ message: 'Only employees of this department can bid.' });
+    }
+
+    const shiftIds = window.shifts.map((shift) => shift._id.toString());
+    if (!Array.isArray(rankings) || rankings.length === 0) {
+      return res.status(400).json({ message: 'rankings must list at least one shift.' });
+    }
+    if (new Set(rankings.map(String)).size !== rankings.length || rankings.some((shiftId) => !shiftIds.includes(String(shiftId)))) {
+      return res.status(400).json({ message: 'rankings must list distinct shifts of this window.' });
+    }
+
+    const ranked = rankings.map((shiftId, index) => ({ shiftId, rank: index + 1 }));
+    const open = { _id: windowId, status: 'open', closesAt: { $gt: now } };
+    let result = await BidWindow.updateOne(
+      { ...open, 'bids.employeeId': req.user._id },
+      { $set: { 'bids.$.rankings': ranked, 'bids.$.updatedAt': now } }
+    );
+    if (result.matchedCount === 0) {
+      result = await BidWindow.updateOne(
+        { ...open, 'bids.employeeId': { $ne: req.user._id } },
+        { $push: { bids: { employeeId: req.user._id, rankings: ranked, submittedAt: now, updatedAt: now } } }
+      );
+    }
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ message: 'Bidding has closed for this window.' });
+    }
+
+    return res.status(200).json({ message: 'Bid saved.', bid: { employeeId: req.user._id, rankings: ranked, updatedAt: now } });
+  } catch (error) {
+    console.error('Error saving bid:', error.stack);
+    return res.status(500).json({ message: 'Failed to save bid.', error: error.message });
+  }
+});
+
+// DELETE /api/shift-bids/:companyId/:windowId/bid - Withdraw your bid while the window is open
+router.delete('/:companyId/:windowId/bid', verifyUser, authorizeRoles(['Employee', 'Manager']), async (req, res) => {
+  try {
+    const { companyId, windowId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(windowId)) {
+      return res.status(400).json({ message: 'Invalid windowId.' });
+    }
+
+    const result = await BidWindow.updateOne(
+      { _id: windowId, companyId, status: 'open', closesAt: { $gt: new Date() }, 'bids.employeeId': req.user._id },
+      { $pull: { bids: { employeeId: req.user._id } } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'No bid to withdraw in an open window.' });
+    }
+
+    return res.status(200).json({ message: 'Bid withdrawn.' });
+  } catch (error) {
+    console.error('Error withdrawing bid:', error.stack);
+    return res.status(500).json({ message: 'Failed to withdraw bid.', error: error.message });
+  }
+});
+
+// POST /api/shift-bids/:companyId/:windowId/award - Award a window whose bidding has closed; { closeNow: true } ends
+// bidding early and awards straight away
+router.post('/:companyId/:windowId/award', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, windowId } = req.params;
+    const { closeNow = false } = req.body;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(windowId)) {
+      return res.status(400).json({ message: 'Invalid windowId.' });
+    }
+
+    const window = await BidWindow.findOne({ _id: windowId, companyId }).select('status closesAt').lean();
+    if (!window) {
+      return res.status(404).json({ message: 'Bidding window not found.' });
+    }
+    if (window.status !== 'open') {
+      return res.status(409).json({ message: `This window is already ${window.status}.` });
+    }
+    if (window.closesAt > new Date()) {
+      if (!closeNow) {
+        return res.status(409).json({ message: 'Bidding is still open. Pass closeNow: true to close it early.' });
+      }
+      await BidWindow.updateOne({ _id: windowId, status: 'open' }, { $set: { closesAt: new Date() } });
+    }
+
+    const awarded = await awardBidWindow(windowId, { awardedBy: req.user._id, io: req.app.get('io') });
+    if (!awarded) {
+      return res.status(409).json({ message: 'This window is already being awarded.' });
+    }
+
+    return res.status(200).json({ message: 'Bidding window awarded.', window: awarded });
+  } catch (error) {
+    console.error('Error awarding bid window:', error.stack);
+    return res.status(500).json({ message: 'Failed to award bidding window.', error: error.message });
+  }
+});
+
+// DELETE /api/shift-bids/:companyId/:windowId - Cancel a window that has not been awarded
+router.delete('/:companyId/:windowId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, windowId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(windowId)) {
+      return res.status(400).json({ message: 'Invalid windowId.' });
+    }
+
+    const cancelled = await BidWindow.findOneAndUpdate(
+      { _id: windowId, companyId, status: 'open' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(404).json({ message: 'No open bidding window found.' });
+    }
+
+    return res.status(200).json({ message: 'Bidding window cancelled.', window: cancelled });
+  } catch (error) {
+    console.error('Error cancelling bid window:', error.stack);
+    return res.status(500).json({ message: 'Failed to cancel bidding window.', error: error.message });
+  }
+});
+
+export default router;
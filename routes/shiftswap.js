@@ -1,12 +1,19 @@
 import express from 'express';
 import mongoose from 'mongoose';
-import { verifyUser } from '../middleware/authMiddleware.js';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
 import ShiftSchedule from '../models/ShiftSchedule.js';
 import ShiftSwapRequest from '../models/ShiftSwap.js';
 import User from '../models/User.js';
 import Employee from '../models/Employee.js';
+import Company from '../models/Company.js';
 import nodemailer from 'nodemailer';
 import dayjs from 'dayjs';
+import { validateSwap, validateTransfer } from '../Util/SwapValidation.js';
+import { executeSwap, transitionSwap } from '../Util/SwapExecution.js';
+import { swapExpiryFor, expireSwapRequests } from '../Util/SwapExpiry.js';
+import { PUBLISHED_SHIFT_FILTER } from '../Util/ScheduleVersions.js';
+import { notifyManagers } from '../Util/OpenShifts.js';
+import { sendSystemNotification } from '../Util/NotificationUtils.js';
 
 // Verify that ShiftSwapRequest is imported correctly
 console.log('ShiftSwapRequest model:', ShiftSwapRequest);
@@ -90,6 +97,29 @@ const sendStatusUpdateEmail = async (recipient, requester, colleagueShift, statu
   }
 };
 
+// Swap requests that still hold on to their shifts
+const OPEN_SWAP_STATUSES = ['pending', 'awaiting_manager_approval'];
+
+const describeShift = (shift) => {
+  const date = dayjs(shift.weekStartDate)
+    .add(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].indexOf(shift.day), 'day');
+  return `${date.format('YYYY-MM-DD')} ${shift.startTime}-${shift.endTime}`;
+};
+
+// Close the request first when its time is up, so an expired request cannot be acted on; `req.user` is recorded
+// as the one who triggered the expiry
+const expireIfDue = (req, requestId, source) =>
+  expireSwapRequests({ io: req.app.get('io'), requestIds: [requestId], expiredBy: req.user._id, source });
+
+// Requests of the company that expired while nobody was looking (serverless deployments have no scheduled job)
+const expireCompanyRequests = (req) =>
+  expireSwapRequests({ io: req.app.get('io'), companyId: req.user.companyId, source: 'list' });
+
+// "shift swap for A and B" or, for a giveaway, "shift handover of A"
+const describeRequest = (requesterShift, colleagueShift) => (colleagueShift
+  ? `shift swap for ${describeShift(requesterShift)} and ${describeShift(colleagueShift)}`
+  : `shift handover of ${describeShift(requesterShift)}`);
+
 const router = express.Router();
 
 // Log when the router is initialized
@@ -291,6 +321,7 @@ router.get('/colleague-shifts/:employeeId/:colleagueId', verifyUser, async (req,
       companyId,
       departmentId,
       weekStartDate: startDateObj,
+      ...PUBLISHED_SHIFT_FILTER,
     }).lean();
     console.log('My shifts:', myShifts);
 
@@ -299,6 +330,7 @@ router.get('/colleague-shifts/:employeeId/:colleagueId', verifyUser, async (req,
       companyId,
       departmentId,
       weekStartDate: startDateObj,
+      ...PUBLISHED_SHIFT_FILTER,
     })
       .populate({
         path: 'employeeId',
@@ -334,8 +366,8 @@ router.get('/colleague-shifts/:employeeId/:colleagueId', verifyUser, async (req,
 
     const existingSwapRequests = await ShiftSwapRequest.find({
       $or: [
-        { requesterShiftId: { $in: shiftIds }, employeeId: employeeId, status: 'pending' },
-        { colleagueShiftId: { $in: shiftIds }, colleagueId: employeeId, status: 'pending' },
+        { requesterShiftId: { $in: shiftIds }, employeeId: employeeId, status: { $in: OPEN_SWAP_STATUSES } },
+        { colleagueShiftId: { $in: shiftIds }, colleagueId: employeeId, status: { $in: OPEN_SWAP_STATUSES } },
       ],
     }).lean();
     console.log('Existing swap requests:', existingSwapRequests);
@@ -389,6 +421,11 @@ router.post('/request', verifyUser, async (req, res) => {
     }
     console.log('Colleague shift:', colleagueShift);
 
+    if (requesterShift.status === 'draft' || colleagueShift.status === 'draft') {
+      console.log('Validation failed: Draft shifts cannot be swapped');
+      return res.status(400).json({ message: 'Only published shifts can be swapped.' });
+    }
+
     // Ensure the shifts belong to the correct employees
     if (requesterShift.employeeId.toString() !== employeeId.toString()) {
       console.log('Requester shift does not belong to the requesting employee:', { requesterShift, employeeId });
@@ -477,7 +514,7 @@ router.post('/request', verifyUser, async (req, res) => {
     const existingDuplicateRequest = await ShiftSwapRequest.findOne({
       requesterShiftId,
       colleagueShiftId,
-      status: 'pending',
+      status: { $in: OPEN_SWAP_STATUSES },
     });
     if (existingDuplicateRequest) {
       console.log('Duplicate shift swap request found:', existingDuplicateRequest);
@@ -487,8 +524,9 @@ router.post('/request', verifyUser, async (req, res) => {
     // Check for existing pending swap requests involving either shift
     const existingRequest = await ShiftSwapRequest.findOne({
       $or: [
-        { requesterShiftId, employeeId: employeeId, status: 'pending' },
-        { colleagueShiftId, colleagueId: colleagueShift.employeeId._id, status: 'pending' },
+        { requesterShiftId, employeeId: employeeId, status: { $in: OPEN_SWAP_STATUSES } },
+        { colleagueShiftId, colleagueId: colleagueShift.employeeId._id, status: { $in: OPEN_SWAP_STATUSES } },
+        { requesterShiftId: colleagueShiftId, type: 'giveaway', status: { $in: OPEN_SWAP_STATUSES } },
       ],
     });
     if (existingRequest) {
@@ -496,52 +534,11 @@ router.post('/request', verifyUser, async (req, res) => {
       return res.status(400).json({ message: 'A pending swap request already exists involving one of these shifts.' });
     }
 
-    // Check for shift conflicts after swapping
-    const requesterOtherShifts = await ShiftSchedule.find({
-      employeeId: employeeId,
-      companyId: requesterShift.companyId,
-      weekStartDate: requesterShift.weekStartDate,
-      day: colleagueShift.day,
-      _id: { $ne: requesterShiftId },
-    }).lean();
-
-    const colleagueOtherShifts = await ShiftSchedule.find({
-      employeeId: colleagueShift.employeeId._id,
-      companyId: colleagueShift.companyId,
-      weekStartDate: colleagueShift.weekStartDate,
-      day: requesterShift.day,
-      _id: { $ne: colleagueShiftId },
-    }).lean();
-
-    const colleagueShiftStart = parseInt(colleagueShift.startTime.split(':')[0]) * 60 + parseInt(colleagueShift.startTime.split(':')[1]);
-    const colleagueShiftEnd = parseInt(colleagueShift.endTime.split(':')[0]) * 60 + parseInt(colleagueShift.endTime.split(':')[1]);
-    const requesterShiftStart = parseInt(requesterShift.startTime.split(':')[0]) * 60 + parseInt(requesterShift.startTime.split(':')[1]);
-    const requesterShiftEnd = parseInt(requesterShift.endTime.split(':')[0]) * 60 + parseInt(requesterShift.endTime.split(':')[1]);
-
-    for (const otherShift of requesterOtherShifts) {
-      const otherStart = parseInt(otherShift.startTime.split(':')[0]) * 60 + parseInt(otherShift.startTime.split(':')[1]);
-      const otherEnd = parseInt(otherShift.endTime.split(':')[0]) * 60 + parseInt(otherShift.endTime.split(':')[1]);
-      if (
-        (colleagueShiftStart >= otherStart && colleagueShiftStart < otherEnd) ||
-        (colleagueShiftEnd > otherStart && colleagueShiftEnd <= otherEnd) ||
-        (colleagueShiftStart <= otherStart && colleagueShiftEnd >= otherEnd)
-      ) {
-        console.log('Shift conflict detected for requester after swapping:', { otherShift, colleagueShift });
-        return res.status(400).json({ message: 'The colleague’s shift conflicts with your existing shifts on that day.' });
-      }
-    }
-
-    for (const otherShift of colleagueOtherShifts) {
-      const otherStart = parseInt(otherShift.startTime.split(':')[0]) * 60 + parseInt(otherShift.startTime.split(':')[1]);
-      const otherEnd = parseInt(otherShift.endTime.split(':')[0]) * 60 + parseInt(otherShift.endTime.split(':')[1]);
-      if (
-        (requesterShiftStart >= otherStart && requesterShiftStart < otherEnd) ||
-        (requesterShiftEnd > otherStart && requesterShiftEnd <= otherEnd) ||
-        (requesterShiftStart <= otherStart && requesterShiftEnd >= otherEnd)
-      ) {
-        console.log('Shift conflict detected for colleague after swapping:', { otherShift, requesterShift });
-        return res.status(400).json({ message: 'Your shift conflicts with the colleague’s existing shifts on that day.' });
-      }
+    // Both employees must be able to work the shift they take over
+    const { valid, problems } = await validateSwap(requesterShift, colleagueShift);
+    if (!valid) {
+      console.log('Swap request blocked:', problems.map((problem) => problem.message));
+      return res.status(422).json({ message: 'This shift swap is not allowed.', problems });
     }
 
     // Create a single swap request
@@ -554,6 +551,8 @@ router.post('/request', verifyUser, async (req, res) => {
       companyId: requesterShift.companyId,
       requestedAt: new Date(),
       status: 'pending',
+      ...(await swapExpiryFor(requesterShift.companyId, [requesterShift, colleagueShift])),
+      history: [{ action: 'request', toStatus: 'pending', by: employeeId }],
     });
 
     // Save the swap request
@@ -595,17 +594,26 @@ router.post('/accept/:requestId', verifyUser, async (req, res) => {
       return res.status(400).json({ message: 'Invalid requestId.' });
     }
 
+    await expireIfDue(req, requestId, 'accept');
     const swapRequest = await ShiftSwapRequest.findById(requestId);
     if (!swapRequest) {
       console.log('Swap request not found:', requestId);
       return res.status(404).json({ message: 'Swap request not found.' });
     }
 
+    if (swapRequest.status === 'expired') {
+      return res.status(409).json({ message: 'This swap request has expired.' });
+    }
+
     if (swapRequest.status !== 'pending') {
       console.log('Swap request is not pending:', swapRequest.status);
       return res.status(400).json({ message: 'Swap request is not pending.' });
     }
 
+    if (swapRequest.type === 'giveaway') {
+      return res.status(400).json({ message: 'This is an offered shift. Use pickup to take it over.' });
+    }
+
     if (swapRequest.colleagueId.toString() !== employeeId.toString()) {
       console.log('Unauthorized: Employee is not the requested colleague for this swap request:', { employeeId, swapRequest });
       return res.status(403).json({ message: 'Unauthorized: You can only accept swap requests sent to you.' });
@@ -619,34 +627,55 @@ router.post('/accept/:requestId', verifyUser, async (req, res) => {
       return res.status(404).json({ message: 'One of the shifts not found.' });
     }
 
-    // Validate shift timing again before accepting
-    const now = dayjs();
-    const requesterShiftDateTime = dayjs(requesterShift.weekStartDate)
-      .add(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].indexOf(requesterShift.day), 'day')
-      .set('hour', parseInt(requesterShift.startTime.split(':')[0]))
-      .set('minute', parseInt(requesterShift.startTime.split(':')[1]));
-    const colleagueShiftDateTime = dayjs(colleagueShift.weekStartDate)
-      .add(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].indexOf(colleagueShift.day), 'day')
-      .set('hour', parseInt(colleagueShift.startTime.split(':')[0]))
-      .set('minute', parseInt(colleagueShift.startTime.split(':')[1]));
-
-    if (now.isAfter(requesterShiftDateTime) || now.isAfter(colleagueShiftDateTime)) {
-      console.log('Validation failed: One of the shifts has already started:', { now: now.toISOString(), requesterShiftStart: requesterShiftDateTime.toISOString(), colleagueShiftStart: colleagueShiftDateTime.toISOString() });
-      return res.status(400).json({ message: 'Cannot accept a swap request for shifts that have already started.' });
+    // Availability, shifts and rules may have changed since the request was made
+    const { valid, problems } = await validateSwap(requesterShift, colleagueShift);
+    if (!valid) {
+      console.log('Swap blocked:', problems.map((problem) => problem.message));
+      return res.status(422).json({ message: 'This shift swap is no longer allowed.', problems });
     }
 
-    const requesterShiftEmployeeId = requesterShift.employeeId;
-    requesterShift.employeeId = colleagueShift.employeeId;
-    colleagueShift.employeeId = requesterShiftEmployeeId;
+    const accepted = { acceptedBy: employeeId, acceptedAt: new Date() };
+
+    // Company policy may require a manager to approve the swap before the shifts change hands
+    const company = await Company.findById(swapRequest.companyId).select('schedulingSettings').lean();
+    if (company?.schedulingSettings?.swapApprovalRequired) {
+      const awaiting = await transitionSwap({
+        swapRequestId: swapRequest._id,
+        fromStatuses: ['pending'],
+        toStatus: 'awaiting_manager_approval',
+        actorId: employeeId,
+        action: 'accept',
+        set: accepted,
+      });
+      if (!awaiting) {
+        return res.status(409).json({ message: 'Swap request is no longer pending.' });
+      }
+      console.log('Shift swap request awaiting manager approval:', swapRequest._id);
+
+      await notifyManagers(req.app.get('io'), {
+        companyId: swapRequest.companyId,
+        senderId: employeeId,
+        type: 'swap_awaiting_approval',
+        message: `A shift swap for ${describeShift(requesterShift)} and ${describeShift(colleagueShift)} is waiting for your approval.`,
+        metadata: { swapRequestId: swapRequest._id },
+      });
+      await sendSystemNotification(req.app.get('io'), {
+        recipientId: swapRequest.employeeId,
+        senderId: employeeId,
+        type: 'swap_awaiting_approval',
+        message: `Your colleague accepted your shift swap for ${describeShift(requesterShift)}. It is waiting for manager approval.`,
+        metadata: { swapRequestId: swapRequest._id },
+      });
 
-    await requesterShift.save();
-    await colleagueShift.save();
+      return res.status(202).json({ message: 'Shift swap accepted. A manager will review it before the shifts change.' });
+    }
 
-    swapRequest.status = 'accepted';
-    swapRequest.acceptedBy = employeeId;
-    swapRequest.acceptedAt = new Date();
-    await swapRequest.save();
-    console.log('Shift swap request updated to accepted:', swapRequest);
+    // Both shifts, the status and the audit entry change together or not at all
+    const outcome = await executeSwap({ swapRequest, fromStatus: 'pending', toStatus: 'accepted', actorId: employeeId, action: 'accept', set: accepted });
+    if (!outcome.ok) {
+      return res.status(409).json({ message: outcome.message });
+    }
+    console.log('Shift swap request updated to accepted:', outcome.swapRequest._id);
 
     // Fetch the requester and colleague for email notification
     const requester = await User.findById(swapRequest.employeeId).lean();
@@ -677,6 +706,7 @@ router.post('/reject/:requestId', verifyUser, async (req, res) => {
       return res.status(400).json({ message: 'Invalid requestId.' });
     }
 
+    await expireIfDue(req, requestId, 'reject');
     const swapRequest = await ShiftSwapRequest.findById(requestId);
     if (!swapRequest) {
       console.log('Swap request not found:', requestId);
@@ -688,18 +718,26 @@ router.post('/reject/:requestId', verifyUser, async (req, res) => {
       return res.status(400).json({ message: 'Swap request is not pending.' });
     }
 
-    if (swapRequest.colleagueId.toString() !== employeeId.toString()) {
+    if (swapRequest.colleagueId?.toString() !== employeeId.toString()) {
       console.log('Unauthorized: Employee is not the requested colleague for this swap request:', { employeeId, swapRequest });
       return res.status(403).json({ message: 'Unauthorized: You can only reject swap requests sent to you.' });
     }
 
-    const colleagueShift = await ShiftSchedule.findById(swapRequest.colleagueShiftId);
+    // A declined giveaway has no colleague shift; the email shows the offered shift instead
+    const colleagueShift = await ShiftSchedule.findById(swapRequest.colleagueShiftId || swapRequest.requesterShiftId);
 
-    swapRequest.status = 'rejected';
-    swapRequest.rejectedBy = employeeId;
-    swapRequest.rejectedAt = new Date();
-    await swapRequest.save();
-    console.log('Shift swap request updated to rejected:', swapRequest);
+    const rejected = await transitionSwap({
+      swapRequestId: swapRequest._id,
+      fromStatuses: ['pending'],
+      toStatus: 'rejected',
+      actorId: employeeId,
+      action: 'reject',
+      set: { rejectedBy: employeeId, rejectedAt: new Date() },
+    });
+    if (!rejected) {
+      return res.status(409).json({ message: 'Swap request is no longer pending.' });
+    }
+    console.log('Shift swap request updated to rejected:', rejected._id);
 
     // Fetch the requester and colleague for email notification
     const requester = await User.findById(swapRequest.employeeId).lean();
@@ -730,15 +768,16 @@ router.post('/cancel/:requestId', verifyUser, async (req, res) => {
       return res.status(400).json({ message: 'Invalid requestId.' });
     }
 
+    await expireIfDue(req, requestId, 'cancel');
     const swapRequest = await ShiftSwapRequest.findById(requestId);
     if (!swapRequest) {
       console.log('Swap request not found:', requestId);
       return res.status(404).json({ message: 'Swap request not found.' });
     }
 
-    if (swapRequest.status !== 'pending') {
-      console.log('Swap request is not pending:', swapRequest.status);
-      return res.status(400).json({ message: 'Swap request is not pending.' });
+    if (!OPEN_SWAP_STATUSES.includes(swapRequest.status)) {
+      console.log('Swap request is no longer open:', swapRequest.status);
+      return res.status(400).json({ message: 'Swap request can no longer be cancelled.' });
     }
 
     if (swapRequest.employeeId.toString() !== employeeId.toString()) {
@@ -746,11 +785,18 @@ router.post('/cancel/:requestId', verifyUser, async (req, res) => {
       return res.status(403).json({ message: 'Unauthorized: You can only cancel your own swap requests.' });
     }
 
-    swapRequest.status = 'cancelled';
-    swapRequest.cancelledBy = employeeId;
-    swapRequest.cancelledAt = new Date();
-    await swapRequest.save();
-    console.log('Shift swap request updated to cancelled:', swapRequest);
+    const cancelled = await transitionSwap({
+      swapRequestId: swapRequest._id,
+      fromStatuses: OPEN_SWAP_STATUSES,
+      toStatus: 'cancelled',
+      actorId: employeeId,
+      action: 'cancel',
+      set: { cancelledBy: employeeId, cancelledAt: new Date() },
+    });
+    if (!cancelled) {
+      return res.status(409).json({ message: 'Swap request can no longer be cancelled.' });
+    }
+    console.log('Shift swap request updated to cancelled:', cancelled._id);
 
     console.log('Shift swap cancelled successfully:', requestId);
     res.status(200).json({ message: 'Shift swap cancelled successfully!' });
@@ -760,6 +806,267 @@ router.post('/cancel/:requestId', verifyUser, async (req, res) => {
   }
 });
 
+// POST /api/shift-swap/giveaway - Offer one of your shifts without taking one back, either to a colleague
+// ({ shiftId, colleagueId }) or to everyone in your department ({ shiftId })
+router.post('/giveaway', verifyUser, async (req, res) => {
+  console.log('POST /api/shift-swap/giveaway called');
+  try {
+    const { shiftId, colleagueId = null, note = '' } = req.body;
+    const employeeId = req.user._id;
+
+    if (!shiftId || !mongoose.Types.ObjectId.isValid(shiftId)) {
+      console.log('Validation failed: Invalid shiftId:', shiftId);
+      return res.status(400).json({ message: 'Invalid shift ID.' });
+    }
+    if (colleagueId && (!mongoose.Types.ObjectId.isValid(colleagueId) || colleagueId.toString() === employeeId.toString())) {
+      console.log('Validation failed: Invalid colleagueId:', colleagueId);
+      return res.status(400).json({ message: 'Invalid colleagueId.' });
+    }
+
+    const shift = await ShiftSchedule.findById(shiftId).lean();
+    if (!shift) {
+      console.log('Shift not found:', shiftId);
+      return res.status(404).json({ message: 'Shift not found.' });
+    }
+    if (shift.status === 'draft') {
+      return res.status(400).json({ message: 'Only published shifts can be given away.' });
+    }
+    if (shift.employeeId?.toString() !== employeeId.toString()) {
+      console.log('Shift does not belong to the requesting employee:', { shift, employeeId });
+      return res.status(403).json({ message: 'The selected shift does not belong to you.' });
+    }
+
+    const employeeDetails = await Employee.findOne({ userId: employeeId }).lean();
+    if (!employeeDetails || !employeeDetails.department) {
+      console.log('Employee details or department not found for userId:', employeeId);
+      return res.status(404).json({ message: 'Employee details or department not found.' });
+    }
+    if (shift.departmentId.toString() !== employeeDetails.department.toString()) {
+      return res.status(403).json({ message: 'Shift does not belong to your department.' });
+    }
+
+    // Same notice period as swaps
+    const shiftDateTime = dayjs(shift.weekStartDate)
+      .add(['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].indexOf(shift.day), 'day')
+      .set('hour', parseInt(shift.startTime.split(':')[0]))
+      .set('minute', parseInt(shift.startTime.split(':')[1]));
+    if (dayjs().isAfter(shiftDateTime.subtract(3, 'hour'))) {
+      console.log('Validation failed: Giveaway too close to shift start:', shiftDateTime.toISOString());
+      return res.status(400).json({ message: 'A shift must be offered at least 3 hours before it starts.' });
+    }
+
+    const existingRequest = await ShiftSwapRequest.findOne({
+      $or: [{ requesterShiftId: shiftId }, { colleagueShiftId: shiftId }],
+      status: { $in: OPEN_SWAP_STATUSES },
+    });
+    if (existingRequest) {
+      console.log('Open request already exists for the shift:', existingRequest._id);
+      return res.status(400).json({ message: 'A pending swap or handover already involves this shift.' });
+    }
+
+    if (colleagueId) {
+      const colleague = await Employee.findOne({ userId: colleagueId, department: shift.departmentId }).select('_id').lean();
+      if (!colleague) {
+        return res.status(403).json({ message: 'Colleague must be in the same department as you.' });
+      }
+      const { valid, problems } = await validateTransfer(shift, colleagueId);
+      if (!valid) {
+        console.log('Giveaway blocked:', problems.map((problem) => problem.message));
+        return res.status(422).json({ message: 'Your colleague cannot take over this shift.', problems });
+      }
+    }
+
+    const giveaway = await ShiftSwapRequest.create({
+      type: 'giveaway',
+      shiftId,
+      requesterShiftId: shiftId,
+      employeeId,
+      colleagueId,
+      companyId: shift.companyId,
+      departmentId: shift.departmentId,
+      note,
+      requestedAt: new Date(),
+      status: 'pending',
+      ...(await swapExpiryFor(shift.companyId, [shift])),
+      history: [{ action: 'offer', toStatus: 'pending', by: employeeId }],
+    });
+    console.log('Shift giveaway created:', giveaway._id);
+
+    const recipients = colleagueId
+      ? [colleagueId]
+      : (await Employee.find({ companyId: shift.companyId, department: shift.departmentId, userId: { $ne: employeeId } }).select('userId').lean())
+        .map((member) => member.userId);
+    const requesterUser = await User.findById(employeeId).select('name').lean();
+    for (const recipientId of recipients) {
+      await sendSystemNotification(req.app.get('io'), {
+        recipientId,
+        senderId: employeeId,
+        type: 'shift_offered',
+        message: `${requesterUser?.name || 'A colleague'} is offering ${colleagueId ? 'you ' : ''}their shift ${describeShift(shift)}.${note ? ` ${note}` : ''}`,
+        metadata: { swapRequestId: giveaway._id },
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift offered successfully!',
+      data: giveaway,
+      notifiedEmployees: recipients.length,
+    });
+  } catch (error) {
+    console.error('Error in /giveaway:', error.stack);
+    res.status(500).json({ success: false, message: 'Failed to offer shift.', error: error.message });
+  }
+});
+
+// GET /api/shift-swap/giveaways/available - Shifts offered to you or to your department, and whether you can take them
+router.get('/giveaways/available', verifyUser, async (req, res) => {
+  console.log('GET /api/shift-swap/giveaways/available called');
+  try {
+    const employeeId = req.user._id;
+
+    const employeeDetails = await Employee.findOne({ userId: employeeId }).lean();
+    if (!employeeDetails || !employeeDetails.department) {
+      console.log('Employee details or department not found for userId:', employeeId);
+      return res.status(200).json([]);
+    }
+
+    await expireCompanyRequests(req);
+
+    const giveaways = await ShiftSwapRequest.find({
+      type: 'giveaway',
+      status: 'pending',
+      companyId: employeeDetails.companyId,
+      employeeId: { $ne: employeeId },
+      $or: [{ colleagueId: employeeId }, { colleagueId: null, departmentId: employeeDetails.department }],
+    })
+      .populate('requesterShiftId')
+      .populate({ path: 'employeeId', select: 'name fullName email' })
+      .sort({ requestedAt: 1 })
+      .lean();
+
+    const result = [];
+    for (const giveaway of giveaways.filter((entry) => entry.requesterShiftId)) {
+      const { valid, problems } = await validateTransfer(giveaway.requesterShiftId, employeeId);
+      result.push({ ...giveaway, eligibility: { eligible: valid, problems } });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in /giveaways/available:', error.stack);
+    res.status(500).json({ message: 'Failed to fetch offered shifts.', error: error.message });
+  }
+});
+
+// POST /api/shift-swap/pickup/:requestId - Take over an offered shift
+router.post('/pickup/:requestId', verifyUser, async (req, res) => {
+  console.log('POST /api/shift-swap/pickup/:requestId called');
+  try {
+    const { requestId } = req.params;
+    const employeeId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      console.log('Validation failed: Invalid requestId:', requestId);
+      return res.status(400).json({ message: 'Invalid requestId.' });
+    }
+
+    await expireIfDue(req, requestId, 'pickup');
+    const giveaway = await ShiftSwapRequest.findOne({ _id: requestId, type: 'giveaway' });
+    if (!giveaway) {
+      console.log('Giveaway not found:', requestId);
+      return res.status(404).json({ message: 'Offered shift not found.' });
+    }
+    if (giveaway.status !== 'pending') {
+      return res.status(409).json({ message: giveaway.status === 'expired' ? 'This offer has expired.' : 'This shift is no longer on offer.' });
+    }
+    if (giveaway.employeeId.toString() === employeeId.toString()) {
+      return res.status(400).json({ message: 'You cannot pick up your own shift.' });
+    }
+    if (giveaway.colleagueId) {
+      if (giveaway.colleagueId.toString() !== employeeId.toString()) {
+        return res.status(403).json({ message: 'This shift was offered to someone else.' });
+      }
+    } else if (!(await Employee.exists({ userId: employeeId, department: giveaway.departmentId }))) {
+      return res.status(403).json({ message: 'Only employees of the department can pick up this shift.' });
+    }
+
+    const shift = await ShiftSchedule.findById(giveaway.requesterShiftId);
+    if (!shift || shift.employeeId?.toString() !== giveaway.employeeId.toString()) {
+      return res.status(409).json({ message: 'The shift has changed hands since it was offered.' });
+    }
+
+    const { valid, problems } = await validateTransfer(shift, employeeId);
+    if (!valid) {
+      console.log('Pickup blocked:', problems.map((problem) => problem.message));
+      return res.status(422).json({ message: 'You cannot take over this shift.', problems });
+    }
+
+    const io = req.app.get('io');
+    const accepted = { acceptedBy: employeeId, acceptedAt: new Date() };
+    const pickerUser = await User.findById(employeeId).select('name').lean();
+    const pickerName = pickerUser?.name || 'A colleague';
+
+    const company = await Company.findById(giveaway.companyId).select('schedulingSettings').lean();
+    if (company?.schedulingSettings?.swapApprovalRequired) {
+      const awaiting = await transitionSwap({
+        swapRequestId: giveaway._id,
+        fromStatuses: ['pending'],
+        toStatus: 'awaiting_manager_approval',
+        actorId: employeeId,
+        action: 'pickup',
+        set: { ...accepted, colleagueId: employeeId },
+      });
+      if (!awaiting) {
+        return res.status(409).json({ message: 'Someone else picked up this shift first.' });
+      }
+
+      await notifyManagers(io, {
+        companyId: giveaway.companyId,
+        senderId: employeeId,
+        type: 'swap_awaiting_approval',
+        message: `A shift handover of ${describeShift(shift)} to ${pickerName} is waiting for your approval.`,
+        metadata: { swapRequestId: giveaway._id },
+      });
+      await sendSystemNotification(io, {
+        recipientId: giveaway.employeeId,
+        senderId: employeeId,
+        type: 'shift_picked_up',
+        message: `${pickerName} picked up your shift ${describeShift(shift)}. It is waiting for manager approval.`,
+        metadata: { swapRequestId: giveaway._id },
+      });
+
+      return res.status(202).json({ message: 'Shift picked up. A manager will review it before it becomes yours.' });
+    }
+
+    const outcome = await executeSwap({
+      swapRequest: giveaway,
+      fromStatus: 'pending',
+      toStatus: 'accepted',
+      actorId: employeeId,
+      action: 'pickup',
+      set: accepted,
+      colleagueId: employeeId,
+    });
+    if (!outcome.ok) {
+      return res.status(409).json({ message: outcome.message });
+    }
+
+    await sendSystemNotification(io, {
+      recipientId: giveaway.employeeId,
+      senderId: employeeId,
+      type: 'shift_picked_up',
+      message: `${pickerName} picked up your shift ${describeShift(shift)}. It is no longer on your schedule.`,
+      metadata: { swapRequestId: giveaway._id },
+    });
+
+    console.log('Shift picked up successfully:', requestId);
+    res.status(200).json({ message: 'Shift picked up successfully!', data: outcome.swapRequest });
+  } catch (error) {
+    console.error('Error in /pickup/:requestId:', error.stack);
+    res.status(500).json({ message: 'Failed to pick up shift.', error: error.message });
+  }
+});
+
 // GET /api/shift-swap/requests/:employeeId
 router.get('/requests/:employeeId', verifyUser, async (req, res) => {
   console.log('GET /api/shift-swap/requests/:employeeId called');
@@ -777,11 +1084,13 @@ router.get('/requests/:employeeId', verifyUser, async (req, res) => {
       return res.status(403).json({ message: 'Unauthorized: You can only fetch your own swap requests.' });
     }
 
+    await expireCompanyRequests(req);
+
     // Fetch swap requests where the user is either the requester (employeeId) or the requested colleague (colleagueId)
     const swapRequests = await ShiftSwapRequest.find({
       $or: [
-        { employeeId: employeeId, status: { $in: ['pending', 'accepted', 'rejected', 'cancelled'] } },
-        { colleagueId: employeeId, status: { $in: ['pending', 'accepted', 'rejected', 'cancelled'] } },
+        { employeeId: employeeId },
+        { colleagueId: employeeId },
       ],
     })
       .populate({
@@ -825,11 +1134,12 @@ router.get('/requests/:employeeId', verifyUser, async (req, res) => {
         console.log('Skipping swap request with missing requesterShiftId.employeeId:', request);
         return false;
       }
-      if (!request.colleagueShiftId) {
+      const isGiveaway = request.type === 'giveaway';
+      if (!isGiveaway && !request.colleagueShiftId) {
         console.log('Skipping swap request with missing colleagueShiftId:', request);
         return false;
       }
-      if (!request.colleagueShiftId.employeeId) {
+      if (!isGiveaway && !request.colleagueShiftId.employeeId) {
         console.log('Skipping swap request with missing colleagueShiftId.employeeId:', request);
         return false;
       }
@@ -847,6 +1157,8 @@ router.get('/requests/:employeeId', verifyUser, async (req, res) => {
         return false;
       }
       if (!request.colleagueId) {
+        // A giveaway offered to the whole department has no colleague until someone picks it up
+        if (isGiveaway) return true;
         console.log('Skipping swap request with missing colleagueId:', request);
         return false;
       }
@@ -874,4 +1186,155 @@ router.get('/requests/:employeeId', verifyUser, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// GET /api/shift-swap/approvals - Swaps accepted by both employees and waiting for a manager
+router.get('/approvals', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  console.log('GET /api/shift-swap/approvals called');
+  try {
+    await expireCompanyRequests(req);
+
+    const swapRequests = await ShiftSwapRequest.find({ companyId: req.user.companyId, status: 'awaiting_manager_approval' })
+      .populate({ path: 'requesterShiftId', populate: { path: 'employeeId', select: 'name fullName email' } })
+      .populate({ path: 'colleagueShiftId', populate: { path: 'employeeId', select: 'name fullName email' } })
+      .populate({ path: 'employeeId', select: 'name fullName email' })
+      .populate({ path: 'colleagueId', select: 'name fullName email' })
+      .sort({ acceptedAt: 1 })
+      .lean();
+
+    res.status(200).json(swapRequests.filter((request) => request.requesterShiftId && (request.type === 'giveaway' || request.colleagueShiftId)));
+  } catch (error) {
+    console.error('Error in /approvals:', error.stack);
+    res.status(500).json({ message: 'Failed to fetch swaps awaiting approval.', error: error.message });
+  }
+});
+
+// POST /api/shift-swap/approve/:requestId - Approve an accepted swap and exchange the shifts
+router.post('/approve/:requestId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  console.log('POST /api/shift-swap/approve/:requestId called');
+  try {
+    const { requestId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      console.log('Validation failed: Invalid requestId:', requestId);
+      return res.status(400).json({ message: 'Invalid requestId.' });
+    }
+
+    await expireIfDue(req, requestId, 'approve');
+    const swapRequest = await ShiftSwapRequest.findOne({ _id: requestId, companyId: req.user.companyId });
+    if (!swapRequest) {
+      console.log('Swap request not found:', requestId);
+      return res.status(404).json({ message: 'Swap request not found.' });
+    }
+
+    if (swapRequest.status === 'expired') {
+      return res.status(409).json({ message: 'This swap request has expired.' });
+    }
+
+    if (swapRequest.status !== 'awaiting_manager_approval') {
+      console.log('Swap request is not awaiting approval:', swapRequest.status);
+      return res.status(400).json({ message: 'Swap request is not awaiting manager approval.' });
+    }
+
+    const isGiveaway = swapRequest.type === 'giveaway';
+    const requesterShift = await ShiftSchedule.findById(swapRequest.requesterShiftId);
+    const colleagueShift = isGiveaway ? null : await ShiftSchedule.findById(swapRequest.colleagueShiftId);
+    if (!requesterShift || (!isGiveaway && !colleagueShift)) {
+      console.log('One of the shifts not found:', { requesterShift, colleagueShift });
+      return res.status(404).json({ message: 'One of the shifts not found.' });
+    }
+
+    // The shifts may have been reassigned while the swap was waiting
+    if (
+      requesterShift.employeeId?.toString() !== swapRequest.employeeId.toString() ||
+      (colleagueShift && colleagueShift.employeeId?.toString() !== swapRequest.colleagueId.toString())
+    ) {
+      return res.status(409).json({ message: 'One of the shifts has been reassigned since the swap was accepted.' });
+    }
+
+    const { valid, problems } = isGiveaway
+      ? await validateTransfer(requesterShift, swapRequest.colleagueId)
+      : await validateSwap(requesterShift, colleagueShift);
+    if (!valid) {
+      console.log('Swap blocked:', problems.map((problem) => problem.message));
+      return res.status(422).json({ message: 'This shift swap is no longer allowed.', problems });
+    }
+
+    const outcome = await executeSwap({
+      swapRequest,
+      fromStatus: 'awaiting_manager_approval',
+      toStatus: 'approved',
+      actorId: req.user._id,
+      action: 'approve',
+      set: { approvedBy: req.user._id, approvedAt: new Date() },
+    });
+    if (!outcome.ok) {
+      return res.status(409).json({ message: outcome.message });
+    }
+    const approved = outcome.swapRequest;
+    console.log('Shift swap approved and applied:', requestId);
+
+    const io = req.app.get('io');
+    for (const recipientId of [swapRequest.employeeId, swapRequest.colleagueId]) {
+      await sendSystemNotification(io, {
+        recipientId,
+        senderId: req.user._id,
+        type: 'swap_approved',
+        message: `Your ${describeRequest(requesterShift, colleagueShift)} was approved.`,
+        metadata: { swapRequestId: approved._id },
+      });
+    }
+
+    res.status(200).json({ message: 'Shift swap approved successfully!', data: approved });
+  } catch (error) {
+    console.error('Error in /approve/:requestId:', error.stack);
+    res.status(500).json({ message: 'Failed to approve shift swap.', error: error.message });
+  }
+});
+
+// POST /api/shift-swap/deny/:requestId - Deny an accepted swap ({ reason }); the shifts stay as they are
+router.post('/deny/:requestId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  console.log('POST /api/shift-swap/deny/:requestId called');
+  try {
+    const { requestId } = req.params;
+    const { reason = '' } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      console.log('Validation failed: Invalid requestId:', requestId);
+      return res.status(400).json({ message: 'Invalid requestId.' });
+    }
+
+    await expireIfDue(req, requestId, 'deny');
+    const swapRequest = await ShiftSwapRequest.findOne({ _id: requestId, companyId: req.user.companyId }).select('_id').lean();
+    const denied = swapRequest && await transitionSwap({
+      swapRequestId: swapRequest._id,
+      fromStatuses: ['awaiting_manager_approval'],
+      toStatus: 'denied',
+      actorId: req.user._id,
+      action: 'deny',
+      set: { deniedBy: req.user._id, deniedAt: new Date(), denialReason: reason },
+      note: reason,
+    });
+    if (!denied) {
+      console.log('No swap awaiting approval found:', requestId);
+      return res.status(404).json({ message: 'No swap request awaiting approval found.' });
+    }
+
+    const io = req.app.get('io');
+    for (const recipientId of [denied.employeeId, denied.colleagueId]) {
+      await sendSystemNotification(io, {
+        recipientId,
+        senderId: req.user._id,
+        type: 'swap_denied',
+        message: `Your shift ${denied.type === 'giveaway' ? 'handover' : 'swap'} was not approved by a manager.${reason ? ` ${reason}` : ''}`,
+        metadata: { swapRequestId: denied._id },
+      });
+    }
+
+    console.log('Shift swap denied:', requestId);
+    res.status(200).json({ message: 'Shift swap denied.', data: denied });
+  } catch (error) {
+    console.error('Error in /deny/:requestId:', error.stack);
+    res.status(500).json({ message: 'Failed to deny shift swap.', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,249 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
+import Skill from '../models/Skill.js';
+import Employee from '../models/Employee.js';
+import ShiftRequirement from '../models/ShiftRequirement.js';
+
+const router = express.Router();
+
+const SKILL_CATEGORIES = ['skill', 'certification', 'position'];
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// GET /api/skills/:companyId - Skill / certification / position catalog with the number of current holders
+router.get('/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      console.log('Validation failed: Invalid companyId');
+      return res.status(400).json({ message: 'Invalid companyId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to view skills for this company.' });
+    }
+
+    const skills = await Skill.find({ companyId }).sort({ category: 1, name: 1 }).lean();
+    const holders = await Employee.aggregate([
+      { $match: { companyId: new mongoose.Types.ObjectId(companyId) } },
+      { $unwind: '$skills' },
+      { $match: { $or: [{ 'skills.expiresAt': null }, { 'skills.expiresAt': { $gte: new Date() } }] } },
+      { $group: { _id: '$skills.skillId', count: { $sum: 1 } } },
+    ]);
+    const holderCounts = new Map(holders.map((entry) => [entry._id.toString(), entry.count]));
+
+    return res.status(200).json({
+      skills: skills.map((skill) => ({ ...skill, holders: holderCounts.get(skill._id.toString()) || 0 })),
+    });
+  } catch (error) {
+    console.error('Error fetching skills:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch skills.', error: error.message });
+  }
+});
+
+// POST /api/skills/:companyId - Add a skill, certification or position to the catalog
+router.post('/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { name, category = 'skill', description = '' } = req.body;
+    console.log('Received POST /api/skills payload:', JSON.stringify(req.body, null, 2));
+
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      console.log('Validation failed: Invalid companyId');
+      return res.status(400).json({ message: 'Invalid companyId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to manage skills for this company.' });
+    }
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ message: 'Skill name is required.' });
+    }
+    if (!SKILL_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `Category must be one of: ${SKILL_CATEGORIES.join(', ')}.` });
+    }
+
+    const existing = await Skill.findOne({ companyId, name: name.trim() }).lean();
+    if (existing) {
+      return res.status(409).json({ message: 'A skill with this name already exists.' });
+    }
+
+    const skill = await Skill.create({ companyId, name: name.trim(), category, description, createdBy: req.user._id });
+    console.log('Skill created:', skill._id);
+    return res.status(201).json({ message: 'Skill created successfully.', skill });
+  } catch (error) {
+    console.error('Error creating skill:', error.stack);
+    return res.status(500).json({ message: 'Failed to create skill.', error: error.message });
+  }
+});
+
+// PUT /api/skills/:companyId/employees/:employeeId - Replace an employee's skills ({ skills: [{ skillId, expiresAt }] })
+router.put('/:companyId/employees/:employeeId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, employeeId } = req.params;
+    const { skills } = req.body;
+    console.log('Received PUT /api/skills/employees payload:', JSON.stringify(req.body, null, 2));
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(employeeId)) {
+      console.log('Validation failed: Invalid companyId or employeeId');
+      return res.status(400).json({ message: 'Invalid companyId or employeeId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to manage skills for this company.' });
+    }
+    if (!Array.isArray(skills)) {
+      return res.status(400).json({ message: 'skills must be an array.' });
+    }
+
+    const assignments = [];
+    for (const entry of skills) {
+      if (!entry || !mongoose.Types.ObjectId.isValid(entry.skillId)) {
+        return res.status(400).json({ message: 'Each skill needs a valid skillId.' });
+      }
+      const expiresAt = entry.expiresAt ? new Date(entry.expiresAt) : null;
+      if (expiresAt && isNaN(expiresAt.getTime())) {
+        return res.status(400).json({ message: 'Invalid expiresAt date.' });
+      }
+      if (assignments.some((assignment) => assignment.skillId.toString() === entry.skillId.toString())) {
+        return res.status(400).json({ message: 'A skill can only be assigned once.' });
+      }
+      assignments.push({ skillId: entry.skillId, expiresAt });
+    }
+
+    const known = await Skill.countDocuments({ companyId, _id: { $in: assignments.map((assignment) => assignment.skillId) } });
+    if (known !== assignments.length) {
+      return res.status(400).json({ message: 'Unknown skill in assignment.' });
+    }
+
+    const employee = await Employee.findOne({ _id: employeeId, companyId });
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found.' });
+    }
+
+    // Keep the original assignment date for skills the employee already had
+    employee.skills = assignments.map((assignment) => {
+      const previous = employee.skills.find((skill) => skill.skillId.toString() === assignment.skillId.toString());
+      return { ...assignment, assignedAt: previous?.assignedAt || new Date() };
+    });
+    await employee.save();
+    await employee.populate('skills.skillId', 'name category');
+
+    console.log(`Skills updated for employee ${employee._id}:`, employee.skills.length);
+    return res.status(200).json({ message: 'Employee skills updated successfully.', skills: employee.skills });
+  } catch (error) {
+    console.error('Error updating employee skills:', error.stack);
+    return res.status(500).json({ message: 'Failed to update employee skills.', error: error.message });
+  }
+});
+
+// GET /api/skills/:companyId/employees/:employeeId - An employee's skills with expiry status
+router.get('/:companyId/employees/:employeeId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, employeeId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(employeeId)) {
+      console.log('Validation failed: Invalid companyId or employeeId');
+      return res.status(400).json({ message: 'Invalid companyId or employeeId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to view skills for this company.' });
+    }
+
+    const employee = await Employee.findOne({ _id: employeeId, companyId })
+      .select('fullName userId skills')
+      .populate('skills.skillId', 'name category')
+      .lean();
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found.' });
+    }
+
+    const now = new Date();
+    return res.status(200).json({
+      employeeId: employee._id,
+      userId: employee.userId,
+      fullName: employee.fullName,
+      skills: (employee.skills || []).map((skill) => ({
+        ...skill,
+        expired: Boolean(skill.expiresAt && new Date(skill.expiresAt) < now),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching employee skills:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch employee skills.', error: error.message });
+  }
+});
+
+// PUT /api/skills/:companyId/:skillId - Rename or recategorize a skill
+router.put('/:companyId/:skillId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, skillId } = req.params;
+    const { name, category, description } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(skillId)) {
+      console.log('Validation failed: Invalid companyId or skillId');
+      return res.status(400).json({ message: 'Invalid companyId or skillId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to manage skills for this company.' });
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ message: 'Skill name cannot be empty.' });
+    }
+    if (category !== undefined && !SKILL_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `Category must be one of: ${SKILL_CATEGORIES.join(', ')}.` });
+    }
+
+    const skill = await Skill.findOne({ _id: skillId, companyId });
+    if (!skill) {
+      return res.status(404).json({ message: 'Skill not found.' });
+    }
+    if (name && name.trim() !== skill.name) {
+      const duplicate = await Skill.findOne({ companyId, name: name.trim(), _id: { $ne: skillId } }).lean();
+      if (duplicate) {
+        return res.status(409).json({ message: 'A skill with this name already exists.' });
+      }
+      skill.name = name.trim();
+    }
+    if (category !== undefined) skill.category = category;
+    if (description !== undefined) skill.description = description;
+    await skill.save();
+
+    return res.status(200).json({ message: 'Skill updated successfully.', skill });
+  } catch (error) {
+    console.error('Error updating skill:', error.stack);
+    return res.status(500).json({ message: 'Failed to update skill.', error: error.message });
+  }
+});
+
+// DELETE /api/skills/:companyId/:skillId - Remove a skill from the catalog, employees and shift requirements
+router.delete('/:companyId/:skillId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, skillId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(skillId)) {
+      console.log('Validation failed: Invalid companyId or skillId');
+      return res.status(400).json({ message: 'Invalid companyId or skillId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to manage skills for this company.' });
+    }
+
+    const skill = await Skill.findOneAndDelete({ _id: skillId, companyId });
+    if (!skill) {
+      return res.status(404).json({ message: 'Skill not found.' });
+    }
+
+    await Employee.updateMany({ companyId }, { $pull: { skills: { skillId: skill._id } } });
+    await ShiftRequirement.updateMany(
+      { companyId },
+      { $pull: Object.fromEntries(DAYS_OF_WEEK.map((day) => [`${day}.$[].skillRequirements`, { skillId: skill._id }])) }
+    );
+
+    console.log('Skill deleted:', skill._id);
+    return res.status(200).json({ message: 'Skill deleted successfully.' });
+  } catch (error) {
+    console.error('Error deleting skill:', error.stack);
+    return res.status(500).json({ message: 'Failed to delete skill.', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,460 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
+import Company from '../models/Company.js';
+import Employee from '../models/Employee.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import SwapChain from '../models/SwapChain.js';
+import SwapIntent from '../models/SwapIntent.js';
+import { PUBLISHED_SHIFT_FILTER } from '../Util/ScheduleVersions.js';
+import { executeChain } from '../Util/SwapExecution.js';
+import { swapExpiryFor } from '../Util/SwapExpiry.js';
+import {
+  matchSwapIntents,
+  releaseChainIntents,
+  validateChain,
+  suggestSwaps,
+  expireSwapMatching,
+  notifyParticipants,
+} from '../Util/SwapMatching.js';
+import { notifyManagers } from '../Util/OpenShifts.js';
+
+const router = express.Router();
+
+const MAX_WANTED_SHIFTS = 20;
+const OPEN_CHAIN_STATUSES = ['proposed', 'awaiting_manager_approval'];
+
+const rejectCompany = (req, res, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(companyId)) {
+    console.log('Validation failed: Invalid companyId');
+    return res.status(400).json({ message: 'Invalid companyId.' });
+  }
+  if (companyId !== req.user.companyId) {
+    return res.status(403).json({ message: 'Unauthorized to access swap matching for this company.' });
+  }
+  return null;
+};
+
+const populateChain = (query) => query
+  .populate('participants.employeeId', 'name email')
+  .populate('participants.givesShiftId')
+  .populate('participants.receivesShiftId');
+
+const isParticipant = (chain, userId) => chain.participants.some((participant) => participant.employeeId.toString() === userId.toString());
+
+// The chain cannot go ahead any more: record why and put its intents back on the market
+const failChain = async (io, chain, { actorId, reason }) => {
+  const failed = await SwapChain.findOneAndUpdate(
+    { _id: chain._id, status: chain.status },
+    { $set: { status: 'failed', failureReason: reason }, $push: { history: { action: 'fail', by: actorId, note: reason } } },
+    { new: true }
+  ).lean();
+  if (!failed) return;
+  await releaseChainIntents(failed);
+  await notifyParticipants(io, failed, {
+    type: 'swap_chain_cancelled',
+    senderId: actorId,
+    message: `A proposed shift swap could not go ahead: ${reason}`,
+  });
+};
+
+// Execute an agreed (and, if required, approved) chain. Returns { status, body } for the response.
+const runChain = async (req, chain, { fromStatus, set = {} }) => {
+  const io = req.app.get('io');
+  const problems = await validateChain(chain);
+  if (problems.length > 0) {
+    console.log('Swap chain blocked:', chain._id, problems.map((problem) => problem.message));
+    await failChain(io, chain, { actorId: req.user._id, reason: problems[0].message });
+    return { status: 422, body: { message: 'This shift swap is no longer allowed.', problems } };
+  }
+
+  const outcome = await executeChain({ chain, fromStatus, actorId: req.user._id, set });
+  if (!outcome.ok) {
+    await failChain(io, chain, { actorId: req.user._id, reason: outcome.message });
+    return { status: 409, body: { message: outcome.message } };
+  }
+
+  await notifyParticipants(io, outcome.chain, {
+    type: 'swap_chain_executed',
+    senderId: req.user._id,
+    message: 'Your shift swap went through. Check your schedule for your new shift.',
+  });
+  return { status: 200, body: { message: 'Shift swap completed.', data: outcome.chain } };
+};
+
+// GET /api/swap-matching/:companyId/intents - The employee's own intents (managers see the company's open ones)
+router.get('/:companyId/intents', verifyUser, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    await expireSwapMatching({ io: req.app.get('io'), companyId });
+    const query = req.user.role === 'Manager'
+      ? { companyId, status: { $in: ['open', 'matched'] } }
+      : { companyId, employeeId: req.user._id };
+
+    const intents = await SwapIntent.find(query)
+      .populate('employeeId', 'name email')
+      .populate('offerShiftId')
+      .populate('wantShiftIds')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json(intents);
+  } catch (error) {
+    console.error('Error fetching swap intents:', error.stack);
+    res.status(500).json({ message: 'Failed to fetch swap intents.', error: error.message });
+  }
+});
+
+// POST /api/swap-matching/:companyId/intents - Post an intent ({ offerShiftId, wantShiftIds, acceptAny, note }) and
+// try to match it right away
+router.post('/:companyId/intents', verifyUser, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const { offerShiftId, wantShiftIds = [], acceptAny = false, note = '' } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(offerShiftId)) {
+      return res.status(400).json({ message: 'Invalid offerShiftId.' });
+    }
+    if (!Array.isArray(wantShiftIds) || wantShiftIds.length > MAX_WANTED_SHIFTS || !wantShiftIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: `wantShiftIds must be a list of at most ${MAX_WANTED_SHIFTS} shift ids.` });
+    }
+    if (wantShiftIds.length === 0 && !acceptAny) {
+      return res.status(400).json({ message: 'List the shifts you could take, or set acceptAny.' });
+    }
+
+    const employeeId = req.user._id;
+    const shift = await ShiftSchedule.findOne({ _id: offerShiftId, companyId, ...PUBLISHED_SHIFT_FILTER }).lean();
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found.' });
+    }
+    if (shift.employeeId?.toString() !== employeeId.toString()) {
+      return res.status(403).json({ message: 'You can only offer your own shifts.' });
+    }
+    if (!(await Employee.exists({ userId: employeeId, department: shift.departmentId }))) {
+      return res.status(403).json({ message: 'The shift is not in your department.' });
+    }
+
+    const { expiresAt } = await swapExpiryFor(companyId, [shift]);
+    if (expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'This shift starts too soon to swap.' });
+    }
+
+    if (wantShiftIds.length > 0) {
+      const wanted = await ShiftSchedule.countDocuments({ _id: { $in: wantShiftIds }, companyId, departmentId: shift.departmentId, ...PUBLISHED_SHIFT_FILTER });
+      if (wanted !== new Set(wantShiftIds.map(String)).size) {
+        return res.status(400).json({ message: 'Every wanted shift must be a published shift in your department.' });
+      }
+    }
+
+    if (await SwapIntent.exists({ offerShiftId, status: { $in: ['open', 'matched'] } })) {
+      return res.status(409).json({ message: 'You already have an open swap intent for this shift.' });
+    }
+
+    const intent = await SwapIntent.create({
+      companyId,
+      departmentId: shift.departmentId,
+      employeeId,
+      offerShiftId,
+      wantShiftIds,
+      acceptAny: Boolean(acceptAny),
+      note: String(note).trim(),
+      expiresAt,
+    });
+    console.log('Swap intent created:', intent._id);
+
+    const chains = await matchSwapIntents({
+      companyId,
+      departmentId: shift.departmentId,
+      intentIds: [intent._id],
+      io: req.app.get('io'),
+      triggeredBy: employeeId,
+    });
+    const chain = chains.find((candidate) => candidate.participants.some((participant) => participant.intentId.equals(intent._id))) || null;
+
+    res.status(201).json({
+      message: chain ? 'Swap intent posted and a matching swap was found.' : 'Swap intent posted. You will be notified when a matching swap is found.',
+      data: intent,
+      chain,
+    });
+  } catch (error) {
+    console.error('Error creating swap intent:', error.stack);
+    res.status(500).json({ message: 'Failed to create swap intent.', error: error.message });
+  }
+});
+
+// DELETE /api/swap-matching/:companyId/intents/:intentId - Withdraw an open intent
+router.delete('/:companyId/intents/:intentId', verifyUser, async (req, res) => {
+  try {
+    const { companyId, intentId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(intentId)) {
+      return res.status(400).json({ message: 'Invalid intentId.' });
+    }
+
+    const intent = await SwapIntent.findOneAndUpdate(
+      { _id: intentId, companyId, employeeId: req.user._id, status: 'open' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!intent) {
+      const exists = await SwapIntent.exists({ _id: intentId, companyId, employeeId: req.user._id });
+      return exists
+        ? res.status(409).json({ message: 'Only open intents can be withdrawn. Decline the proposed swap instead.' })
+        : res.status(404).json({ message: 'Swap intent not found.' });
+    }
+
+    res.status(200).json({ message: 'Swap intent withdrawn.', data: intent });
+  } catch (error) {
+    console.error('Error withdrawing swap intent:', error.stack);
+    res.status(500).json({ message: 'Failed to withdraw swap intent.', error: error.message });
+  }
+});
+
+// GET /api/swap-matching/:companyId/suggestions/:shiftId - Colleague shifts the employee could swap their shift with
+router.get('/:companyId/suggestions/:shiftId', verifyUser, async (req, res) => {
+  try {
+    const { companyId, shiftId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(shiftId)) {
+      return res.status(400).json({ message: 'Invalid shiftId.' });
+    }
+
+    const shift = await ShiftSchedule.findOne({ _id: shiftId, companyId, ...PUBLISHED_SHIFT_FILTER }).lean();
+    if (!shift) {
+      return res.status(404).json({ message: 'Shift not found.' });
+    }
+    if (shift.employeeId?.toString() !== req.user._id.toString() && req.user.role !== 'Manager') {
+      return res.status(403).json({ message: 'You can only ask for suggestions for your own shifts.' });
+    }
+
+    res.status(200).json(await suggestSwaps(shift));
+  } catch (error) {
+    console.error('Error suggesting swaps:', error.stack);
+    res.status(500).json({ message: 'Failed to suggest swaps.', error: error.message });
+  }
+});
+
+// GET /api/swap-matching/:companyId/chains - Proposals the employee takes part in (managers: every open proposal;
+// ?status=awaiting_manager_approval for the approval queue)
+router.get('/:companyId/chains', verifyUser, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    await expireSwapMatching({ io: req.app.get('io'), companyId });
+    const statuses = req.query.status ? [req.query.status] : OPEN_CHAIN_STATUSES;
+    const query = { companyId, status: { $in: statuses } };
+    if (req.user.role !== 'Manager') query['participants.employeeId'] = req.user._id;
+
+    const chains = await populateChain(SwapChain.find(query)).sort({ createdAt: -1 }).lean();
+    res.status(200).json(chains);
+  } catch (error) {
+    console.error('Error fetching swap chains:', error.stack);
+    res.status(500).json({ message: 'Failed to fetch swap chains.', error: error.message });
+  }
+});
+
+// POST /api/swap-matching/:companyId/chains/:chainId/accept - Accept a proposal; the last acceptance executes it
+// (or sends it to a manager when the company requires approval)
+router.post('/:companyId/chains/:chainId/accept', verifyUser, async (req, res) => {
+  try {
+    const { companyId, chainId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(chainId)) {
+      return res.status(400).json({ message: 'Invalid chainId.' });
+    }
+
+    const io = req.app.get('io');
+    const employeeId = req.user._id;
+    await expireSwapMatching({ io, companyId });
+
+    const chain = await SwapChain.findOneAndUpdate(
+      { _id: chainId, companyId, status: 'proposed', participants: { $elemMatch: { employeeId, response: 'pending' } } },
+      {
+        $set: { 'participants.$.response': 'accepted', 'participants.$.respondedAt': new Date() },
+        $push: { history: { action: 'accept', by: employeeId } },
+      },
+      { new: true }
+    ).lean();
+    if (!chain) {
+      const existing = await SwapChain.findOne({ _id: chainId, companyId }).lean();
+      if (!existing || !isParticipant(existing, employeeId)) {
+        return res.status(404).json({ message: 'Swap proposal not found.' });
+      }
+      return res.status(409).json({ message: `This swap proposal is ${existing.status.replace(/_/g, ' ')} or you already responded.` });
+    }
+
+    if (chain.participants.some((participant) => participant.response !== 'accepted')) {
+      return res.status(200).json({ message: 'Accepted. The swap goes ahead once everyone has accepted.', data: chain });
+    }
+
+    // Everyone agreed
+    const company = await Company.findById(companyId).select('schedulingSettings').lean();
+    if (company?.schedulingSettings?.swapApprovalRequired) {
+      const problems = await validateChain(chain);
+      if (problems.length > 0) {
+        await failChain(io, chain, { actorId: employeeId, reason: problems[0].message });
+        return res.status(422).json({ message: 'This shift swap is no longer allowed.', problems });
+      }
+      const awaiting = await SwapChain.findOneAndUpdate(
+        { _id: chain._id, status: 'proposed' },
+        { $set: { status: 'awaiting_manager_approval' } },
+        { new: true }
+      ).lean();
+      if (!awaiting) {
+        return res.status(409).json({ message: 'This swap proposal is no longer open.' });
+      }
+
+      await notifyManagers(io, {
+        companyId,
+        senderId: employeeId,
+        type: 'swap_awaiting_approval',
+        message: `A ${chain.participants.length}-way shift swap is waiting for your approval.`,
+        metadata: { swapChainId: chain._id },
+      });
+      return res.status(202).json({ message: 'Everyone accepted. A manager will review the swap before the shifts change.', data: awaiting });
+    }
+
+    const { status, body } = await runChain(req, chain, { fromStatus: 'proposed' });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error accepting swap chain:', error.stack);
+    res.status(500).json({ message: 'Failed to accept swap.', error: error.message });
+  }
+});
+
+// POST /api/swap-matching/:companyId/chains/:chainId/decline - Decline a proposal. The other intents go back to
+// matching; the decliner is not offered the same shift again.
+router.post('/:companyId/chains/:chainId/decline', verifyUser, async (req, res) => {
+  try {
+    const { companyId, chainId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(chainId)) {
+      return res.status(400).json({ message: 'Invalid chainId.' });
+    }
+
+    const employeeId = req.user._id;
+    const chain = await SwapChain.findOneAndUpdate(
+      { _id: chainId, companyId, status: { $in: OPEN_CHAIN_STATUSES }, 'participants.employeeId': employeeId },
+      {
+        $set: { status: 'declined', 'participants.$.response': 'declined', 'participants.$.respondedAt': new Date() },
+        $push: { history: { action: 'decline', by: employeeId } },
+      },
+      { new: true }
+    ).lean();
+    if (!chain) {
+      return res.status(404).json({ message: 'No open swap proposal found for you.' });
+    }
+
+    await releaseChainIntents(chain, { declinedBy: employeeId });
+    await notifyParticipants(req.app.get('io'), chain, {
+      type: 'swap_chain_cancelled',
+      senderId: employeeId,
+      except: employeeId,
+      message: 'A colleague declined the proposed shift swap. Your request stays open for other matches.',
+    });
+
+    // The reopened intents may still match others
+    await matchSwapIntents({
+      companyId,
+      departmentId: chain.departmentId,
+      intentIds: chain.participants.map((participant) => participant.intentId),
+      io: req.app.get('io'),
+      triggeredBy: employeeId,
+    });
+
+    res.status(200).json({ message: 'Swap proposal declined.', data: chain });
+  } catch (error) {
+    console.error('Error declining swap chain:', error.stack);
+    res.status(500).json({ message: 'Failed to decline swap.', error: error.message });
+  }
+});
+
+// POST /api/swap-matching/:companyId/chains/:chainId/approve - Approve an agreed chain and move the shifts
+router.post('/:companyId/chains/:chainId/approve', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, chainId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(chainId)) {
+      return res.status(400).json({ message: 'Invalid chainId.' });
+    }
+
+    await expireSwapMatching({ io: req.app.get('io'), companyId });
+    const chain = await SwapChain.findOne({ _id: chainId, companyId }).lean();
+    if (!chain) {
+      return res.status(404).json({ message: 'Swap proposal not found.' });
+    }
+    if (chain.status !== 'awaiting_manager_approval') {
+      return res.status(409).json({ message: 'This swap is not awaiting manager approval.' });
+    }
+
+    const { status, body } = await runChain(req, chain, { fromStatus: 'awaiting_manager_approval', set: { decidedBy: req.user._id } });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error approving swap chain:', error.stack);
+    res.status(500).json({ message: 'Failed to approve swap.', error: error.message });
+  }
+});
+
+// POST /api/swap-matching/:companyId/chains/:chainId/deny - Deny an agreed chain ({ reason }); the intents reopen
+router.post('/:companyId/chains/:chainId/deny', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, chainId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(chainId)) {
+      return res.status(400).json({ message: 'Invalid chainId.' });
+    }
+
+    const reason = String(req.body.reason || '').trim();
+    const chain = await SwapChain.findOneAndUpdate(
+      { _id: chainId, companyId, status: 'awaiting_manager_approval' },
+      {
+        $set: { status: 'denied', decidedBy: req.user._id, failureReason: reason },
+        $push: { history: { action: 'deny', by: req.user._id, note: reason } },
+      },
+      { new: true }
+    ).lean();
+    if (!chain) {
+      return res.status(404).json({ message: 'No swap awaiting approval found.' });
+    }
+
+    await releaseChainIntents(chain);
+    await notifyParticipants(req.app.get('io'), chain, {
+      type: 'swap_denied',
+      senderId: req.user._id,
+      message: reason ? `Your proposed shift swap was denied: ${reason}` : 'Your proposed shift swap was denied.',
+    });
+
+    res.status(200).json({ message: 'Swap denied.', data: chain });
+  } catch (error) {
+    console.error('Error denying swap chain:', error.stack);
+    res.status(500).json({ message: 'Failed to deny swap.', error: error.message });
+  }
+});
+
+// POST /api/swap-matching/:companyId/match - Run matching for every department with open intents
+router.post('/:companyId/match', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const io = req.app.get('io');
+    await expireSwapMatching({ io, companyId });
+    const departmentIds = await SwapIntent.distinct('departmentId', { companyId, status: 'open' });
+
+    const chains = [];
+    for (const departmentId of departmentIds) {
+      chains.push(...(await matchSwapIntents({ companyId, departmentId, io, triggeredBy: req.user._id })));
+    }
+
+    res.status(200).json({ message: `${chains.length} swaps proposed.`, data: chains });
+  } catch (error) {
+    console.error('Error matching swap intents:', error.stack);
+    res.status(500).json({ message: 'Failed to match swap intents.', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,389 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
+import Employee from '../models/Employee.js';
+import ShiftSchedule from '../models/ShiftSchedule.js';
+import TimeEntry from '../models/TimeEntry.js';
+import { shiftStart } from '../Util/ScheduleRepair.js';
+import { PUBLISHED_SHIFT_FILTER } from '../Util/ScheduleVersions.js';
+import {
+  evaluateEntry,
+  flagMissingPunches,
+  isDuplicateKey,
+  loadTimeTrackingSettings,
+  openEntryFor,
+  recordClockIn,
+  recordClockOut,
+  shiftEnd,
+} from '../Util/TimeTracking.js';
+import { isTimesheetLocked } from '../Util/Timesheets.js';
+
+const router = express.Router();
+
+const MAX_DEVICE_ID_LENGTH = 200;
+const MAX_RANGE_DAYS = 62;
+
+const rejectCompany = (req, res, companyId) => {
+  if (!mongoose.Types.ObjectId.isValid(companyId)) {
+    console.log('Validation failed: Invalid companyId');
+    return res.status(400).json({ message: 'Invalid companyId.' });
+  }
+  if (companyId !== req.user.companyId) {
+    return res.status(403).json({ message: 'Unauthorized to access time tracking for this company.' });
+  }
+  return null;
+};
+
+// Returns { punch } or { error } from a punch request body ({ deviceId, latitude, longitude, accuracy })
+const parsePunch = ({ deviceId = '', latitude, longitude, accuracy = null } = {}, at = new Date()) => {
+  if (typeof deviceId !== 'string' || deviceId.length > MAX_DEVICE_ID_LENGTH) {
+    return { error: 'Invalid deviceId.' };
+  }
+  const hasLocation = latitude !== undefined || longitude !== undefined;
+  if (hasLocation) {
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90 || typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+      return { error: 'latitude and longitude must be valid coordinates.' };
+    }
+    if (accuracy !== null && (typeof accuracy !== 'number' || accuracy < 0)) {
+      return { error: 'accuracy must be a positive number of meters.' };
+    }
+  }
+  return {
+    punch: {
+      at,
+      deviceId: deviceId.trim(),
+      location: hasLocation ? { latitude, longitude, accuracy } : null,
+      source: 'employee',
+    },
+  };
+};
+
+// Returns a Date, null when absent, or undefined when invalid
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const managerPunch = (at) => ({ at, deviceId: '', location: null, source: 'manager' });
+
+const LOCKED_MESSAGE = 'The timesheet for this week has been approved and is locked.';
+const OPEN_ENTRY_MESSAGE = 'The employee already has an open time entry. Close it first.';
+const entryDate = (entry) => entry.clockIn?.at || entry.scheduledStart;
+
+// POST /api/time-clock/:companyId/clock-in - Punch in now, against the shift that is running or about to start
+router.post('/:companyId/clock-in', verifyUser, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const { punch, error } = parsePunch(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await recordClockIn({ companyId, employeeId: req.user._id, punch });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const { entry } = result;
+    let message = entry.shiftId
+      ? `Clocked in${entry.flags.includes('late_clock_in') ? ' late' : entry.flags.includes('early_clock_in') ? ' early' : ''}.`
+      : 'Clocked in. No scheduled shift was found, so this is recorded as unscheduled time.';
+    if (entry.review.status === 'pending') message += ' Your location could not be confirmed, so a manager will review this punch.';
+    res.status(201).json({ message, data: entry });
+  } catch (error) {
+    console.error('Error clocking in:', error.stack);
+    res.status(500).json({ message: 'Failed to clock in.', error: error.message });
+  }
+});
+
+// POST /api/time-clock/:companyId/clock-out - Punch out of the open time entry
+router.post('/:companyId/clock-out', verifyUser, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const { punch, error } = parsePunch(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await recordClockOut({ companyId, employeeId: req.user._id, punch });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
+    }
+
+    const message = result.entry.clockOut.geofence?.flagged
+      ? 'Clocked out. Your location could not be confirmed, so a manager will review this punch.'
+      : 'Clocked out.';
+    res.status(200).json({ message, data: result.entry });
+  } catch (error) {
+    console.error('Error clocking out:', error.stack);
+    res.status(500).json({ message: 'Failed to clock out.', error: error.message });
+  }
+});
+
+// GET /api/time-clock/:companyId/status - The caller's open time entry, if any
+router.get('/:companyId/status', verifyUser, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const entry = await openEntryFor(companyId, req.user._id).populate('shiftId').lean();
+    res.status(200).json({ clockedIn: Boolean(entry), entry });
+  } catch (error) {
+    console.error('Error fetching clock status:', error.stack);
+    res.status(500).json({ message: 'Failed to fetch clock status.', error: error.message });
+  }
+});
+
+// GET /api/time-clock/:companyId/entries - Time entries between ?from and ?to (default: the last 7 days).
+// Employees see their own; managers can filter by ?employeeId, ?departmentId, ?status and ?flag.
+router.get('/:companyId/entries', verifyUser, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const to = parseTime(req.query.to) || new Date();
+    const from = parseTime(req.query.from) || new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (from === undefined || to === undefined || from > to) {
+      return res.status(400).json({ message: 'from and to must be valid dates, from before to.' });
+    }
+    if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: `The range can span at most ${MAX_RANGE_DAYS} days.` });
+    }
+
+    await flagMissingPunches({ io: req.app.get('io'), companyId });
+
+    const query = {
+      companyId,
+      $or: [
+        { 'clockIn.at': { $gte: from, $lte: to } },
+        { clockIn: null, scheduledStart: { $gte: from, $lte: to } },
+      ],
+    };
+    if (req.user.role === 'Manager') {
+      const { employeeId, departmentId, status, flag } = req.query;
+      if (employeeId) query.employeeId = employeeId;
+      if (departmentId) query.departmentId = departmentId;
+      if (status) query.status = status;
+      if (flag) query.flags = flag;
+      if ([employeeId, departmentId].some((id) => id && !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ message: 'Invalid employeeId or departmentId.' });
+      }
+    } else {
+      query.employeeId = req.user._id;
+    }
+
+    const entries = await TimeEntry.find(query)
+      .populate('employeeId', 'name email')
+      .populate('shiftId')
+      .sort({ scheduledStart: -1, 'clockIn.at': -1 })
+      .lean();
+    res.status(200).json(entries);
+  } catch (error) {
+    console.error('Error fetching time entries:', error.stack);
+    res.status(500).json({ message: 'Failed to fetch time entries.', error: error.message });
+  }
+});
+
+// POST /api/time-clock/:companyId/entries - Manager adds a time entry for a missing punch
+// ({ employeeId, shiftId?, clockIn, clockOut?, reason })
+router.post('/:companyId/entries', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const { employeeId, shiftId = null } = req.body;
+    const reason = String(req.body.reason || '').trim();
+    const clockIn = parseTime(req.body.clockIn);
+    const clockOut = parseTime(req.body.clockOut);
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required for manual time entries.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(employeeId) || (shiftId && !mongoose.Types.ObjectId.isValid(shiftId))) {
+      return res.status(400).json({ message: 'Invalid employeeId or shiftId.' });
+    }
+    if (!clockIn || clockOut === undefined || (clockOut && clockOut < clockIn)) {
+      return res.status(400).json({ message: 'clockIn is required; clockOut must be a valid time after it.' });
+    }
+
+    const employee = await Employee.findOne({ userId: employeeId, companyId }).select('department').lean();
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found in this company.' });
+    }
+
+    if (await isTimesheetLocked(employeeId, clockIn)) {
+      return res.status(409).json({ message: LOCKED_MESSAGE });
+    }
+
+    let shift = null;
+    if (shiftId) {
+      shift = await ShiftSchedule.findOne({ _id: shiftId, companyId, employeeId, ...PUBLISHED_SHIFT_FILTER }).lean();
+      if (!shift) {
+        return res.status(404).json({ message: 'Shift not found for this employee.' });
+      }
+      if (await TimeEntry.exists({ shiftId })) {
+        return res.status(409).json({ message: 'The shift already has a time entry. Correct that entry instead.' });
+      }
+    }
+
+    const entry = new TimeEntry({
+      companyId,
+      departmentId: shift ? shift.departmentId : employee.department,
+      employeeId,
+      shiftId: shift?._id || null,
+      locationId: shift?.locationId || null,
+      scheduledStart: shift ? shiftStart(shift) : null,
+      scheduledEnd: shift ? shiftEnd(shift) : null,
+      clockIn: managerPunch(clockIn),
+      clockOut: clockOut ? managerPunch(clockOut) : null,
+      corrections: [{ by: req.user._id, reason, changes: { created: { from: null, to: { clockIn, clockOut } } } }],
+    });
+    Object.assign(entry, evaluateEntry(entry, await loadTimeTrackingSettings(companyId)));
+    try {
+      await entry.save();
+    } catch (error) {
+      // Without a clock-out the entry is open, and an employee can only have one
+      if (isDuplicateKey(error)) return res.status(409).json({ message: OPEN_ENTRY_MESSAGE });
+      throw error;
+    }
+    console.log('Manual time entry created:', entry._id);
+
+    res.status(201).json({ message: 'Time entry created.', data: entry });
+  } catch (error) {
+    console.error('Error creating time entry:', error.stack);
+    res.status(500).json({ message: 'Failed to create time entry.', error: error.message });
+  }
+});
+
+// PUT /api/time-clock/:companyId/entries/:entryId - Manager corrects a time entry ({ clockIn?, clockOut?, reason }).
+// Every change is kept with its reason.
+router.put('/:companyId/entries/:entryId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, entryId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({ message: 'Invalid entryId.' });
+    }
+
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required for corrections.' });
+    }
+
+    const entry = await TimeEntry.findOne({ _id: entryId, companyId });
+    if (!entry) {
+      return res.status(404).json({ message: 'Time entry not found.' });
+    }
+    if (await isTimesheetLocked(entry.employeeId, entryDate(entry))) {
+      return res.status(409).json({ message: LOCKED_MESSAGE });
+    }
+
+    const changes = {};
+    for (const field of ['clockIn', 'clockOut']) {
+      if (!(field in req.body)) continue;
+      const at = parseTime(req.body[field]);
+      if (at === undefined) {
+        return res.status(400).json({ message: `${field} must be a valid time.` });
+      }
+      const previous = entry[field]?.at || null;
+      if ((previous?.getTime() ?? null) === (at?.getTime() ?? null)) continue;
+      changes[field] = { from: previous, to: at };
+      entry[field] = at ? managerPunch(at) : null;
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ message: 'Nothing to correct: pass a new clockIn and/or clockOut.' });
+    }
+    if (!entry.clockIn && entry.clockOut) {
+      return res.status(400).json({ message: 'An entry with a clock-out needs a clock-in.' });
+    }
+    if (entry.clockIn && entry.clockOut && entry.clockOut.at < entry.clockIn.at) {
+      return res.status(400).json({ message: 'Clock-out cannot be before clock-in.' });
+    }
+
+    // Moving the clock-in can move the entry into another week
+    if (entry.clockIn && (await isTimesheetLocked(entry.employeeId, entry.clockIn.at))) {
+      return res.status(409).json({ message: LOCKED_MESSAGE });
+    }
+
+    entry.corrections.push({ by: req.user._id, reason, changes });
+    // An entry that was still open and got a clock-out is closed by the correction
+    Object.assign(entry, evaluateEntry(entry, await loadTimeTrackingSettings(companyId)));
+    try {
+      await entry.save();
+    } catch (error) {
+      if (isDuplicateKey(error)) return res.status(409).json({ message: OPEN_ENTRY_MESSAGE });
+      throw error;
+    }
+    console.log('Time entry corrected:', entry._id, changes);
+
+    res.status(200).json({ message: 'Time entry corrected.', data: entry });
+  } catch (error) {
+    console.error('Error correcting time entry:', error.stack);
+    res.status(500).json({ message: 'Failed to correct time entry.', error: error.message });
+  }
+});
+
+// GET /api/time-clock/:companyId/review - Manager review queue: entries with punches flagged by the geofence
+router.get('/:companyId/review', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+
+    const entries = await TimeEntry.find({ companyId, 'review.status': 'pending' })
+      .populate('employeeId', 'name email')
+      .populate('shiftId')
+      .sort({ 'clockIn.at': 1 })
+      .lean();
+    res.status(200).json(entries);
+  } catch (error) {
+    console.error('Error fetching punch review queue:', error.stack);
+    res.status(500).json({ message: 'Failed to fetch punch review queue.', error: error.message });
+  }
+});
+
+// POST /api/time-clock/:companyId/entries/:entryId/review - Approve or reject flagged punches ({ decision, note }).
+// A rejected entry does not count as worked time.
+router.post('/:companyId/entries/:entryId/review', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, entryId } = req.params;
+    if (rejectCompany(req, res, companyId)) return;
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({ message: 'Invalid entryId.' });
+    }
+
+    const { decision } = req.body;
+    const note = String(req.body.note || '').trim();
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ message: 'decision must be "approved" or "rejected".' });
+    }
+    if (decision === 'rejected' && !note) {
+      return res.status(400).json({ message: 'A note is required when rejecting punches.' });
+    }
+
+    const pending = await TimeEntry.findOne({ _id: entryId, companyId, 'review.status': 'pending' }).select('employeeId clockIn scheduledStart').lean();
+    if (pending && (await isTimesheetLocked(pending.employeeId, entryDate(pending)))) {
+      return res.status(409).json({ message: LOCKED_MESSAGE });
+    }
+
+    const entry = await TimeEntry.findOneAndUpdate(
+      { _id: entryId, companyId, 'review.status': 'pending' },
+      { $set: { review: { status: decision, by: req.user._id, at: new Date(), note } } },
+      { new: true }
+    );
+    if (!entry) {
+      return res.status(404).json({ message: 'No time entry awaiting review found.' });
+    }
+    console.log(`Time entry ${decision}:`, entry._id);
+
+    res.status(200).json({ message: `Punches ${decision}.`, data: entry });
+  } catch (error) {
+    console.error('Error reviewing time entry:', error.stack);
+    res.status(500).json({ message: 'Failed to review time entry.', error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,218 @@
+import express from "express";
+import mongoose from "mongoose";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import Timesheet from "../models/Timesheet.js";
+import User from "../models/User.js";
+import { verifyUser } from "../middleware/authMiddleware.js";
+import { getTimesheet, refreshTimesheet, weekStartOf } from "../Util/Timesheets.js";
+import { notifyManagers } from "../Util/OpenShifts.js";
+import { sendSystemNotification } from "../Util/NotificationUtils.js";
+
+dayjs.extend(utc);
+
+const router = express.Router();
+
+// Returns the Sunday the week starts on, or null when the query is not a valid date
+const parseWeekStart = (value) => {
+  const date = value ? dayjs.utc(value) : dayjs.utc();
+  return date.isValid() ? weekStartOf(date.toDate()) : null;
+};
+
+const weekLabel = (timesheet) => dayjs.utc(timesheet.weekStartDate).format("YYYY-MM-DD");
+
+/**
+ * @route GET /api/timesheets/employee/:employeeId?weekStartDate=
+ * @desc An employee's timesheet for a week (default: this week), computed from their punches (owner or Manager)
+ */
+router.get("/employee/:employeeId", verifyUser, async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(employeeId)) {
+      return res.status(400).json({ success: false, error: "Invalid employee ID format." });
+    }
+    if (req.user.role !== "Manager" && req.user._id.toString() !== employeeId) {
+      return res.status(403).json({ success: false, error: "Unauthorized to view this timesheet." });
+    }
+
+    const weekStartDate = parseWeekStart(req.query.weekStartDate);
+    if (!weekStartDate) {
+      return res.status(400).json({ success: false, error: "Invalid weekStartDate." });
+    }
+
+    const employee = await User.findById(employeeId).select("companyId").lean();
+    if (!employee || employee.companyId?.toString() !== req.user.companyId) {
+      return res.status(404).json({ success: false, error: "Employee not found." });
+    }
+
+    const timesheet = await getTimesheet({ companyId: employee.companyId, employeeId, weekStartDate });
+    return res.status(200).json({ success: true, timesheet });
+  } catch (error) {
+    console.error("Error fetching timesheet:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+});
+
+/**
+ * @route GET /api/timesheets/company/:companyId?weekStartDate=&status=
+ * @desc Timesheets of the company for a week, optionally by status (Manager only)
+ */
+router.get("/company/:companyId", verifyUser, async (req, res) => {
+  try {
+    const { companyId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      return res.status(400).json({ success: false, error: "Invalid company ID format." });
+    }
+    if (req.user.role !== "Manager") {
+      return res.status(403).json({ success: false, error: "Only managers can view company timesheets." });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ success: false, error: "Unauthorized to view timesheets for this company." });
+    }
+
+    const query = { companyId };
+    if (req.query.weekStartDate) {
+      const weekStartDate = parseWeekStart(req.query.weekStartDate);
+      if (!weekStartDate) {
+        return res.status(400).json({ success: false, error: "Invalid weekStartDate." });
+      }
+      query.weekStartDate = weekStartDate;
+    }
+    if (req.query.status) query.status = req.query.status;
+
+    const timesheets = await Timesheet.find(query)
+      .populate({ path: "employeeId", select: "name email" })
+      .populate({ path: "departmentId", select: "departmentName" })
+      .sort({ weekStartDate: -1, submittedAt: 1 })
+      .lean();
+
+    return res.status(200).json({ success: true, timesheets });
+  } catch (error) {
+    console.error("Error fetching company timesheets:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+});
+
+/**
+ * @route POST /api/timesheets/:id/submit
+ * @desc Submit a draft or rejected timesheet for approval (owner Employee)
+ */
+router.post("/:id/submit", verifyUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const comment = String(req.body.comment || "").trim();
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid timesheet ID format." });
+    }
+
+    const timesheet = await Timesheet.findById(id);
+    if (!timesheet) {
+      return res.status(404).json({ success: false, error: "Timesheet not found." });
+    }
+    if (timesheet.employeeId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ success: false, error: "You can only submit your own timesheet." });
+    }
+    if (!["Draft", "Rejected"].includes(timesheet.status)) {
+      return res.status(409).json({ success: false, error: `Timesheet is already ${timesheet.status.toLowerCase()}.` });
+    }
+
+    // Submit what the punches say right now
+    await refreshTimesheet(timesheet);
+    if (timesheet.issues.some((issue) => issue.code === "open_entry")) {
+      return res.status(409).json({ success: false, error: "Clock out before submitting your timesheet.", timesheet });
+    }
+
+    timesheet.status = "Submitted";
+    timesheet.submittedAt = new Date();
+    if (comment) timesheet.comments.push({ by: req.user._id, status: "Submitted", text: comment });
+    await timesheet.save();
+
+    const employee = await User.findById(req.user._id).select("name").lean();
+    await notifyManagers(req.app.get("io"), {
+      companyId: timesheet.companyId,
+      senderId: req.user._id,
+      type: "timesheet_submitted",
+      message: `${employee?.name || "An employee"} submitted their timesheet for the week of ${weekLabel(timesheet)} (${timesheet.totals.paidHours}h).`,
+      metadata: { timesheetId: timesheet._id },
+    });
+
+    return res.status(200).json({ success: true, message: "Timesheet submitted for approval.", timesheet });
+  } catch (error) {
+    console.error("Error submitting timesheet:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+});
+
+/**
+ * @route PUT /api/timesheets/:id/status
+ * @desc Approve/Reject a submitted timesheet with an optional comment (Manager only). Approval recomputes and locks it.
+ */
+router.put("/:id/status", verifyUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const comment = String(req.body.comment || "").trim();
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ success: false, error: "Invalid timesheet ID format." });
+    }
+
+    if (!status || !["Approved", "Rejected"].includes(status)) {
+      return res.status(400).json({ success: false, error: "Invalid timesheet status." });
+    }
+    if (status === "Rejected" && !comment) {
+      return res.status(400).json({ success: false, error: "A comment is required when rejecting a timesheet." });
+    }
+
+    if (req.user.role !== "Manager") {
+      return res.status(403).json({ success: false, error: "Only managers can update timesheet status." });
+    }
+
+    const timesheet = await Timesheet.findOne({ _id: id, companyId: req.user.companyId });
+    if (!timesheet) {
+      return res.status(404).json({ success: false, error: "Timesheet not found." });
+    }
+    if (timesheet.status !== "Submitted") {
+      return res.status(409).json({ success: false, error: "Only submitted timesheets can be approved or rejected." });
+    }
+
+    // Corrections and geofence reviews made while it was submitted must be in the hours that get locked
+    if (status === "Approved") {
+      await refreshTimesheet(timesheet);
+      if (timesheet.issues.some((issue) => issue.code === "open_entry")) {
+        return res.status(409).json({ success: false, error: "The employee is still clocked in this week.", timesheet });
+      }
+    }
+
+    timesheet.status = status;
+    timesheet.decidedBy = req.user._id;
+    timesheet.decidedAt = new Date();
+    timesheet.locked = status === "Approved";
+    if (comment) timesheet.comments.push({ by: req.user._id, status, text: comment });
+    await timesheet.save();
+
+    const manager = await User.findById(req.user._id).select("name").lean();
+    const managerName = manager ? manager.name : "your manager";
+    await sendSystemNotification(req.app.get("io"), {
+      recipientId: timesheet.employeeId,
+      senderId: req.user._id,
+      type: status === "Approved" ? "timesheet_approved" : "timesheet_rejected",
+      message: `Your timesheet for the week of ${weekLabel(timesheet)} has been ${status.toLowerCase()} by ${managerName}.${comment ? ` Comment: ${comment}` : ""}`,
+      metadata: { timesheetId: timesheet._id },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Timesheet status updated to ${status}.`,
+      timesheet,
+    });
+  } catch (error) {
+    console.error("Error updating timesheet status:", error);
+    return res.status(500).json({ success: false, error: "Internal Server Error." });
+  }
+});
+
+export default router;
@@ -0,0 +1,123 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { verifyUser, authorizeRoles } from '../middleware/authMiddleware.js';
+import WorkRule from '../models/WorkRule.js';
+import Department from '../models/Department.js';
+import { loadWorkRules, DEFAULT_WORK_RULES } from '../Util/WorkRulesValidator.js';
+
+const router = express.Router();
+
+// GET /api/work-rules/:companyId?departmentId= - Effective rules for a department (or the company default)
+router.get('/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      console.log('Validation failed: Invalid companyId');
+      return res.status(400).json({ message: 'Invalid companyId.' });
+    }
+    if (departmentId && !mongoose.Types.ObjectId.isValid(departmentId)) {
+      console.log('Validation failed: Invalid departmentId');
+      return res.status(400).json({ message: 'Invalid departmentId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to view work rules for this company.' });
+    }
+
+    const { validator, source, rule } = await loadWorkRules(companyId, departmentId || null);
+    console.log(`Effective work rules for company ${companyId}, department ${departmentId || 'n/a'} (source: ${source}):`, validator.rules);
+
+    return res.status(200).json({
+      rules: validator.rules,
+      source,
+      ruleId: rule?._id || null,
+      defaults: DEFAULT_WORK_RULES,
+    });
+  } catch (error) {
+    console.error('Error fetching work rules:', error.stack);
+    return res.status(500).json({ message: 'Failed to fetch work rules.', error: error.message });
+  }
+});
+
+// PUT /api/work-rules/:companyId - Create or update company-wide rules, or a department override when departmentId is given
+router.put('/:companyId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId } = req.params;
+    const { departmentId = null } = req.body;
+    console.log('Received PUT /api/work-rules payload:', JSON.stringify(req.body, null, 2));
+
+    if (!mongoose.Types.ObjectId.isValid(companyId)) {
+      console.log('Validation failed: Invalid companyId');
+      return res.status(400).json({ message: 'Invalid companyId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to update work rules for this company.' });
+    }
+
+    if (departmentId) {
+      if (!mongoose.Types.ObjectId.isValid(departmentId)) {
+        console.log('Validation failed: Invalid departmentId');
+        return res.status(400).json({ message: 'Invalid departmentId.' });
+      }
+      const department = await Department.findOne({ _id: departmentId, companyId }).lean();
+      if (!department) {
+        console.log('Validation failed: Department does not belong to the company');
+        return res.status(400).json({ message: 'Department does not belong to the company.' });
+      }
+    }
+
+    const updates = {};
+    for (const field of Object.keys(DEFAULT_WORK_RULES)) {
+      if (req.body[field] === undefined) continue;
+      const value = Number(req.body[field]);
+      if (isNaN(value) || value < 0) {
+        console.log(`Validation failed: Invalid ${field}`);
+        return res.status(400).json({ message: `${field} must be a non-negative number.` });
+      }
+      updates[field] = value;
+    }
+
+    const rule = await WorkRule.findOneAndUpdate(
+      { companyId, departmentId },
+      { $set: { ...updates, updatedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    console.log('Work rules saved:', rule._id);
+    return res.status(200).json({ message: 'Work rules saved successfully.', data: rule });
+  } catch (error) {
+    console.error('Error saving work rules:', error.stack);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation failed', error: error.message });
+    }
+    return res.status(500).json({ message: 'Failed to save work rules.', error: error.message });
+  }
+});
+
+// DELETE /api/work-rules/:companyId/:departmentId - Remove a department override so the company default applies again
+router.delete('/:companyId/:departmentId', verifyUser, authorizeRoles(['Manager']), async (req, res) => {
+  try {
+    const { companyId, departmentId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(companyId) || !mongoose.Types.ObjectId.isValid(departmentId)) {
+      return res.status(400).json({ message: 'Invalid companyId or departmentId.' });
+    }
+    if (companyId !== req.user.companyId) {
+      return res.status(403).json({ message: 'Unauthorized to update work rules for this company.' });
+    }
+
+    const deleted = await WorkRule.findOneAndDelete({ companyId, departmentId });
+    if (!deleted) {
+      return res.status(404).json({ message: 'No department override found.' });
+    }
+
+    console.log('Department work rule override removed:', deleted._id);
+    return res.status(200).json({ message: 'Department override removed. Company rules now apply.' });
+  } catch (error) {
+    console.error('Error deleting work rules:', error.stack);
+    return res.status(500).json({ message: 'Failed to delete work rules.', error: error.message });
+  }
+});
+
+export default router;
@@ -21,6 +21,17 @@ import holiday from "./routes/holidays.js";
 import shiftswap from "./routes/shiftswap.js";
 import admin from "./routes/admin.js";
 import messages from './routes/message.js';
+import workRules from './routes/workRules.js';
+import skills from './routes/skills.js';
+import laborBudgets from './routes/laborBudgets.js';
+import rotations from './routes/rotations.js';
+import openShifts from './routes/openShifts.js';
+import shiftBids from './routes/shiftBids.js';
+import swapMatching from './routes/swapMatching.js';
+import timeClock from './routes/timeClock.js';
+import timesheets from './routes/timesheets.js';
+import payroll from './routes/payroll.js';
+import { startScheduledJobs } from './Util/ScheduledJobs.js';
 
 process.on('unhandledRejection', (reason, promise) => {
   console.error('Unhandled Rejection at:', promise, 'reason:', reason);
@@ -101,6 +112,16 @@ app.use("/api/holidays", holiday);
 app.use('/api/shift-swap', shiftswap);
 app.use('/api/admin', admin);
 app.use('/api/messages', messages);
+app.use('/api/work-rules', workRules);
+app.use('/api/skills', skills);
+app.use('/api/labor-budgets', laborBudgets);
+app.use('/api/rotations', rotations);
+app.use('/api/open-shifts', openShifts);
+app.use('/api/shift-bids', shiftBids);
+app.use('/api/swap-matching', swapMatching);
+app.use('/api/time-clock', timeClock);
+app.use('/api/timesheets', timesheets);
+app.use('/api/payroll', payroll);
 app.get("/", (req, res) => {
   res.send("Backend server is running!");
 });
@@ -127,6 +148,8 @@ async function startServer() {
   try {
     await connectDB();
     console.log('MongoDB connected successfully');
+    // Serverless instances do not live long enough for timers; there the routes catch up lazily
+    if (!process.env.VERCEL) startScheduledJobs();
   } catch (err) {
     console.error('Failed to connect to DB:', err.message);
   }